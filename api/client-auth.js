@@ -1,25 +1,11 @@
 // Client Authentication API
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const { queueEmail } = require('../netlify/functions/utils/emailOutbox');
 
 // Mock database - in production, use a real database
 const clients = [];
 
-// Email Configuration
-const emailTransporter = nodemailer.createTransport({
-  host: 'smtp.zoho.in',
-  port: 587,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
-  },
-  tls: {
-    rejectUnauthorized: false
-  }
-});
-
 // Register new client
 async function registerClient(req, res) {
   try {
@@ -166,60 +152,15 @@ async function getClientProfile(req, res) {
   }
 }
 
-// Send welcome email
+// Queue the welcome email in the email outbox. These client ids are not
+// Supabase ids, so the email is not linked to an account.
 async function sendWelcomeEmail(client) {
-  const emailOptions = {
-    from: 'no-reply@mechinweb.com',
-    to: client.email,
-    subject: 'Welcome to Mechinweb - Your Account is Ready!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
-          <h1 style="color: white; margin: 0;">Welcome to Mechinweb!</h1>
-        </div>
-        
-        <div style="padding: 30px; background: #f8f9fa;">
-          <p>Dear ${client.name},</p>
-          
-          <p>Welcome to Mechinweb! Your client account has been successfully created and you can now access our full range of IT services.</p>
-          
-          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #3B82F6; margin-top: 0;">Your Account Details:</h3>
-            <p><strong>Name:</strong> ${client.name}</p>
-            <p><strong>Email:</strong> ${client.email}</p>
-            ${client.company ? `<p><strong>Company:</strong> ${client.company}</p>` : ''}
-            <p><strong>Account Status:</strong> Active</p>
-          </div>
-          
-          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #3B82F6; margin-top: 0;">What you can do now:</h3>
-            <ul>
-              <li>Browse and purchase our professional IT services</li>
-              <li>Track your orders and service progress</li>
-              <li>Download invoices and payment receipts</li>
-              <li>Access 24/7 customer support</li>
-            </ul>
-          </div>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${process.env.CLIENT_PORTAL_URL || 'https://mechinweb.com/client/dashboard'}" 
-               style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
-              Access Your Dashboard
-            </a>
-          </div>
-          
-          <p>If you have any questions or need assistance, don't hesitate to contact us:</p>
-          <p>📧 Email: contact@mechinweb.com<br>
-</p>
-          
-          <p>Best regards,<br>
-          The Mechinweb Team</p>
-        </div>
-      </div>
-    `
-  };
-
-  await emailTransporter.sendMail(emailOptions);
+  await queueEmail('welcome_email', {
+    clientName: client.name,
+    clientEmail: client.email,
+    company: client.company,
+    loginUrl: process.env.CLIENT_PORTAL_URL || 'https://mechinweb.com/client/dashboard'
+  });
 }
 
 module.exports = {
@@ -0,0 +1,105 @@
+// Admin endpoint for email conversations: list the threads of client
+// replies to our emails (see utils/conversations.js) and read one
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { HttpError } = require('./utils/httpErrors');
+const { listConversations, getConversation } = require('./utils/conversations');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const ACTIONS = {
+  // Most recently active first, `limit` conversations at most (50 by default)
+  list_conversations: {
+    handle: async ({ params }) => ({
+      conversations: await listConversations({
+        orderId: params.orderId,
+        clientId: params.clientId,
+        limit: params.limit
+      })
+    })
+  },
+
+  get_conversation: {
+    handle: async ({ params }) => ({ conversation: await getConversation(params.conversationId) })
+  }
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    let params;
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, 'Invalid JSON in request body');
+    }
+
+    const action = Object.prototype.hasOwnProperty.call(ACTIONS, params.action) ? ACTIONS[params.action] : null;
+    if (!action) {
+      throw new HttpError(400, `Unknown action. Expected one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const user = await getRequestUser(event.headers);
+    if (!user) {
+      throw new HttpError(401, 'Sign in to read conversations');
+    }
+    if (!isAdmin(user)) {
+      throw new HttpError(403, 'Only administrators can read conversations');
+    }
+
+    log('info', 'Running conversation action', { requestId, action: params.action, userId: user.id });
+
+    const result = await action.handle({ params, user });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        action: params.action,
+        ...result,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Conversation admin error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
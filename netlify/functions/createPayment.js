@@ -34,7 +34,8 @@ exports.handler = async (event, context) => {
     const zohoResponse = await fetch(`${process.env.URL}/.netlify/functions/zohoIntegration`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(event.headers.authorization && { 'Authorization': event.headers.authorization })
       },
       body: JSON.stringify(requestData)
     });
@@ -0,0 +1,115 @@
+// Admin endpoint for the email outbox: list messages for an order or client,
+// read one with its content and requeue ones that failed for good
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { HttpError } = require('./utils/httpErrors');
+const {
+  listOutboxEmails,
+  getOutboxEmail,
+  retryOutboxEmail
+} = require('./utils/emailOutbox');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const ACTIONS = {
+  // Newest first, `limit` messages at most (50 by default)
+  list_emails: {
+    handle: async ({ params }) => ({
+      emails: await listOutboxEmails({
+        orderId: params.orderId,
+        clientId: params.clientId,
+        status: params.status,
+        emailType: params.emailType,
+        limit: params.limit
+      })
+    })
+  },
+
+  get_email: {
+    handle: async ({ params }) => ({ email: await getOutboxEmail(params.emailId) })
+  },
+
+  retry_email: {
+    handle: async ({ params }) => ({ email: await retryOutboxEmail(params.emailId) })
+  }
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    let params;
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, 'Invalid JSON in request body');
+    }
+
+    const action = Object.prototype.hasOwnProperty.call(ACTIONS, params.action) ? ACTIONS[params.action] : null;
+    if (!action) {
+      throw new HttpError(400, `Unknown action. Expected one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const user = await getRequestUser(event.headers);
+    if (!user) {
+      throw new HttpError(401, 'Sign in to manage the email outbox');
+    }
+    if (!isAdmin(user)) {
+      throw new HttpError(403, 'Only administrators can manage the email outbox');
+    }
+
+    log('info', 'Running email outbox action', { requestId, action: params.action, userId: user.id });
+
+    const result = await action.handle({ params, user });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        action: params.action,
+        ...result,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Email outbox admin error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,55 @@
+// Scheduled job (see netlify.toml) that sends the messages queued in
+// `email_outbox`. Failed sends are retried by later runs with a growing
+// delay; see utils/emailOutbox.js.
+const { processOutbox } = require('./utils/emailOutbox');
+const { verifyMailTransport, getSender } = require('./utils/mailTransport');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  try {
+    // Nothing is claimed while SMTP is down, so no attempts are used up
+    const transport = await verifyMailTransport();
+
+    const result = await processOutbox({
+      sendMail: options => transport.sendMail(options),
+      from: getSender()
+    });
+
+    log('info', 'Email outbox processed', { requestId, ...result });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        ...result,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Email outbox run failed', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,115 @@
+// Admin endpoint that renders every email type from the fixtures in
+// utils/emailFixtures.js without sending anything. Template rows passed as
+// `templates` override the database, so a change can be reviewed before it
+// is inserted. scripts/render-email-previews.js writes the output to disk.
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { HttpError } = require('./utils/httpErrors');
+const { composeEmails } = require('./utils/emailTypes');
+const { FIXTURE_NOW, EMAIL_FIXTURES } = require('./utils/emailFixtures');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// One fixture's messages, or the error that stopped them rendering
+const renderFixture = async (fixture, templates) => {
+  try {
+    const messages = await composeEmails(fixture.type, fixture.data, {
+      requestId: 'preview',
+      now: new Date(FIXTURE_NOW),
+      templates
+    });
+    return { fixture: fixture.name, type: fixture.type, messages };
+  } catch (error) {
+    return { fixture: fixture.name, type: fixture.type, error: error.message };
+  }
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    let params;
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, 'Invalid JSON in request body');
+    }
+
+    const user = await getRequestUser(event.headers);
+    if (!user) {
+      throw new HttpError(401, 'Sign in to preview emails');
+    }
+    if (!isAdmin(user)) {
+      throw new HttpError(403, 'Only administrators can preview emails');
+    }
+
+    const { fixtures: names, templates = [] } = params;
+    if (!Array.isArray(templates)) {
+      throw new HttpError(400, 'templates must be an array of email_templates rows');
+    }
+
+    const fixtures = names ? EMAIL_FIXTURES.filter(fixture => names.includes(fixture.name)) : EMAIL_FIXTURES;
+    if (fixtures.length === 0) {
+      throw new HttpError(400, `Unknown fixtures. Expected any of: ${EMAIL_FIXTURES.map(fixture => fixture.name).join(', ')}`);
+    }
+
+    log('info', 'Rendering email previews', { requestId, fixtures: fixtures.length, overrides: templates.length });
+
+    // One at a time; each render reads its template from Supabase
+    const previews = [];
+    for (const fixture of fixtures) {
+      previews.push(await renderFixture(fixture, templates));
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        renderedAt: FIXTURE_NOW,
+        previews,
+        failed: previews.filter(preview => preview.error).length,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Email preview error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,95 @@
+// Inbound email: replies to our emails, as raw MIME, threaded onto their
+// order or quote request (see utils/conversations.js). The mail provider's
+// inbound webhook, or scripts/ingest-eml.js with a saved .eml file, POSTs
+// either the message itself or JSON `{ "raw": "<message>" }`:
+//   POST /.netlify/functions/inboundEmail
+// with INBOUND_EMAIL_SECRET in the X-Inbound-Secret header or `?secret=`,
+// for providers that can only call a URL.
+const crypto = require('crypto');
+const { HttpError } = require('./utils/httpErrors');
+const { ingestReply } = require('./utils/conversations');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+};
+
+const isAuthorized = (event) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (!secret) {
+    throw new HttpError(503, 'Inbound email is not configured');
+  }
+
+  const provided = Buffer.from(String(getHeader(event.headers, 'x-inbound-secret') || event.queryStringParameters?.secret || ''));
+  const expected = Buffer.from(secret);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// The message as a Buffer, so 8-bit bodies reach the parser unchanged
+const getRawMessage = (event) => {
+  const body = event.body ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : Buffer.alloc(0);
+  if (!String(getHeader(event.headers, 'content-type') || '').includes('application/json')) return body;
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Invalid JSON in request body');
+  }
+  if (typeof payload.raw !== 'string') {
+    throw new HttpError(400, 'raw is required');
+  }
+  return Buffer.from(payload.raw, 'utf8');
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    if (!isAuthorized(event)) {
+      throw new HttpError(401, 'Invalid inbound email secret');
+    }
+
+    const result = await ingestReply(getRawMessage(event));
+    log('info', 'Inbound email processed', { requestId, ...result });
+
+    // Messages we could not place are still accepted, so the provider
+    // does not keep retrying them
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        ...result,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Inbound email error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,83 @@
+// Download an invoice as a PDF (see utils/invoicePdf.js). Clients can fetch
+// their own invoices, administrators any invoice:
+//   GET /.netlify/functions/invoicePdf?invoiceId=<uuid>
+// with the Supabase access token as a Bearer token.
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { HttpError } = require('./utils/httpErrors');
+const { loadInvoiceDocument, renderInvoicePdf, invoiceFilename } = require('./utils/invoicePdf');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    const { invoiceId } = event.queryStringParameters || {};
+    if (!invoiceId) {
+      throw new HttpError(400, 'invoiceId is required');
+    }
+
+    const user = await getRequestUser(event.headers || {});
+    if (!user) {
+      throw new HttpError(401, 'Sign in to download invoices');
+    }
+
+    const invoice = await loadInvoiceDocument({ invoiceId });
+    // Someone else's invoice looks the same as a missing one
+    if (invoice.clientId !== user.id && !isAdmin(user)) {
+      throw new HttpError(404, `Invoice ${invoiceId} not found`);
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    log('info', 'Invoice PDF downloaded', { requestId, invoiceId, userId: user.id, bytes: pdf.length });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoiceFilename(invoice)}"`,
+        'Cache-Control': 'private, no-store'
+      },
+      body: pdf.toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    log('error', 'Invoice PDF error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
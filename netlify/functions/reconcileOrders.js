@@ -0,0 +1,49 @@
+// Scheduled job (see netlify.toml) that reconciles open orders with their
+// Zoho invoices and writes a report to `reconciliation_runs`
+const { reconcileOrders } = require('./utils/reconciliation');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  try {
+    const report = await reconcileOrders();
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        runId: report.id,
+        ordersChecked: report.orders_checked,
+        invoicesChecked: report.invoices_checked,
+        mismatchesFound: report.mismatches_found,
+        mismatchesFixed: report.mismatches_fixed,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Reconciliation failed', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -1,4 +1,4 @@
-const nodemailer = require('nodemailer');
+const { verifyMailTransport, getSender } = require('./utils/mailTransport');
 
 exports.handler = async (event, context) => {
   console.log('Testing email configuration...');
@@ -16,58 +16,19 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Check that environment variables are loaded
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-    console.error('Email credentials are not set in environment variables.');
-    return {
-      statusCode: 500,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ 
-        success: false,
-        error: 'Email credentials not configured.',
-        debug: {
-          hasEmailUser: !!process.env.EMAIL_USER,
-          hasEmailPassword: !!process.env.EMAIL_PASSWORD,
-          emailUser: process.env.EMAIL_USER
-        }
-      }),
-    };
-  }
-
   try {
-    console.log('Creating nodemailer transporter...');
-    
-    // Create the transporter
-    const transporter = nodemailer.createTransport({
-      host: 'smtp.zoho.in',
-      port: 587,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-      },
-      tls: {
-        rejectUnauthorized: false
-      }
-    });
-
-    console.log('Transporter created successfully.');
-
-    // Verify the SMTP connection
-    console.log('Verifying SMTP connection...');
-    await transporter.verify();
-    console.log('SMTP configuration is correct.');
+    // Created and verified once per cold start, see utils/mailTransport.js
+    console.log('Verifying mail transport...');
+    const transport = await verifyMailTransport();
+    console.log(`Mail transport ${transport.name} is ready.`);
 
     // If POST request, send a test email
     if (event.httpMethod === 'POST') {
       console.log('Sending test email...');
       
       const testEmailOptions = {
-        from: process.env.EMAIL_USER,
-        to: process.env.EMAIL_USER, // Send to self for testing
+        from: getSender(),
+        to: getSender(), // Send to self for testing
         subject: 'Test Email from Mechinweb - Email Service Working',
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -81,8 +42,8 @@ exports.handler = async (event, context) => {
               <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
                 <h3 style="color: #10B981; margin-top: 0;">Test Details:</h3>
                 <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-                <p><strong>From:</strong> ${process.env.EMAIL_USER}</p>
-                <p><strong>SMTP Host:</strong> smtp.zoho.in</p>
+                <p><strong>From:</strong> ${getSender()}</p>
+                <p><strong>Transport:</strong> ${transport.name}</p>
                 <p><strong>Status:</strong> ✅ Working</p>
               </div>
               
@@ -95,7 +56,7 @@ exports.handler = async (event, context) => {
         `
       };
 
-      const result = await transporter.sendMail(testEmailOptions);
+      const result = await transport.sendMail(testEmailOptions);
       console.log('Test email sent successfully:', result.messageId);
 
       return {
@@ -109,8 +70,8 @@ exports.handler = async (event, context) => {
           message: 'Email service is working correctly! Test email sent.',
           details: {
             messageId: result.messageId,
-            from: process.env.EMAIL_USER,
-            to: process.env.EMAIL_USER,
+            from: getSender(),
+            to: getSender(),
             timestamp: new Date().toISOString()
           }
         }),
@@ -128,9 +89,8 @@ exports.handler = async (event, context) => {
         success: true, 
         message: 'Email configuration is correct!',
         details: {
-          host: 'smtp.zoho.in',
-          port: 587,
-          user: process.env.EMAIL_USER,
+          transport: transport.name,
+          ...transport.describe(),
           verified: true,
           timestamp: new Date().toISOString()
         }
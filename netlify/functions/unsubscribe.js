@@ -0,0 +1,92 @@
+// Unsubscribe links from the List-Unsubscribe header of our emails (see
+// utils/communicationPreferences.js). They work without logging in; the
+// signed token says who and which category.
+//   GET  ?token=...  a page asking to confirm, so link scanners that open
+//                    every URL in an email unsubscribe nobody
+//   POST ?token=...  turns the category's email off; this is also the
+//                    RFC 8058 one-click request mail clients send
+const { HttpError } = require('./utils/httpErrors');
+const { verifyUnsubscribeToken, setCommunicationPreference } = require('./utils/communicationPreferences');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const CATEGORY_LABELS = {
+  billing: 'billing emails (payment confirmations, receipts and refunds)',
+  order: 'order progress emails',
+  marketing: 'marketing emails'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const page = (statusCode, title, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  },
+  body: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)} - Mechinweb</title></head>
+<body style="font-family: Arial, sans-serif; background: #f9fafb; color: #111827; margin: 0; padding: 40px 20px;">
+  <div style="max-width: 520px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+    <h1 style="font-size: 22px; margin-top: 0; color: #0891b2;">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`
+});
+
+const profileLink = () =>
+  `<p style="color: #6b7280; font-size: 14px;">You can change what we send you at any time from <a href="${escapeHtml(process.env.URL || 'https://mechinweb.com')}/client/profile" style="color: #0891b2;">your profile</a>.</p>`;
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    const { token } = event.queryStringParameters || {};
+    const subscription = verifyUnsubscribeToken(token);
+    if (!subscription || !CATEGORY_LABELS[subscription.category]) {
+      throw new HttpError(400, 'This unsubscribe link is invalid or incomplete.');
+    }
+
+    const label = CATEGORY_LABELS[subscription.category];
+
+    if (event.httpMethod === 'GET') {
+      return page(200, 'Unsubscribe', `
+    <p>Stop receiving ${escapeHtml(label)} from Mechinweb?</p>
+    <form method="POST" action="?token=${encodeURIComponent(token)}">
+      <input type="hidden" name="List-Unsubscribe" value="One-Click">
+      <button type="submit" style="background: #06b6d4; color: #ffffff; border: 0; border-radius: 8px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+    </form>
+    ${profileLink()}`);
+    }
+
+    await setCommunicationPreference(subscription.clientId, subscription.category, 'email', false);
+    log('info', 'Client unsubscribed', { requestId, clientId: subscription.clientId, category: subscription.category });
+
+    return page(200, 'You have been unsubscribed', `
+    <p>You will no longer receive ${escapeHtml(label)} from Mechinweb.</p>
+    ${profileLink()}`);
+  } catch (error) {
+    log('error', 'Unsubscribe error', { requestId, error: error.message });
+
+    return page(
+      error instanceof HttpError ? error.statusCode : 500,
+      'Unsubscribe failed',
+      `<p>${escapeHtml(error instanceof HttpError ? error.message : 'Something went wrong. Please try again later.')}</p>
+    ${profileLink()}`
+    );
+  }
+};
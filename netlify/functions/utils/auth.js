@@ -0,0 +1,29 @@
+// Resolve the Supabase user behind a request's `Authorization: Bearer <jwt>` header
+const { getSupabaseAdmin } = require('./supabase');
+
+const getBearerToken = (headers = {}) => {
+  const header = headers.authorization || headers.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Returns null for anonymous requests, invalid tokens or when Supabase is not configured
+const getRequestUser = async (headers) => {
+  const token = getBearerToken(headers);
+  const supabase = getSupabaseAdmin();
+  if (!token || !supabase) return null;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+
+  return data.user;
+};
+
+// Admins are flagged in app_metadata, which only the service role can set
+const isAdmin = (user) => user?.app_metadata?.role === 'admin';
+
+module.exports = {
+  getBearerToken,
+  getRequestUser,
+  isAdmin
+};
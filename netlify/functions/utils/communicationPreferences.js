@@ -0,0 +1,192 @@
+// What a client wants to hear from us, per category and channel, stored in
+// `user_preferences.communication_preferences` and set on the profile page.
+// Senders ask allowsCommunication() before writing a notification or
+// queueing an email. Mail in a category the client can turn off carries a
+// signed List-Unsubscribe link, handled by the unsubscribe function without
+// a login. src/lib/preferences.ts has the same categories for the browser.
+const crypto = require('crypto');
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const CATEGORIES = ['billing', 'order', 'marketing', 'security'];
+const CHANNELS = ['email', 'in_app'];
+
+// Marketing is opt-in; everything else is on until turned off
+const DEFAULT_PREFERENCES = {
+  billing: { email: true, in_app: true },
+  order: { email: true, in_app: true },
+  marketing: { email: false, in_app: false },
+  security: { email: true, in_app: true }
+};
+
+// Channels a client cannot turn off
+const REQUIRED_CHANNELS = {
+  security: ['email']
+};
+
+const isCategory = (category) => CATEGORIES.includes(category);
+
+const isRequired = (category, channel) => (REQUIRED_CHANNELS[category] || []).includes(channel);
+
+/**
+ * The full preference matrix from a stored value: unknown keys are dropped,
+ * anything missing takes its default and required channels are always on.
+ */
+const normalizePreferences = (stored) => {
+  const preferences = {};
+  for (const category of CATEGORIES) {
+    preferences[category] = {};
+    for (const channel of CHANNELS) {
+      const value = stored?.[category]?.[channel];
+      preferences[category][channel] = isRequired(category, channel) ||
+        (typeof value === 'boolean' ? value : DEFAULT_PREFERENCES[category][channel]);
+    }
+  }
+  return preferences;
+};
+
+const loadStoredPreferences = async (supabase, clientId) => {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('communication_preferences')
+    .eq('user_id', clientId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.communication_preferences || {};
+};
+
+// A client's preferences; defaults when we cannot tell who they are
+const getCommunicationPreferences = async (clientId) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !clientId) return normalizePreferences({});
+  return normalizePreferences(await loadStoredPreferences(supabase, clientId));
+};
+
+/**
+ * Whether `clientId` wants `category` messages on `channel` (`email` or
+ * `in_app`). Messages without a category, or for no known client, are
+ * always allowed. A failed lookup allows the message rather than losing it.
+ */
+const allowsCommunication = async (clientId, category, channel) => {
+  if (!category || !clientId) return true;
+  if (!isCategory(category)) throw new Error(`Unknown communication category ${category}`);
+  if (isRequired(category, channel)) return true;
+
+  try {
+    const preferences = await getCommunicationPreferences(clientId);
+    return preferences[category][channel];
+  } catch (error) {
+    log('warning', 'Could not load communication preferences, allowing message', { clientId, category, channel, error: error.message });
+    return true;
+  }
+};
+
+// Turn one channel of one category on or off, keeping the rest
+const setCommunicationPreference = async (clientId, category, channel, enabled) => {
+  if (!isCategory(category) || !CHANNELS.includes(channel)) {
+    throw new HttpError(400, `Unknown preference ${category}.${channel}`);
+  }
+  if (isRequired(category, channel) && !enabled) {
+    throw new HttpError(400, `${category} ${channel} cannot be turned off`);
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to update communication preferences');
+  }
+
+  const stored = await loadStoredPreferences(supabase, clientId);
+  const preferences = normalizePreferences({ ...stored, [category]: { ...stored[category], [channel]: enabled } });
+
+  const { error } = await supabase
+    .from('user_preferences')
+    .upsert({
+      user_id: clientId,
+      communication_preferences: preferences,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'user_id'
+    });
+
+  if (error) throw error;
+
+  log('info', 'Communication preference updated', { clientId, category, channel, enabled });
+  return preferences;
+};
+
+const getUnsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || null;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// `<client id>.<category>.<signature>`; links do not expire, like any
+// unsubscribe link in an old email
+const createUnsubscribeToken = (clientId, category, secret = getUnsubscribeSecret()) => {
+  if (!secret) throw new Error('UNSUBSCRIBE_SECRET is required to sign unsubscribe links');
+  const payload = `${clientId}.${category}`;
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Check an unsubscribe token. Returns `{ clientId, category }`, or null when
+ * it is malformed or not signed with our secret.
+ */
+const verifyUnsubscribeToken = (token, secret = getUnsubscribeSecret()) => {
+  if (!secret) throw new Error('UNSUBSCRIBE_SECRET is required to check unsubscribe links');
+
+  const [clientId, category, signature] = String(token || '').split('.');
+  if (!clientId || !isCategory(category) || !signature) return null;
+
+  const expected = Buffer.from(sign(`${clientId}.${category}`, secret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  return { clientId, category };
+};
+
+const unsubscribeUrl = (token) =>
+  `${process.env.URL || 'https://mechinweb.com'}/.netlify/functions/unsubscribe?token=${encodeURIComponent(token)}`;
+
+/**
+ * Headers for an email in `category` to `clientId`: a one-click
+ * List-Unsubscribe link (RFC 8058) when the client can turn that email off.
+ * Marketing email cannot be sent without one, so it throws for marketing to
+ * no client or without UNSUBSCRIBE_SECRET.
+ */
+const unsubscribeHeaders = (clientId, category) => {
+  if (category === 'marketing' && !clientId) {
+    throw new Error('Marketing email can only be sent to a client, so it can be unsubscribed from');
+  }
+  if (!clientId || !isCategory(category) || isRequired(category, 'email')) return {};
+
+  if (!getUnsubscribeSecret()) {
+    if (category === 'marketing') {
+      throw new Error('UNSUBSCRIBE_SECRET is required to send marketing email');
+    }
+    log('warning', 'UNSUBSCRIBE_SECRET not set, sending without List-Unsubscribe', { clientId, category });
+    return {};
+  }
+
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(createUnsubscribeToken(clientId, category))}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  CHANNELS,
+  DEFAULT_PREFERENCES,
+  normalizePreferences,
+  getCommunicationPreferences,
+  allowsCommunication,
+  setCommunicationPreference,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeHeaders
+};
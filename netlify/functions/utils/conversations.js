@@ -0,0 +1,313 @@
+// Client replies to our emails, threaded onto the order or quote request
+// they are about. Emails that invite a reply are sent with a Reply-To of
+// INBOUND_REPLY_ADDRESS plus the conversation's token
+// (`replies+<token>@mechinweb.com`); the inboundEmail function hands each
+// raw reply to ingestReply(), which finds the conversation from that token,
+// or from In-Reply-To when the token was lost, and stores the new text
+// without the quoted history.
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const MAX_LIST = 200;
+
+// Lower-case hex, so mail servers that change the case of addresses
+// cannot break it
+const TOKEN_PATTERN = /^[0-9a-f]{24}$/;
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required for email conversations');
+  }
+  return supabase;
+};
+
+const clampLimit = (limit, fallback, max) => {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+};
+
+const getReplyAddress = () => {
+  const [local, domain] = String(process.env.INBOUND_REPLY_ADDRESS || '').toLowerCase().split('@');
+  return local && domain ? { local, domain } : null;
+};
+
+// Whether emails should invite replies at all
+const repliesEnabled = () => Boolean(getReplyAddress());
+
+// The address replies to a conversation go to; null when inbound mail is
+// not set up, so replies go to the sender as before
+const replyAddressFor = (conversation) => {
+  const address = getReplyAddress();
+  return address ? `${address.local}+${conversation.reply_token}@${address.domain}` : null;
+};
+
+const findConversation = async (supabase, column, value) => {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const findClientByEmail = async (supabase, email) => {
+  if (!email) return null;
+  const { data } = await supabase
+    .from('clients')
+    .select('id')
+    .eq('email', email.toLowerCase())
+    .maybeSingle();
+  return data?.id || null;
+};
+
+/**
+ * The conversation for an order (`orderId`) or a quote request
+ * (`quoteReference`, its Zoho estimate number), created on first use. Quote requests from visitors
+ * are linked to the client with their email address, if there is one.
+ */
+const openConversation = async ({ orderId = null, quoteReference = null, clientId = null, contactEmail = null, subject = null }) => {
+  if (!orderId && !quoteReference) throw new Error('orderId or quoteReference is required');
+
+  const supabase = requireSupabase();
+  const [column, value] = orderId ? ['order_id', orderId] : ['quote_reference', String(quoteReference)];
+
+  const existing = await findConversation(supabase, column, value);
+  if (existing) return existing;
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .insert([{
+      reply_token: crypto.randomBytes(12).toString('hex'),
+      [column]: value,
+      client_id: clientId || await findClientByEmail(supabase, contactEmail),
+      contact_email: contactEmail,
+      subject
+    }])
+    .select()
+    .single();
+
+  // Opened at the same moment by another email about the same order
+  if (error && error.code === '23505') return findConversation(supabase, column, value);
+  if (error) throw error;
+
+  log('info', 'Conversation opened', { conversationId: data.id, orderId, quoteReference });
+  return data;
+};
+
+// Blocks of the earlier message that mail clients put under a reply, in the
+// languages our emails are sent in
+const QUOTE_HEADERS = [
+  /^On\b.*\bwrote:$/i,
+  /^Le\b.*\ba écrit ?:$/i,
+  /^El\b.*\bescribió:$/i,
+  /^-{2,} ?(Original Message|Message d'origine|Mensaje original) ?-{2,}$/i,
+  /^_{10,}$/,
+  /^(Sent from my|Envoyé de mon|Enviado desde mi) /i
+];
+
+// Outlook quotes with a header block instead: From:, then Sent: or Date:
+const isHeaderBlock = (lines, index) =>
+  /^(From|De) ?:/i.test(lines[index]) &&
+  lines.slice(index + 1, index + 4).some(line => /^(Sent|Date|Envoyé|Enviado|Fecha) ?:/i.test(line));
+
+/**
+ * The new text of a reply: everything above the quoted earlier message or
+ * the signature, without trailing `>` quotes and blank lines.
+ */
+const stripQuotedReply = (text) => {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const trimmed = lines.map(line => line.trim());
+
+  let end = lines.length;
+  for (let i = 0; i < lines.length; i++) {
+    // "On <date>, <name> <address>" is often wrapped before "wrote:"
+    const joined = `${trimmed[i]} ${trimmed[i + 1] || ''}`.trim();
+    if (QUOTE_HEADERS.some(pattern => pattern.test(trimmed[i]) || (i + 1 < lines.length && pattern.test(joined))) ||
+      isHeaderBlock(trimmed, i) ||
+      lines[i] === '-- ') {
+      end = i;
+      break;
+    }
+  }
+
+  const kept = lines.slice(0, end);
+  while (kept.length > 0 && (kept[kept.length - 1].trim() === '' || kept[kept.length - 1].trim().startsWith('>'))) {
+    kept.pop();
+  }
+  return kept.join('\n').trim();
+};
+
+// The reply token from any address the message was delivered to
+const findReplyToken = (addresses) => {
+  const address = getReplyAddress();
+  if (!address) return null;
+
+  for (const value of addresses) {
+    const [local, domain] = String(value || '').toLowerCase().split('@');
+    const [base, token] = (local || '').split('+');
+    if (base === address.local && domain === address.domain && TOKEN_PATTERN.test(token || '')) {
+      return token;
+    }
+  }
+  return null;
+};
+
+const addressesOf = (field) => (field ? [].concat(field).flatMap(entry => entry.value || []).map(entry => entry.address) : []);
+
+// Delivered-To comes parsed like To; X-Original-To is a plain `<address>`
+const headerAddresses = (mail, name) => [].concat(mail.headers.get(name) || [])
+  .flatMap(value => (typeof value === 'string' ? [value.trim().replace(/^<|>$/g, '')] : addressesOf(value)));
+
+// Out-of-office and other messages no person wrote
+const isAutomaticReply = (mail) => {
+  const autoSubmitted = String(mail.headers.get('auto-submitted') || 'no').toLowerCase();
+  const precedence = String(mail.headers.get('precedence') || '').toLowerCase();
+  return autoSubmitted !== 'no' ||
+    mail.headers.has('x-autoreply') ||
+    mail.headers.has('x-autorespond') ||
+    ['auto_reply', 'bulk', 'junk'].includes(precedence);
+};
+
+// A reply without the token, matched through the email it answers
+const findConversationByReference = async (supabase, mail) => {
+  const references = [mail.inReplyTo, ...[].concat(mail.references || [])].filter(Boolean);
+  if (references.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('conversation_id')
+    .in('message_id', references)
+    .not('conversation_id', 'is', null)
+    .limit(1);
+
+  if (error) throw error;
+  return data && data[0] ? findConversation(supabase, 'id', data[0].conversation_id) : null;
+};
+
+/**
+ * Store a raw MIME reply (string or Buffer) on its conversation. Returns
+ * `{ stored: true, conversationId, orderId, quoteReference, messageId }`,
+ * or `{ stored: false, reason }` for a message that is not a reply we can
+ * place, an automatic reply, one with no new text, or a duplicate.
+ */
+const ingestReply = async (raw) => {
+  if (!raw || raw.length === 0) throw new HttpError(400, 'Empty message');
+
+  const supabase = requireSupabase();
+  const mail = await simpleParser(raw);
+
+  if (isAutomaticReply(mail)) {
+    return { stored: false, reason: 'Automatic reply' };
+  }
+
+  const delivered = [
+    ...addressesOf(mail.to),
+    ...addressesOf(mail.cc),
+    ...headerAddresses(mail, 'delivered-to'),
+    ...headerAddresses(mail, 'x-original-to')
+  ];
+  const token = findReplyToken(delivered);
+  const conversation = token
+    ? await findConversation(supabase, 'reply_token', token)
+    : await findConversationByReference(supabase, mail);
+
+  if (!conversation) {
+    log('warning', 'Reply did not match a conversation', { messageId: mail.messageId, token, inReplyTo: mail.inReplyTo });
+    return { stored: false, reason: 'No conversation matches this message' };
+  }
+
+  const body = stripQuotedReply(mail.text);
+  if (!body) {
+    return { stored: false, reason: 'Reply has no new text', conversationId: conversation.id };
+  }
+
+  const sender = addressesOf(mail.from)[0] || 'unknown';
+  const receivedAt = (mail.date || new Date()).toISOString();
+  const { data: message, error } = await supabase
+    .from('conversation_messages')
+    .insert([{
+      conversation_id: conversation.id,
+      sender_email: sender,
+      sender_name: mail.from?.value?.[0]?.name || null,
+      subject: mail.subject || null,
+      body,
+      message_id: mail.messageId || null,
+      in_reply_to: mail.inReplyTo || null,
+      received_at: receivedAt
+    }])
+    .select('id')
+    .single();
+
+  if (error && error.code === '23505') {
+    return { stored: false, reason: 'Already stored', duplicate: true, conversationId: conversation.id };
+  }
+  if (error) throw error;
+
+  const update = { last_message_at: receivedAt };
+  if (!conversation.client_id) update.client_id = await findClientByEmail(supabase, sender);
+  const { error: updateError } = await supabase.from('conversations').update(update).eq('id', conversation.id);
+  if (updateError) log('error', 'Failed to update conversation', { conversationId: conversation.id, error: updateError });
+
+  log('info', 'Reply stored', { conversationId: conversation.id, messageId: message.id, sender });
+  return {
+    stored: true,
+    conversationId: conversation.id,
+    orderId: conversation.order_id,
+    quoteReference: conversation.quote_reference,
+    messageId: message.id
+  };
+};
+
+// Most recently active first; filter by order or client
+const listConversations = async ({ orderId, clientId, limit } = {}) => {
+  let query = requireSupabase()
+    .from('conversations')
+    .select('id, order_id, quote_reference, client_id, contact_email, subject, last_message_at, created_at')
+    .order('last_message_at', { ascending: false, nullsFirst: false })
+    .limit(clampLimit(limit, 50, MAX_LIST));
+
+  if (orderId) query = query.eq('order_id', orderId);
+  if (clientId) query = query.eq('client_id', clientId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// One conversation with its messages, oldest first
+const getConversation = async (conversationId) => {
+  if (!conversationId) throw new HttpError(400, 'conversationId is required');
+
+  const supabase = requireSupabase();
+  const conversation = await findConversation(supabase, 'id', conversationId);
+  if (!conversation) throw new HttpError(404, `Conversation ${conversationId} not found`);
+
+  const { data: messages, error } = await supabase
+    .from('conversation_messages')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('received_at', { ascending: true });
+
+  if (error) throw error;
+  return { ...conversation, messages: messages || [] };
+};
+
+module.exports = {
+  repliesEnabled,
+  openConversation,
+  replyAddressFor,
+  stripQuotedReply,
+  ingestReply,
+  listConversations,
+  getConversation
+};
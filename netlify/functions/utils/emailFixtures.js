@@ -0,0 +1,178 @@
+// Sample sendEmail requests used to preview every email type. Each fixture is
+// rendered as if it was sent at FIXTURE_NOW, so the output only changes when a
+// template or an email type changes. `language` is a browser language tag, as
+// the site sends it; the `_es`/`_fr` fixtures cover the translations.
+const FIXTURE_NOW = '2025-10-14T09:30:00.000Z';
+
+const EMAIL_FIXTURES = [
+  {
+    name: 'contact_form',
+    type: 'contact_form',
+    data: {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      subject: 'Email migration',
+      message: 'We need to move 40 mailboxes to Microsoft 365.\nCan you do it over a weekend?'
+    }
+  },
+  {
+    name: 'contact_form_fr',
+    type: 'contact_form',
+    data: {
+      name: 'Claire Martin',
+      email: 'claire@example.ca',
+      subject: 'Migration de messagerie',
+      message: 'Nous avons 12 boîtes aux lettres à migrer vers Microsoft 365.',
+      language: 'fr-CA'
+    }
+  },
+  {
+    name: 'quote_request',
+    type: 'quote_request',
+    data: {
+      customer_name: 'Jane Doe',
+      customer_email: 'jane@example.com',
+      company_name: 'Acme Ltd',
+      phone: '',
+      service_type: 'Email Migration',
+      budget_range: '$500 - $1,000',
+      timeline: 'Within 2 weeks',
+      project_details: '40 mailboxes from Google Workspace to Microsoft 365, with calendars.'
+    }
+  },
+  {
+    name: 'welcome_email',
+    type: 'welcome_email',
+    data: {
+      clientName: 'Jane Doe',
+      clientEmail: 'jane@example.com',
+      company: 'Acme Ltd',
+      loginUrl: 'https://mechinweb.com/client/dashboard'
+    }
+  },
+  {
+    name: 'email_verification',
+    type: 'email_verification',
+    data: {
+      clientName: 'Jane Doe',
+      clientEmail: 'jane@example.com',
+      verificationUrl: 'https://mechinweb.com/client/login?verified=true'
+    }
+  },
+  {
+    name: 'registration_welcome',
+    type: 'registration_welcome',
+    data: {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      verificationRequired: true,
+      loginUrl: 'https://mechinweb.com/client/login',
+      supportEmail: 'contact@mechinweb.com'
+    }
+  },
+  {
+    name: 'payment_confirmation',
+    type: 'payment_confirmation',
+    data: {
+      clientName: 'Jane Doe',
+      clientEmail: 'jane@example.com',
+      serviceName: 'Email Migration',
+      packageType: 'standard',
+      orderId: '00000000-0000-4000-8000-000000000101',
+      amount: 250,
+      currency: 'USD',
+      balance: 0,
+      lineItems: [
+        { name: 'Email Migration - Standard', quantity: 1, total: 200 },
+        { name: 'Priority weekend cutover', quantity: 1, total: 50 }
+      ]
+    }
+  },
+  {
+    name: 'payment_confirmation_partial',
+    type: 'payment_confirmation',
+    data: {
+      clientName: 'Ravi Kumar',
+      clientEmail: 'ravi@example.in',
+      serviceName: 'Domain & DNS Setup',
+      packageType: 'premium',
+      orderId: '00000000-0000-4000-8000-000000000102',
+      amount: 30000,
+      currency: 'INR',
+      balance: 29000,
+      lineItems: [],
+      language: 'en-IN'
+    }
+  },
+  {
+    name: 'payment_confirmation_es',
+    type: 'payment_confirmation',
+    data: {
+      clientName: 'Lucía Fernández',
+      clientEmail: 'lucia@example.mx',
+      serviceName: 'Email Migration',
+      packageType: 'standard',
+      orderId: '00000000-0000-4000-8000-000000000103',
+      amount: 1250.5,
+      currency: 'USD',
+      balance: 0,
+      lineItems: [
+        { name: 'Email Migration - Standard', quantity: 5, total: 1250.5 }
+      ],
+      language: 'es-MX'
+    }
+  },
+  {
+    name: 'refund_confirmation',
+    type: 'refund_confirmation',
+    data: {
+      clientName: 'Jane Doe',
+      clientEmail: 'jane@example.com',
+      serviceName: 'Email Migration',
+      orderId: '00000000-0000-4000-8000-000000000101',
+      amount: 100,
+      currency: 'USD',
+      creditNoteNumber: 'CN-00012',
+      reason: 'Two mailboxes were out of scope',
+      fullRefund: false
+    }
+  },
+  {
+    name: 'refund_confirmation_fr',
+    type: 'refund_confirmation',
+    data: {
+      clientName: 'Claire Martin',
+      clientEmail: 'claire@example.fr',
+      serviceName: 'SSL Setup',
+      orderId: '00000000-0000-4000-8000-000000000104',
+      amount: 1480,
+      currency: 'AUD',
+      creditNoteNumber: 'CN-00013',
+      reason: null,
+      fullRefund: true,
+      language: 'fr-FR'
+    }
+  },
+  {
+    name: 'service_announcement',
+    type: 'service_announcement',
+    data: {
+      clientName: 'Jane Doe',
+      clientEmail: 'jane@example.com',
+      headline: 'Microsoft 365 backup is here',
+      message: 'We now back up mailboxes, OneDrive and SharePoint every night.\nPlans start at $2 per user.',
+      ctaLabel: 'See the plans',
+      ctaUrl: 'https://mechinweb.com/services'
+    }
+  },
+  {
+    name: 'test',
+    type: 'test',
+    data: {}
+  }
+];
+
+module.exports = {
+  FIXTURE_NOW,
+  EMAIL_FIXTURES
+};
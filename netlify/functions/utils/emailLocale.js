@@ -0,0 +1,157 @@
+// How a recipient reads their email: the language picks the template
+// translation, the locale (language plus country, when we know it) formats
+// amounts and dates, and the time zone shifts dates. Amounts follow the same
+// rules as formatCurrency in src/utils/currency.ts.
+const { getSupabaseAdmin } = require('./supabase');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// Languages with template translations; everything else gets English
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Kept in step with formatCurrency: a currency is shown the way its home
+// locale writes it unless we know the recipient's own locale
+const CURRENCY_LOCALES = {
+  USD: 'en-US',
+  INR: 'en-IN',
+  AUD: 'en-AU',
+  EUR: 'de-DE',
+  GBP: 'en-GB',
+  CAD: 'en-CA',
+  JPY: 'ja-JP',
+  KRW: 'ko-KR',
+  CNY: 'zh-CN',
+  BRL: 'pt-BR',
+  MXN: 'es-MX',
+  ZAR: 'en-ZA',
+  THB: 'th-TH',
+  SGD: 'en-SG',
+  HKD: 'en-HK',
+  CHF: 'de-CH',
+  SEK: 'sv-SE',
+  NOK: 'nb-NO',
+  DKK: 'da-DK',
+  PLN: 'pl-PL',
+  CZK: 'cs-CZ',
+  HUF: 'hu-HU',
+  TRY: 'tr-TR',
+  ILS: 'he-IL',
+  SAR: 'ar-SA',
+  AED: 'ar-AE',
+  NZD: 'en-NZ',
+  RUB: 'ru-RU'
+};
+
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+
+const canonicalLocale = (tag) => {
+  try {
+    return Intl.getCanonicalLocales(tag)[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+const validTimeZone = (timeZone) => {
+  if (!timeZone) return null;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a recipient locale from what we know about them. `language` may be
+ * a bare code or a browser tag such as `en-IN`, whose region is used when
+ * `country` is not given. Returns `{ language, locale, timeZone }`; `locale`
+ * is null for English without a country, which formats like formatCurrency.
+ */
+const createEmailLocale = ({ language, country, timeZone } = {}) => {
+  const [base, region] = String(language || '').trim().split(/[-_]/);
+  const code = SUPPORTED_LANGUAGES.includes((base || '').toLowerCase()) ? base.toLowerCase() : DEFAULT_LANGUAGE;
+
+  // ZZ is the profile's "other country"
+  const countryCode = String(country || region || '').toUpperCase();
+  const hasCountry = /^[A-Z]{2}$/.test(countryCode) && countryCode !== 'ZZ';
+
+  let locale = null;
+  if (hasCountry) locale = canonicalLocale(`${code}-${countryCode}`);
+  else if (code !== DEFAULT_LANGUAGE) locale = code;
+
+  return { language: code, locale, timeZone: validTimeZone(timeZone) };
+};
+
+const DEFAULT_EMAIL_LOCALE = createEmailLocale();
+
+/**
+ * The locale for emails about a client: their profile language, country and
+ * time zone, falling back to `language` (e.g. the browser's) for whatever
+ * the profile does not say.
+ */
+const resolveEmailLocale = async ({ clientId = null, language = null } = {}) => {
+  const supabase = getSupabaseAdmin();
+  if (!clientId || !supabase) return createEmailLocale({ language });
+
+  const [{ data: preferences, error }, { data: client }] = await Promise.all([
+    supabase
+      .from('user_preferences')
+      .select('preferred_language, country_code, timezone')
+      .eq('user_id', clientId)
+      .maybeSingle(),
+    supabase
+      .from('clients')
+      .select('country_code')
+      .eq('id', clientId)
+      .maybeSingle()
+  ]);
+
+  if (error) {
+    log('warning', 'Could not load email preferences, using defaults', { clientId, error: error.message });
+  }
+
+  return createEmailLocale({
+    language: preferences?.preferred_language || language,
+    country: client?.country_code || preferences?.country_code,
+    timeZone: preferences?.timezone
+  });
+};
+
+// `options` adds Intl.NumberFormat options, e.g. `{ currencyDisplay: 'code' }`
+const formatAmount = (amount, currency, emailLocale = DEFAULT_EMAIL_LOCALE, options = {}) => {
+  const code = CURRENCY_LOCALES[currency] ? currency : 'USD';
+  const digits = ZERO_DECIMAL_CURRENCIES.includes(code) ? 0 : 2;
+
+  return new Intl.NumberFormat(emailLocale.locale || CURRENCY_LOCALES[code], {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    ...options
+  }).format(Number(amount) || 0);
+};
+
+const dateOptions = (emailLocale, options) =>
+  (emailLocale.timeZone ? { ...options, timeZone: emailLocale.timeZone } : options);
+
+const formatDate = (date, emailLocale = DEFAULT_EMAIL_LOCALE) =>
+  new Date(date).toLocaleDateString(emailLocale.locale || 'en-US', dateOptions(emailLocale, { dateStyle: 'medium' }));
+
+const formatDateTime = (date, emailLocale = DEFAULT_EMAIL_LOCALE) =>
+  new Date(date).toLocaleString(emailLocale.locale || 'en-US', dateOptions(emailLocale, { dateStyle: 'medium', timeStyle: 'short' }));
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  DEFAULT_EMAIL_LOCALE,
+  createEmailLocale,
+  resolveEmailLocale,
+  formatAmount,
+  formatDate,
+  formatDateTime
+};
@@ -0,0 +1,302 @@
+// Outbound email queue in `email_outbox`. Callers render and enqueue a
+// message and return; the emailOutboxWorker function sends what is due and
+// retries failures with a growing delay, so an SMTP outage delays mail by
+// hours at most instead of losing it.
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+const { composeEmails, emailCategory } = require('./emailTypes');
+const { resolveEmailLocale } = require('./emailLocale');
+const { buildInvoiceAttachment } = require('./invoicePdf');
+const { allowsCommunication, unsubscribeHeaders } = require('./communicationPreferences');
+const { repliesEnabled, openConversation, replyAddressFor } = require('./conversations');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// Wait before each retry; a message is failed after the last one (about 16h)
+const RETRY_DELAYS_MS = [1, 5, 15, 30, 60, 120, 240, 480].map(minutes => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// A message still `sending` after this long is assumed lost with its worker
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MAX_LIST = 200;
+
+// Documents a queued message can carry, by `type`. Only their references are
+// stored; each is rendered when the message is sent, from the data as it is then
+const ATTACHMENT_BUILDERS = {
+  invoice: ({ invoiceId, orderId }) => buildInvoiceAttachment({ invoiceId, orderId })
+};
+
+const SUMMARY_COLUMNS = 'id, email_type, template, template_version, language, recipient, subject, status, attempts, next_attempt_at, last_error, message_id, client_id, order_id, conversation_id, created_at, sent_at';
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to queue emails');
+  }
+  return supabase;
+};
+
+// The conversation a reply to `message` should land in: the order's, or for
+// a quote confirmation the estimate's. Without one the message is still
+// sent, replies just go to our mailbox as before.
+const conversationFor = async (message, { requestId, clientId, orderId, quoteReference }) => {
+  if (!repliesEnabled()) return null;
+  if (message.thread === 'order' && !orderId) return null;
+  if (message.thread === 'quote' && !quoteReference) return null;
+  if (message.thread !== 'order' && message.thread !== 'quote') return null;
+
+  try {
+    return await openConversation({
+      orderId: message.thread === 'order' ? orderId : null,
+      quoteReference: message.thread === 'quote' ? quoteReference : null,
+      clientId,
+      contactEmail: message.to,
+      subject: message.subject
+    });
+  } catch (error) {
+    log('error', 'Failed to open conversation, sending without reply threading', { requestId, orderId, error: error.message });
+    return null;
+  }
+};
+
+const clampLimit = (limit, fallback, max) => {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+};
+
+/**
+ * Render an email type (see utils/emailTypes.js) and queue its messages.
+ * Emails queued outside a request, e.g. from webhooks, get a request id
+ * from the clock like the functions do. `clientId` and `orderId` link them
+ * for lookups. `quoteReference` is the Zoho estimate number a quote
+ * confirmation's replies are threaded on; without it the confirmation
+ * invites no replies. `locale` defaults to the client's profile (see
+ * utils/emailLocale.js). `attachments` are references such as
+ * `{ type: 'invoice', orderId }` (see ATTACHMENT_BUILDERS); they and
+ * `quoteReference` come from server code only, never from request data,
+ * so a visitor cannot join someone else's thread. Nothing is queued, and
+ * an empty list returned, when the client has turned that category of email
+ * off. With a `dedupeKey` the messages are queued once per key; a repeat
+ * queues nothing and returns an empty list, so a retried webhook can queue
+ * them again safely. Throws when rendering or the insert fails, so nothing
+ * is queued half-rendered.
+ */
+const queueEmail = async (emailType, data, { requestId = Date.now().toString(), clientId = null, orderId = null, quoteReference = null, locale = null, attachments = [], dedupeKey = null } = {}) => {
+  const unknown = attachments.filter(attachment => !ATTACHMENT_BUILDERS[attachment.type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown attachment type ${unknown[0].type}. Expected one of: ${Object.keys(ATTACHMENT_BUILDERS).join(', ')}`);
+  }
+
+  const category = emailCategory(emailType);
+  if (!await allowsCommunication(clientId, category, 'email')) {
+    log('info', 'Email not queued, turned off by client', { emailType, category, clientId, requestId });
+    return [];
+  }
+  const headers = unsubscribeHeaders(clientId, category);
+
+  const recipientLocale = locale || await resolveEmailLocale({ clientId, language: data.language });
+  const messages = await composeEmails(emailType, data, { requestId, locale: recipientLocale });
+  const conversations = await Promise.all(messages.map(message => conversationFor(message, { requestId, clientId, orderId, quoteReference })));
+
+  const { data: rows, error } = await requireSupabase()
+    .from('email_outbox')
+    .insert(messages.map((message, index) => ({
+      email_type: emailType,
+      template: message.template,
+      template_version: message.version,
+      language: message.language,
+      recipient: message.to,
+      subject: message.subject,
+      html_content: message.html,
+      text_content: message.text,
+      status: 'queued',
+      client_id: clientId,
+      order_id: orderId,
+      attachments,
+      headers,
+      conversation_id: conversations[index]?.id || null,
+      reply_to: conversations[index] ? replyAddressFor(conversations[index]) : null,
+      dedupe_key: dedupeKey ? `${dedupeKey}:${message.template}` : null
+    })))
+    .select('id, template, recipient');
+
+  if (error && error.code === '23505' && dedupeKey) {
+    log('info', 'Emails already queued', { emailType, dedupeKey });
+    return [];
+  }
+  if (error) throw error;
+
+  log('info', 'Emails queued', { emailType, requestId, ids: rows.map(row => row.id) });
+  return rows;
+};
+
+// Take a message for sending. The status and attempt count act as a
+// version, so two workers never send the same message.
+const claimEmail = async (supabase, email) => {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .update({ status: 'sending', attempts: email.attempts + 1, locked_at: new Date().toISOString() })
+    .eq('id', email.id)
+    .eq('status', email.status)
+    .eq('attempts', email.attempts)
+    .select();
+
+  if (error) throw error;
+  return data && data[0] ? data[0] : null;
+};
+
+// Queued messages that are due, and ones abandoned mid-send, oldest first
+const claimDueEmails = async (limit) => {
+  const supabase = requireSupabase();
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - SENDING_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('id, status, attempts')
+    .or(`and(status.eq.queued,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,locked_at.lt.${staleBefore})`)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const claimed = [];
+  for (const email of data || []) {
+    const row = await claimEmail(supabase, email);
+    if (row) claimed.push(row);
+  }
+  return claimed;
+};
+
+// Rejections of the recipient itself (unknown mailbox, policy) will not
+// change on retry
+const isPermanentFailure = (error) => error.responseCode >= 550 && error.code !== 'EAUTH';
+
+const markSent = async (supabase, email, info) => {
+  const { error } = await supabase
+    .from('email_outbox')
+    .update({ status: 'sent', sent_at: new Date().toISOString(), message_id: info?.messageId || null, last_error: null, locked_at: null })
+    .eq('id', email.id);
+
+  if (error) log('error', 'Failed to mark email sent', { emailId: email.id, error });
+};
+
+const markFailed = async (supabase, email, sendError) => {
+  const giveUp = email.attempts >= MAX_ATTEMPTS || isPermanentFailure(sendError);
+  const update = giveUp
+    ? { status: 'failed', last_error: sendError.message, locked_at: null }
+    : {
+      status: 'queued',
+      last_error: sendError.message,
+      locked_at: null,
+      next_attempt_at: new Date(Date.now() + RETRY_DELAYS_MS[email.attempts - 1]).toISOString()
+    };
+
+  const { error } = await supabase.from('email_outbox').update(update).eq('id', email.id);
+  if (error) log('error', 'Failed to reschedule email', { emailId: email.id, error });
+
+  return giveUp ? 'failed' : 'retrying';
+};
+
+// Render a message's attachments. A failure fails the send, so the message
+// is retried like any other send error rather than going out without them.
+const buildAttachments = (email) =>
+  Promise.all((email.attachments || []).map(attachment => ATTACHMENT_BUILDERS[attachment.type](attachment)));
+
+/**
+ * Send up to `limit` due messages through `sendMail(options)` (the mail
+ * transport's, usually), one at a time. Returns the counts per outcome.
+ */
+const processOutbox = async ({ sendMail, from, limit = 25 }) => {
+  const supabase = requireSupabase();
+  const emails = await claimDueEmails(limit);
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const email of emails) {
+    try {
+      const info = await sendMail({
+        from,
+        to: email.recipient,
+        subject: email.subject,
+        html: email.html_content,
+        text: email.text_content,
+        headers: email.headers || {},
+        replyTo: email.reply_to || undefined,
+        attachments: await buildAttachments(email)
+      });
+      await markSent(supabase, email, info);
+      counts.sent += 1;
+    } catch (error) {
+      const outcome = await markFailed(supabase, email, error);
+      log('warning', 'Email send failed', { emailId: email.id, attempts: email.attempts, outcome, error: error.message });
+      counts[outcome] += 1;
+    }
+  }
+
+  return { claimed: emails.length, ...counts };
+};
+
+// Newest first; filter by order, client, status or email type
+const listOutboxEmails = async ({ orderId, clientId, status, emailType, limit } = {}) => {
+  let query = requireSupabase()
+    .from('email_outbox')
+    .select(SUMMARY_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(clampLimit(limit, 50, MAX_LIST));
+
+  if (orderId) query = query.eq('order_id', orderId);
+  if (clientId) query = query.eq('client_id', clientId);
+  if (status) query = query.eq('status', status);
+  if (emailType) query = query.eq('email_type', emailType);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// One message with its rendered content
+const getOutboxEmail = async (emailId) => {
+  if (!emailId) throw new HttpError(400, 'emailId is required');
+
+  const { data, error } = await requireSupabase()
+    .from('email_outbox')
+    .select('*')
+    .eq('id', emailId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new HttpError(404, `Email ${emailId} not found`);
+  return data;
+};
+
+// Put a failed message back in the queue with a fresh set of attempts
+const retryOutboxEmail = async (emailId) => {
+  const email = await getOutboxEmail(emailId);
+  if (email.status !== 'failed') {
+    throw new HttpError(409, `Email ${emailId} is ${email.status}, only failed emails can be retried`);
+  }
+
+  const { data, error } = await requireSupabase()
+    .from('email_outbox')
+    .update({ status: 'queued', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('id', emailId)
+    .eq('status', 'failed')
+    .select(SUMMARY_COLUMNS);
+
+  if (error) throw error;
+  if (!data || !data[0]) throw new HttpError(409, `Email ${emailId} was changed by someone else`);
+  return data[0];
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  queueEmail,
+  processOutbox,
+  listOutboxEmails,
+  getOutboxEmail,
+  retryOutboxEmail
+};
@@ -0,0 +1,277 @@
+// Transactional emails rendered from versioned `email_templates` rows. The
+// newest active version of a template wins, so a change is made by inserting
+// a new version and rolled back by deactivating it.
+//
+// Template syntax:
+//   {{name}}                    HTML-escaped value, dotted paths allowed
+//   {{{name}}}                  raw value, only for HTML we built ourselves
+//   {{#if name}}..{{else}}..{{/if}}
+//   {{#each items}}..{{/each}}  item fields by name, {{this}}, {{@index}}
+//
+// A variable that is not provided fails the render instead of leaving a gap.
+// Optional values must be passed as null: falsy in {{#if}}, empty in
+// {{#each}}, still an error when printed.
+const { getSupabaseAdmin } = require('./supabase');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+class TemplateError extends Error {
+  constructor(message, { template = null, variable = null } = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.template = template;
+    this.variable = variable;
+  }
+}
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to render email templates');
+  }
+  return supabase;
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const TAG = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#each|\/if|\/each|else)?\s*([\w.@]*)\s*\}\}/g;
+
+// Source to a tree of text, variable and block nodes
+const parse = (source, templateName) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG.lastIndex;
+
+    const [tag, rawPath, keyword, path] = match;
+    const block = stack[stack.length - 1];
+
+    if (rawPath) {
+      current.push({ type: 'var', path: rawPath, escape: false });
+    } else if (!keyword) {
+      if (!path) throw new TemplateError(`Empty tag ${tag}`, { template: templateName });
+      current.push({ type: 'var', path, escape: true });
+    } else if (keyword === '#if' || keyword === '#each') {
+      if (!path) throw new TemplateError(`${tag} needs a variable`, { template: templateName });
+      const node = { type: keyword.slice(1), path, children: [], otherwise: [], container: current };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (keyword === 'else') {
+      if (block.type !== 'if' || current === block.otherwise) {
+        throw new TemplateError('{{else}} outside an {{#if}} block', { template: templateName });
+      }
+      current = block.otherwise;
+    } else {
+      if (block.type !== keyword.slice(1)) {
+        throw new TemplateError(`Unexpected ${tag}`, { template: templateName });
+      }
+      stack.pop();
+      current = block.container;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].type}}} block`, { template: templateName });
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+// Innermost scope first, so loop items shadow the outer variables
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    let value;
+
+    if (head === 'this' || head === '@index') {
+      if (!('item' in scope)) continue;
+      value = head === 'this' ? scope.item : scope.index;
+    } else if (scope.values && typeof scope.values === 'object' && head in scope.values) {
+      value = scope.values[head];
+    } else {
+      continue;
+    }
+
+    for (const key of rest) {
+      if (value === null || typeof value !== 'object' || !(key in value)) return { found: false };
+      value = value[key];
+    }
+    return { found: true, value };
+  }
+
+  return { found: false };
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scopes, options) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+
+  const { found, value } = lookup(scopes, node.path);
+  if (!found) {
+    throw new TemplateError(`Missing template variable "${node.path}"`, {
+      template: options.templateName,
+      variable: node.path
+    });
+  }
+
+  if (node.type === 'var') {
+    if (value === null || value === undefined) {
+      throw new TemplateError(`Template variable "${node.path}" is empty`, {
+        template: options.templateName,
+        variable: node.path
+      });
+    }
+    return node.escape && options.escape ? escapeHtml(value) : String(value);
+  }
+
+  if (node.type === 'if') {
+    return renderNodes(isTruthy(value) ? node.children : node.otherwise, scopes, options);
+  }
+
+  if (value !== null && !Array.isArray(value)) {
+    throw new TemplateError(`Template variable "${node.path}" is not a list`, {
+      template: options.templateName,
+      variable: node.path
+    });
+  }
+  return (value || []).map((item, index) =>
+    renderNodes(node.children, [...scopes, { values: item, item, index }], options)
+  ).join('');
+}).join('');
+
+/**
+ * Render a template string. `escape: false` is for plain-text output such as
+ * subjects, where entities would show up literally.
+ */
+const renderTemplate = (source, variables = {}, { escape = true, templateName = null } = {}) =>
+  renderNodes(parse(source, templateName), [{ values: variables }], { escape, templateName });
+
+// Templates are written in English first; translations are rows of the same
+// name in another `language`, versioned on their own
+const FALLBACK_LANGUAGE = 'en';
+
+const newestActive = (rows, templateName, language) => rows
+  .filter(row => row.template_name === templateName && (row.language || FALLBACK_LANGUAGE) === language && row.is_active !== false)
+  .sort((a, b) => (b.version || 1) - (a.version || 1))[0] || null;
+
+const loadNewestActive = async (templateName, language) => {
+  const { data, error } = await requireSupabase()
+    .from('email_templates')
+    .select('template_name, language, version, subject, html_content')
+    .eq('template_name', templateName)
+    .eq('language', language)
+    .eq('is_active', true)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// The newest active template in `language`, or in English when it has no
+// translation. `overrides` are template rows that win over the database, for
+// previewing a template change before it is inserted; with `database: false`
+// they are the only rows looked at.
+const loadTemplate = async (templateName, { language = FALLBACK_LANGUAGE, overrides = [], database = true } = {}) => {
+  const languages = language === FALLBACK_LANGUAGE ? [language] : [language, FALLBACK_LANGUAGE];
+
+  for (const candidate of languages) {
+    const override = newestActive(overrides, templateName, candidate);
+    if (override) return { version: 1, ...override, language: candidate };
+
+    const data = database ? await loadNewestActive(templateName, candidate) : null;
+    if (data) {
+      if (candidate !== language) {
+        log('info', 'No translation of email template, using English', { template: templateName, language });
+      }
+      return data;
+    }
+  }
+
+  throw new TemplateError(`No active email template named ${templateName}`, { template: templateName });
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Plain-text alternative of a rendered email: block elements become line
+ * breaks, list items dashes, table cells "a | b" and links "text (url)".
+ * Whitespace between tags is layout only and dropped.
+ */
+const htmlToText = (html) => html
+  .replace(/<(style|head|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/>\s+</g, '><')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    return text && text !== href ? `${text} (${href})` : href;
+  })
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<br\s*\/?>\s*/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|ol|ul|table)>/gi, '\n\n')
+  .replace(/<\/t[dh]>(?=<t[dh])/gi, ' | ')
+  .replace(/<\/tr>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render the newest active version of a template to `{ subject, html, text }`
+ * in `options.language`, falling back to English. The result names the
+ * template version and language that were used.
+ */
+const renderEmail = async (templateName, variables, options = {}) => {
+  const template = await loadTemplate(templateName, options);
+  const renderOptions = { templateName: `${templateName} ${template.language} v${template.version}` };
+  const html = renderTemplate(template.html_content, variables, renderOptions);
+
+  const rendered = {
+    subject: renderTemplate(template.subject, variables, { ...renderOptions, escape: false }).replace(/\s+/g, ' ').trim(),
+    html,
+    text: htmlToText(html),
+    template: templateName,
+    version: template.version,
+    language: template.language
+  };
+
+  log('info', 'Email template rendered', { template: templateName, language: template.language, version: template.version });
+  return rendered;
+};
+
+module.exports = {
+  TemplateError,
+  escapeHtml,
+  htmlToText,
+  renderTemplate,
+  loadTemplate,
+  renderEmail
+};
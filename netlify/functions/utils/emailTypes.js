@@ -0,0 +1,219 @@
+// The email types the sendEmail function accepts. Each type turns the request
+// data into one or more messages (template, recipient and variables); the
+// messages are rendered here and sent by the caller, so the same code backs
+// real sends and the emailPreview function. Messages to the customer use
+// their locale (see utils/emailLocale.js); messages to us are in English.
+// A type with a `category` is only sent to clients who want that category by
+// email (see utils/communicationPreferences.js); replies to something the
+// visitor just did have none. A message with a `thread` of `order` or
+// `quote` invites the customer to reply, see utils/conversations.js.
+const { renderEmail } = require('./emailTemplates');
+const { DEFAULT_LANGUAGE, createEmailLocale, formatAmount, formatDate } = require('./emailLocale');
+
+const BUSINESS_EMAIL = 'contact@mechinweb.com';
+
+const requireFields = (data, fields, label) => {
+  const missing = fields.filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}. Please provide all required ${label} fields.`);
+  }
+};
+
+const EMAIL_TYPES = {
+  contact_form: {
+    compose: (data, { requestId, now }) => {
+      requireFields(data, ['name', 'email', 'subject', 'message'], 'contact form');
+      const { name, email, subject, message } = data;
+
+      return [
+        { template: 'contact_form_confirmation', to: email, variables: { name, subject, message } },
+        {
+          template: 'contact_form_notification',
+          to: BUSINESS_EMAIL,
+          language: DEFAULT_LANGUAGE,
+          variables: { name, email, subject, message, submitted_at: now.toLocaleString(), request_id: requestId }
+        }
+      ];
+    }
+  },
+
+  quote_request: {
+    compose: (data, { requestId, now }) => {
+      const { customer_name, customer_email, service_type, budget_range, timeline, project_details, company_name, phone } = data;
+      // `estimate_number` is set when the quote was filed in Zoho (api/create-quote.js)
+      const quote = { customer_name, service_type, budget_range, timeline, estimate_number: data.estimate_number || null, request_id: requestId };
+
+      return [
+        { template: 'quote_request_confirmation', to: customer_email, thread: 'quote', variables: quote },
+        {
+          template: 'quote_request_notification',
+          to: BUSINESS_EMAIL,
+          language: DEFAULT_LANGUAGE,
+          variables: {
+            ...quote,
+            customer_email,
+            company_name: company_name || null,
+            phone: phone || null,
+            project_details,
+            submitted_at: now.toLocaleString()
+          }
+        }
+      ];
+    }
+  },
+
+  welcome_email: {
+    compose: (data) => [{
+      template: 'welcome_email',
+      to: data.clientEmail,
+      variables: {
+        client_name: data.clientName,
+        client_email: data.clientEmail,
+        company: data.company || null,
+        login_url: data.loginUrl
+      }
+    }]
+  },
+
+  email_verification: {
+    category: 'security',
+    compose: (data) => [{
+      template: 'email_verification',
+      to: data.clientEmail,
+      variables: { client_name: data.clientName, verification_url: data.verificationUrl }
+    }]
+  },
+
+  payment_confirmation: {
+    category: 'billing',
+    compose: (data, { requestId, now, locale }) => {
+      const { currency } = data;
+      return [{
+        template: 'payment_confirmation',
+        to: data.clientEmail,
+        thread: 'order',
+        variables: {
+          client_name: data.clientName,
+          service_name: data.serviceName,
+          package_type: data.packageType,
+          order_id: data.orderId,
+          amount: formatAmount(data.amount, currency, locale),
+          balance_due: data.balance > 0 ? formatAmount(data.balance, currency, locale) : null,
+          payment_date: formatDate(now, locale),
+          request_id: requestId,
+          line_items: (data.lineItems || []).map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            total: formatAmount(item.total, currency, locale)
+          }))
+        }
+      }];
+    }
+  },
+
+  refund_confirmation: {
+    category: 'billing',
+    compose: (data, { locale }) => [{
+      template: 'refund_confirmation',
+      to: data.clientEmail,
+      variables: {
+        client_name: data.clientName,
+        service_name: data.serviceName,
+        order_id: data.orderId,
+        amount: formatAmount(data.amount, data.currency, locale),
+        credit_note_number: data.creditNoteNumber,
+        reason: data.reason || null,
+        full_refund: !!data.fullRefund
+      }
+    }]
+  },
+
+  // News and offers. Queued from server code for one client at a time, never
+  // through the sendEmail function; the outbox adds the List-Unsubscribe link.
+  service_announcement: {
+    category: 'marketing',
+    compose: (data) => {
+      requireFields(data, ['clientEmail', 'headline', 'message'], 'announcement');
+      return [{
+        template: 'service_announcement',
+        to: data.clientEmail,
+        variables: {
+          client_name: data.clientName || data.clientEmail,
+          headline: data.headline,
+          message: data.message,
+          cta_label: data.ctaLabel || null,
+          cta_url: data.ctaUrl || null
+        }
+      }];
+    }
+  },
+
+  registration_welcome: {
+    compose: (data) => {
+      if (!data.name || !data.email) {
+        throw new Error('Missing required fields: name and email are required for registration welcome email');
+      }
+      return [{
+        template: 'registration_welcome',
+        to: data.email,
+        variables: {
+          name: data.name,
+          verification_required: !!data.verificationRequired,
+          login_url: data.loginUrl,
+          support_email: data.supportEmail || BUSINESS_EMAIL
+        }
+      }];
+    }
+  },
+
+  // Sent to our own mailbox to check the SMTP setup
+  test: {
+    compose: (data, { requestId, now }) => {
+      const mailbox = process.env.EMAIL_USER || BUSINESS_EMAIL;
+      return [{
+        template: 'test_email',
+        to: mailbox,
+        language: DEFAULT_LANGUAGE,
+        variables: { sent_at: now.toISOString(), from: mailbox, request_id: requestId }
+      }];
+    }
+  }
+};
+
+const isEmailType = (type) => Object.prototype.hasOwnProperty.call(EMAIL_TYPES, type);
+
+// The communication category of an email type, or null
+const emailCategory = (type) => (isEmailType(type) && EMAIL_TYPES[type].category) || null;
+
+/**
+ * Render every message of one email type. All of them are rendered before
+ * any is returned, so a bad template never sends half of a pair. `locale`
+ * defaults to the request's `language` (a browser tag such as `en-IN`);
+ * `templates` are rows that override the database, for previews, and
+ * `database: false` renders from those rows alone.
+ */
+const composeEmails = async (type, data, {
+  requestId,
+  now = new Date(),
+  locale = createEmailLocale({ language: data.language }),
+  templates = [],
+  database = true
+} = {}) => {
+  if (!isEmailType(type)) {
+    throw new Error(`Unknown email type ${type}`);
+  }
+
+  const messages = EMAIL_TYPES[type].compose(data, { requestId, now, locale });
+  return Promise.all(messages.map(async ({ template, to, language, thread, variables }) => ({
+    to,
+    thread: thread || null,
+    ...await renderEmail(template, variables, { language: language || locale.language, overrides: templates, database })
+  })));
+};
+
+module.exports = {
+  EMAIL_TYPES,
+  isEmailType,
+  emailCategory,
+  composeEmails
+};
@@ -0,0 +1,101 @@
+// Zoho estimate events. Estimates live in Zoho; we only hold the order a
+// client creates by accepting one, so these keep that order and the client
+// informed when an estimate changes in Zoho itself.
+const { getSupabaseAdmin } = require('./supabase');
+const { notifyClient } = require('./notifications');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to process estimate events');
+  }
+  return supabase;
+};
+
+// Every client linked to the estimate's Zoho contact; a contact with
+// several contact persons has one client each
+const findClientIds = async (supabase, customerId) => {
+  if (!customerId) return [];
+  const { data, error } = await supabase
+    .from('clients')
+    .select('id')
+    .eq('zoho_customer_id', customerId);
+  if (error) throw error;
+  return (data || []).map(client => client.id);
+};
+
+const findEstimateOrder = async (supabase, estimateId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, client_id, status, zoho_invoice_id')
+    .eq('zoho_estimate_id', estimateId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Accepted in the Zoho portal rather than the dashboard, so there is no
+// order yet; the client pays by accepting it again from the quotes page
+const handleEstimateAccepted = async (estimate) => {
+  const supabase = requireSupabase();
+  if (await findEstimateOrder(supabase, estimate.estimate_id)) return;
+
+  const clientIds = await findClientIds(supabase, estimate.customer_id);
+  if (clientIds.length === 0) {
+    log('info', 'Accepted estimate has no linked client', { estimateId: estimate.estimate_id });
+    return;
+  }
+
+  for (const clientId of clientIds) {
+    await notifyClient(clientId, {
+      title: 'Estimate Accepted',
+      message: `Estimate ${estimate.estimate_number} is accepted. Open it from your quotes page to get the invoice and pay.`,
+      type: 'success',
+      category: 'order'
+    });
+  }
+};
+
+// A declined or expired estimate cancels its order if it was never invoiced
+const closeEstimate = async (estimate, status) => {
+  const supabase = requireSupabase();
+  const order = await findEstimateOrder(supabase, estimate.estimate_id);
+
+  if (order && order.status === 'pending' && !order.zoho_invoice_id) {
+    const { error } = await supabase
+      .from('orders')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', order.id);
+    if (error) throw error;
+    log('info', 'Order for estimate cancelled', { orderId: order.id, estimateId: estimate.estimate_id, status });
+  }
+
+  // The client declined it themselves, so only expiry is news to them
+  if (status !== 'expired') return;
+
+  const clientIds = order?.client_id ? [order.client_id] : await findClientIds(supabase, estimate.customer_id);
+
+  for (const clientId of clientIds) {
+    await notifyClient(clientId, {
+      title: 'Estimate Expired',
+      message: `Estimate ${estimate.estimate_number} has expired. Contact us if you would like an updated quote.`,
+      type: 'warning',
+      category: 'order'
+    });
+  }
+};
+
+const handleEstimateDeclined = (estimate) => closeEstimate(estimate, 'declined');
+
+const handleEstimateExpired = (estimate) => closeEstimate(estimate, 'expired');
+
+module.exports = {
+  handleEstimateAccepted,
+  handleEstimateDeclined,
+  handleEstimateExpired
+};
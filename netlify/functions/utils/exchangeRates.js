@@ -0,0 +1,66 @@
+// USD-based exchange rates from the `exchange_rates` table, used to fill the
+// per-currency amounts on orders created server-side
+const { getSupabaseAdmin } = require('./supabase');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// Same fallbacks as src/utils/currency.ts
+const FALLBACK_RATES = {
+  USD: 1,
+  INR: 83.25,
+  AUD: 1.52
+};
+
+const getUsdRates = async () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return { ...FALLBACK_RATES };
+
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .select('target_currency, rate')
+    .eq('base_currency', 'USD')
+    .in('target_currency', Object.keys(FALLBACK_RATES));
+
+  if (error) {
+    log('warning', 'Failed to load exchange rates, using fallback rates', error);
+    return { ...FALLBACK_RATES };
+  }
+
+  const rates = { ...FALLBACK_RATES };
+  for (const row of data || []) {
+    const rate = Number(row.rate);
+    if (rate > 0) rates[row.target_currency] = rate;
+  }
+  return rates;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Express an amount in `currency` as the `amount_usd`, `amount_inr` and
+ * `amount_aud` columns of an order.
+ */
+const toOrderAmounts = async (amount, currency) => {
+  const rates = await getUsdRates();
+  const rate = rates[currency];
+  if (!rate) {
+    throw new Error(`No exchange rate for ${currency}`);
+  }
+
+  const usd = amount / rate;
+  return {
+    amount_usd: round(usd),
+    amount_inr: round(usd * rates.INR),
+    amount_aud: round(usd * rates.AUD),
+    // The charged currency keeps its exact amount
+    [`amount_${currency.toLowerCase()}`]: round(amount)
+  };
+};
+
+module.exports = {
+  getUsdRates,
+  toOrderAmounts
+};
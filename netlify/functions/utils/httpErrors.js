@@ -0,0 +1,12 @@
+// Error carrying the HTTP status a function should answer with, for failures
+// that are the caller's fault (bad input, wrong owner, conflicting request)
+class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
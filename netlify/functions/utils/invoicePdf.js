@@ -0,0 +1,414 @@
+// Branded PDF of an invoice from `invoices`, its order and payments: the
+// invoice itself, with line items and the GST breakdown, followed by a
+// payment receipt when anything has been paid. Attached to payment
+// confirmation emails and served by the invoicePdf function.
+const PDFDocument = require('pdfkit');
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+const { createEmailLocale, formatAmount, formatDate } = require('./emailLocale');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const COMPANY = {
+  name: 'Mechinweb',
+  tagline: 'IT Solutions',
+  email: 'contact@mechinweb.com',
+  website: 'mechinweb.com'
+};
+
+const COLORS = {
+  brandFrom: '#06B6D4',
+  brandTo: '#3B82F6',
+  text: '#111827',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  shade: '#F3F4F6'
+};
+
+const PAGE_MARGIN = 50;
+
+// Invoice, receipt and line item columns: x offset and width
+const COLUMNS = {
+  item: [50, 265],
+  quantity: [315, 50],
+  rate: [365, 90],
+  amount: [455, 90]
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to render invoices');
+  }
+  return supabase;
+};
+
+// The built-in PDF fonts only cover Windows-1252; anything else (₹, the
+// narrow spaces some locales group digits with) would print as garbage
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const isPrintable = (char) => {
+  const code = char.charCodeAt(0);
+  return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(char);
+};
+
+const pdfText = (value) =>
+  Array.from(String(value ?? ''))
+    .map(char => (/[\u2000-\u200B\u202F]/.test(char) ? ' ' : char))
+    .map(char => (char === '\n' || isPrintable(char) ? char : '?'))
+    .join('');
+
+// A currency symbol the fonts cannot draw is printed as its code instead
+const pdfAmount = (amount, currency, locale) => {
+  const formatted = pdfText(formatAmount(amount, currency, locale));
+  return formatted.includes('?') ? pdfText(formatAmount(amount, currency, locale, { currencyDisplay: 'code' })) : formatted;
+};
+
+const pdfDate = (date, locale) => (date ? pdfText(formatDate(date, locale)) : '-');
+
+const PAYMENT_METHODS = {
+  creditcard: 'Card',
+  banktransfer: 'Bank transfer',
+  bank_transfer: 'Bank transfer',
+  upi: 'UPI',
+  netbanking: 'Net banking',
+  paypal: 'PayPal',
+  cash: 'Cash',
+  check: 'Cheque'
+};
+
+const paymentMethodLabel = (method) =>
+  PAYMENT_METHODS[String(method || '').toLowerCase().replace(/\s+/g, '')] || method || 'Online payment';
+
+// Orders whose Zoho invoice lines were never recorded print the service
+// they were for, at the pre-tax amount
+const lineItemsFor = (invoice, order, subtotal) => {
+  const stored = Array.isArray(invoice.line_items) ? invoice.line_items : [];
+  if (stored.length > 0) {
+    return stored.map(item => ({
+      name: item.name,
+      description: item.description || '',
+      quantity: Number(item.quantity) || 1,
+      rate: Number(item.rate) || 0,
+      total: Number(item.item_total) || 0
+    }));
+  }
+
+  return [{
+    name: order?.services?.name || 'Service',
+    description: order?.package_type ? `${order.package_type} package` : '',
+    quantity: 1,
+    rate: subtotal,
+    total: subtotal
+  }];
+};
+
+/**
+ * Everything printed on an invoice, by `invoiceId` or the `orderId` it
+ * bills. Throws a 404 HttpError when there is no such invoice.
+ */
+const loadInvoiceDocument = async ({ invoiceId = null, orderId = null }) => {
+  if (!invoiceId && !orderId) throw new HttpError(400, 'invoiceId or orderId is required');
+
+  const supabase = requireSupabase();
+  let query = supabase
+    .from('invoices')
+    .select('*, orders(*, services(name, description)), clients(name, email, company, country_code, state_code, gstin)');
+  query = invoiceId ? query.eq('id', invoiceId) : query.eq('order_id', orderId);
+
+  const { data: invoice, error } = await query.maybeSingle();
+  if (error) throw error;
+  if (!invoice) throw new HttpError(404, `Invoice ${invoiceId || `for order ${orderId}`} not found`);
+
+  const { data: payments, error: paymentsError } = await supabase
+    .from('payments')
+    .select('amount, currency, payment_method, payment_date, zoho_payment_id')
+    .eq('order_id', invoice.order_id)
+    .order('payment_date', { ascending: true });
+  if (paymentsError) throw paymentsError;
+
+  const order = invoice.orders || {};
+  const total = Number(invoice.total_amount) || 0;
+  const taxAmount = Number(invoice.tax_amount) || 0;
+  const subtotal = round(total - taxAmount);
+  const amountPaid = Number(invoice.amount_paid) || 0;
+
+  return {
+    id: invoice.id,
+    clientId: invoice.client_id,
+    orderId: invoice.order_id,
+    number: invoice.invoice_number,
+    status: invoice.status,
+    issuedAt: invoice.created_at,
+    dueDate: invoice.due_date,
+    currency: invoice.currency || order.currency || 'USD',
+    client: invoice.clients || {},
+    taxTreatment: order.tax_treatment || null,
+    placeOfSupply: order.place_of_supply || null,
+    lineItems: lineItemsFor(invoice, order, subtotal),
+    subtotal,
+    taxBreakdown: Array.isArray(invoice.tax_breakdown) ? invoice.tax_breakdown : [],
+    taxAmount,
+    total,
+    amountPaid,
+    balance: invoice.balance !== null && invoice.balance !== undefined
+      ? Number(invoice.balance)
+      : round(Math.max(total - amountPaid, 0)),
+    payments: payments || []
+  };
+};
+
+const invoiceFilename = (invoice) =>
+  `Invoice-${String(invoice.number || invoice.id).replace(/[^\w.-]/g, '_')}.pdf`;
+
+const drawHeader = (pdf, title, reference) => {
+  const width = pdf.page.width;
+  const gradient = pdf.linearGradient(0, 0, width, 0);
+  gradient.stop(0, COLORS.brandFrom).stop(1, COLORS.brandTo);
+  pdf.rect(0, 0, width, 100).fill(gradient);
+
+  pdf.fillColor('#FFFFFF')
+    .font('Helvetica-Bold').fontSize(24).text(COMPANY.name, PAGE_MARGIN, 32)
+    .font('Helvetica').fontSize(11).text(COMPANY.tagline, PAGE_MARGIN, 62);
+
+  pdf.font('Helvetica-Bold').fontSize(18)
+    .text(title, PAGE_MARGIN, 32, { width: width - PAGE_MARGIN * 2, align: 'right' })
+    .font('Helvetica').fontSize(11)
+    .text(pdfText(reference), PAGE_MARGIN, 58, { width: width - PAGE_MARGIN * 2, align: 'right' });
+
+  pdf.fillColor(COLORS.text);
+  return 130;
+};
+
+const drawFooter = (pdf, note) => {
+  const width = pdf.page.width - PAGE_MARGIN * 2;
+  const y = pdf.page.height - PAGE_MARGIN - 30;
+
+  pdf.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).strokeColor(COLORS.border).stroke();
+  pdf.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+  if (note) pdf.text(pdfText(note), PAGE_MARGIN, y + 8, { width, align: 'center', lineBreak: false });
+
+  const gstin = process.env.COMPANY_GSTIN ? ` · GSTIN ${process.env.COMPANY_GSTIN}` : '';
+  pdf.text(pdfText(`${COMPANY.name} ${COMPANY.tagline} · ${COMPANY.email} · ${COMPANY.website}${gstin}`),
+    PAGE_MARGIN, y + 20, { width, align: 'center', lineBreak: false });
+  pdf.fillColor(COLORS.text);
+};
+
+// Label/value rows in a column; returns the y below the last one
+const drawDetails = (pdf, x, y, width, heading, rows) => {
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(heading.toUpperCase(), x, y, { width });
+  let top = y + 16;
+  for (const [label, value] of rows) {
+    if (!value) continue;
+    pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    const text = label ? `${label}: ${value}` : value;
+    pdf.text(pdfText(text), x, top, { width });
+    top = pdf.y + 2;
+  }
+  return top;
+};
+
+const drawTableHeader = (pdf, y, labels) => {
+  pdf.rect(PAGE_MARGIN, y, pdf.page.width - PAGE_MARGIN * 2, 22).fill(COLORS.shade);
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted);
+  for (const [column, label] of Object.entries(labels)) {
+    const [x, width] = COLUMNS[column];
+    pdf.text(label, x + 6, y + 7, { width: width - 12, align: column === 'item' ? 'left' : 'right' });
+  }
+  pdf.fillColor(COLORS.text);
+  return y + 28;
+};
+
+// Start a new page when `height` more points would run into the footer
+const ensureSpace = (pdf, y, height) => {
+  if (y + height <= pdf.page.height - PAGE_MARGIN - 50) return y;
+  pdf.addPage();
+  return PAGE_MARGIN;
+};
+
+const drawLineItems = (pdf, y, invoice, locale) => {
+  let top = drawTableHeader(pdf, y, { item: 'ITEM', quantity: 'QTY', rate: 'RATE', amount: 'AMOUNT' });
+
+  for (const item of invoice.lineItems) {
+    const [itemX, itemWidth] = COLUMNS.item;
+    pdf.font('Helvetica').fontSize(9);
+    const descriptionHeight = item.description
+      ? pdf.heightOfString(pdfText(item.description), { width: itemWidth - 12 })
+      : 0;
+    top = ensureSpace(pdf, top, 18 + descriptionHeight);
+
+    pdf.font('Helvetica-Bold').fontSize(10).text(pdfText(item.name), itemX + 6, top, { width: itemWidth - 12 });
+    const nameBottom = pdf.y;
+    if (item.description) {
+      pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(pdfText(item.description), itemX + 6, nameBottom + 1, { width: itemWidth - 12 });
+      pdf.fillColor(COLORS.text);
+    }
+    const rowBottom = pdf.y;
+
+    pdf.font('Helvetica').fontSize(10);
+    const cells = {
+      quantity: String(item.quantity),
+      rate: pdfAmount(item.rate, invoice.currency, locale),
+      amount: pdfAmount(item.total, invoice.currency, locale)
+    };
+    for (const [column, value] of Object.entries(cells)) {
+      const [x, width] = COLUMNS[column];
+      pdf.text(value, x + 6, top, { width: width - 12, align: 'right' });
+    }
+
+    top = Math.max(rowBottom, pdf.y) + 8;
+    pdf.moveTo(PAGE_MARGIN, top - 4).lineTo(pdf.page.width - PAGE_MARGIN, top - 4).strokeColor(COLORS.border).stroke();
+  }
+
+  return top + 6;
+};
+
+// Right-aligned label/amount pairs under the table; `strong` rows are bold
+const drawTotals = (pdf, y, rows) => {
+  const labelX = 305;
+  const labelWidth = 150;
+  const [amountX, amountWidth] = COLUMNS.amount;
+  let top = ensureSpace(pdf, y, rows.length * 18);
+
+  for (const { label, value, strong } of rows) {
+    pdf.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? 11 : 10);
+    pdf.text(pdfText(label), labelX, top, { width: labelWidth, align: 'right' });
+    pdf.text(value, amountX + 6, top, { width: amountWidth - 12, align: 'right' });
+    top += 18;
+  }
+  return top;
+};
+
+const taxTitle = (invoice) =>
+  (invoice.taxTreatment === 'intra_state' || invoice.taxTreatment === 'inter_state' ? 'TAX INVOICE' : 'INVOICE');
+
+const drawInvoice = (pdf, invoice, locale) => {
+  const client = invoice.client;
+  const half = (pdf.page.width - PAGE_MARGIN * 2) / 2;
+  let y = drawHeader(pdf, taxTitle(invoice), `# ${invoice.number}`);
+
+  const billedTo = drawDetails(pdf, PAGE_MARGIN, y, half - 20, 'Billed to', [
+    [null, client.name],
+    [null, client.company],
+    [null, client.email],
+    ['GSTIN', client.gstin],
+    ['Country', client.country_code]
+  ]);
+  const details = drawDetails(pdf, PAGE_MARGIN + half, y, half, 'Invoice details', [
+    ['Invoice number', invoice.number],
+    ['Issued', pdfDate(invoice.issuedAt, locale)],
+    ['Due', pdfDate(invoice.dueDate, locale)],
+    ['Status', invoice.status && invoice.status.replace(/_/g, ' ')],
+    ['Currency', invoice.currency],
+    ['Place of supply', invoice.placeOfSupply],
+    ['Order', invoice.orderId]
+  ]);
+  y = Math.max(billedTo, details) + 20;
+
+  y = drawLineItems(pdf, y, invoice, locale);
+
+  const money = (amount) => pdfAmount(amount, invoice.currency, locale);
+  y = drawTotals(pdf, y, [
+    { label: 'Subtotal', value: money(invoice.subtotal) },
+    ...invoice.taxBreakdown.map(tax => ({ label: `${tax.name} (${tax.rate}%)`, value: money(tax.amount) })),
+    { label: 'Total', value: money(invoice.total), strong: true },
+    { label: 'Amount paid', value: money(invoice.amountPaid) },
+    { label: 'Balance due', value: money(invoice.balance), strong: true }
+  ]);
+
+  drawFooter(pdf, invoice.taxTreatment === 'export'
+    ? 'Supply meant for export of services under LUT without payment of IGST.'
+    : 'Thank you for your business.');
+  return y;
+};
+
+const drawReceipt = (pdf, invoice, locale) => {
+  pdf.addPage();
+  const money = (amount, currency) => pdfAmount(amount, currency || invoice.currency, locale);
+  let y = drawHeader(pdf, 'PAYMENT RECEIPT', `Invoice # ${invoice.number}`);
+
+  y = drawDetails(pdf, PAGE_MARGIN, y, pdf.page.width - PAGE_MARGIN * 2, 'Received from', [
+    [null, invoice.client.name],
+    [null, invoice.client.company],
+    [null, invoice.client.email]
+  ]) + 20;
+
+  y = drawTableHeader(pdf, y, { item: 'DATE / REFERENCE', rate: 'METHOD', amount: 'AMOUNT' });
+  for (const payment of invoice.payments) {
+    y = ensureSpace(pdf, y, 32);
+    const [itemX, itemWidth] = COLUMNS.item;
+    const [rateX, rateWidth] = COLUMNS.rate;
+    const [amountX, amountWidth] = COLUMNS.amount;
+
+    pdf.font('Helvetica-Bold').fontSize(10).text(pdfDate(payment.payment_date, locale), itemX + 6, y, { width: itemWidth - 12 });
+    pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(pdfText(`Ref. ${payment.zoho_payment_id || '-'}`), itemX + 6, pdf.y + 1, { width: itemWidth - 12 });
+    pdf.fillColor(COLORS.text).fontSize(10)
+      .text(pdfText(paymentMethodLabel(payment.payment_method)), rateX + 6, y, { width: rateWidth - 12, align: 'right' })
+      .text(money(payment.amount, payment.currency), amountX + 6, y, { width: amountWidth - 12, align: 'right' });
+
+    y += 32;
+    pdf.moveTo(PAGE_MARGIN, y - 6).lineTo(pdf.page.width - PAGE_MARGIN, y - 6).strokeColor(COLORS.border).stroke();
+  }
+
+  drawTotals(pdf, y + 6, [
+    { label: 'Total received', value: money(invoice.amountPaid), strong: true },
+    { label: 'Invoice total', value: money(invoice.total) },
+    { label: 'Balance due', value: money(invoice.balance) }
+  ]);
+  drawFooter(pdf, 'This receipt confirms the payments listed above.');
+};
+
+/**
+ * Render an invoice from loadInvoiceDocument to a PDF Buffer. Amounts and
+ * dates follow the client's country, in English.
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const locale = createEmailLocale({ country: invoice.client?.country_code });
+  const pdf = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: pdfText(`${COMPANY.name} invoice ${invoice.number}`),
+      Author: COMPANY.name
+    }
+  });
+
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  try {
+    drawInvoice(pdf, invoice, locale);
+    if (invoice.payments.length > 0) drawReceipt(pdf, invoice, locale);
+    pdf.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * The PDF for an invoice as a nodemailer attachment, `{ filename, content,
+ * contentType }`.
+ */
+const buildInvoiceAttachment = async ({ invoiceId = null, orderId = null }) => {
+  const invoice = await loadInvoiceDocument({ invoiceId, orderId });
+  const content = await renderInvoicePdf(invoice);
+  log('info', 'Invoice PDF rendered', { invoiceId: invoice.id, orderId: invoice.orderId, bytes: content.length });
+
+  return { filename: invoiceFilename(invoice), content, contentType: 'application/pdf' };
+};
+
+module.exports = {
+  loadInvoiceDocument,
+  renderInvoicePdf,
+  invoiceFilename,
+  buildInvoiceAttachment
+};
@@ -0,0 +1,180 @@
+// The one place mail leaves the application. MAIL_TRANSPORT picks where it
+// goes:
+//   smtp    (default) the SMTP server in SMTP_HOST/SMTP_PORT with strict TLS
+//   file    each message written as a .eml file to MAIL_FILE_DIR
+//   memory  messages kept in this process, see getCapturedMail()
+// The transport is created and verified once per cold start, not per email.
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const nodemailer = require('nodemailer');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const DEFAULT_SMTP_HOST = 'smtp.zoho.in';
+const DEFAULT_SMTP_PORT = 587;
+
+let transport = null;
+let verified = null;
+const captured = [];
+
+const getMailConfig = () => {
+  const port = Number(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT;
+  return {
+    transport: (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase(),
+    host: process.env.SMTP_HOST || DEFAULT_SMTP_HOST,
+    port,
+    // 465 is TLS from the start; other ports must upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    allowInvalidCertificates: process.env.SMTP_ALLOW_INVALID_CERTS === 'true',
+    user: process.env.EMAIL_USER,
+    password: process.env.EMAIL_PASSWORD,
+    fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'mechinweb-mail')
+  };
+};
+
+const createSmtpTransport = (config) => {
+  if (!config.user || !config.password) {
+    throw new Error('Email credentials not configured. Please set EMAIL_USER and EMAIL_PASSWORD in Netlify environment variables.');
+  }
+  if (config.allowInvalidCertificates) {
+    log('warning', 'SMTP_ALLOW_INVALID_CERTS is set, the SMTP server certificate is not checked');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    requireTLS: !config.secure,
+    auth: { user: config.user, pass: config.password },
+    tls: { rejectUnauthorized: !config.allowInvalidCertificates }
+  });
+
+  return {
+    name: 'smtp',
+    describe: () => ({ host: config.host, port: config.port, user: config.user }),
+    verify: () => transporter.verify(),
+    sendMail: (options) => transporter.sendMail(options)
+  };
+};
+
+// Builds the raw RFC 822 message without sending it anywhere
+const createStreamTransporter = () =>
+  nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const createFileTransport = (config) => {
+  const transporter = createStreamTransporter();
+
+  return {
+    name: 'file',
+    describe: () => ({ directory: config.fileDir }),
+    verify: () => fs.mkdir(config.fileDir, { recursive: true }),
+    sendMail: async (options) => {
+      const info = await transporter.sendMail(options);
+      const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+      const file = path.join(config.fileDir, `${Date.now()}-${id}.eml`);
+      await fs.writeFile(file, info.message);
+      log('info', 'Email written to file', { file, to: options.to });
+      return { ...info, file };
+    }
+  };
+};
+
+const createMemoryTransport = () => {
+  const transporter = createStreamTransporter();
+
+  return {
+    name: 'memory',
+    describe: () => ({ captured: captured.length }),
+    verify: async () => true,
+    sendMail: async (options) => {
+      const info = await transporter.sendMail(options);
+      captured.push({
+        messageId: info.messageId,
+        envelope: info.envelope,
+        from: options.from,
+        to: options.to,
+        subject: options.subject,
+        html: options.html,
+        text: options.text,
+        attachments: options.attachments || [],
+        raw: info.message.toString()
+      });
+      return info;
+    }
+  };
+};
+
+const FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+/**
+ * The configured transport, created on first use. It exposes `name`,
+ * `describe()`, `verify()` and `sendMail(options)` with nodemailer's options.
+ */
+const getMailTransport = () => {
+  if (transport) return transport;
+
+  const config = getMailConfig();
+  const factory = FACTORIES[config.transport];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT ${config.transport}. Expected one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+
+  transport = factory(config);
+  log('info', 'Mail transport created', { transport: transport.name, ...transport.describe() });
+  return transport;
+};
+
+/**
+ * Check the transport can send, once per cold start. A failed check is not
+ * remembered, so the next call tries again.
+ */
+const verifyMailTransport = () => {
+  if (!verified) {
+    verified = Promise.resolve()
+      .then(async () => {
+        const current = getMailTransport();
+        await current.verify();
+        log('info', 'Mail transport verified', { transport: current.name });
+        return current;
+      })
+      .catch(error => {
+        verified = null;
+        throw new Error(`Email configuration invalid: ${error.message}`);
+      });
+  }
+  return verified;
+};
+
+// Our address for outgoing mail; the file and memory transports work
+// without SMTP credentials
+const getSender = () => process.env.EMAIL_USER || 'no-reply@mechinweb.com';
+
+// Messages sent through the memory transport since the last clear
+const getCapturedMail = () => [...captured];
+
+const clearCapturedMail = () => {
+  captured.length = 0;
+};
+
+// Forget the transport so the next use reads the configuration again
+const resetMailTransport = () => {
+  transport = null;
+  verified = null;
+};
+
+module.exports = {
+  getMailTransport,
+  verifyMailTransport,
+  getSender,
+  getCapturedMail,
+  clearCapturedMail,
+  resetMailTransport
+};
@@ -0,0 +1,57 @@
+// Tell a client about something that happened to their account: a row in
+// `notifications` for the dashboard and an email through the email outbox.
+// Each goes out only if the client wants its category on that channel
+// (see utils/communicationPreferences.js). Failures are logged, not
+// thrown, so the change that triggered the notification still succeeds.
+// A caller passing `dedupeKey` gets each notification and email once per
+// key and its failures thrown, so it can retry the whole step.
+const { getSupabaseAdmin } = require('./supabase');
+const { queueEmail } = require('./emailOutbox');
+const { allowsCommunication } = require('./communicationPreferences');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// `category` is one of billing, order, marketing or security
+const notifyClient = async (clientId, { title, message, type = 'info', category, dedupeKey = null }) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    log('warning', 'Supabase not configured, skipping client notification', { clientId, title });
+    return;
+  }
+
+  if (!await allowsCommunication(clientId, category, 'in_app')) {
+    log('info', 'Notification not sent, turned off by client', { clientId, title, category });
+    return;
+  }
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert([{ client_id: clientId, title, message, type, read: false, dedupe_key: dedupeKey }]);
+
+  if (error && error.code === '23505' && dedupeKey) {
+    log('info', 'Notification already sent', { clientId, title, dedupeKey });
+  } else if (error) {
+    log('error', 'Failed to create notification', { clientId, title, error });
+    if (dedupeKey) throw error;
+  }
+};
+
+// Queued in the email outbox; `clientId` and `orderId` link the message
+// to the account and order it is about, `attachments` are documents to
+// render and attach when it is sent
+const sendClientEmail = async (type, data, { clientId = null, orderId = null, attachments = [], dedupeKey = null } = {}) => {
+  try {
+    await queueEmail(type, data, { clientId, orderId, attachments, dedupeKey });
+  } catch (error) {
+    log('error', 'Failed to queue client email', { type, clientId, orderId, error: error.message });
+    if (dedupeKey) throw error;
+  }
+};
+
+module.exports = {
+  notifyClient,
+  sendClientEmail
+};
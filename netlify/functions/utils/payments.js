@@ -0,0 +1,323 @@
+// Ledger of client payments in `payments`. Every Zoho payment is recorded
+// once, by its payment id, and the order and invoice status follow from the
+// running balance rather than from the fact that a payment arrived.
+const { getSupabaseAdmin } = require('./supabase');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// Once cancelled or refunded, payments no longer change the order status
+const SETTLED_STATUSES = ['cancelled', 'refunded', 'partially_refunded'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to record payments');
+  }
+  return supabase;
+};
+
+const derivePaymentStatus = (total, amountPaid) => {
+  if (amountPaid <= 0) return 'pending';
+  if (amountPaid < total) return 'partially_paid';
+  return amountPaid > total ? 'overpaid' : 'paid';
+};
+
+/**
+ * Record one Zoho payment. Returns `{ payment, duplicate }`; a payment id
+ * seen before is not recorded again, and the row already recorded for it
+ * comes back with `duplicate: true`. A payment without an id is refused,
+ * since the unique constraint cannot keep it from being recorded twice.
+ */
+const insertPayment = async (supabase, payment) => {
+  if (!payment.zoho_payment_id) {
+    throw new Error(`Payment on invoice ${payment.zoho_invoice_id} has no Zoho payment id`);
+  }
+
+  const { data, error } = await supabase
+    .from('payments')
+    .insert([payment])
+    .select()
+    .single();
+
+  if (!error) return { payment: data, duplicate: false };
+  if (error.code !== '23505') throw error;
+
+  log('info', 'Payment already recorded', { zohoPaymentId: payment.zoho_payment_id });
+  const { data: existing, error: loadError } = await supabase
+    .from('payments')
+    .select()
+    .eq('zoho_payment_id', payment.zoho_payment_id)
+    .single();
+
+  if (loadError) throw loadError;
+  return { payment: existing, duplicate: true };
+};
+
+// Zoho's payment webhooks carry the payment's own amount. Older invoice
+// events only have the invoice total, which was always a full payment.
+const paymentFromWebhook = (data, fields) => ({
+  ...fields,
+  zoho_invoice_id: data.invoice_id,
+  zoho_payment_id: data.payment_id,
+  amount: round(Number(data.amount ?? data.payment_amount ?? data.total)),
+  payment_method: data.payment_mode || null,
+  payment_date: data.payment_date || data.date || today()
+});
+
+const sumPayments = async (supabase, orderId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('amount')
+    .eq('order_id', orderId);
+
+  if (error) throw error;
+  return round((data || []).reduce((sum, payment) => sum + Number(payment.amount), 0));
+};
+
+// What the order's invoice should total: the pre-tax amount plus its tax
+const orderTotal = (order) =>
+  round(Number(order[`amount_${order.currency.toLowerCase()}`] || 0) + Number(order.tax_amount || 0));
+
+// The Zoho invoice lines, kept for the PDF invoice
+const invoiceLineItems = (data) =>
+  (Array.isArray(data.line_items) ? data.line_items : []).map(item => ({
+    name: item.name,
+    description: item.description || '',
+    quantity: Number(item.quantity) || 1,
+    rate: round(Number(item.rate ?? item.item_total) || 0),
+    item_total: round(Number(item.item_total) || 0)
+  }));
+
+// One `invoices` row per order, created by its first payment
+const syncInvoice = async (supabase, order, data, { total, amountPaid, status }) => {
+  const fields = {
+    amount_paid: amountPaid,
+    balance: round(Math.max(total - amountPaid, 0)),
+    status,
+    updated_at: new Date().toISOString()
+  };
+
+  const lineItems = invoiceLineItems(data);
+  if (lineItems.length > 0) fields.line_items = lineItems;
+
+  const { data: existing, error: loadError } = await supabase
+    .from('invoices')
+    .select('id')
+    .eq('order_id', order.id)
+    .maybeSingle();
+
+  if (loadError) throw loadError;
+
+  const { error } = existing
+    ? await supabase.from('invoices').update(fields).eq('id', existing.id)
+    : await supabase.from('invoices').insert([{
+      ...fields,
+      order_id: order.id,
+      client_id: order.client_id,
+      invoice_number: data.invoice_number,
+      amount_usd: order.amount_usd,
+      amount_inr: order.amount_inr,
+      amount_aud: order.amount_aud,
+      currency: order.currency,
+      tax_amount: order.tax_amount || 0,
+      tax_breakdown: order.tax_breakdown || [],
+      total_amount: total,
+      due_date: data.due_date || new Date().toISOString()
+    }]);
+
+  if (error) log('error', 'Failed to sync invoice record', { orderId: order.id, error });
+};
+
+const findInvoiceOrder = async (supabase, invoiceId) => {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('*, clients(*), services(*)')
+    .eq('zoho_invoice_id', invoiceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) log('warning', 'No order found for invoice', { invoiceId });
+  return order;
+};
+
+// Recompute what has been paid on an order and move the order and its
+// invoice to the matching status
+const syncOrderBalance = async (supabase, order, data) => {
+  const total = data.total !== undefined ? round(Number(data.total)) : orderTotal(order);
+  const amountPaid = await sumPayments(supabase, order.id);
+  const status = derivePaymentStatus(total, amountPaid);
+
+  const orderFields = { amount_paid: amountPaid, updated_at: new Date().toISOString() };
+  if (!SETTLED_STATUSES.includes(order.status)) orderFields.status = status;
+
+  const { error } = await supabase
+    .from('orders')
+    .update(orderFields)
+    .eq('id', order.id);
+
+  if (error) throw error;
+
+  // An invoice nobody has paid is back to `sent`
+  await syncInvoice(supabase, order, data, { total, amountPaid, status: status === 'pending' ? 'sent' : status });
+
+  return {
+    order: { ...order, ...orderFields },
+    total,
+    amountPaid,
+    balance: round(total - amountPaid),
+    status
+  };
+};
+
+/**
+ * Record a payment against an order's Zoho invoice and move the order and
+ * its invoice to `partially_paid`, `paid` or `overpaid`. Returns null when
+ * no order has the invoice, otherwise the order, the payment, whether it
+ * was recorded before (`duplicate`) and the balance.
+ */
+const recordOrderPayment = async (data) => {
+  const supabase = requireSupabase();
+  const order = await findInvoiceOrder(supabase, data.invoice_id);
+  if (!order) return null;
+
+  const { payment, duplicate } = await insertPayment(supabase, paymentFromWebhook(data, {
+    client_id: order.client_id,
+    order_id: order.id,
+    currency: data.currency_code || order.currency
+  }));
+
+  const balance = await syncOrderBalance(supabase, order, data);
+
+  log('info', 'Order payment recorded', { orderId: order.id, amountPaid: balance.amountPaid, status: balance.status, duplicate });
+
+  return { ...balance, payment, duplicate };
+};
+
+/**
+ * Record every payment a Zoho invoice lists, for events that say an invoice
+ * was paid without naming the payment. Payments already in the ledger are
+ * skipped by their id. Returns the last `recordOrderPayment` result, or null
+ * when the invoice lists no payments or no order has it.
+ */
+const recordInvoicePayments = async (invoice) => {
+  let recorded = null;
+  for (const payment of invoice.payments || []) {
+    recorded = await recordOrderPayment({
+      invoice_id: invoice.invoice_id,
+      invoice_number: invoice.invoice_number,
+      total: invoice.total,
+      currency_code: invoice.currency_code,
+      line_items: invoice.line_items,
+      payment_id: payment.payment_id,
+      amount: payment.amount,
+      payment_mode: payment.payment_mode,
+      payment_date: payment.date
+    });
+    if (!recorded) return null;
+  }
+  return recorded;
+};
+
+/**
+ * Drop a payment that was deleted in Zoho from the ledger and recompute the
+ * balance of its order. Returns null when the payment was never recorded.
+ */
+const removeOrderPayment = async (data) => {
+  const supabase = requireSupabase();
+  if (!data.payment_id) return null;
+
+  const { data: removed, error } = await supabase
+    .from('payments')
+    .delete()
+    .eq('zoho_payment_id', data.payment_id)
+    .select();
+
+  if (error) throw error;
+  const payment = removed && removed[0];
+  if (!payment) {
+    log('info', 'Deleted payment was not in the ledger', { zohoPaymentId: data.payment_id });
+    return null;
+  }
+  if (!payment.order_id) return { payment, order: null };
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('*, clients(*), services(*)')
+    .eq('id', payment.order_id)
+    .maybeSingle();
+
+  if (orderError) throw orderError;
+  if (!order) return { payment, order: null };
+
+  // The payment event has no invoice total; the synced invoice row does
+  const { data: invoice } = await supabase
+    .from('invoices')
+    .select('total_amount')
+    .eq('order_id', order.id)
+    .maybeSingle();
+
+  const balance = await syncOrderBalance(supabase, order, {
+    ...data,
+    total: invoice ? invoice.total_amount : undefined
+  });
+
+  log('info', 'Order payment removed', { orderId: order.id, zohoPaymentId: data.payment_id, status: balance.status });
+  return { ...balance, payment };
+};
+
+/**
+ * Cancel the order of an invoice that was voided or deleted in Zoho. A
+ * voided invoice stays in the client's list as `void`; a deleted one is
+ * removed. Returns the order, or null when no order has the invoice.
+ */
+const cancelInvoiceOrder = async (data, { deleted = false } = {}) => {
+  const supabase = requireSupabase();
+  const order = await findInvoiceOrder(supabase, data.invoice_id);
+  if (!order) return null;
+
+  const { error } = await supabase
+    .from('orders')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .not('status', 'in', '(refunded,partially_refunded)');
+
+  if (error) throw error;
+
+  const invoices = supabase.from('invoices');
+  const { error: invoiceError } = deleted
+    ? await invoices.delete().eq('order_id', order.id)
+    : await invoices.update({ status: 'void', updated_at: new Date().toISOString() }).eq('order_id', order.id);
+
+  if (invoiceError) log('error', 'Failed to update invoice record', { orderId: order.id, error: invoiceError });
+
+  log('info', 'Order cancelled with its invoice', { orderId: order.id, invoiceId: data.invoice_id, deleted });
+  return order;
+};
+
+// Payment of an invoice raised by a subscription's recurring profile
+const recordSubscriptionPayment = async (data, subscription) => {
+  const { payment, duplicate } = await insertPayment(requireSupabase(), paymentFromWebhook(data, {
+    client_id: subscription.client_id,
+    subscription_id: subscription.id,
+    currency: data.currency_code || subscription.currency
+  }));
+  return { payment, duplicate };
+};
+
+module.exports = {
+  derivePaymentStatus,
+  orderTotal,
+  findInvoiceOrder,
+  recordOrderPayment,
+  recordInvoicePayments,
+  removeOrderPayment,
+  cancelInvoiceOrder,
+  recordSubscriptionPayment
+};
@@ -0,0 +1,268 @@
+// Reconciliation of Supabase orders with Zoho invoices, for webhooks that
+// never arrived. Open orders are compared with their invoice in Zoho and
+// missed payments and voids are applied; recent Zoho invoices that point at
+// an order but are not linked to one are reported. Every run is written to
+// `reconciliation_runs`.
+const zoho = require('./zohoClient');
+const { ZohoNotFoundError } = require('./zohoErrors');
+const { getSupabaseAdmin } = require('./supabase');
+const { notifyClient } = require('./notifications');
+const { applyPaidUpgrade, dropPendingUpgrade } = require('./subscriptions');
+const {
+  orderTotal,
+  recordInvoicePayments,
+  cancelInvoiceOrder
+} = require('./payments');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// Orders whose invoice may have changed in Zoho without us hearing of it
+const OPEN_STATUSES = ['pending', 'partially_paid'];
+const MAX_ORDERS_PER_RUN = 200;
+// How far back to look for Zoho invoices with no order
+const ORPHAN_LOOKBACK_DAYS = 30;
+const ORPHAN_MAX_PAGES = 5;
+
+// Amounts within a cent are equal
+const AMOUNT_TOLERANCE = 0.01;
+
+// Orders are invoiced with their id as the reference number
+const ORDER_REFERENCE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to reconcile orders');
+  }
+  return supabase;
+};
+
+// Least recently checked first, so with more open orders than one run takes
+// every order still gets its turn
+const loadOpenOrders = async (supabase, limit) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*, clients(name, email), services(name)')
+    .in('status', OPEN_STATUSES)
+    .not('zoho_invoice_id', 'is', null)
+    .order('last_reconciled_at', { ascending: true, nullsFirst: true })
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+};
+
+const markReconciled = async (supabase, orders, now) => {
+  if (orders.length === 0) return;
+
+  const { error } = await supabase
+    .from('orders')
+    .update({ last_reconciled_at: now.toISOString() })
+    .in('id', orders.map(order => order.id));
+
+  if (error) log('error', 'Failed to mark orders as reconciled', { error });
+};
+
+const getZohoInvoice = async (invoiceId) => {
+  try {
+    const data = await zoho.get(`/invoices/${invoiceId}`);
+    return data.invoice;
+  } catch (error) {
+    if (error instanceof ZohoNotFoundError) return null;
+    throw error;
+  }
+};
+
+const mismatch = (type, order, invoice, extra = {}) => ({
+  type,
+  order_id: order ? order.id : null,
+  zoho_invoice_id: invoice ? invoice.invoice_id : order.zoho_invoice_id,
+  invoice_number: invoice ? invoice.invoice_number : null,
+  local_status: order ? order.status : null,
+  zoho_status: invoice ? invoice.status : null,
+  local_total: order ? orderTotal(order) : null,
+  zoho_total: invoice ? Number(invoice.total) : null,
+  fixed: false,
+  ...extra
+});
+
+// Record the invoice's payments in the ledger the way the webhook would
+// have; payments already there are skipped by their Zoho id
+const applyMissedPayments = async (order, invoice) => {
+  const recorded = await recordInvoicePayments(invoice);
+
+  if (recorded && ['paid', 'overpaid'].includes(recorded.status)) {
+    await applyPaidUpgrade(order.id);
+  }
+  // Keyed like the webhook's, so a client is not told twice
+  if (recorded && recorded.status === 'paid') {
+    await notifyClient(order.client_id, {
+      title: 'Payment Confirmed',
+      message: `Payment received for ${order.services?.name || order.description || 'your order'}. Your service will begin shortly.`,
+      type: 'success',
+      category: 'billing',
+      dedupeKey: `payment:${recorded.payment.id}`
+    });
+  }
+  return recorded;
+};
+
+const reconcileOrder = async (order, { fix }) => {
+  const invoice = await getZohoInvoice(order.zoho_invoice_id);
+  if (!invoice) {
+    return [mismatch('missing_in_zoho', order, null)];
+  }
+
+  const found = [];
+  const zohoTotal = Number(invoice.total);
+  const zohoPaid = round(zohoTotal - Number(invoice.balance || 0));
+  const localPaid = Number(order.amount_paid || 0);
+
+  // Reported only: staff decide whether the order or the invoice is wrong
+  if (Math.abs(orderTotal(order) - zohoTotal) > AMOUNT_TOLERANCE) {
+    found.push(mismatch('amount_mismatch', order, invoice));
+  }
+
+  if (invoice.status === 'void') {
+    const entry = mismatch('void_in_zoho', order, invoice);
+    if (fix) {
+      await cancelInvoiceOrder({ invoice_id: invoice.invoice_id });
+      await dropPendingUpgrade(order.id);
+      entry.fixed = true;
+    }
+    found.push(entry);
+  } else if (zohoPaid - localPaid > AMOUNT_TOLERANCE && (invoice.payments || []).length === 0) {
+    // Without payment ids a later webhook for the same payment could not be
+    // told apart from a new one, so staff record these by hand
+    found.push(mismatch('payments_not_listed', order, invoice, { zoho_paid: zohoPaid, local_paid: localPaid }));
+  } else if (zohoPaid - localPaid > AMOUNT_TOLERANCE) {
+    const entry = mismatch('paid_in_zoho', order, invoice, { zoho_paid: zohoPaid, local_paid: localPaid });
+    if (fix) {
+      const recorded = await applyMissedPayments(order, invoice);
+      entry.fixed = !!recorded;
+      entry.new_status = recorded ? recorded.status : null;
+    }
+    found.push(entry);
+  }
+
+  return found;
+};
+
+// Recent Zoho invoices whose reference number is an order id, but which no
+// order is linked to: created twice, or the order was deleted
+const findOrphanedInvoices = async (supabase, now) => {
+  const since = new Date(now.getTime() - ORPHAN_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const candidates = [];
+  let checked = 0;
+
+  for await (const invoice of zoho.paginate('/invoices', 'invoices', {
+    params: { date_start: since },
+    maxPages: ORPHAN_MAX_PAGES
+  })) {
+    checked++;
+    if (!invoice.recurring_invoice_id && ORDER_REFERENCE.test(invoice.reference_number || '')) {
+      candidates.push(invoice);
+    }
+  }
+
+  if (candidates.length === 0) return { checked, orphans: [] };
+
+  const { data: linked, error } = await supabase
+    .from('orders')
+    .select('zoho_invoice_id')
+    .in('zoho_invoice_id', candidates.map(invoice => invoice.invoice_id));
+
+  if (error) throw error;
+
+  const linkedIds = new Set((linked || []).map(order => order.zoho_invoice_id));
+  const orphans = candidates
+    .filter(invoice => !linkedIds.has(invoice.invoice_id) && invoice.status !== 'void')
+    .map(invoice => ({
+      ...mismatch('orphaned_invoice', null, invoice),
+      reference_number: invoice.reference_number
+    }));
+
+  return { checked, orphans };
+};
+
+const finishRun = async (supabase, runId, fields) => {
+  const { error } = await supabase
+    .from('reconciliation_runs')
+    .update({ ...fields, finished_at: new Date().toISOString() })
+    .eq('id', runId);
+
+  if (error) log('error', 'Failed to save reconciliation report', { runId, error });
+};
+
+/**
+ * Compare up to `limit` open orders with Zoho, least recently checked
+ * first, and write a report. With `fix` (the default) missed payments are
+ * recorded and voided invoices cancel their order; amount differences,
+ * payments Zoho does not list, missing and orphaned invoices are only
+ * reported. Returns the report.
+ */
+const reconcileOrders = async ({ fix = true, now = new Date(), limit = MAX_ORDERS_PER_RUN } = {}) => {
+  const supabase = requireSupabase();
+
+  const { data: run, error: runError } = await supabase
+    .from('reconciliation_runs')
+    .insert([{ status: 'running' }])
+    .select()
+    .single();
+
+  if (runError) throw runError;
+
+  log('info', 'Reconciliation started', { runId: run.id, fix });
+
+  try {
+    const orders = await loadOpenOrders(supabase, limit);
+    const mismatches = [];
+
+    for (const order of orders) {
+      try {
+        mismatches.push(...await reconcileOrder(order, { fix }));
+      } catch (error) {
+        // One bad order should not stop the rest of the run
+        log('error', 'Failed to reconcile order', { orderId: order.id, error: error.message });
+        mismatches.push(mismatch('error', order, null, { error: error.message }));
+      }
+    }
+
+    await markReconciled(supabase, orders, now);
+
+    const { checked, orphans } = await findOrphanedInvoices(supabase, now);
+    mismatches.push(...orphans);
+
+    const report = {
+      status: 'completed',
+      orders_checked: orders.length,
+      invoices_checked: checked,
+      mismatches_found: mismatches.length,
+      mismatches_fixed: mismatches.filter(entry => entry.fixed).length,
+      mismatches
+    };
+
+    await finishRun(supabase, run.id, report);
+    log('info', 'Reconciliation finished', {
+      runId: run.id,
+      ordersChecked: report.orders_checked,
+      mismatchesFound: report.mismatches_found,
+      mismatchesFixed: report.mismatches_fixed
+    });
+
+    return { id: run.id, ...report };
+  } catch (error) {
+    await finishRun(supabase, run.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  reconcileOrders
+};
@@ -0,0 +1,355 @@
+// Refunds against paid orders. Each refund is a Zoho credit note against the
+// order's invoice, refunded straight away, plus a row in `refunds` that the
+// client sees next to the invoice.
+const zoho = require('./zohoClient');
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+const { notifyClient, sendClientEmail } = require('./notifications');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const REFUNDABLE_STATUSES = ['partially_paid', 'paid', 'overpaid', 'completed', 'partially_refunded'];
+
+// Refunds still counting against the paid amount
+const OPEN_REFUND_STATUSES = ['pending', 'completed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+
+const sumRefunds = async (supabase, orderId) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('amount')
+    .eq('order_id', orderId)
+    .in('status', OPEN_REFUND_STATUSES);
+
+  if (error) throw error;
+  return round((data || []).reduce((sum, refund) => sum + Number(refund.amount), 0));
+};
+
+const loadRefundableOrder = async (supabase, orderId) => {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, client_id, status, currency, zoho_invoice_id, description, clients(name, email), services(name)')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+  if (!order.zoho_invoice_id || !REFUNDABLE_STATUSES.includes(order.status)) {
+    throw new HttpError(409, `Order ${orderId} is ${order.status} and has no payment to refund`);
+  }
+  return order;
+};
+
+// A full refund mirrors the invoice lines; a partial one is a single line
+// whose pre-tax rate Zoho grosses up with the invoice's tax. The pre-tax
+// share comes from the tax total, since an invoice discount makes the
+// lines' sum more than was charged.
+const creditNoteLines = (invoice, amount, isFullRefund) => {
+  const lines = invoice.line_items || [];
+  const taxFields = (item) => ({
+    ...(item.tax_id && { tax_id: item.tax_id }),
+    ...(item.tax_exemption_id && { tax_exemption_id: item.tax_exemption_id }),
+    ...(item.hsn_or_sac && { hsn_or_sac: item.hsn_or_sac })
+  });
+
+  if (isFullRefund) {
+    return lines.map(item => ({
+      name: item.name,
+      description: item.description,
+      rate: item.rate,
+      quantity: item.quantity,
+      ...(item.discount && { discount: item.discount }),
+      ...taxFields(item)
+    }));
+  }
+
+  const total = Number(invoice.total);
+  const preTax = invoice.tax_total !== undefined ? total - Number(invoice.tax_total) : Number(invoice.sub_total ?? total);
+  const preTaxRatio = total > 0 ? preTax / total : 1;
+  return [{
+    name: 'Partial refund',
+    description: `Partial refund for invoice ${invoice.invoice_number}`,
+    rate: round(amount * preTaxRatio),
+    quantity: 1,
+    ...(lines[0] && taxFields(lines[0]))
+  }];
+};
+
+const createCreditNote = async (invoice, refund, isFullRefund) => {
+  const data = await zoho.post('/creditnotes', {
+    customer_id: invoice.customer_id,
+    invoice_id: invoice.invoice_id,
+    reference_number: refund.id,
+    date: refund.date,
+    currency_code: invoice.currency_code,
+    ...(invoice.gst_treatment && { gst_treatment: invoice.gst_treatment }),
+    ...(invoice.place_of_supply && { place_of_supply: invoice.place_of_supply }),
+    ...(invoice.gst_no && { gst_no: invoice.gst_no }),
+    line_items: creditNoteLines(invoice, refund.amount, isFullRefund),
+    // The lines of a full refund are credited less the same discount
+    ...(isFullRefund && invoice.discount && {
+      discount: invoice.discount,
+      is_discount_before_tax: invoice.is_discount_before_tax
+    }),
+    notes: refund.reason || `Refund for invoice ${invoice.invoice_number}`
+  });
+
+  return data.creditnote;
+};
+
+const refundCreditNote = async (creditNote, refund) => {
+  const data = await zoho.post(`/creditnotes/${creditNote.creditnote_id}/refunds`, {
+    date: refund.date,
+    refund_mode: refund.refundMode,
+    reference_number: refund.id,
+    amount: creditNote.total,
+    description: refund.reason || '',
+    ...(process.env.ZOHO_REFUND_ACCOUNT_ID && { from_account_id: process.env.ZOHO_REFUND_ACCOUNT_ID })
+  });
+
+  return data.creditnote_refund || data.refund || {};
+};
+
+const notifyRefund = async (order, refund) => {
+  const amount = formatAmount(refund.amount, refund.currency);
+  const serviceName = order.services?.name || order.description || 'your order';
+
+  await notifyClient(order.client_id, {
+    title: 'Refund Issued',
+    message: `We have refunded ${amount} for ${serviceName}. Credit note ${refund.creditnote_number} is on your invoices page.`,
+    type: 'info',
+    category: 'billing'
+  });
+
+  if (order.clients?.email) {
+    await sendClientEmail('refund_confirmation', {
+      clientName: order.clients.name,
+      clientEmail: order.clients.email,
+      serviceName,
+      orderId: order.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      creditNoteNumber: refund.creditnote_number,
+      reason: refund.reason,
+      fullRefund: refund.fullRefund
+    }, { clientId: order.client_id, orderId: order.id });
+  }
+};
+
+/**
+ * Refund a paid order in full (`amount` null) or in part. Creates and
+ * refunds a Zoho credit note, records the refund and moves the order to
+ * `refunded` or `partially_refunded`. A failure after the refund row is
+ * written leaves it `failed` with the credit note id, if one was created,
+ * so staff can finish the refund in Zoho.
+ */
+const issueRefund = async ({ orderId, amount = null, reason = '', refundMode = 'banktransfer', date, staffId }) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to issue refunds');
+  }
+
+  const order = await loadRefundableOrder(supabase, orderId);
+  const invoiceData = await zoho.get(`/invoices/${order.zoho_invoice_id}`);
+  const invoice = invoiceData.invoice;
+  // Amounts below are in the invoice's currency, which can differ from the order's
+  const currency = invoice.currency_code || order.currency;
+
+  const paid = round(Number(invoice.total) - Number(invoice.balance || 0));
+  const alreadyRefunded = await sumRefunds(supabase, orderId);
+  const remaining = round(paid - alreadyRefunded);
+  const refundAmount = amount === null ? remaining : amount;
+
+  if (remaining <= 0) {
+    throw new HttpError(409, `Order ${orderId} has already been refunded in full`);
+  }
+  if (refundAmount > remaining) {
+    throw new HttpError(409, `Only ${formatAmount(remaining, currency)} of order ${orderId} can still be refunded`);
+  }
+
+  const { data: refund, error: insertError } = await supabase
+    .from('refunds')
+    .insert([{
+      order_id: orderId,
+      client_id: order.client_id,
+      amount: refundAmount,
+      currency,
+      reason,
+      status: 'pending',
+      refunded_by: staffId || null
+    }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  const failRefund = async (message, fields = {}) => {
+    await supabase
+      .from('refunds')
+      .update({ ...fields, status: 'failed', error: message })
+      .eq('id', refund.id);
+  };
+
+  // Two refunds started at once could together exceed what was paid
+  if (await sumRefunds(supabase, orderId) > paid) {
+    await failRefund('Another refund for this order was in progress');
+    throw new HttpError(409, 'Another refund for this order is in progress');
+  }
+
+  const isFullRefund = alreadyRefunded === 0 && refundAmount === paid && paid === round(Number(invoice.total));
+  const context = { ...refund, date, refundMode, amount: refundAmount };
+
+  log('info', 'Issuing refund', { orderId, refundId: refund.id, amount: refundAmount, isFullRefund });
+
+  let creditNote = null;
+  try {
+    creditNote = await createCreditNote(invoice, context, isFullRefund);
+    const zohoRefund = await refundCreditNote(creditNote, context);
+
+    const { data: completed, error: updateError } = await supabase
+      .from('refunds')
+      .update({
+        status: 'completed',
+        amount: creditNote.total,
+        zoho_creditnote_id: creditNote.creditnote_id,
+        creditnote_number: creditNote.creditnote_number,
+        zoho_refund_id: zohoRefund.creditnote_refund_id || zohoRefund.refund_id || null
+      })
+      .eq('id', refund.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    Object.assign(refund, completed);
+  } catch (error) {
+    log('error', 'Refund failed', { orderId, refundId: refund.id, creditNoteId: creditNote?.creditnote_id, error: error.message });
+    await failRefund(error.message, creditNote ? {
+      zoho_creditnote_id: creditNote.creditnote_id,
+      creditnote_number: creditNote.creditnote_number
+    } : {});
+    throw error;
+  }
+
+  const refundedAmount = await sumRefunds(supabase, orderId);
+  const status = refundedAmount >= paid ? 'refunded' : 'partially_refunded';
+
+  const { error: orderError } = await supabase
+    .from('orders')
+    .update({ status, refunded_amount: refundedAmount, updated_at: new Date().toISOString() })
+    .eq('id', orderId);
+
+  if (orderError) throw orderError;
+
+  log('info', 'Refund completed', { orderId, refundId: refund.id, creditNoteId: refund.zoho_creditnote_id, status });
+
+  await notifyRefund(order, { ...refund, fullRefund: status === 'refunded' });
+
+  return {
+    refund: {
+      id: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      creditnote_id: refund.zoho_creditnote_id,
+      creditnote_number: refund.creditnote_number
+    },
+    order: { id: orderId, status, refunded_amount: refundedAmount }
+  };
+};
+
+/**
+ * Record a refund of a customer payment made directly in Zoho, outside
+ * `issueRefund`. The refund is matched to its order through the payment
+ * ledger and counted like any other completed refund. Returns null when the
+ * payment is not ours or the refund was recorded already.
+ */
+const recordZohoRefund = async (data) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to record refunds');
+  }
+
+  const refundId = data.refund_id || data.payment_refund_id;
+  if (refundId) {
+    const { data: existing, error } = await supabase
+      .from('refunds')
+      .select('id')
+      .eq('zoho_refund_id', refundId)
+      .maybeSingle();
+    if (error) throw error;
+    if (existing) {
+      log('info', 'Zoho refund already recorded', { refundId });
+      return null;
+    }
+  }
+
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .select('order_id, amount')
+    .eq('zoho_payment_id', data.payment_id)
+    .maybeSingle();
+
+  if (paymentError) throw paymentError;
+  if (!payment || !payment.order_id) {
+    log('warning', 'Refunded payment has no order', { paymentId: data.payment_id });
+    return null;
+  }
+
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('id, client_id, status, currency, amount_paid, description, clients(name, email), services(name)')
+    .eq('id', payment.order_id)
+    .single();
+
+  if (orderError) throw orderError;
+
+  const { data: refund, error: insertError } = await supabase
+    .from('refunds')
+    .insert([{
+      order_id: order.id,
+      client_id: order.client_id,
+      amount: round(Number(data.amount ?? payment.amount)),
+      currency: data.currency_code || order.currency,
+      reason: data.description || 'Refunded in Zoho',
+      status: 'completed',
+      zoho_refund_id: refundId || null
+    }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  const refundedAmount = await sumRefunds(supabase, order.id);
+  const status = refundedAmount >= Number(order.amount_paid || 0) ? 'refunded' : 'partially_refunded';
+
+  const { error: updateError } = await supabase
+    .from('orders')
+    .update({ status, refunded_amount: refundedAmount, updated_at: new Date().toISOString() })
+    .eq('id', order.id);
+
+  if (updateError) throw updateError;
+
+  log('info', 'Zoho refund recorded', { orderId: order.id, refundId: refund.id, zohoRefundId: refundId, status });
+
+  const serviceName = order.services?.name || order.description || 'your order';
+  await notifyClient(order.client_id, {
+    title: 'Refund Issued',
+    message: `We have refunded ${formatAmount(refund.amount, refund.currency)} for ${serviceName}.`,
+    type: 'info',
+    category: 'billing'
+  });
+
+  return { refund, order: { id: order.id, status, refunded_amount: refundedAmount } };
+};
+
+module.exports = {
+  issueRefund,
+  recordZohoRefund
+};
@@ -0,0 +1,531 @@
+// Monthly and annual plans billed through Zoho recurring invoices. Zoho raises
+// an invoice each period; the `subscriptions` row follows it through the
+// webhook (paid → active, failed or overdue → past_due).
+const zoho = require('./zohoClient');
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+const { getUsdRates } = require('./exchangeRates');
+const { notifyClient } = require('./notifications');
+const { determineTax, loadTaxProfile, toZohoInvoiceFields } = require('./taxEngine');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const BILLING_INTERVALS = {
+  monthly: { label: 'Monthly', frequency: 'months', months: 1 },
+  annual: { label: 'Annual', frequency: 'years', months: 12 }
+};
+
+const SUBSCRIPTION_CURRENCIES = ['USD', 'INR', 'AUD'];
+
+// Subscriptions that still bill or are still in service
+const LIVE_STATUSES = ['incomplete', 'active', 'past_due'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const tierLabel = (packageType) => packageType.charAt(0).toUpperCase() + packageType.slice(1);
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+
+// Dates are YYYY-MM-DD in UTC. Month ends clamp, so Jan 31 + 1 month is Feb 28.
+const addInterval = (date, interval) => {
+  const start = new Date(`${date}T00:00:00Z`);
+  const months = start.getUTCMonth() + BILLING_INTERVALS[interval].months;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), months + 1, 0)).getUTCDate();
+  const end = new Date(Date.UTC(start.getUTCFullYear(), months, Math.min(start.getUTCDate(), lastDay)));
+  return end.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to manage subscriptions');
+  }
+  return supabase;
+};
+
+const loadPlan = async (supabase, serviceId, packageType, interval) => {
+  if (!BILLING_INTERVALS[interval]) {
+    throw new HttpError(400, `billingInterval must be one of: ${Object.keys(BILLING_INTERVALS).join(', ')}`);
+  }
+
+  const { data: plan, error } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('service_id', serviceId)
+    .eq('package_type', packageType)
+    .eq('billing_interval', interval)
+    .eq('active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!plan) {
+    throw new HttpError(404, `There is no ${interval} ${packageType} plan for ${serviceId}`);
+  }
+  return plan;
+};
+
+// Plans are priced in USD; other currencies use today's rate and keep it
+// until the tier changes
+const planAmount = async (plan, currency) => {
+  const rates = await getUsdRates();
+  if (!rates[currency]) {
+    throw new Error(`No exchange rate for ${currency}`);
+  }
+  return round(Number(plan.price_usd) * rates[currency]);
+};
+
+const loadClientSubscription = async (supabase, clientId, subscriptionId) => {
+  if (!subscriptionId) throw new HttpError(400, 'subscriptionId is required');
+
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('id', subscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!subscription || subscription.client_id !== clientId) {
+    throw new HttpError(404, `Subscription ${subscriptionId} not found`);
+  }
+  return subscription;
+};
+
+const recurringLineItem = (plan, amount, taxDecision) => ({
+  name: `${plan.service_name} - ${tierLabel(plan.package_type)}`,
+  description: `${BILLING_INTERVALS[plan.billing_interval].label} subscription`,
+  rate: amount,
+  quantity: 1,
+  ...taxDecision.lineItemFields
+});
+
+/**
+ * Start a subscription: the row is written first so a client cannot hold
+ * two live subscriptions to one service, then the Zoho recurring invoice is
+ * created starting today. Zoho raises the first invoice straight away and
+ * the subscription becomes active once it is paid.
+ */
+const createSubscription = async ({ clientId, customerId, serviceId, packageType, interval, currency, taxDecision }) => {
+  const supabase = requireSupabase();
+  if (!SUBSCRIPTION_CURRENCIES.includes(currency)) {
+    throw new HttpError(400, `currency must be one of: ${SUBSCRIPTION_CURRENCIES.join(', ')}`);
+  }
+
+  const plan = await loadPlan(supabase, serviceId, packageType, interval);
+  const amount = await planAmount(plan, currency);
+
+  const { data: subscription, error: insertError } = await supabase
+    .from('subscriptions')
+    .insert([{
+      client_id: clientId,
+      service_id: serviceId,
+      package_type: packageType,
+      billing_interval: interval,
+      currency,
+      amount,
+      status: 'incomplete',
+      zoho_customer_id: customerId
+    }])
+    .select()
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      throw new HttpError(409, `You already have a ${plan.service_name} subscription; change its tier instead`);
+    }
+    throw insertError;
+  }
+
+  const startDate = today();
+  log('info', 'Creating Zoho recurring invoice', { subscriptionId: subscription.id, serviceId, packageType, interval });
+
+  try {
+    const data = await zoho.post('/recurringinvoices', {
+      recurrence_name: `${plan.service_name} ${tierLabel(packageType)} ${subscription.id.slice(0, 8)}`,
+      customer_id: customerId,
+      reference_number: subscription.id,
+      start_date: startDate,
+      recurrence_frequency: BILLING_INTERVALS[interval].frequency,
+      repeat_every: 1,
+      currency_code: currency,
+      ...toZohoInvoiceFields(taxDecision),
+      line_items: [recurringLineItem(plan, amount, taxDecision)],
+      notes: `Subscription ID: ${subscription.id}`
+    }, { timeout: 20000 });
+    const recurring = data.recurring_invoice;
+
+    const { data: saved, error: updateError } = await supabase
+      .from('subscriptions')
+      .update({
+        zoho_recurring_invoice_id: recurring.recurrence_id,
+        current_period_start: startDate,
+        current_period_end: recurring.next_invoice_date || addInterval(startDate, interval)
+      })
+      .eq('id', subscription.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    log('info', 'Subscription created', { subscriptionId: saved.id, recurringInvoiceId: recurring.recurrence_id });
+    return saved;
+  } catch (error) {
+    // Nothing was billed yet, so the client can simply try again
+    log('error', 'Failed to create recurring invoice', { subscriptionId: subscription.id, error: error.message });
+    await supabase.from('subscriptions').delete().eq('id', subscription.id).is('zoho_recurring_invoice_id', null);
+    throw error;
+  }
+};
+
+// Price difference for the rest of the current period; negative for downgrades
+const prorate = (subscription, newAmount) => {
+  const periodDays = daysBetween(subscription.current_period_start, subscription.current_period_end);
+  const daysLeft = Math.min(Math.max(daysBetween(today(), subscription.current_period_end), 0), periodDays);
+
+  return {
+    amount: periodDays > 0 ? round((newAmount - Number(subscription.amount)) * daysLeft / periodDays) : 0,
+    daysLeft,
+    periodDays
+  };
+};
+
+/**
+ * Work out a tier change for an active subscription. The caller charges a
+ * positive proration and holds the change with `holdTierChange` until it is
+ * paid; a negative one is credited by `applyTierChange` itself.
+ */
+const quoteTierChange = async (clientId, subscriptionId, packageType) => {
+  const supabase = requireSupabase();
+  const subscription = await loadClientSubscription(supabase, clientId, subscriptionId);
+
+  if (subscription.status !== 'active') {
+    throw new HttpError(409, `This subscription is ${subscription.status.replace('_', ' ')}; settle its open invoice before changing tier`);
+  }
+  if (subscription.cancel_at_period_end) {
+    throw new HttpError(409, 'This subscription is set to cancel at the end of the period');
+  }
+  if (subscription.package_type === packageType) {
+    throw new HttpError(409, `This subscription is already on the ${packageType} tier`);
+  }
+  if (subscription.pending_order_id) {
+    throw new HttpError(409, `The upgrade to ${tierLabel(subscription.pending_package_type)} is waiting for its invoice to be paid`);
+  }
+
+  const plan = await loadPlan(supabase, subscription.service_id, packageType, subscription.billing_interval);
+  const amount = await planAmount(plan, subscription.currency);
+
+  return { subscription, plan, amount, proration: prorate(subscription, amount) };
+};
+
+// Unused time on the old tier becomes an open Zoho credit, applied to the
+// client's next invoices
+const creditDowngrade = async (subscription, plan, proration, taxDecision) => {
+  const data = await zoho.post('/creditnotes', {
+    customer_id: subscription.zoho_customer_id,
+    reference_number: subscription.id,
+    date: today(),
+    currency_code: subscription.currency,
+    ...toZohoInvoiceFields(taxDecision),
+    line_items: [{
+      name: `${plan.service_name} - ${tierLabel(plan.package_type)} downgrade`,
+      description: `Unused ${tierLabel(subscription.package_type)} time, ${proration.daysLeft} of ${proration.periodDays} days`,
+      rate: Math.abs(proration.amount),
+      quantity: 1,
+      ...taxDecision.lineItemFields
+    }],
+    notes: `Subscription ID: ${subscription.id}`
+  });
+
+  return data.creditnote;
+};
+
+const applyTierChange = async ({ subscription, plan, amount, proration }, taxDecision) => {
+  const supabase = requireSupabase();
+
+  log('info', 'Changing subscription tier', {
+    subscriptionId: subscription.id,
+    from: subscription.package_type,
+    to: plan.package_type,
+    proration: proration.amount
+  });
+
+  const creditNote = proration.amount < 0
+    ? await creditDowngrade(subscription, plan, proration, taxDecision)
+    : null;
+
+  await zoho.put(`/recurringinvoices/${subscription.zoho_recurring_invoice_id}`, {
+    recurrence_name: `${plan.service_name} ${tierLabel(plan.package_type)} ${subscription.id.slice(0, 8)}`,
+    customer_id: subscription.zoho_customer_id,
+    ...toZohoInvoiceFields(taxDecision),
+    line_items: [recurringLineItem(plan, amount, taxDecision)]
+  });
+
+  const { data: updated, error } = await supabase
+    .from('subscriptions')
+    .update({
+      package_type: plan.package_type,
+      amount,
+      pending_package_type: null,
+      pending_amount: null,
+      pending_order_id: null
+    })
+    .eq('id', subscription.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return {
+    subscription: updated,
+    credit_note: creditNote && {
+      creditnote_id: creditNote.creditnote_id,
+      creditnote_number: creditNote.creditnote_number,
+      total: creditNote.total
+    }
+  };
+};
+
+/**
+ * Park an upgrade until the order for its prorated invoice is paid. The
+ * subscription keeps its current tier; `applyPaidUpgrade` moves it.
+ */
+const holdTierChange = async ({ subscription, plan, amount }, orderId) => {
+  const { data: updated, error } = await requireSupabase()
+    .from('subscriptions')
+    .update({ pending_package_type: plan.package_type, pending_amount: amount, pending_order_id: orderId })
+    .eq('id', subscription.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  log('info', 'Subscription upgrade waiting for payment', { subscriptionId: subscription.id, to: plan.package_type, orderId });
+  return updated;
+};
+
+const findPendingUpgrade = async (supabase, orderId) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('pending_order_id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * The order for a prorated upgrade invoice was paid: move the subscription
+ * and its recurring invoice to the new tier. Returns null when the order is
+ * not an upgrade or the upgrade was applied already, so replays are safe.
+ */
+const applyPaidUpgrade = async (orderId) => {
+  const supabase = requireSupabase();
+  const subscription = await findPendingUpgrade(supabase, orderId);
+  if (!subscription) return null;
+
+  const plan = await loadPlan(supabase, subscription.service_id, subscription.pending_package_type, subscription.billing_interval);
+  const taxDecision = determineTax(await loadTaxProfile(subscription.client_id));
+  const { subscription: updated } = await applyTierChange({
+    subscription,
+    plan,
+    amount: Number(subscription.pending_amount),
+    proration: prorate(subscription, Number(subscription.pending_amount))
+  }, taxDecision);
+
+  await notifyClient(subscription.client_id, {
+    title: 'Subscription Upgraded',
+    message: `Thanks for your payment. ${plan.service_name} is now on the ${tierLabel(plan.package_type)} tier at ${formatAmount(updated.amount, updated.currency)} per billing period.`,
+    type: 'success',
+    category: 'billing'
+  });
+
+  return updated;
+};
+
+// The upgrade invoice was voided or deleted, so the client stays on their tier
+const dropPendingUpgrade = async (orderId) => {
+  const supabase = requireSupabase();
+  const subscription = await findPendingUpgrade(supabase, orderId);
+  if (!subscription) return null;
+
+  const { error } = await supabase
+    .from('subscriptions')
+    .update({ pending_package_type: null, pending_amount: null, pending_order_id: null })
+    .eq('id', subscription.id);
+
+  if (error) throw error;
+
+  log('info', 'Subscription upgrade dropped', { subscriptionId: subscription.id, orderId });
+  return subscription;
+};
+
+/**
+ * Stop billing and keep the service until the paid period ends. Zoho's
+ * recurring invoice is stopped now; the row turns `cancelled` once
+ * `current_period_end` has passed.
+ */
+const cancelAtPeriodEnd = async (clientId, subscriptionId) => {
+  const supabase = requireSupabase();
+  const subscription = await loadClientSubscription(supabase, clientId, subscriptionId);
+
+  if (subscription.status === 'cancelled' || subscription.cancel_at_period_end) {
+    return subscription;
+  }
+
+  log('info', 'Stopping Zoho recurring invoice', {
+    subscriptionId,
+    recurringInvoiceId: subscription.zoho_recurring_invoice_id
+  });
+  await zoho.post(`/recurringinvoices/${subscription.zoho_recurring_invoice_id}/status/stop`);
+
+  // Nothing was paid yet, so there is no period to run out
+  const fields = subscription.status === 'incomplete'
+    ? { status: 'cancelled', cancelled_at: new Date().toISOString() }
+    : { cancel_at_period_end: true };
+
+  const { data: updated, error } = await supabase
+    .from('subscriptions')
+    .update(fields)
+    .eq('id', subscriptionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+};
+
+// The client's subscriptions, closing any whose cancellation date has passed
+const listClientSubscriptions = async (clientId) => {
+  const supabase = requireSupabase();
+
+  const { error: expireError } = await supabase
+    .from('subscriptions')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+    .eq('client_id', clientId)
+    .eq('cancel_at_period_end', true)
+    .in('status', LIVE_STATUSES)
+    .lte('current_period_end', today());
+
+  if (expireError) throw expireError;
+
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const findByRecurringInvoice = async (supabase, recurringInvoiceId) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('zoho_recurring_invoice_id', recurringInvoiceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    log('warning', 'No subscription found for recurring invoice', { recurringInvoiceId });
+  }
+  return data;
+};
+
+/**
+ * A recurring invoice was paid: the period it opened becomes the current
+ * one. Replays of the same invoice leave the period where it is.
+ */
+const recordRecurringPayment = async (invoice) => {
+  const supabase = requireSupabase();
+  const subscription = await findByRecurringInvoice(supabase, invoice.recurring_invoice_id);
+  if (!subscription || subscription.status === 'cancelled') return null;
+  if (subscription.last_invoice_id === invoice.invoice_id && subscription.status === 'active') {
+    return subscription;
+  }
+
+  const periodStart = invoice.date || today();
+  const { data: updated, error } = await supabase
+    .from('subscriptions')
+    .update({
+      status: 'active',
+      current_period_start: periodStart,
+      current_period_end: addInterval(periodStart, subscription.billing_interval),
+      last_invoice_id: invoice.invoice_id,
+      last_payment_at: new Date().toISOString()
+    })
+    .eq('id', subscription.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  log('info', 'Subscription renewed', { subscriptionId: subscription.id, periodEnd: updated.current_period_end });
+
+  await notifyClient(subscription.client_id, {
+    title: 'Subscription Renewed',
+    message: `We received ${formatAmount(Number(invoice.total), subscription.currency)} for invoice ${invoice.invoice_number}. Your next billing date is ${updated.current_period_end}.`,
+    type: 'success',
+    category: 'billing'
+  });
+
+  return updated;
+};
+
+// A recurring invoice went overdue or its automatic charge failed
+const recordRecurringFailure = async (invoice) => {
+  const supabase = requireSupabase();
+  const subscription = await findByRecurringInvoice(supabase, invoice.recurring_invoice_id);
+  if (!subscription) return null;
+  // An unpaid first invoice leaves it incomplete, and an invoice that was
+  // already paid cannot put it past due
+  if (subscription.status !== 'active' || subscription.last_invoice_id === invoice.invoice_id) {
+    return subscription;
+  }
+
+  const { data: updated, error } = await supabase
+    .from('subscriptions')
+    .update({ status: 'past_due' })
+    .eq('id', subscription.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  log('warning', 'Subscription past due', { subscriptionId: subscription.id, invoiceId: invoice.invoice_id });
+
+  await notifyClient(subscription.client_id, {
+    title: 'Subscription Payment Due',
+    message: `We could not collect payment for invoice ${invoice.invoice_number}. Please pay it from your invoices page to keep your subscription active.`,
+    type: 'warning',
+    category: 'billing'
+  });
+
+  return updated;
+};
+
+module.exports = {
+  BILLING_INTERVALS,
+  tierLabel,
+  createSubscription,
+  quoteTierChange,
+  applyTierChange,
+  holdTierChange,
+  applyPaidUpgrade,
+  dropPendingUpgrade,
+  cancelAtPeriodEnd,
+  listClientSubscriptions,
+  recordRecurringPayment,
+  recordRecurringFailure
+};
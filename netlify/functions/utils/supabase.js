@@ -0,0 +1,24 @@
+// Shared service-role Supabase client for server-side functions
+const { createClient } = require('@supabase/supabase-js');
+
+let supabaseAdmin = null;
+
+// Returns null when Supabase is not configured so callers can degrade gracefully
+const getSupabaseAdmin = () => {
+  if (supabaseAdmin) return supabaseAdmin;
+
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !serviceRoleKey) {
+    return null;
+  }
+
+  supabaseAdmin = createClient(url, serviceRoleKey, {
+    auth: { persistSession: false }
+  });
+
+  return supabaseAdmin;
+};
+
+module.exports = { getSupabaseAdmin };
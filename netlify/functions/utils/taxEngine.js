@@ -0,0 +1,188 @@
+// GST for invoices issued by Mechinweb (registered in India). Services to a
+// client in the same state carry CGST + SGST, to another state IGST, and
+// exports of services to clients outside India are zero-rated.
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const GST_RATE = 18;
+
+// SAC for IT consulting and support services
+const DEFAULT_SAC_CODE = '998313';
+
+// First two digits of a GSTIN -> Zoho place_of_supply code
+const GST_STATE_CODES = {
+  '01': 'JK', '02': 'HP', '03': 'PB', '04': 'CH', '05': 'UK', '06': 'HR',
+  '07': 'DL', '08': 'RJ', '09': 'UP', '10': 'BR', '11': 'SK', '12': 'AR',
+  '13': 'NL', '14': 'MN', '15': 'MZ', '16': 'TR', '17': 'ML', '18': 'AS',
+  '19': 'WB', '20': 'JH', '21': 'OD', '22': 'CG', '23': 'MP', '24': 'GJ',
+  '25': 'DD', '26': 'DN', '27': 'MH', '29': 'KA', '30': 'GA', '31': 'LD',
+  '32': 'KL', '33': 'TN', '34': 'PY', '35': 'AN', '36': 'TS', '37': 'AP',
+  '38': 'LA'
+};
+
+const STATES = new Set(Object.values(GST_STATE_CODES));
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const normalizeGstin = (gstin) => (gstin || '').replace(/\s+/g, '').toUpperCase();
+
+const isValidGstin = (gstin) => {
+  const value = normalizeGstin(gstin);
+  return GSTIN_PATTERN.test(value) && !!GST_STATE_CODES[value.slice(0, 2)];
+};
+
+// Home state and the Zoho taxes to apply; ids come from Settings -> Taxes in Zoho
+const getTaxConfig = () => {
+  const config = {
+    homeState: (process.env.GST_HOME_STATE || '').toUpperCase(),
+    sacCode: process.env.GST_SAC_CODE || DEFAULT_SAC_CODE,
+    intraStateTaxId: process.env.ZOHO_TAX_ID_GST,
+    interStateTaxId: process.env.ZOHO_TAX_ID_IGST,
+    exportExemptionId: process.env.ZOHO_TAX_EXEMPTION_ID_EXPORT
+  };
+
+  const missing = [];
+  if (!STATES.has(config.homeState)) missing.push('GST_HOME_STATE');
+  if (!config.intraStateTaxId) missing.push('ZOHO_TAX_ID_GST');
+  if (!config.interStateTaxId) missing.push('ZOHO_TAX_ID_IGST');
+  if (missing.length > 0) {
+    throw new Error(`Missing tax configuration: ${missing.join(', ')}`);
+  }
+
+  return config;
+};
+
+/**
+ * Decide how an invoice is taxed. `profile` is `{ countryCode, stateCode,
+ * gstin }`; a GSTIN fixes the state. Clients without a known state are
+ * charged as if in the home state, which is the place of supply for
+ * services when the recipient's address is unknown. Clients without a
+ * country are treated as Indian.
+ */
+const determineTax = (profile = {}) => {
+  const config = getTaxConfig();
+  const countryCode = (profile.countryCode || 'IN').toUpperCase();
+
+  if (countryCode !== 'IN') {
+    return {
+      treatment: 'export',
+      gstTreatment: 'overseas',
+      placeOfSupply: null,
+      gstin: null,
+      rate: 0,
+      components: [],
+      lineItemFields: {
+        hsn_or_sac: config.sacCode,
+        ...(config.exportExemptionId && { tax_exemption_id: config.exportExemptionId })
+      }
+    };
+  }
+
+  let gstin = null;
+  let stateCode = (profile.stateCode || '').toUpperCase();
+  if (profile.gstin) {
+    gstin = normalizeGstin(profile.gstin);
+    if (!isValidGstin(gstin)) {
+      throw new HttpError(422, `Invalid GSTIN: ${profile.gstin}`);
+    }
+    stateCode = GST_STATE_CODES[gstin.slice(0, 2)];
+  }
+  if (!STATES.has(stateCode)) {
+    stateCode = config.homeState;
+  }
+
+  const intraState = stateCode === config.homeState;
+  return {
+    treatment: intraState ? 'intra_state' : 'inter_state',
+    gstTreatment: gstin ? 'business_gst' : 'consumer',
+    placeOfSupply: stateCode,
+    gstin,
+    rate: GST_RATE,
+    components: intraState
+      ? [{ name: 'CGST', rate: GST_RATE / 2 }, { name: 'SGST', rate: GST_RATE / 2 }]
+      : [{ name: 'IGST', rate: GST_RATE }],
+    lineItemFields: {
+      hsn_or_sac: config.sacCode,
+      tax_id: intraState ? config.intraStateTaxId : config.interStateTaxId
+    }
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Tax on a pre-tax amount, split per component the way it is printed
+const computeTax = (subtotal, decision) => {
+  const breakdown = decision.components.map(component => ({
+    name: component.name,
+    rate: component.rate,
+    amount: round(subtotal * component.rate / 100)
+  }));
+  const taxAmount = round(breakdown.reduce((sum, component) => sum + component.amount, 0));
+
+  return {
+    subtotal: round(subtotal),
+    tax_amount: taxAmount,
+    total: round(subtotal + taxAmount),
+    breakdown
+  };
+};
+
+// Invoice-level fields Zoho needs to print the right GST details
+const toZohoInvoiceFields = (decision) => ({
+  gst_treatment: decision.gstTreatment,
+  ...(decision.placeOfSupply && { place_of_supply: decision.placeOfSupply }),
+  ...(decision.gstin && { gst_no: decision.gstin })
+});
+
+// Columns recorded on the order (and copied to the invoice row once paid)
+const toOrderTaxFields = (decision, tax) => ({
+  tax_treatment: decision.treatment,
+  place_of_supply: decision.placeOfSupply,
+  tax_amount: tax.tax_amount,
+  tax_breakdown: tax.breakdown
+});
+
+// The client's own country wins over the one detected from their location
+const loadTaxProfile = async (clientId) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !clientId) return {};
+
+  const { data: client, error } = await supabase
+    .from('clients')
+    .select('country_code, state_code, gstin')
+    .eq('id', clientId)
+    .maybeSingle();
+  if (error) throw error;
+
+  let countryCode = client?.country_code || null;
+  if (!countryCode) {
+    const { data: preferences } = await supabase
+      .from('user_preferences')
+      .select('country_code')
+      .eq('user_id', clientId)
+      .maybeSingle();
+    countryCode = preferences?.country_code || null;
+  }
+
+  log('info', 'Loaded tax profile', { clientId, countryCode, hasGstin: !!client?.gstin });
+  return {
+    countryCode,
+    stateCode: client?.state_code || null,
+    gstin: client?.gstin || null
+  };
+};
+
+module.exports = {
+  GST_RATE,
+  isValidGstin,
+  determineTax,
+  computeTax,
+  toZohoInvoiceFields,
+  toOrderTaxFields,
+  loadTaxProfile
+};
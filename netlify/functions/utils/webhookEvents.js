@@ -0,0 +1,143 @@
+// Log of incoming webhook events in `webhook_events`. Every delivery is
+// stored with its payload before it is processed, and the dedupe key makes
+// Zoho's retries of an event acknowledge the first run instead of repeating
+// its side effects. Events whose processing throws are dead-lettered until
+// Zoho retries them or staff replay them (utils/webhookReplay.js).
+const crypto = require('crypto');
+const { getSupabaseAdmin } = require('./supabase');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+// A delivery still `processing` after this long is assumed to have died
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to log webhook events');
+  }
+  return supabase;
+};
+
+// JSON with sorted keys, so the same data always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const deriveDedupeKey = (webhookData) => {
+  const eventId = webhookData.event_id || webhookData.data?.event_id;
+  if (eventId) return `zoho:${eventId}`;
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${webhookData.event_type}:${stableStringify(webhookData.data)}`)
+    .digest('hex');
+  return `zoho:${webhookData.event_type}:${hash}`;
+};
+
+// Take over a dead-lettered or abandoned delivery. The status and attempt
+// count act as a version, so only one concurrent retry or replay wins.
+const reclaimEvent = async (supabase, existing) => {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({ status: 'processing', attempts: existing.attempts + 1, error: null })
+    .eq('id', existing.id)
+    .eq('status', existing.status)
+    .eq('attempts', existing.attempts)
+    .select();
+
+  if (error) throw error;
+  return data && data[0] ? data[0] : null;
+};
+
+/**
+ * Store an incoming event and claim it for processing. Returns
+ * `{ event, duplicate: false }` when the caller should process it, or
+ * `{ event, duplicate: true, inProgress }` when it was processed already
+ * (`inProgress` false) or another delivery is processing it now.
+ */
+const beginWebhookEvent = async (webhookData) => {
+  const supabase = requireSupabase();
+  const dedupeKey = deriveDedupeKey(webhookData);
+
+  const { data: event, error } = await supabase
+    .from('webhook_events')
+    .insert([{
+      source: 'zoho',
+      event_type: webhookData.event_type,
+      dedupe_key: dedupeKey,
+      payload: webhookData,
+      status: 'processing',
+      attempts: 1
+    }])
+    .select()
+    .single();
+
+  if (!error) return { event, duplicate: false };
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: loadError } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('dedupe_key', dedupeKey)
+    .single();
+
+  if (loadError) throw loadError;
+
+  if (existing.status === 'processed') {
+    log('info', 'Webhook event already processed', { eventId: existing.id, dedupeKey });
+    return { event: existing, duplicate: true, inProgress: false };
+  }
+
+  const abandoned = Date.now() - new Date(existing.updated_at).getTime() > PROCESSING_TIMEOUT_MS;
+  if (existing.status === 'processing' && !abandoned) {
+    return { event: existing, duplicate: true, inProgress: true };
+  }
+
+  const reclaimed = await reclaimEvent(supabase, existing);
+  if (!reclaimed) {
+    return { event: existing, duplicate: true, inProgress: true };
+  }
+
+  log('info', 'Retrying webhook event', { eventId: reclaimed.id, attempts: reclaimed.attempts });
+  return { event: reclaimed, duplicate: false };
+};
+
+const completeWebhookEvent = async (eventId) => {
+  const { error } = await requireSupabase()
+    .from('webhook_events')
+    .update({ status: 'processed', processed_at: new Date().toISOString(), error: null })
+    .eq('id', eventId);
+
+  if (error) log('error', 'Failed to mark webhook event processed', { eventId, error });
+};
+
+// Park an event whose processing threw, with the error, until it is replayed
+const deadLetterWebhookEvent = async (eventId, processingError) => {
+  const { error } = await requireSupabase()
+    .from('webhook_events')
+    .update({
+      status: 'dead_letter',
+      error: processingError.message || String(processingError),
+      dead_lettered_at: new Date().toISOString()
+    })
+    .eq('id', eventId);
+
+  if (error) log('error', 'Failed to dead-letter webhook event', { eventId, error });
+};
+
+module.exports = {
+  PROCESSING_TIMEOUT_MS,
+  deriveDedupeKey,
+  reclaimEvent,
+  beginWebhookEvent,
+  completeWebhookEvent,
+  deadLetterWebhookEvent
+};
@@ -0,0 +1,269 @@
+// Processing for verified Zoho webhook events, shared by the zohoWebhook
+// function and webhook replays from webhookAdmin
+const zoho = require('./zohoClient');
+const {
+  recordRecurringPayment,
+  recordRecurringFailure,
+  applyPaidUpgrade,
+  dropPendingUpgrade
+} = require('./subscriptions');
+const {
+  recordOrderPayment,
+  recordInvoicePayments,
+  recordSubscriptionPayment,
+  removeOrderPayment,
+  cancelInvoiceOrder
+} = require('./payments');
+const { recordZohoRefund } = require('./refunds');
+const {
+  handleEstimateAccepted,
+  handleEstimateDeclined,
+  handleEstimateExpired
+} = require('./estimates');
+const { applyContactUpdate } = require('./zohoContacts');
+const { notifyClient, sendClientEmail } = require('./notifications');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+
+// Older payment events name the invoice but not the payment. The ledger
+// needs a payment id to record a payment only once, so for those events the
+// payments come from Zoho's copy of the invoice, which lists each with its id.
+const paymentsInEvent = async (data) => {
+  if (data.payment_id) return [data];
+
+  const { invoice } = await zoho.get(`/invoices/${data.invoice_id}`);
+  return (invoice.payments || []).map(payment => ({
+    ...data,
+    currency_code: data.currency_code || invoice.currency_code,
+    payment_id: payment.payment_id,
+    amount: payment.amount,
+    payment_mode: payment.payment_mode,
+    payment_date: payment.date
+  }));
+};
+
+// Handle payment received webhook
+const handlePaymentReceived = async (webhookData) => {
+  try {
+    const { invoice_id, invoice_number, total } = webhookData.data;
+    
+    log('info', 'Processing payment received webhook', {
+      invoiceId: invoice_id,
+      invoiceNumber: invoice_number,
+      paymentId: webhookData.data.payment_id,
+      total
+    });
+
+    const payments = await paymentsInEvent(webhookData.data);
+
+    // Invoices raised by a subscription's recurring profile have no order
+    if (webhookData.data.recurring_invoice_id) {
+      const subscription = await recordRecurringPayment(webhookData.data);
+      if (!subscription) return;
+      for (const payment of payments) {
+        await recordSubscriptionPayment(payment, subscription);
+      }
+      return;
+    }
+
+    let recorded = null;
+    for (const payment of payments) {
+      recorded = await recordOrderPayment(payment);
+      if (!recorded) return;
+    }
+    if (!recorded) {
+      log('warning', 'Payment event names no payment we can record', { invoiceId: invoice_id });
+      return;
+    }
+
+    // Everything after the ledger write runs for replays too, so a failed
+    // attempt is finished on retry. A paid upgrade invoice moves its
+    // subscription to the new tier.
+    if (['paid', 'overpaid'].includes(recorded.status)) {
+      await applyPaidUpgrade(recorded.order.id);
+    }
+
+    // The client hears about each payment once, however often it is replayed
+    const { order, payment, status } = recorded;
+    const dedupeKey = `payment:${payment.id}`;
+    const amount = formatAmount(payment.amount, payment.currency);
+    const serviceName = order.services?.name || 'your order';
+
+    // Send notification to client
+    await notifyClient(order.client_id, status === 'partially_paid' ? {
+      title: 'Partial Payment Received',
+      message: `We received ${amount} for ${serviceName}. ${formatAmount(recorded.balance, payment.currency)} is still due on invoice ${invoice_number}.`,
+      type: 'info',
+      category: 'billing',
+      dedupeKey
+    } : {
+      title: 'Payment Confirmed',
+      message: `Payment received for ${serviceName}. Your service will begin shortly.`,
+      type: 'success',
+      category: 'billing',
+      dedupeKey
+    });
+
+    // Send confirmation email with the invoice and receipt as a PDF
+    if (order.clients) {
+      await sendClientEmail('payment_confirmation', {
+        clientName: order.clients.name,
+        clientEmail: order.clients.email,
+        serviceName: order.services?.name || 'Service',
+        packageType: order.package_type,
+        orderId: order.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        balance: recorded.balance,
+        lineItems: (webhookData.data.line_items || []).map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          total: item.item_total
+        }))
+      }, {
+        clientId: order.client_id,
+        orderId: order.id,
+        attachments: [{ type: 'invoice', orderId: order.id }],
+        dedupeKey
+      });
+    }
+
+    log('info', 'Payment webhook processed successfully', { orderId: order.id, status, duplicate: recorded.duplicate });
+  } catch (error) {
+    log('error', 'Error processing payment webhook', error);
+    throw error;
+  }
+};
+
+// Handle invoice status change
+const handleInvoiceStatusChange = async (webhookData) => {
+  try {
+    const { invoice_id, status } = webhookData.data;
+    
+    log('info', 'Processing invoice status change', {
+      invoiceId: invoice_id,
+      newStatus: status
+    });
+
+    if (webhookData.data.recurring_invoice_id) {
+      if (status === 'paid') await recordRecurringPayment(webhookData.data);
+      if (status === 'overdue') await recordRecurringFailure(webhookData.data);
+      return;
+    }
+
+    // The order status follows the payment ledger, never Zoho's invoice
+    // status. A paid invoice has its payments recorded from Zoho's copy of
+    // the invoice; a voided one cancels the order.
+    if (status === 'paid' || status === 'partially_paid') {
+      const { invoice } = await zoho.get(`/invoices/${invoice_id}`);
+      const recorded = await recordInvoicePayments(invoice);
+      if (!recorded) {
+        log('warning', 'Paid invoice lists no payments we can record, order left as is', { invoiceId: invoice_id });
+        return;
+      }
+      if (['paid', 'overpaid'].includes(recorded.status)) {
+        await applyPaidUpgrade(recorded.order.id);
+      }
+
+      log('info', 'Order balance updated from invoice payments', {
+        invoiceId: invoice_id,
+        orderId: recorded.order.id,
+        orderStatus: recorded.status
+      });
+      return;
+    }
+
+    if (status === 'void' || status === 'cancelled') {
+      const order = await cancelInvoiceOrder(webhookData.data);
+      if (order) await dropPendingUpgrade(order.id);
+      return;
+    }
+
+    log('info', 'Invoice status does not change the order', { invoiceId: invoice_id, status });
+  } catch (error) {
+    log('error', 'Error processing status change webhook', error);
+    throw error;
+  }
+};
+
+const handleInvoiceCancelled = async (webhookData, { deleted }) => {
+  const { invoice_id, invoice_number } = webhookData.data;
+
+  // Subscriptions follow their recurring profile, not single invoices
+  if (webhookData.data.recurring_invoice_id) {
+    log('info', 'Recurring invoice cancelled, subscription unchanged', { invoiceId: invoice_id, deleted });
+    return;
+  }
+
+  const order = await cancelInvoiceOrder(webhookData.data, { deleted });
+  if (!order) return;
+  await dropPendingUpgrade(order.id);
+
+  await notifyClient(order.client_id, {
+    title: 'Invoice Cancelled',
+    message: `Invoice ${invoice_number || invoice_id} for ${order.services?.name || order.description || 'your order'} has been cancelled and no longer needs to be paid.`,
+    type: 'info',
+    category: 'billing'
+  });
+};
+
+// A payment recorded by mistake and deleted in Zoho; the balance goes back up
+const handlePaymentDeleted = async (webhookData) => {
+  const removed = await removeOrderPayment(webhookData.data);
+  if (!removed || !removed.order) return;
+
+  await notifyClient(removed.order.client_id, {
+    title: 'Payment Reversed',
+    message: `A payment of ${formatAmount(removed.payment.amount, removed.payment.currency)} was removed from your account. ${formatAmount(removed.balance, removed.payment.currency)} is now due.`,
+    type: 'warning',
+    category: 'billing'
+  });
+};
+
+// Handlers by Zoho event type. Each takes the whole webhook body; a new
+// event type only needs an entry here.
+const HANDLERS = {
+  invoice_payment_received: handlePaymentReceived,
+  invoice_status_changed: handleInvoiceStatusChange,
+  // Automatic card charges for recurring invoices
+  invoice_payment_failed: async (webhookData) => {
+    if (webhookData.data.recurring_invoice_id) {
+      await recordRecurringFailure(webhookData.data);
+    }
+  },
+  invoice_created: async (webhookData) => {
+    log('info', 'Invoice created webhook received', webhookData.data);
+  },
+  invoice_voided: (webhookData) => handleInvoiceCancelled(webhookData, { deleted: false }),
+  invoice_deleted: (webhookData) => handleInvoiceCancelled(webhookData, { deleted: true }),
+  payment_refunded: (webhookData) => recordZohoRefund(webhookData.data),
+  payment_deleted: handlePaymentDeleted,
+  estimate_accepted: (webhookData) => handleEstimateAccepted(webhookData.data),
+  estimate_declined: (webhookData) => handleEstimateDeclined(webhookData.data),
+  estimate_expired: (webhookData) => handleEstimateExpired(webhookData.data),
+  contact_updated: (webhookData) => applyContactUpdate(webhookData.data)
+};
+
+// Route a verified event to its handler
+const processWebhookEvent = async (webhookData) => {
+  const handler = Object.prototype.hasOwnProperty.call(HANDLERS, webhookData.event_type)
+    ? HANDLERS[webhookData.event_type]
+    : null;
+
+  if (!handler) {
+    log('warning', 'Unhandled webhook event', { eventType: webhookData.event_type });
+    return;
+  }
+
+  await handler(webhookData);
+};
+
+module.exports = {
+  processWebhookEvent
+};
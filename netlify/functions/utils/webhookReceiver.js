@@ -0,0 +1,118 @@
+// The one place a Zoho webhook delivery is handled: signature check, event
+// log and dedupe, then processing. It knows nothing about HTTP frameworks;
+// the zohoWebhook function and the Supabase zoho-webhook edge function (which
+// forwards to it) only translate requests and responses.
+const { processWebhookEvent } = require('./webhookProcessor');
+const {
+  getWebhookSecret,
+  getToleranceSeconds,
+  verifyZohoWebhook
+} = require('./webhookSignature');
+const {
+  beginWebhookEvent,
+  completeWebhookEvent,
+  deadLetterWebhookEvent
+} = require('./webhookEvents');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const reply = (statusCode, body) => ({ statusCode, body });
+
+/**
+ * Handle one delivery. `headers` are the request headers as an object,
+ * `rawBody` the body exactly as received. Returns `{ statusCode, body }`
+ * with a JSON-serialisable body for the adapter to send.
+ */
+const receiveZohoWebhook = async ({ method, headers, rawBody, requestId }) => {
+  if (method !== 'POST') {
+    return reply(405, { error: 'Method not allowed' });
+  }
+
+  // Verify before parsing so an unsigned request cannot touch anything
+  const secret = getWebhookSecret();
+  if (!secret) {
+    log('error', 'ZOHO_WEBHOOK_SECRET is not set, rejecting webhook', { requestId });
+    return reply(500, { success: false, error: 'Webhook verification is not configured', requestId });
+  }
+
+  const verification = verifyZohoWebhook({
+    headers,
+    rawBody,
+    secret,
+    toleranceSeconds: getToleranceSeconds()
+  });
+
+  if (!verification.valid) {
+    log('warning', 'Rejected webhook with invalid signature', { requestId, reason: verification.reason });
+    return reply(401, { success: false, error: 'Invalid webhook signature', requestId });
+  }
+
+  // A body that cannot be parsed will not parse on a retry either
+  let webhookData;
+  try {
+    webhookData = JSON.parse(rawBody || '{}');
+  } catch {
+    log('warning', 'Rejected webhook with invalid JSON', { requestId });
+    return reply(400, { success: false, error: 'Invalid JSON in request body', requestId });
+  }
+
+  log('info', 'Webhook data parsed', {
+    eventType: webhookData?.event_type,
+    invoiceId: webhookData?.data?.invoice_id
+  });
+
+  if (!webhookData?.event_type || !webhookData.data) {
+    return reply(400, { success: false, error: 'Invalid webhook data structure', requestId });
+  }
+
+  try {
+    // Retries of an event that was already handled are acknowledged only
+    const logged = await beginWebhookEvent(webhookData);
+    if (logged.duplicate) {
+      return reply(logged.inProgress ? 409 : 200, {
+        success: !logged.inProgress,
+        duplicate: true,
+        message: logged.inProgress ? 'Event is being processed' : 'Event already processed',
+        eventId: logged.event.id,
+        requestId
+      });
+    }
+
+    try {
+      await processWebhookEvent(webhookData);
+    } catch (error) {
+      // Kept for staff to replay from webhookAdmin; Zoho may also retry
+      await deadLetterWebhookEvent(logged.event.id, error);
+      throw error;
+    }
+    await completeWebhookEvent(logged.event.id);
+
+    return reply(200, {
+      success: true,
+      message: 'Webhook processed successfully',
+      requestId,
+      eventType: webhookData.event_type,
+      eventId: logged.event.id
+    });
+  } catch (error) {
+    log('error', 'Webhook processing error', {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return reply(500, {
+      success: false,
+      error: error.message,
+      requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  receiveZohoWebhook
+};
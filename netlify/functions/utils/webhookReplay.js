@@ -0,0 +1,156 @@
+// Staff tools for dead-lettered webhook events: list them, look at one and
+// replay them through the same processing as a live delivery. Every replay
+// is recorded in `webhook_replays` with its outcome.
+const { getSupabaseAdmin } = require('./supabase');
+const { HttpError } = require('./httpErrors');
+const { processWebhookEvent } = require('./webhookProcessor');
+const {
+  PROCESSING_TIMEOUT_MS,
+  reclaimEvent,
+  completeWebhookEvent,
+  deadLetterWebhookEvent
+} = require('./webhookEvents');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const MAX_LIST = 200;
+const MAX_BULK_REPLAY = 50;
+
+const EVENT_SUMMARY_COLUMNS = 'id, event_type, dedupe_key, status, attempts, error, received_at, dead_lettered_at, processed_at';
+
+const requireSupabase = () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to replay webhook events');
+  }
+  return supabase;
+};
+
+const clampLimit = (limit, fallback, max) => {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+};
+
+// Oldest first, so a replay runs events in the order Zoho sent them
+const listDeadLetters = async ({ limit, eventType } = {}) => {
+  let query = requireSupabase()
+    .from('webhook_events')
+    .select(EVENT_SUMMARY_COLUMNS)
+    .eq('status', 'dead_letter')
+    .order('received_at', { ascending: true })
+    .limit(clampLimit(limit, 50, MAX_LIST));
+
+  if (eventType) query = query.eq('event_type', eventType);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+const loadEvent = async (supabase, eventId) => {
+  if (!eventId) throw new HttpError(400, 'eventId is required');
+
+  const { data: event, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!event) throw new HttpError(404, `Webhook event ${eventId} not found`);
+  return event;
+};
+
+// The event with its full payload and every replay so far
+const getWebhookEvent = async (eventId) => {
+  const supabase = requireSupabase();
+  const event = await loadEvent(supabase, eventId);
+
+  const { data: replays, error } = await supabase
+    .from('webhook_replays')
+    .select('id, replayed_by, outcome, error, created_at')
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return { ...event, replays: replays || [] };
+};
+
+const recordReplay = async (supabase, eventId, replayedBy, outcome, errorMessage = null) => {
+  const { error } = await supabase
+    .from('webhook_replays')
+    .insert([{ event_id: eventId, replayed_by: replayedBy || null, outcome, error: errorMessage }]);
+
+  if (error) log('error', 'Failed to record webhook replay', { eventId, outcome, error });
+};
+
+/**
+ * Run a stored event through processing again. Only dead-lettered events,
+ * or ones stuck in `processing` past the timeout, can be replayed; a replay
+ * that fails leaves the event dead-lettered with the new error.
+ */
+const replayWebhookEvent = async (eventId, replayedBy) => {
+  const supabase = requireSupabase();
+  const event = await loadEvent(supabase, eventId);
+
+  if (event.status === 'processed') {
+    throw new HttpError(409, `Webhook event ${eventId} was already processed`);
+  }
+  const abandoned = Date.now() - new Date(event.updated_at).getTime() > PROCESSING_TIMEOUT_MS;
+  if (event.status === 'processing' && !abandoned) {
+    throw new HttpError(409, `Webhook event ${eventId} is being processed`);
+  }
+
+  const claimed = await reclaimEvent(supabase, event);
+  if (!claimed) {
+    throw new HttpError(409, `Webhook event ${eventId} is being processed`);
+  }
+
+  log('info', 'Replaying webhook event', { eventId, eventType: event.event_type, attempts: claimed.attempts, replayedBy });
+
+  try {
+    await processWebhookEvent(event.payload);
+  } catch (error) {
+    log('error', 'Webhook replay failed', { eventId, error: error.message });
+    await deadLetterWebhookEvent(eventId, error);
+    await recordReplay(supabase, eventId, replayedBy, 'failed', error.message);
+    return { event_id: eventId, outcome: 'failed', error: error.message, attempts: claimed.attempts };
+  }
+
+  await completeWebhookEvent(eventId);
+  await recordReplay(supabase, eventId, replayedBy, 'processed');
+  return { event_id: eventId, outcome: 'processed', attempts: claimed.attempts };
+};
+
+// Replay dead letters one after another; events another replay has taken
+// in the meantime are reported as skipped
+const replayDeadLetters = async ({ limit, eventType } = {}, replayedBy) => {
+  const events = await listDeadLetters({ limit: clampLimit(limit, 25, MAX_BULK_REPLAY), eventType });
+  const results = [];
+
+  for (const event of events) {
+    try {
+      results.push(await replayWebhookEvent(event.id, replayedBy));
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      results.push({ event_id: event.id, outcome: 'skipped', error: error.message });
+    }
+  }
+
+  return {
+    results,
+    processed: results.filter(r => r.outcome === 'processed').length,
+    failed: results.filter(r => r.outcome === 'failed').length,
+    skipped: results.filter(r => r.outcome === 'skipped').length
+  };
+};
+
+module.exports = {
+  listDeadLetters,
+  getWebhookEvent,
+  replayWebhookEvent,
+  replayDeadLetters
+};
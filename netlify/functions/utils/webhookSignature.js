@@ -0,0 +1,75 @@
+// HMAC verification for Zoho webhooks. Zoho signs `<timestamp>.<raw body>`
+// with the shared secret (HMAC-SHA256) and sends the digest, hex or base64,
+// in X-Zoho-Webhook-Signature and the Unix time in X-Zoho-Webhook-Timestamp.
+// The zoho-webhook edge function forwards the raw request here, so it is
+// checked by this code too.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-zoho-webhook-signature';
+const TIMESTAMP_HEADER = 'x-zoho-webhook-timestamp';
+
+// Requests older or newer than this are treated as replays
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+};
+
+const getWebhookSecret = () => process.env.ZOHO_WEBHOOK_SECRET || null;
+
+const getToleranceSeconds = () => {
+  const value = Number(process.env.ZOHO_WEBHOOK_TOLERANCE_SECONDS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TOLERANCE_SECONDS;
+};
+
+// Netlify hands binary-safe bodies over base64 encoded
+const getRawBody = (event) => {
+  if (!event.body) return '';
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+};
+
+// Accepts seconds or milliseconds
+const parseTimestamp = (value) => {
+  if (!/^\d+$/.test(String(value || ''))) return null;
+  const number = Number(value);
+  return number > 1e12 ? Math.floor(number / 1000) : number;
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+/**
+ * Check a webhook request. Returns `{ valid: true }` or
+ * `{ valid: false, reason }`; the reason is for logs, not for the caller.
+ */
+const verifyZohoWebhook = ({ headers, rawBody, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) => {
+  const signature = String(getHeader(headers, SIGNATURE_HEADER) || '').trim();
+  const timestamp = parseTimestamp(getHeader(headers, TIMESTAMP_HEADER));
+
+  if (!signature) return { valid: false, reason: 'Missing signature header' };
+  if (timestamp === null) return { valid: false, reason: 'Missing or malformed timestamp header' };
+
+  const skew = Math.abs(Math.floor(now / 1000) - timestamp);
+  if (skew > toleranceSeconds) {
+    return { valid: false, reason: `Timestamp is ${skew}s away from server time` };
+  }
+
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest();
+  const provided = /^[0-9a-f]+$/i.test(signature)
+    ? Buffer.from(signature, 'hex')
+    : Buffer.from(signature, 'base64');
+
+  if (!safeEqual(digest, provided)) {
+    return { valid: false, reason: 'Signature does not match' };
+  }
+  return { valid: true };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  getWebhookSecret,
+  getToleranceSeconds,
+  getRawBody,
+  verifyZohoWebhook
+};
@@ -0,0 +1,162 @@
+// Shared Zoho Invoice API client for Netlify functions and the api/ handlers.
+// Adds auth and organization headers, retries transient failures with
+// exponential backoff, and converts failures into typed errors. POSTs create
+// things in Zoho, so they are only retried when Zoho cannot have acted on
+// them; callers that must recover from a lost response look the record up
+// by its reference, as createOrderInvoice does.
+const axios = require('axios');
+const { withAccessToken } = require('./zohoTokenStore');
+const { toZohoError, parseRetryAfter } = require('./zohoErrors');
+const { getZohoRegion } = require('./zohoRegion');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGES = 50;
+
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+// The request may have reached Zoho before these
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'ENOTFOUND'];
+// These fail before anything is sent
+const UNSENT_NETWORK_CODES = ['EAI_AGAIN', 'ECONNREFUSED', 'ENOTFOUND'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A 429 is rejected before Zoho does anything, so every method may retry
+// it. A 5xx or a dropped connection may come after a POST was carried out.
+const isRetryable = (error, method) => {
+  const status = error.response?.status;
+  if (status === 429) return true;
+
+  if (!IDEMPOTENT_METHODS.includes(String(method).toLowerCase())) {
+    return !status && UNSENT_NETWORK_CODES.includes(error.code);
+  }
+  if (!status) return RETRYABLE_NETWORK_CODES.includes(error.code);
+  return status >= 500;
+};
+
+// Exponential backoff with jitter, or Zoho's Retry-After when it sends one.
+// Null when Zoho asks for a longer wait than a request can spend; retrying
+// sooner would only be refused again, so the caller gets the
+// ZohoRateLimitError and its `retryAfterMs` instead.
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return retryAfter <= MAX_RETRY_DELAY_MS ? retryAfter : null;
+
+  const backoff = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+};
+
+const sendWithRetries = async (accessToken, { organizationId, ...config }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.request({
+        ...config,
+        headers: {
+          'Authorization': `Zoho-oauthtoken ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...(organizationId && { 'X-com-zoho-invoice-organizationid': organizationId })
+        }
+      });
+    } catch (error) {
+      if (attempt > MAX_RETRIES || !isRetryable(error, config.method)) throw error;
+
+      const delay = getRetryDelay(error, attempt);
+      if (delay === null) {
+        log('warning', 'Zoho asked to wait longer than we retry for', {
+          method: config.method,
+          url: config.url,
+          retryAfter: error.response.headers['retry-after']
+        });
+        throw error;
+      }
+      log('warning', `Zoho request failed, retrying in ${Math.round(delay)}ms`, {
+        method: config.method,
+        url: config.url,
+        status: error.response?.status,
+        attempt
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Perform a Zoho API request and return the parsed response body.
+ * Set `withOrganization: false` for endpoints that are not organization scoped.
+ */
+const request = async (method, path, { params, data, timeout = DEFAULT_TIMEOUT_MS, withOrganization = true } = {}) => {
+  const config = {
+    method,
+    url: `${getZohoRegion().apiBaseUrl}${path}`,
+    params,
+    data,
+    timeout,
+    organizationId: withOrganization ? process.env.ZOHO_ORGANIZATION_ID : null
+  };
+
+  try {
+    const response = await withAccessToken((accessToken) => sendWithRetries(accessToken, config));
+    return response.data;
+  } catch (error) {
+    const zohoError = toZohoError(error);
+    log('error', `Zoho ${method.toUpperCase()} ${path} failed`, {
+      type: zohoError.name,
+      status: zohoError.status,
+      code: zohoError.code,
+      message: zohoError.message
+    });
+    throw zohoError;
+  }
+};
+
+const get = (path, options) => request('get', path, options);
+const post = (path, data, options = {}) => request('post', path, { ...options, data });
+const put = (path, data, options = {}) => request('put', path, { ...options, data });
+const del = (path, options) => request('delete', path, options);
+
+/**
+ * Iterate over every record of a paginated list endpoint, e.g.
+ * `paginate('/invoices', 'invoices', { params: { customer_id } })`.
+ */
+async function* paginate(path, key, { params = {}, perPage = DEFAULT_PAGE_SIZE, maxPages = MAX_PAGES, ...options } = {}) {
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await get(path, { ...options, params: { ...params, page, per_page: perPage } });
+
+    for (const record of data[key] || []) {
+      yield record;
+    }
+
+    if (!data.page_context?.has_more_page) return;
+  }
+
+  log('warning', 'Stopped paginating Zoho list at page limit', { path, maxPages });
+}
+
+// Collect every record of a paginated list endpoint into an array
+const listAll = async (path, key, options) => {
+  const records = [];
+  for await (const record of paginate(path, key, options)) {
+    records.push(record);
+  }
+  return records;
+};
+
+module.exports = {
+  isRetryable,
+  request,
+  get,
+  post,
+  put,
+  del,
+  paginate,
+  listAll
+};
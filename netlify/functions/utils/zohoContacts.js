@@ -0,0 +1,330 @@
+// Zoho contact upsert shared by the payment flow, quotes and profile sync.
+// Contacts are matched by the `zoho_customer_id` stored on the client first
+// and by email second; changed fields are pushed to Zoho and the client row
+// is linked to whichever contact was used. A client is only linked by email
+// once they have confirmed that address, since anyone can sign up with it.
+const zoho = require('./zohoClient');
+const { getSupabaseAdmin } = require('./supabase');
+const { ZohoNotFoundError, ZohoValidationError } = require('./zohoErrors');
+const { HttpError } = require('./httpErrors');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const splitName = (name = '') => {
+  const [firstName = '', ...rest] = name.trim().split(/\s+/);
+  return { first_name: firstName, last_name: rest.join(' ') };
+};
+
+const toCustomer = (contact) => ({
+  contact_id: contact.contact_id,
+  contact_name: contact.contact_name,
+  email: contact.email,
+  company_name: contact.company_name
+});
+
+// The list endpoint omits contact persons, so always load the full record
+const getContact = async (contactId) => {
+  try {
+    const data = await zoho.get(`/contacts/${contactId}`);
+    return data.contact;
+  } catch (error) {
+    if (error instanceof ZohoNotFoundError) return null;
+    throw error;
+  }
+};
+
+// Zoho matches the email filter against every contact person, so prefer a
+// contact whose primary email is an exact match
+const findContactByEmail = async (email) => {
+  const data = await zoho.get('/contacts', { params: { email } });
+  const matches = data.contacts || [];
+  if (matches.length === 0) return null;
+
+  if (matches.length > 1) {
+    log('warning', 'Several Zoho contacts share this email', {
+      email,
+      contactIds: matches.map(contact => contact.contact_id)
+    });
+  }
+
+  const match = matches.find(contact => normalizeEmail(contact.email) === normalizeEmail(email)) || matches[0];
+  return getContact(match.contact_id);
+};
+
+const getLinkedContactId = async (clientId) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !clientId) return null;
+
+  const { data, error } = await supabase
+    .from('clients')
+    .select('zoho_customer_id')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    log('warning', 'Failed to read linked Zoho contact', error);
+    return null;
+  }
+
+  return data?.zoho_customer_id || null;
+};
+
+const linkClient = async (clientId, contactId) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !clientId) return;
+
+  const { error } = await supabase
+    .from('clients')
+    .update({ zoho_customer_id: contactId, updated_at: new Date().toISOString() })
+    .eq('id', clientId);
+
+  if (error) {
+    log('warning', 'Failed to link client to Zoho contact', { clientId, contactId, error });
+  } else {
+    log('info', 'Client linked to Zoho contact', { clientId, contactId });
+  }
+};
+
+const disambiguatedName = (customerData) => `${customerData.name} (${customerData.email})`;
+
+// Zoho requires unique display names; keep two clients with the same name
+// apart instead of merging them into one contact
+const withUniqueName = async (payload, customerData, send) => {
+  try {
+    return await send(payload);
+  } catch (error) {
+    if (!payload.contact_name || !(error instanceof ZohoValidationError) || !/already exists/i.test(error.message)) {
+      throw error;
+    }
+
+    log('info', 'Zoho contact name taken, retrying with email suffix', { name: customerData.name });
+    return await send({ ...payload, contact_name: disambiguatedName(customerData) });
+  }
+};
+
+const createContact = async (customerData) => {
+  const payload = {
+    contact_name: customerData.name,
+    company_name: customerData.company || '',
+    contact_persons: [{
+      ...splitName(customerData.name),
+      email: customerData.email,
+      phone: customerData.phone || '',
+      is_primary_contact: true
+    }]
+  };
+
+  const data = await withUniqueName(payload, customerData, (body) => zoho.post('/contacts', body));
+  return data.contact;
+};
+
+// Contact-level fields belong to the primary person; a secondary person
+// sharing the contact must not rename the whole organization
+const updateContactFields = async (contact, person, customerData) => {
+  const isPrimary = !person || person.is_primary_contact || (contact.contact_persons || []).length <= 1;
+  if (!isPrimary) return contact;
+
+  const changes = {};
+
+  // Only rename contacts that are named after the person; a contact named
+  // after the company keeps its display name
+  const previousName = person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() : null;
+  const namedAfterPerson = previousName && [previousName, disambiguatedName({ ...customerData, name: previousName })]
+    .includes(contact.contact_name);
+  if (customerData.name && namedAfterPerson && previousName !== customerData.name.trim()) {
+    changes.contact_name = customerData.name;
+  }
+  if (customerData.company !== undefined && (contact.company_name || '') !== (customerData.company || '')) {
+    changes.company_name = customerData.company || '';
+  }
+
+  if (Object.keys(changes).length === 0) return contact;
+
+  log('info', 'Updating Zoho contact', { contactId: contact.contact_id, fields: Object.keys(changes) });
+  const data = await withUniqueName(changes, customerData, (payload) =>
+    zoho.put(`/contacts/${contact.contact_id}`, payload)
+  );
+  return data.contact || { ...contact, ...changes };
+};
+
+const upsertContactPerson = async (contact, person, customerData) => {
+  const desired = {
+    ...(customerData.name && splitName(customerData.name)),
+    email: customerData.email,
+    ...(customerData.phone !== undefined && { phone: customerData.phone || '' })
+  };
+
+  if (!person) {
+    log('info', 'Adding contact person to Zoho contact', { contactId: contact.contact_id, email: customerData.email });
+    await zoho.post('/contacts/contactpersons', { contact_id: contact.contact_id, ...desired });
+    return;
+  }
+
+  const changed = Object.keys(desired).filter(field => (person[field] || '') !== (desired[field] || ''));
+  if (changed.length === 0) return;
+
+  log('info', 'Updating Zoho contact person', {
+    contactId: contact.contact_id,
+    contactPersonId: person.contact_person_id,
+    fields: changed
+  });
+  await zoho.put(`/contacts/contactpersons/${person.contact_person_id}`, {
+    contact_id: contact.contact_id,
+    ...desired
+  });
+};
+
+/**
+ * Create or update the Zoho contact for a client.
+ * `customerData` is `{ name, email, phone, company }`; fields left undefined
+ * are not touched. Pass `clientId` to use and maintain the stored link.
+ * A client without a link is only linked to an existing contact with their
+ * email when `emailVerified` is set; otherwise that throws a 403, and a new
+ * contact is created only when no contact has the email.
+ * Unauthenticated callers should pass `updateExisting: false` so a form
+ * submission cannot overwrite an existing customer's details.
+ */
+const upsertZohoContact = async (customerData, { clientId = null, zohoCustomerId = null, updateExisting = true, emailVerified = false } = {}) => {
+  const email = normalizeEmail(customerData.email);
+  if (!email) {
+    throw new ZohoValidationError('Customer email is required');
+  }
+
+  log('info', 'Upserting Zoho contact', { email, clientId });
+
+  const linkedId = zohoCustomerId || await getLinkedContactId(clientId);
+
+  let contact = linkedId ? await getContact(linkedId) : null;
+  if (linkedId && !contact) {
+    log('warning', 'Linked Zoho contact no longer exists, matching by email', { linkedId });
+  }
+
+  let person = null;
+  if (contact) {
+    // The client may have changed their email since the contact was linked
+    person = (contact.contact_persons || []).find(p => normalizeEmail(p.email) === email)
+      || (contact.contact_persons || []).find(p => p.is_primary_contact)
+      || null;
+  } else {
+    contact = await findContactByEmail(email);
+    if (contact && clientId && !emailVerified) {
+      log('warning', 'Not linking a client with an unconfirmed email to an existing Zoho contact', { clientId, contactId: contact.contact_id });
+      throw new HttpError(403, 'Confirm your email address before using the billing details on file for it');
+    }
+    person = contact && (contact.contact_persons || []).find(p => normalizeEmail(p.email) === email);
+  }
+
+  if (!contact) {
+    contact = await createContact(customerData);
+    log('info', 'Zoho contact created', { contactId: contact.contact_id, email });
+  } else if (updateExisting) {
+    contact = await updateContactFields(contact, person, customerData);
+    await upsertContactPerson(contact, person, customerData);
+  }
+
+  if (clientId && contact.contact_id !== linkedId) {
+    await linkClient(clientId, contact.contact_id);
+  }
+
+  return toCustomer(contact);
+};
+
+/**
+ * Zoho contact id for a client without creating or changing anything: the
+ * stored link, or else a contact with the client's email, which then gets
+ * linked. Quotes are requested anonymously, so their estimates belong to a
+ * contact the client may not be linked to yet. The email is only matched
+ * when `emailVerified` is set.
+ */
+const resolveZohoContactId = async (clientId, email, { emailVerified = false } = {}) => {
+  const linkedId = await getLinkedContactId(clientId);
+  if (linkedId) return linkedId;
+  if (!emailVerified || !normalizeEmail(email)) return null;
+
+  const contact = await findContactByEmail(normalizeEmail(email));
+  if (!contact) return null;
+
+  await linkClient(clientId, contact.contact_id);
+  return contact.contact_id;
+};
+
+const personName = (person) => person && [person.first_name, person.last_name].filter(Boolean).join(' ');
+
+// Contact names may carry the email `withUniqueName` added to tell two
+// clients apart; the client's own name is the part before it
+const clientNameFromContact = (contact) => {
+  const name = personName((contact.contact_persons || []).find(p => p.is_primary_contact));
+  if (name) return name;
+  return (contact.contact_name || '').replace(/\s*\([^()]*@[^()]*\)$/, '').trim();
+};
+
+// What one linked client takes from the contact. Company and GSTIN belong to
+// the whole contact; name and phone to the client's own contact person, or
+// to the contact itself when it is the only client on it.
+const incomingFields = (contact, client, shared) => {
+  const person = (contact.contact_persons || []).find(p => normalizeEmail(p.email) === normalizeEmail(client.email));
+  const fields = { company: contact.company_name, gstin: contact.gst_no };
+
+  if (person) {
+    fields.name = personName(person);
+    fields.phone = person.phone || person.mobile;
+  } else if (!shared) {
+    fields.name = clientNameFromContact(contact);
+    fields.phone = contact.phone || contact.mobile;
+  }
+  return fields;
+};
+
+/**
+ * Copy edits staff made to a Zoho contact onto its linked clients: name,
+ * phone, company and GSTIN. The email is the client's login and is left
+ * alone. Returns the clients that changed.
+ */
+const applyContactUpdate = async (contact) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !contact.contact_id) return [];
+
+  const { data: clients, error } = await supabase
+    .from('clients')
+    .select('id, email, name, phone, company, gstin')
+    .eq('zoho_customer_id', contact.contact_id);
+
+  if (error) throw error;
+  if (!clients || clients.length === 0) {
+    log('info', 'Updated Zoho contact is not linked to a client', { contactId: contact.contact_id });
+    return [];
+  }
+
+  const updated = [];
+  for (const client of clients) {
+    const changes = Object.fromEntries(
+      Object.entries(incomingFields(contact, client, clients.length > 1))
+        .filter(([field, value]) => value && value !== client[field])
+    );
+    if (Object.keys(changes).length === 0) continue;
+
+    const { data, error: updateError } = await supabase
+      .from('clients')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', client.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    log('info', 'Client updated from Zoho contact', { clientId: client.id, fields: Object.keys(changes) });
+    updated.push(data);
+  }
+  return updated;
+};
+
+module.exports = {
+  upsertZohoContact,
+  resolveZohoContactId,
+  applyContactUpdate
+};
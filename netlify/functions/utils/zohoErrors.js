@@ -0,0 +1,121 @@
+// Typed errors for Zoho API failures so callers can branch on the kind of
+// failure instead of matching on message text
+class ZohoError extends Error {
+  constructor(message, { status = null, code = null, details = null } = {}) {
+    super(message);
+    this.name = 'ZohoError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Credentials, refresh token or organization access rejected
+class ZohoAuthError extends ZohoError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ZohoAuthError';
+  }
+}
+
+class ZohoNotFoundError extends ZohoError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ZohoNotFoundError';
+  }
+}
+
+// Zoho refused the payload (missing fields, duplicates, invalid values)
+class ZohoValidationError extends ZohoError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ZohoValidationError';
+  }
+}
+
+class ZohoRateLimitError extends ZohoError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'ZohoRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Zoho error code returned when the organization ID is wrong or inaccessible
+const INVALID_ORGANIZATION_CODE = 57;
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+};
+
+// Convert an axios error from a Zoho call into one of the typed errors above
+const toZohoError = (error) => {
+  if (error instanceof ZohoError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new ZohoError(`Zoho request failed: ${error.message}`, { code: error.code || null });
+  }
+
+  const status = response.status;
+  const code = response.data?.code ?? null;
+  const message = response.data?.message || error.message;
+  const options = { status, code, details: response.data };
+
+  if (code === INVALID_ORGANIZATION_CODE) {
+    return new ZohoAuthError(
+      `Zoho API Error 57: Organization ID ${process.env.ZOHO_ORGANIZATION_ID} is invalid or you don't have access to it. Please verify your ZOHO_ORGANIZATION_ID in Netlify environment variables.`,
+      options
+    );
+  }
+
+  if (status === 401 || status === 403) {
+    return new ZohoAuthError(`Zoho API authorization failed: ${message}`, options);
+  }
+
+  if (status === 404) {
+    return new ZohoNotFoundError(message, options);
+  }
+
+  if (status === 400 || status === 422) {
+    return new ZohoValidationError(message, options);
+  }
+
+  if (status === 429) {
+    return new ZohoRateLimitError(`Zoho rate limit exceeded: ${message}`, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+    });
+  }
+
+  return new ZohoError(`Zoho API error ${status}: ${message}`, options);
+};
+
+// HTTP status a function should answer with when a Zoho call fails
+const httpStatusForZohoError = (error) => {
+  if (error instanceof ZohoValidationError) return 400;
+  if (error instanceof ZohoNotFoundError) return 404;
+  if (error instanceof ZohoRateLimitError) return 429;
+  if (error instanceof ZohoAuthError) return 502;
+  return 500;
+};
+
+module.exports = {
+  ZohoError,
+  ZohoAuthError,
+  ZohoNotFoundError,
+  ZohoValidationError,
+  ZohoRateLimitError,
+  parseRetryAfter,
+  toZohoError,
+  httpStatusForZohoError
+};
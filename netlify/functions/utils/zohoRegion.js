@@ -0,0 +1,54 @@
+// Zoho data center configuration. Every Zoho URL (OAuth, API, hosted
+// payment page) is derived from ZOHO_DATA_CENTER so an organization hosted
+// outside India only needs that one variable changed.
+const DATA_CENTERS = {
+  in: { domain: 'zoho.in', label: 'India' },
+  com: { domain: 'zoho.com', label: 'United States' },
+  eu: { domain: 'zoho.eu', label: 'Europe' },
+  'com.au': { domain: 'zoho.com.au', label: 'Australia' },
+  jp: { domain: 'zoho.jp', label: 'Japan' }
+};
+
+const DEFAULT_DATA_CENTER = 'in';
+
+const getZohoRegion = () => {
+  const dataCenter = (process.env.ZOHO_DATA_CENTER || DEFAULT_DATA_CENTER).trim().toLowerCase();
+  const region = DATA_CENTERS[dataCenter];
+
+  if (!region) {
+    throw new Error(
+      `Unsupported ZOHO_DATA_CENTER "${dataCenter}". Use one of: ${Object.keys(DATA_CENTERS).join(', ')}`
+    );
+  }
+
+  // Local runs can point every Zoho URL at scripts/mock-zoho-server.js
+  const baseUrl = (process.env.ZOHO_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (baseUrl) {
+    return {
+      dataCenter,
+      label: `${region.label} (${baseUrl})`,
+      accountsUrl: baseUrl,
+      tokenUrl: `${baseUrl}/oauth/v2/token`,
+      apiBaseUrl: `${baseUrl}/api/v3`,
+      webUrl: baseUrl
+    };
+  }
+
+  return {
+    dataCenter,
+    label: region.label,
+    accountsUrl: `https://accounts.${region.domain}`,
+    tokenUrl: `https://accounts.${region.domain}/oauth/v2/token`,
+    apiBaseUrl: `https://invoice.${region.domain}/api/v3`,
+    webUrl: `https://invoice.${region.domain}`
+  };
+};
+
+// Hosted page where a customer pays an invoice
+const getInvoicePaymentUrl = (invoiceId) => `${getZohoRegion().webUrl}/invoices/${invoiceId}/payment`;
+
+module.exports = {
+  DATA_CENTERS,
+  getZohoRegion,
+  getInvoicePaymentUrl
+};
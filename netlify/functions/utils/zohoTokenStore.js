@@ -0,0 +1,253 @@
+// Zoho OAuth access token store shared by all server-side Zoho callers.
+// Tokens are cached in memory for warm invocations and persisted to the
+// `zoho_access_tokens` table so cold starts and parallel instances reuse them
+// instead of hitting Zoho's token endpoint on every request.
+const axios = require('axios');
+const { getSupabaseAdmin } = require('./supabase');
+const { ZohoAuthError, ZohoError } = require('./zohoErrors');
+const { getZohoRegion } = require('./zohoRegion');
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const TOKENS_TABLE = 'zoho_access_tokens';
+
+// Treat tokens as expired this long before Zoho does
+const EXPIRY_SKEW_MS = 5 * 60 * 1000;
+// How long one instance may hold the refresh lease
+const REFRESH_LOCK_MS = 15000;
+// How long to wait for another instance to finish refreshing
+const PEER_REFRESH_POLL_MS = 500;
+const PEER_REFRESH_MAX_POLLS = 20;
+
+let cachedToken = null;
+let refreshPromise = null;
+
+const getStoreKey = () => process.env.ZOHO_ORGANIZATION_ID || 'default';
+
+const isUsable = (token) =>
+  !!token && !!token.accessToken && token.expiresAt - EXPIRY_SKEW_MS > Date.now();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exchange the refresh token for a new access token
+const requestNewToken = async () => {
+  try {
+    log('info', 'Requesting new Zoho access token');
+
+    const response = await axios.post(
+      getZohoRegion().tokenUrl,
+      new URLSearchParams({
+        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
+        client_id: process.env.ZOHO_CLIENT_ID,
+        client_secret: process.env.ZOHO_CLIENT_SECRET,
+        grant_type: 'refresh_token'
+      }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 15000
+      }
+    );
+
+    if (!response.data.access_token) {
+      // Zoho answers 200 with an `error` field for bad refresh tokens
+      throw new ZohoAuthError(`No access token received from Zoho: ${response.data.error || 'unknown error'}`);
+    }
+
+    const expiresIn = Number(response.data.expires_in) || 3600;
+
+    log('info', 'Zoho access token obtained', { expiresIn });
+
+    return {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + expiresIn * 1000
+    };
+  } catch (error) {
+    log('error', 'Failed to get Zoho access token', {
+      status: error.response?.status,
+      data: error.response?.data,
+      message: error.message
+    });
+
+    if (error instanceof ZohoError) throw error;
+
+    const status = error.response?.status ?? null;
+
+    if (status === 400) {
+      throw new ZohoAuthError('Invalid Zoho credentials. Please check your ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET, and ZOHO_REFRESH_TOKEN.', { status });
+    } else if (status === 401) {
+      throw new ZohoAuthError('Zoho refresh token expired. Please regenerate your refresh token.', { status });
+    }
+
+    throw new ZohoError(`Zoho token request failed: ${error.message}`, { status });
+  }
+};
+
+const readPersistedToken = async () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select('access_token, expires_at')
+    .eq('store_key', getStoreKey())
+    .maybeSingle();
+
+  if (error) {
+    log('warning', 'Failed to read persisted Zoho token', error);
+    return null;
+  }
+
+  if (!data?.access_token || !data.expires_at) return null;
+
+  return {
+    accessToken: data.access_token,
+    expiresAt: new Date(data.expires_at).getTime()
+  };
+};
+
+const persistToken = async (token) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return;
+
+  const { error } = await supabase
+    .from(TOKENS_TABLE)
+    .upsert({
+      store_key: getStoreKey(),
+      access_token: token.accessToken,
+      expires_at: new Date(token.expiresAt).toISOString(),
+      refresh_locked_until: null
+    }, { onConflict: 'store_key' });
+
+  if (error) {
+    log('warning', 'Failed to persist Zoho token', error);
+  }
+};
+
+// Take a short lease on the token row so only one instance refreshes at a time.
+// Storage errors fail open: a duplicate refresh beats a failed request.
+const acquireRefreshLock = async () => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return true;
+
+  const storeKey = getStoreKey();
+  const now = new Date().toISOString();
+
+  await supabase
+    .from(TOKENS_TABLE)
+    .upsert({ store_key: storeKey }, { onConflict: 'store_key', ignoreDuplicates: true });
+
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .update({ refresh_locked_until: new Date(Date.now() + REFRESH_LOCK_MS).toISOString() })
+    .eq('store_key', storeKey)
+    .or(`refresh_locked_until.is.null,refresh_locked_until.lt.${now}`)
+    .select('store_key');
+
+  if (error) {
+    log('warning', 'Failed to acquire Zoho token refresh lock', error);
+    return true;
+  }
+
+  return data.length > 0;
+};
+
+const waitForPeerRefresh = async () => {
+  for (let poll = 0; poll < PEER_REFRESH_MAX_POLLS; poll++) {
+    await sleep(PEER_REFRESH_POLL_MS);
+    const token = await readPersistedToken();
+    if (isUsable(token)) return token;
+  }
+
+  log('warning', 'Timed out waiting for another instance to refresh the Zoho token');
+  return null;
+};
+
+const refreshAccessToken = async () => {
+  const persisted = await readPersistedToken();
+  if (isUsable(persisted)) {
+    log('info', 'Reusing persisted Zoho access token');
+    return persisted;
+  }
+
+  const hasLock = await acquireRefreshLock();
+  if (!hasLock) {
+    log('info', 'Zoho token refresh in progress elsewhere, waiting');
+    const peerToken = await waitForPeerRefresh();
+    if (peerToken) return peerToken;
+  }
+
+  const token = await requestNewToken();
+  await persistToken(token);
+  return token;
+};
+
+// Get a valid access token, refreshing at most once per instance at a time
+const getAccessToken = async () => {
+  if (isUsable(cachedToken)) {
+    return cachedToken.accessToken;
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = refreshAccessToken()
+      .then((token) => {
+        cachedToken = token;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  const token = await refreshPromise;
+  return token.accessToken;
+};
+
+// Drop a token Zoho has rejected from both cache layers
+const invalidateAccessToken = async (accessToken) => {
+  if (cachedToken?.accessToken === accessToken) {
+    cachedToken = null;
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return;
+
+  const { error } = await supabase
+    .from(TOKENS_TABLE)
+    .update({ access_token: null, expires_at: null })
+    .eq('store_key', getStoreKey())
+    .eq('access_token', accessToken);
+
+  if (error) {
+    log('warning', 'Failed to invalidate persisted Zoho token', error);
+  }
+};
+
+const isUnauthorized = (error) =>
+  error?.response?.status === 401 || error?.status === 401;
+
+// Run a Zoho call with a cached token, retrying once with a fresh token
+// if Zoho reports the cached one as revoked
+const withAccessToken = async (operation) => {
+  const accessToken = await getAccessToken();
+
+  try {
+    return await operation(accessToken);
+  } catch (error) {
+    if (!isUnauthorized(error)) throw error;
+
+    log('warning', 'Zoho rejected cached access token, refreshing and retrying');
+    await invalidateAccessToken(accessToken);
+    return await operation(await getAccessToken());
+  }
+};
+
+module.exports = {
+  getAccessToken,
+  invalidateAccessToken,
+  withAccessToken
+};
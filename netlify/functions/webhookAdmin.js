@@ -0,0 +1,115 @@
+// Admin endpoint for the webhook dead-letter queue: list and inspect events
+// whose processing failed and replay them one at a time or in bulk
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { HttpError } = require('./utils/httpErrors');
+const {
+  listDeadLetters,
+  getWebhookEvent,
+  replayWebhookEvent,
+  replayDeadLetters
+} = require('./utils/webhookReplay');
+
+// Enhanced logging
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+};
+
+const ACTIONS = {
+  list_dead_letters: {
+    handle: async ({ params }) => ({
+      events: await listDeadLetters({ limit: params.limit, eventType: params.eventType })
+    })
+  },
+
+  get_event: {
+    handle: async ({ params }) => ({ event: await getWebhookEvent(params.eventId) })
+  },
+
+  replay_event: {
+    handle: async ({ params, user }) => ({ replay: await replayWebhookEvent(params.eventId, user.id) })
+  },
+
+  // Oldest first, `limit` events at most (25 by default)
+  replay_dead_letters: {
+    handle: async ({ params, user }) =>
+      await replayDeadLetters({ limit: params.limit, eventType: params.eventType }, user.id)
+  }
+};
+
+exports.handler = async (event, context) => {
+  const requestId = context.awsRequestId || Date.now().toString();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    let params;
+    try {
+      params = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, 'Invalid JSON in request body');
+    }
+
+    const action = Object.prototype.hasOwnProperty.call(ACTIONS, params.action) ? ACTIONS[params.action] : null;
+    if (!action) {
+      throw new HttpError(400, `Unknown action. Expected one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const user = await getRequestUser(event.headers);
+    if (!user) {
+      throw new HttpError(401, 'Sign in to manage webhooks');
+    }
+    if (!isAdmin(user)) {
+      throw new HttpError(403, 'Only administrators can manage webhooks');
+    }
+
+    log('info', 'Running webhook admin action', { requestId, action: params.action, userId: user.id });
+
+    const result = await action.handle({ params, user });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: true,
+        action: params.action,
+        ...result,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    log('error', 'Webhook admin error', { requestId, error: error.message, stack: error.stack });
+
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        requestId,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
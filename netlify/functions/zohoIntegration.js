@@ -1,566 +1,1112 @@
-const axios = require('axios');
+const zoho = require('./utils/zohoClient');
+const {
+  ZohoRateLimitError,
+  httpStatusForZohoError
+} = require('./utils/zohoErrors');
+const { upsertZohoContact, resolveZohoContactId } = require('./utils/zohoContacts');
+const { toOrderAmounts } = require('./utils/exchangeRates');
+const { issueRefund } = require('./utils/refunds');
+const {
+  tierLabel,
+  createSubscription,
+  quoteTierChange,
+  applyTierChange,
+  holdTierChange,
+  cancelAtPeriodEnd,
+  listClientSubscriptions
+} = require('./utils/subscriptions');
+const {
+  determineTax,
+  computeTax,
+  toZohoInvoiceFields,
+  toOrderTaxFields,
+  loadTaxProfile
+} = require('./utils/taxEngine');
+const { getRequestUser, isAdmin } = require('./utils/auth');
+const { getSupabaseAdmin } = require('./utils/supabase');
+const { HttpError } = require('./utils/httpErrors');
+const { getZohoRegion, getInvoicePaymentUrl } = require('./utils/zohoRegion');
 
 // Enhanced logging function
 const log = (level, message, data = null) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
 };
 
+// How long a request may hold the invoice claim on an order
+const INVOICE_CLAIM_MS = 2 * 60 * 1000;
+
+// Currencies the orders table can hold
+const ORDER_CURRENCIES = ['USD', 'INR', 'AUD'];
+
 // Zoho configuration
 const ZOHO_CONFIG = {
-  clientId: process.env.ZOHO_CLIENT_ID,
-  clientSecret: process.env.ZOHO_CLIENT_SECRET,
-  refreshToken: process.env.ZOHO_REFRESH_TOKEN,
-  organizationId: process.env.ZOHO_ORGANIZATION_ID,
-  baseUrl: 'https://invoice.zoho.in/api/v3'
+  clientId: process.env.ZOHO_CLIENT_ID,
+  clientSecret: process.env.ZOHO_CLIENT_SECRET,
+  refreshToken: process.env.ZOHO_REFRESH_TOKEN,
+  organizationId: process.env.ZOHO_ORGANIZATION_ID
 };
 
 // Validate Zoho configuration
 const validateZohoConfig = () => {
-  const missing = [];
-  if (!ZOHO_CONFIG.clientId) missing.push('ZOHO_CLIENT_ID');
-  if (!ZOHO_CONFIG.clientSecret) missing.push('ZOHO_CLIENT_SECRET');
-  if (!ZOHO_CONFIG.refreshToken) missing.push('ZOHO_REFRESH_TOKEN');
-  if (!ZOHO_CONFIG.organizationId) missing.push('ZOHO_ORGANIZATION_ID');
-
-  if (missing.length > 0) {
-    throw new Error(`Missing Zoho configuration: ${missing.join(', ')}`);
-  }
-
-  log('info', 'Zoho configuration validated', {
-    hasClientId: !!ZOHO_CONFIG.clientId,
-    hasClientSecret: !!ZOHO_CONFIG.clientSecret,
-    hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
-    hasOrgId: !!ZOHO_CONFIG.organizationId,
-    clientIdLength: ZOHO_CONFIG.clientId?.length,
-    orgId: ZOHO_CONFIG.organizationId
-  });
-};
+  const missing = [];
+  if (!ZOHO_CONFIG.clientId) missing.push('ZOHO_CLIENT_ID');
+  if (!ZOHO_CONFIG.clientSecret) missing.push('ZOHO_CLIENT_SECRET');
+  if (!ZOHO_CONFIG.refreshToken) missing.push('ZOHO_REFRESH_TOKEN');
+  if (!ZOHO_CONFIG.organizationId) missing.push('ZOHO_ORGANIZATION_ID');
+
+  if (missing.length > 0) {
+    throw new Error(`Missing Zoho configuration: ${missing.join(', ')}`);
+  }
+
+  // Throws for an unknown ZOHO_DATA_CENTER
+  const region = getZohoRegion();
 
-// Get Zoho access token with enhanced error handling
-const getZohoAccessToken = async () => {
-  try {
-    log('info', 'Requesting Zoho access token...');
-    
-    const tokenParams = {
-      refresh_token: ZOHO_CONFIG.refreshToken,
-      client_id: ZOHO_CONFIG.clientId,
-      client_secret: ZOHO_CONFIG.clientSecret,
-      grant_type: 'refresh_token'
-    };
-
-    log('info', 'Token request params prepared', {
-      grant_type: 'refresh_token',
-      client_id: ZOHO_CONFIG.clientId,
-      hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
-      hasClientSecret: !!ZOHO_CONFIG.clientSecret
-    });
-
-    const response = await axios.post(
-      'https://accounts.zoho.in/oauth/v2/token',
-      new URLSearchParams(tokenParams).toString(),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        timeout: 15000
-      }
-    );
-
-    log('info', 'Token response received', {
-      status: response.status,
-      hasAccessToken: !!response.data.access_token,
-      tokenType: response.data.token_type,
-      expiresIn: response.data.expires_in,
-      scope: response.data.scope
-    });
-
-    if (!response.data.access_token) {
-      throw new Error('No access token received from Zoho');
-    }
-
-    return response.data.access_token;
-  } catch (error) {
-    log('error', 'Failed to get Zoho access token', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message
-    });
-
-    if (error.response?.status === 400) {
-      throw new Error('Invalid Zoho credentials. Please check your ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET, and ZOHO_REFRESH_TOKEN.');
-    } else if (error.response?.status === 401) {
-      throw new Error('Zoho refresh token expired. Please regenerate your refresh token.');
-    }
-
-    throw new Error(`Zoho token request failed: ${error.message}`);
-  }
+  log('info', 'Zoho configuration validated', {
+    hasClientId: !!ZOHO_CONFIG.clientId,
+    hasClientSecret: !!ZOHO_CONFIG.clientSecret,
+    hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
+    hasOrgId: !!ZOHO_CONFIG.organizationId,
+    clientIdLength: ZOHO_CONFIG.clientId?.length,
+    orgId: ZOHO_CONFIG.organizationId,
+    dataCenter: region.dataCenter
+  });
 };
 
 // Test Zoho API connection with simpler approach
-const testZohoConnection = async (accessToken) => {
-  try {
-    log('info', 'Testing Zoho API connection with direct contact list...');
-    
-    // Skip organization validation and go directly to contacts API
-    // This is more reliable as some Zoho accounts don't have access to organizations endpoint
-    const contactsResponse = await axios.get(
-      `${ZOHO_CONFIG.baseUrl}/contacts`,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'X-com-zoho-invoice-organizationid': ZOHO_CONFIG.organizationId,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          per_page: 1
-        },
-        timeout: 15000
-      }
-    );
-
-    log('info', 'Contacts API test successful', {
-      status: contactsResponse.status,
-      contactsCount: contactsResponse.data.contacts?.length || 0,
-      organizationId: ZOHO_CONFIG.organizationId
-    });
-
-    return true;
-  } catch (error) {
-    log('error', 'Zoho API connection test failed', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message,
-      url: error.config?.url,
-      organizationId: ZOHO_CONFIG.organizationId
-    });
-
-    // Provide specific error messages based on the error code
-    if (error.response?.status === 401) {
-      const errorCode = error.response?.data?.code;
-      if (errorCode === 57) {
-        throw new Error(`Zoho API Error 57: Organization ID ${ZOHO_CONFIG.organizationId} is invalid or you don't have access to it. Please verify your ZOHO_ORGANIZATION_ID in Netlify environment variables.`);
-      } else {
-        throw new Error('Zoho API authorization failed. Please check your refresh token and API permissions.');
-      }
-    }
-
-    throw error;
-  }
+const testZohoConnection = async () => {
+  log('info', 'Testing Zoho API connection with direct contact list...');
+
+  // Skip organization validation and go directly to contacts API
+  // This is more reliable as some Zoho accounts don't have access to organizations endpoint
+  const data = await zoho.get('/contacts', { params: { per_page: 1 } });
+
+  log('info', 'Contacts API test successful', {
+    contactsCount: data.contacts?.length || 0,
+    organizationId: ZOHO_CONFIG.organizationId
+  });
+
+  return true;
+};
+
+// Links are built here, from ZOHO_DATA_CENTER, so the browser never needs
+// to know which Zoho region the organization is in. `invoice_url` is Zoho's
+// customer view of the invoice when it sends one.
+const toInvoiceSummary = (invoice) => ({
+  invoice_id: invoice.invoice_id,
+  invoice_number: invoice.invoice_number,
+  invoice_url: invoice.invoice_url || getInvoicePaymentUrl(invoice.invoice_id),
+  payment_url: getInvoicePaymentUrl(invoice.invoice_id),
+  total: invoice.total,
+  status: invoice.status,
+  customer_id: invoice.customer_id
+});
+
+// Create Zoho invoice. The number is left to Zoho's auto-numbering and the
+// order id goes in `reference_number` so the invoice can be found again.
+// `invoiceData.tax` is the tax engine's decision for the client.
+const createZohoInvoice = async (customerId, invoiceData) => {
+  log('info', 'Creating Zoho invoice', {
+    customerId,
+    currency: invoiceData.currency,
+    orderId: invoiceData.orderId,
+    taxTreatment: invoiceData.tax.treatment
+  });
+
+  const lineItems = invoiceData.serviceItems.map(item => ({
+    name: item.serviceName,
+    description: `${item.serviceName} - ${item.packageType} Package (Quantity: ${item.quantity})`,
+    rate: item.unitPrice,
+    quantity: item.quantity,
+    item_total: item.totalPrice,
+    ...invoiceData.tax.lineItemFields
+  }));
+
+  const invoicePayload = {
+    customer_id: customerId,
+    ...toZohoInvoiceFields(invoiceData.tax),
+    reference_number: invoiceData.orderId,
+    date: new Date().toISOString().split('T')[0],
+    due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+    line_items: lineItems,
+    notes: invoiceData.notes || 'Thank you for choosing Mechinweb!',
+    terms: 'Payment due within 30 days.',
+    currency_code: invoiceData.currency || 'USD'
+  };
+
+  log('info', 'Invoice payload prepared', {
+    referenceNumber: invoicePayload.reference_number,
+    lineItemsCount: lineItems.length,
+    currency: invoicePayload.currency_code,
+    customerId: customerId
+  });
+
+  const data = await zoho.post('/invoices', invoicePayload, { timeout: 20000 });
+  const invoice = data.invoice;
+
+  log('info', 'Zoho invoice created successfully', {
+    invoiceId: invoice.invoice_id,
+    invoiceNumber: invoice.invoice_number,
+    total: invoice.total,
+    taxTotal: invoice.tax_total,
+    status: invoice.status
+  });
+
+  return toInvoiceSummary({ ...invoice, customer_id: customerId });
+};
+
+// Invoice created for an order by an earlier attempt, if any
+const findInvoiceByReference = async (orderId) => {
+  const data = await zoho.get('/invoices', { params: { reference_number: orderId } });
+  const invoice = (data.invoices || []).find(inv => inv.reference_number === orderId);
+  return invoice ? toInvoiceSummary(invoice) : null;
+};
+
+const loadOrder = async (supabase, orderId) => {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, client_id, zoho_invoice_id, currency, amount_usd, amount_inr, amount_aud')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+  return order;
+};
+
+const replayOrderInvoice = async (order) => {
+  log('info', 'Order already has a Zoho invoice, returning it', {
+    orderId: order.id,
+    invoiceId: order.zoho_invoice_id
+  });
+
+  const data = await zoho.get(`/invoices/${order.zoho_invoice_id}`);
+  return { invoice: toInvoiceSummary(data.invoice), replayed: true };
+};
+
+/**
+ * Create the Zoho invoice for an order at most once. The order id is the
+ * idempotency key: replays return the invoice already stored on the order,
+ * and concurrent requests are fenced by a short claim on the order row.
+ * `createInvoice` receives the order and returns `{ invoice, customer }`,
+ * plus optional `orderFields` saved on the order with the invoice id.
+ */
+const createOrderInvoice = async (orderId, clientId, createInvoice) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to create order invoices');
+  }
+
+  const order = await loadOrder(supabase, orderId);
+  if (clientId && order.client_id !== clientId) {
+    throw new HttpError(403, 'Order belongs to another client');
+  }
+  if (order.zoho_invoice_id) {
+    return await replayOrderInvoice(order);
+  }
+
+  const staleBefore = new Date(Date.now() - INVOICE_CLAIM_MS).toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('orders')
+    .update({ invoice_requested_at: new Date().toISOString() })
+    .eq('id', orderId)
+    .is('zoho_invoice_id', null)
+    .or(`invoice_requested_at.is.null,invoice_requested_at.lt.${staleBefore}`)
+    .select('id');
+
+  if (claimError) throw claimError;
+
+  if (claimed.length === 0) {
+    // Either another request finished in the meantime or it is still running
+    const current = await loadOrder(supabase, orderId);
+    if (current.zoho_invoice_id) {
+      return await replayOrderInvoice(current);
+    }
+    throw new HttpError(409, 'Invoice creation for this order is already in progress');
+  }
+
+  try {
+    // An earlier attempt may have created the invoice and failed before saving it
+    const existing = await findInvoiceByReference(orderId);
+    const { orderFields, ...result } = existing
+      ? { invoice: existing, replayed: true }
+      : { ...(await createInvoice(order)), replayed: false };
+
+    const { error: updateError } = await supabase
+      .from('orders')
+      .update({
+        ...orderFields,
+        zoho_invoice_id: result.invoice.invoice_id,
+        zoho_customer_id: result.invoice.customer_id,
+        invoice_requested_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', orderId);
+
+    if (updateError) throw updateError;
+
+    return result;
+  } catch (error) {
+    await supabase
+      .from('orders')
+      .update({ invoice_requested_at: null })
+      .eq('id', orderId)
+      .is('zoho_invoice_id', null);
+    throw error;
+  }
+};
+
+const getZohoInvoice = async (invoiceId) => {
+  const data = await zoho.get(`/invoices/${invoiceId}`);
+  return data.invoice;
+};
+
+// Request validation helpers. Zoho ids are numeric, which also keeps them
+// from being used to reach other API paths.
+const requireZohoId = (params, field) => {
+  const value = params[field] === undefined || params[field] === null ? '' : String(params[field]);
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `${field} must be a Zoho id`);
+  }
+  return value;
+};
+
+const requirePositiveAmount = (params, field) => {
+  const value = Number(params[field]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new HttpError(400, `${field} must be a positive number`);
+  }
+  return Math.round(value * 100) / 100;
+};
+
+const optionalDate = (params, field) => {
+  if (!params[field]) return new Date().toISOString().split('T')[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(params[field])) {
+    throw new HttpError(400, `${field} must be a YYYY-MM-DD date`);
+  }
+  return params[field];
+};
+
+const getLinkedCustomerId = async (userId) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to check invoice access');
+  }
+
+  const { data, error } = await supabase
+    .from('clients')
+    .select('zoho_customer_id')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.zoho_customer_id || null;
+};
+
+// Contact lookups for the signed-in client; an existing contact is only
+// matched on their email once they have confirmed it
+const contactOptions = (user) => ({ clientId: user.id, emailVerified: Boolean(user.email_confirmed_at) });
+
+// A client may see an invoice issued to their Zoho contact or attached to one of their orders
+const assertInvoiceAccess = async (user, invoice) => {
+  if (isAdmin(user)) return;
+
+  const customerId = await getLinkedCustomerId(user.id);
+  if (customerId && customerId === invoice.customer_id) return;
+
+  const { data: order, error } = await getSupabaseAdmin()
+    .from('orders')
+    .select('id')
+    .eq('zoho_invoice_id', invoice.invoice_id)
+    .eq('client_id', user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) {
+    throw new HttpError(403, 'You do not have access to this invoice');
+  }
+};
+
+const loadAccessibleInvoice = async (user, params) => {
+  const invoice = await getZohoInvoice(requireZohoId(params, 'invoiceId'));
+  await assertInvoiceAccess(user, invoice);
+  return invoice;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What an order costs before tax, in the currency it was placed in
+const orderAmount = (order) => Number(order[`amount_${order.currency.toLowerCase()}`] || 0);
+
+// The browser lists items at their USD price, but the client agreed to pay
+// the order's amount in its own currency. The lines are priced from the
+// order so the invoice, and the tax stored for it, are in that currency.
+const priceFromOrder = (serviceItems, order) => {
+  const listed = serviceItems.reduce((sum, item) => sum + Number(item.totalPrice || 0), 0);
+  if (!(listed > 0)) {
+    throw new HttpError(400, 'serviceItems must have a totalPrice');
+  }
+
+  const factor = orderAmount(order) / listed;
+  return serviceItems.map(item => {
+    const totalPrice = round(Number(item.totalPrice || 0) * factor);
+    return { ...item, unitPrice: round(totalPrice / (Number(item.quantity) || 1)), totalPrice };
+  });
 };
 
-// Create Zoho customer with enhanced error handling
-const createZohoCustomer = async (accessToken, customerData) => {
-  try {
-    log('info', 'Creating Zoho customer', { email: customerData.email });
-    
-    const customerPayload = {
-      contact_name: customerData.name,
-      company_name: customerData.company || '',
-      email: customerData.email,
-      phone: customerData.phone || ''
-    };
-
-    log('info', 'Customer payload prepared', customerPayload);
-
-    const response = await axios.post(
-      `${ZOHO_CONFIG.baseUrl}/contacts`,
-      customerPayload,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'X-com-zoho-invoice-organizationid': ZOHO_CONFIG.organizationId,
-          'Content-Type': 'application/json'
-        },
-        timeout: 15000
-      }
-    );
-
-    const customer = response.data.contact;
-    log('info', 'Zoho customer created successfully', {
-      contactId: customer.contact_id,
-      contactName: customer.contact_name,
-      email: customer.email
-    });
-
-    return {
-      contact_id: customer.contact_id,
-      contact_name: customer.contact_name,
-      email: customer.email,
-      company_name: customer.company_name
-    };
-  } catch (error) {
-    log('error', 'Failed to create Zoho customer', {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message
-    });
-
-    // If customer already exists, try to find them
-    if (error.response?.status === 400 && error.response?.data?.message?.includes('already exists')) {
-      log('info', 'Customer already exists, searching for existing customer...');
-      return await findZohoCustomer(accessToken, customerData.email);
-    }
-
-    throw new Error(`Customer creation failed: ${error.response?.data?.message || error.message}`);
-  }
+const createInvoiceAction = async ({ params, user }) => {
+  log('info', 'Processing customer creation and invoice generation', { orderId: params.orderId });
+
+  // The order id is the idempotency key, so retries and double clicks
+  // get the same invoice back
+  if (!params.orderId) {
+    throw new HttpError(400, 'orderId is required to create an invoice');
+  }
+  if (!params.customerData || !Array.isArray(params.serviceItems) || params.serviceItems.length === 0) {
+    throw new HttpError(400, 'customerData and serviceItems are required to create an invoice');
+  }
+
+  const { invoice, customer, replayed } = await createOrderInvoice(params.orderId, user.id, async (order) => {
+    // Decide the tax first so a bad GSTIN or missing tax setup fails
+    // before anything is written to Zoho
+    const taxDecision = determineTax(await loadTaxProfile(user.id));
+    const serviceItems = priceFromOrder(params.serviceItems, order);
+
+    // Create or update the customer, linked to the signed-in client
+    const contact = await upsertZohoContact(
+      { ...params.customerData, email: user.email },
+      contactOptions(user)
+    );
+
+    const created = await createZohoInvoice(contact.contact_id, {
+      orderId: params.orderId,
+      serviceItems,
+      currency: order.currency,
+      notes: params.notes,
+      tax: taxDecision
+    });
+
+    return {
+      invoice: created,
+      customer: contact,
+      orderFields: toOrderTaxFields(taxDecision, computeTax(orderAmount(order), taxDecision))
+    };
+  });
+
+  return { customer: customer || null, invoice, replayed };
 };
 
-// Find existing Zoho customer
-const findZohoCustomer = async (accessToken, email) => {
-  try {
-    log('info', 'Searching for existing Zoho customer', { email });
-    
-    const response = await axios.get(
-      `${ZOHO_CONFIG.baseUrl}/contacts`,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'X-com-zoho-invoice-organizationid': ZOHO_CONFIG.organizationId,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          email: email
-        },
-        timeout: 15000
-      }
-    );
-
-    if (response.data.contacts && response.data.contacts.length > 0) {
-      const customer = response.data.contacts[0];
-      log('info', 'Found existing Zoho customer', { 
-        contactId: customer.contact_id,
-        contactName: customer.contact_name 
-      });
-      return {
-        contact_id: customer.contact_id,
-        contact_name: customer.contact_name,
-        email: customer.email,
-        company_name: customer.company_name
-      };
-    }
-    
-    throw new Error('Customer not found');
-  } catch (error) {
-    log('error', 'Failed to find Zoho customer', {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message
-    });
-    throw new Error(`Customer lookup failed: ${error.message}`);
-  }
+const toEstimateSummary = (estimate) => ({
+  estimate_id: estimate.estimate_id,
+  estimate_number: estimate.estimate_number,
+  date: estimate.date,
+  expiry_date: estimate.expiry_date,
+  total: estimate.total,
+  currency_code: estimate.currency_code,
+  status: estimate.status
+});
+
+// Estimates are drafts while staff price them; only sent ones reach the client
+const loadClientEstimate = async (user, params) => {
+  const estimateId = requireZohoId(params, 'estimateId');
+  const customerId = await resolveZohoContactId(user.id, user.email, contactOptions(user));
+
+  const data = await zoho.get(`/estimates/${estimateId}`);
+  const estimate = data.estimate;
+
+  if (!customerId || estimate.customer_id !== customerId) {
+    throw new HttpError(403, 'You do not have access to this estimate');
+  }
+  if (estimate.status === 'draft') {
+    throw new HttpError(404, `Estimate ${estimateId} not found`);
+  }
+  return estimate;
 };
 
-// Create Zoho invoice
-const createZohoInvoice = async (accessToken, customerId, invoiceData) => {
-  try {
-    log('info', 'Creating Zoho invoice', { customerId, currency: invoiceData.currency });
-    
-    const lineItems = invoiceData.serviceItems.map(item => ({
-      name: item.serviceName,
-      description: `${item.serviceName} - ${item.packageType} Package (Quantity: ${item.quantity})`,
-      rate: item.unitPrice,
-      quantity: item.quantity,
-      item_total: item.totalPrice
-    }));
-
-    const invoicePayload = {
-      customer_id: customerId,
-      invoice_number: `INV-${Date.now()}`,
-      date: new Date().toISOString().split('T')[0],
-      due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      line_items: lineItems,
-      notes: invoiceData.notes || 'Thank you for choosing Mechinweb!',
-      terms: 'Payment due within 30 days.',
-      currency_code: invoiceData.currency || 'USD'
-    };
-
-    log('info', 'Invoice payload prepared', {
-      invoiceNumber: invoicePayload.invoice_number,
-      lineItemsCount: lineItems.length,
-      currency: invoicePayload.currency_code,
-      customerId: customerId
-    });
-
-    const response = await axios.post(
-      `${ZOHO_CONFIG.baseUrl}/invoices`,
-      invoicePayload,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'X-com-zoho-invoice-organizationid': ZOHO_CONFIG.organizationId,
-          'Content-Type': 'application/json'
-        },
-        timeout: 20000
-      }
-    );
-
-    const invoice = response.data.invoice;
-    log('info', 'Zoho invoice created successfully', {
-      invoiceId: invoice.invoice_id,
-      invoiceNumber: invoice.invoice_number,
-      total: invoice.total,
-      status: invoice.status
-    });
-
-    return {
-      invoice_id: invoice.invoice_id,
-      invoice_number: invoice.invoice_number,
-      payment_url: `https://invoice.zoho.in/invoices/${invoice.invoice_id}/payment`,
-      total: invoice.total,
-      status: invoice.status,
-      customer_id: customerId
-    };
-  } catch (error) {
-    log('error', 'Failed to create Zoho invoice', {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message
-    });
-    throw new Error(`Invoice creation failed: ${error.response?.data?.message || error.message}`);
-  }
+const findEstimateOrder = async (supabase, estimateId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, client_id, status, currency, zoho_invoice_id')
+    .eq('zoho_estimate_id', estimateId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
 };
 
-// Get invoice status
-const getZohoInvoiceStatus = async (accessToken, invoiceId) => {
-  try {
-    log('info', 'Getting Zoho invoice status', { invoiceId });
-    
-    const response = await axios.get(
-      `${ZOHO_CONFIG.baseUrl}/invoices/${invoiceId}`,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'X-com-zoho-invoice-organizationid': ZOHO_CONFIG.organizationId,
-          'Content-Type': 'application/json'
-        },
-        timeout: 15000
-      }
-    );
-
-    const invoice = response.data.invoice;
-    log('info', 'Invoice status retrieved', {
-      invoiceId,
-      status: invoice.status,
-      total: invoice.total
-    });
-
-    return {
-      status: invoice.status,
-      total: invoice.total,
-      payment_date: invoice.last_payment_date
-    };
-  } catch (error) {
-    log('error', 'Failed to get invoice status', {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message
-    });
-    throw new Error(`Invoice status check failed: ${error.message}`);
-  }
+// One order per estimate, so accepting twice resumes the same order
+const findOrCreateEstimateOrder = async (supabase, estimate, clientId) => {
+  const existing = await findEstimateOrder(supabase, estimate.estimate_id);
+  if (existing) {
+    if (existing.client_id !== clientId) {
+      throw new HttpError(403, 'Estimate belongs to another client');
+    }
+    return existing;
+  }
+
+  const currency = estimate.currency_code || 'USD';
+  if (!ORDER_CURRENCIES.includes(currency)) {
+    throw new HttpError(422, `Estimates in ${currency} cannot be paid online; please contact us`);
+  }
+
+  // Tax is added by the invoice, so the order holds the pre-tax amount
+  const amounts = await toOrderAmounts(Number(estimate.sub_total ?? estimate.total), currency);
+  const description = (estimate.line_items || []).map(item => item.name).filter(Boolean).join(', ')
+    || `Estimate ${estimate.estimate_number}`;
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .insert([{
+      client_id: clientId,
+      service_id: null,
+      package_type: 'custom',
+      description,
+      ...amounts,
+      currency,
+      status: 'pending',
+      payment_gateway: 'zoho',
+      zoho_estimate_id: estimate.estimate_id,
+      zoho_customer_id: estimate.customer_id
+    }])
+    .select('id, client_id, status, currency, zoho_invoice_id')
+    .single();
+
+  if (error) {
+    // A concurrent accept inserted it first
+    if (error.code === '23505') return await findEstimateOrder(supabase, estimate.estimate_id);
+    throw error;
+  }
+
+  log('info', 'Order created from estimate', { orderId: order.id, estimateId: estimate.estimate_id });
+  return order;
+};
+
+// Copy the priced estimate into an invoice referencing the order, the same
+// way catalogue orders are invoiced. Taxes on the estimate are replaced by
+// the ones the tax engine picks for the client.
+const createInvoiceFromEstimate = async (estimate, orderId, taxDecision) => {
+  log('info', 'Creating Zoho invoice from estimate', {
+    estimateId: estimate.estimate_id,
+    orderId,
+    taxTreatment: taxDecision.treatment
+  });
+
+  const data = await zoho.post('/invoices', {
+    customer_id: estimate.customer_id,
+    ...toZohoInvoiceFields(taxDecision),
+    reference_number: orderId,
+    date: new Date().toISOString().split('T')[0],
+    due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+    currency_code: estimate.currency_code,
+    line_items: (estimate.line_items || []).map(item => ({
+      name: item.name,
+      description: item.description,
+      rate: item.rate,
+      quantity: item.quantity,
+      ...(item.discount && { discount: item.discount }),
+      ...taxDecision.lineItemFields
+    })),
+    ...(estimate.discount && {
+      discount: estimate.discount,
+      is_discount_before_tax: estimate.is_discount_before_tax
+    }),
+    notes: `Estimate ${estimate.estimate_number}\nOrder ID: ${orderId}`,
+    terms: 'Payment due within 30 days.'
+  }, { timeout: 20000 });
+
+  return toInvoiceSummary(data.invoice);
+};
+
+const acceptEstimateAction = async ({ params, user }) => {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to accept estimates');
+  }
+
+  const estimate = await loadClientEstimate(user, params);
+  if (estimate.status === 'declined' || estimate.status === 'expired') {
+    throw new HttpError(409, `This estimate is ${estimate.status} and can no longer be accepted`);
+  }
+  if (!(Number(estimate.total) > 0)) {
+    throw new HttpError(409, 'This estimate has not been priced yet');
+  }
+
+  if (estimate.status === 'invoiced' && !(await findEstimateOrder(supabase, estimate.estimate_id))) {
+    // Staff already invoiced it by hand; the invoice is in the client's list
+    throw new HttpError(409, 'This estimate has already been invoiced');
+  }
+
+  const order = await findOrCreateEstimateOrder(supabase, estimate, user.id);
+
+  if (estimate.status === 'sent') {
+    log('info', 'Marking Zoho estimate accepted', { estimateId: estimate.estimate_id, orderId: order.id });
+    await zoho.post(`/estimates/${estimate.estimate_id}/status/accepted`);
+  }
+
+  const { invoice, replayed } = await createOrderInvoice(order.id, user.id, async () => {
+    const taxDecision = determineTax(await loadTaxProfile(user.id));
+    const subtotal = Number(estimate.sub_total ?? estimate.total);
+
+    return {
+      invoice: await createInvoiceFromEstimate(estimate, order.id, taxDecision),
+      orderFields: toOrderTaxFields(taxDecision, computeTax(subtotal, taxDecision))
+    };
+  });
+
+  return {
+    estimate: { ...toEstimateSummary(estimate), status: estimate.status === 'sent' ? 'accepted' : estimate.status },
+    order: { id: order.id, status: order.status, currency: order.currency },
+    invoice,
+    replayed
+  };
+};
+
+// Zoho raises the first invoice of a recurring profile when it starts
+const findFirstRecurringInvoice = async (recurringInvoiceId) => {
+  try {
+    const data = await zoho.get('/invoices', { params: { recurring_invoice_id: recurringInvoiceId } });
+    const invoice = (data.invoices || []).find(inv => inv.recurring_invoice_id === recurringInvoiceId);
+    return invoice ? toInvoiceSummary(invoice) : null;
+  } catch (error) {
+    log('warning', 'Could not look up the first recurring invoice', { recurringInvoiceId, error: error.message });
+    return null;
+  }
+};
+
+const createSubscriptionAction = async ({ params, user }) => {
+  if (!params.serviceId || !params.packageType) {
+    throw new HttpError(400, 'serviceId and packageType are required');
+  }
+
+  // Tax first, so a bad GSTIN or missing tax setup fails before Zoho is touched
+  const taxDecision = determineTax(await loadTaxProfile(user.id));
+
+  const { data: client, error } = await getSupabaseAdmin()
+    .from('clients')
+    .select('name, phone, company')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+
+  const contact = await upsertZohoContact(
+    {
+      name: client?.name || user.user_metadata?.name || user.email,
+      email: user.email,
+      phone: client?.phone,
+      company: client?.company
+    },
+    contactOptions(user)
+  );
+
+  const subscription = await createSubscription({
+    clientId: user.id,
+    customerId: contact.contact_id,
+    serviceId: params.serviceId,
+    packageType: params.packageType,
+    interval: params.billingInterval || 'monthly',
+    currency: params.currency || 'USD',
+    taxDecision
+  });
+
+  return {
+    subscription,
+    invoice: await findFirstRecurringInvoice(subscription.zoho_recurring_invoice_id)
+  };
+};
+
+// An upgrade is charged for the rest of the period on its own invoice,
+// through an order like any other purchase, before the recurring invoice
+// moves to the new price
+const chargeUpgrade = async ({ subscription, plan, proration }, taxDecision, clientId) => {
+  const amounts = await toOrderAmounts(proration.amount, subscription.currency);
+  const description = `${plan.service_name} - ${tierLabel(plan.package_type)} upgrade (prorated)`;
+
+  const { data: order, error } = await getSupabaseAdmin()
+    .from('orders')
+    .insert([{
+      client_id: clientId,
+      service_id: subscription.service_id,
+      package_type: plan.package_type,
+      description,
+      ...amounts,
+      currency: subscription.currency,
+      status: 'pending',
+      payment_gateway: 'zoho',
+      zoho_customer_id: subscription.zoho_customer_id
+    }])
+    .select('id, status, currency')
+    .single();
+  if (error) throw error;
+
+  const { invoice } = await createOrderInvoice(order.id, clientId, async () => ({
+    invoice: await createZohoInvoice(subscription.zoho_customer_id, {
+      orderId: order.id,
+      serviceItems: [{
+        serviceName: description,
+        packageType: plan.package_type,
+        quantity: 1,
+        unitPrice: proration.amount,
+        totalPrice: proration.amount
+      }],
+      currency: subscription.currency,
+      notes: `Subscription ID: ${subscription.id}\n${proration.daysLeft} of ${proration.periodDays} days at the new tier`,
+      tax: taxDecision
+    }),
+    orderFields: toOrderTaxFields(taxDecision, computeTax(proration.amount, taxDecision))
+  }));
+
+  return { order, invoice };
+};
+
+const changeSubscriptionTierAction = async ({ params, user }) => {
+  if (!params.packageType) throw new HttpError(400, 'packageType is required');
+
+  const quote = await quoteTierChange(user.id, params.subscriptionId, params.packageType);
+  const taxDecision = determineTax(await loadTaxProfile(user.id));
+
+  if (quote.proration.amount <= 0) {
+    const result = await applyTierChange(quote, taxDecision);
+    return { ...result, proration: quote.proration, order: null, invoice: null };
+  }
+
+  // The new tier applies once the prorated invoice is paid (applyPaidUpgrade,
+  // from the payment webhook). An invoice nothing waits on is voided.
+  const charge = await chargeUpgrade(quote, taxDecision, user.id);
+  try {
+    const subscription = await holdTierChange(quote, charge.order.id);
+    return { subscription, credit_note: null, proration: quote.proration, ...charge };
+  } catch (error) {
+    log('error', 'Failed to hold upgrade, voiding its invoice', { subscriptionId: quote.subscription.id, invoiceId: charge.invoice?.invoice_id, error: error.message });
+    if (charge.invoice?.invoice_id) await zoho.post(`/invoices/${charge.invoice.invoice_id}/status/void`);
+    throw error;
+  }
+};
+
+// Actions the function understands. `admin` actions change money or
+// invoice state and are restricted to users whose app_metadata role is admin.
+const ACTIONS = {
+  create_invoice: {
+    handle: createInvoiceAction
+  },
+
+  // Create or update the signed-in client's contact (profile sync)
+  sync_customer: {
+    handle: async ({ params, user }) => {
+      if (!params.name) throw new HttpError(400, 'name is required');
+
+      // A client can only sync the contact for their own email
+      const customer = await upsertZohoContact({ ...params, email: user.email }, contactOptions(user));
+      return { customer };
+    }
+  },
+
+  get_invoice: {
+    handle: async ({ params, user }) => {
+      const invoice = await loadAccessibleInvoice(user, params);
+      return {
+        invoice: {
+          ...toInvoiceSummary(invoice),
+          date: invoice.date,
+          due_date: invoice.due_date,
+          balance: invoice.balance,
+          currency_code: invoice.currency_code,
+          sub_total: invoice.sub_total,
+          tax_total: invoice.tax_total,
+          taxes: invoice.taxes || [],
+          line_items: invoice.line_items,
+          payments: invoice.payments || []
+        }
+      };
+    }
+  },
+
+  invoice_status: {
+    handle: async ({ params, user }) => {
+      const invoice = await loadAccessibleInvoice(user, params);
+      return {
+        invoice_id: invoice.invoice_id,
+        status: invoice.status,
+        total: invoice.total,
+        balance: invoice.balance,
+        payment_date: invoice.last_payment_date || null
+      };
+    }
+  },
+
+  list_customer_invoices: {
+    handle: async ({ params, user }) => {
+      const linkedId = isAdmin(user) ? null : await getLinkedCustomerId(user.id);
+      const customerId = params.customerId ? requireZohoId(params, 'customerId') : linkedId;
+
+      if (!customerId) {
+        // No Zoho contact yet means no invoices yet
+        return { invoices: [] };
+      }
+      if (!isAdmin(user) && customerId !== linkedId) {
+        throw new HttpError(403, 'You can only list your own invoices');
+      }
+
+      const invoices = await zoho.listAll('/invoices', 'invoices', { params: { customer_id: customerId } });
+      return { invoices: invoices.map(invoice => ({ ...toInvoiceSummary(invoice), date: invoice.date, due_date: invoice.due_date, balance: invoice.balance })) };
+    }
+  },
+
+  record_payment: {
+    admin: true,
+    handle: async ({ params }) => {
+      const invoiceId = requireZohoId(params, 'invoiceId');
+      const amount = requirePositiveAmount(params, 'amount');
+      const date = optionalDate(params, 'date');
+      if (!params.paymentMode) throw new HttpError(400, 'paymentMode is required');
+
+      const invoice = await getZohoInvoice(invoiceId);
+      if (invoice.status === 'void') {
+        throw new HttpError(409, 'Cannot record a payment against a void invoice');
+      }
+
+      log('info', 'Recording Zoho payment', { invoiceId, amount, paymentMode: params.paymentMode });
+
+      const data = await zoho.post('/customerpayments', {
+        customer_id: invoice.customer_id,
+        payment_mode: params.paymentMode,
+        amount,
+        date,
+        reference_number: params.reference || '',
+        invoices: [{ invoice_id: invoiceId, amount_applied: amount }]
+      });
+
+      const payment = data.payment;
+      return {
+        payment: {
+          payment_id: payment.payment_id,
+          invoice_id: invoiceId,
+          amount: payment.amount,
+          date: payment.date,
+          payment_mode: payment.payment_mode
+        }
+      };
+    }
+  },
+
+  void_invoice: {
+    admin: true,
+    handle: async ({ params }) => {
+      const invoiceId = requireZohoId(params, 'invoiceId');
+      const invoice = await getZohoInvoice(invoiceId);
+
+      if (invoice.status === 'void') {
+        return { invoice_id: invoiceId, status: 'void' };
+      }
+      if (invoice.status === 'paid' || invoice.status === 'partially_paid') {
+        throw new HttpError(409, 'Refund or delete the payments before voiding this invoice');
+      }
+
+      log('info', 'Voiding Zoho invoice', { invoiceId });
+      await zoho.post(`/invoices/${invoiceId}/status/void`);
+      return { invoice_id: invoiceId, status: 'void' };
+    }
+  },
+
+  // Priced estimates for the signed-in client's Zoho contact
+  list_estimates: {
+    handle: async ({ user }) => {
+      const customerId = await resolveZohoContactId(user.id, user.email, contactOptions(user));
+      if (!customerId) return { estimates: [] };
+
+      const estimates = (await zoho.listAll('/estimates', 'estimates', { params: { customer_id: customerId } }))
+        .filter(estimate => estimate.status !== 'draft' && Number(estimate.total) > 0);
+      if (estimates.length === 0) return { estimates: [] };
+
+      // Accepted estimates stay payable until their order is paid
+      const { data: orders, error } = await getSupabaseAdmin()
+        .from('orders')
+        .select('id, status, zoho_estimate_id')
+        .eq('client_id', user.id)
+        .in('zoho_estimate_id', estimates.map(estimate => estimate.estimate_id));
+      if (error) throw error;
+
+      return {
+        estimates: estimates.map(estimate => {
+          const order = (orders || []).find(o => o.zoho_estimate_id === estimate.estimate_id);
+          return {
+            ...toEstimateSummary(estimate),
+            order_id: order?.id || null,
+            order_status: order?.status || null
+          };
+        })
+      };
+    }
+  },
+
+  // Mark the estimate accepted, create its order and invoice it; the client
+  // then pays through the invoice's payment_url like any other order
+  accept_estimate: {
+    handle: acceptEstimateAction
+  },
+
+  decline_estimate: {
+    handle: async ({ params, user }) => {
+      const estimate = await loadClientEstimate(user, params);
+      if (estimate.status === 'declined') {
+        return { estimate: toEstimateSummary(estimate) };
+      }
+      if (estimate.status !== 'sent') {
+        throw new HttpError(409, `This estimate is ${estimate.status} and can no longer be declined`);
+      }
+
+      log('info', 'Marking Zoho estimate declined', { estimateId: estimate.estimate_id });
+      await zoho.post(`/estimates/${estimate.estimate_id}/status/declined`);
+      return { estimate: { ...toEstimateSummary(estimate), status: 'declined' } };
+    }
+  },
+
+  list_subscriptions: {
+    handle: async ({ user }) => ({ subscriptions: await listClientSubscriptions(user.id) })
+  },
+
+  // Start a monthly or annual plan; the first invoice's payment_url is
+  // returned when Zoho has raised it already
+  create_subscription: {
+    handle: createSubscriptionAction
+  },
+
+  change_subscription_tier: {
+    handle: changeSubscriptionTierAction
+  },
+
+  // Stops future invoices; the service runs until the paid period ends
+  cancel_subscription: {
+    handle: async ({ params, user }) => ({
+      subscription: await cancelAtPeriodEnd(user.id, params.subscriptionId)
+    })
+  },
+
+  // Full refund when `amount` is left out
+  refund_order: {
+    admin: true,
+    handle: async ({ params, user }) => {
+      if (!params.orderId) throw new HttpError(400, 'orderId is required');
+      const amount = params.amount === undefined || params.amount === null
+        ? null
+        : requirePositiveAmount(params, 'amount');
+
+      return await issueRefund({
+        orderId: params.orderId,
+        amount,
+        reason: params.reason || '',
+        refundMode: params.refundMode || 'banktransfer',
+        date: optionalDate(params, 'date'),
+        staffId: user.id
+      });
+    }
+  },
+
+  // Email the invoice to the customer's contacts again
+  resend_invoice: {
+    handle: async ({ params, user }) => {
+      const invoice = await loadAccessibleInvoice(user, params);
+      if (invoice.status === 'void') {
+        throw new HttpError(409, 'Cannot resend a void invoice');
+      }
+
+      log('info', 'Resending Zoho invoice', { invoiceId: invoice.invoice_id });
+      await zoho.post('/invoices/email', undefined, { params: { invoice_ids: invoice.invoice_id } });
+      return { invoice_id: invoice.invoice_id, sent: true };
+    }
+  }
+};
+
+// Older callers post bare bodies without an action
+const resolveAction = (requestData) => {
+  if (requestData.action) return requestData.action;
+  if (requestData.customerData && requestData.serviceItems) return 'create_invoice';
+  if (requestData.name && requestData.email) return 'sync_customer';
+  return null;
 };
 
 // Main handler function
 exports.handler = async (event, context) => {
-  const requestId = context.awsRequestId || Date.now().toString();
-  
-  log('info', 'Zoho integration function invoked', {
-    requestId,
-    method: event.httpMethod,
-    path: event.path
-  });
-
-  // Handle CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-      },
-      body: ''
-    };
-  }
-
-  try {
-    // Validate Zoho configuration
-    validateZohoConfig();
-
-    // Get access token
-    const accessToken = await getZohoAccessToken();
-    
-    // For GET requests, just test the connection and return success
-    if (event.httpMethod === 'GET') {
-      log('info', 'GET request - testing connection only');
-      
-      // Test with a simple contacts API call instead of organizations
-      try {
-        await testZohoConnection(accessToken);
-        
-        return {
-          statusCode: 200,
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            success: true,
-            message: 'Zoho integration is working correctly',
-            timestamp: new Date().toISOString(),
-            requestId,
-            config: {
-              hasClientId: !!ZOHO_CONFIG.clientId,
-              hasClientSecret: !!ZOHO_CONFIG.clientSecret,
-              hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
-              hasOrgId: !!ZOHO_CONFIG.organizationId,
-              organizationId: ZOHO_CONFIG.organizationId,
-              apiConnectionSuccessful: true
-            }
-          })
-        };
-      } catch (testError) {
-        // If connection test fails, still return the configuration status
-        log('warning', 'Connection test failed but credentials are valid', testError);
-        
-        return {
-          statusCode: 200,
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            success: false,
-            message: 'Zoho credentials are valid but API access failed',
-            error: testError.message,
-            timestamp: new Date().toISOString(),
-            requestId,
-            config: {
-              hasClientId: !!ZOHO_CONFIG.clientId,
-              hasClientSecret: !!ZOHO_CONFIG.clientSecret,
-              hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
-              hasOrgId: !!ZOHO_CONFIG.organizationId,
-              organizationId: ZOHO_CONFIG.organizationId,
-              tokenObtained: true,
-              apiConnectionFailed: true
-            }
-          })
-        };
-      }
-    }
-
-    // Parse request for POST requests
-    let requestData = {};
-    if (event.httpMethod === 'POST' && event.body) {
-      try {
-        requestData = JSON.parse(event.body);
-        log('info', 'Request data parsed', {
-          hasCustomerData: !!requestData.customerData,
-          hasServiceItems: !!requestData.serviceItems,
-          currency: requestData.currency
-        });
-      } catch (parseError) {
-        log('error', 'Failed to parse request body', parseError);
-        throw new Error('Invalid JSON in request body');
-      }
-    }
-
-    // Handle POST requests for customer and invoice creation
-    if (event.httpMethod === 'POST') {
-      // Handle customer creation and invoice creation
-      if (requestData.customerData && requestData.serviceItems) {
-        log('info', 'Processing customer creation and invoice generation');
-        
-        // Create or find customer
-        const customer = await createZohoCustomer(accessToken, requestData.customerData);
-        
-        // Create invoice
-        const invoice = await createZohoInvoice(accessToken, customer.contact_id, {
-          serviceItems: requestData.serviceItems,
-          currency: requestData.currency || 'USD',
-          notes: requestData.notes
-        });
-
-        return {
-          statusCode: 200,
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            success: true,
-            customer,
-            invoice,
-            requestId,
-            timestamp: new Date().toISOString()
-          })
-        };
-      }
-      
-      // Handle customer creation only
-      else if (requestData.name && requestData.email) {
-        const customer = await createZohoCustomer(accessToken, requestData);
-        return {
-          statusCode: 200,
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            success: true,
-            customer,
-            requestId
-          })
-        };
-      }
-      
-      else {
-        throw new Error('Invalid request data. Expected customerData and serviceItems or customer details.');
-      }
-    }
-
-    // Invalid method
-    return {
-      statusCode: 405,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        success: false,
-        error: 'Method not allowed',
-        requestId
-      })
-    };
-
-  } catch (error) {
-    log('error', 'Zoho integration function error', {
-      requestId,
-      error: error.message,
-      stack: error.stack
-    });
-    
-    return {
-      statusCode: 500,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        success: false,
-        error: error.message,
-        requestId,
-        timestamp: new Date().toISOString(),
-        debug: {
-          hasClientId: !!ZOHO_CONFIG.clientId,
-          hasClientSecret: !!ZOHO_CONFIG.clientSecret,
-          hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
-          hasOrgId: !!ZOHO_CONFIG.organizationId,
-          organizationId: ZOHO_CONFIG.organizationId
-        }
-      })
-    };
-  }
+  const requestId = context.awsRequestId || Date.now().toString();
+  
+  log('info', 'Zoho integration function invoked', {
+    requestId,
+    method: event.httpMethod,
+    path: event.path
+  });
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    // Validate Zoho configuration
+    validateZohoConfig();
+
+    // For GET requests, just test the connection and return success
+    if (event.httpMethod === 'GET') {
+      log('info', 'GET request - testing connection only');
+      
+      // Test with a simple contacts API call instead of organizations
+      try {
+        await testZohoConnection();
+        
+        return {
+          statusCode: 200,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            success: true,
+            message: 'Zoho integration is working correctly',
+            timestamp: new Date().toISOString(),
+            requestId,
+            config: {
+              hasClientId: !!ZOHO_CONFIG.clientId,
+              hasClientSecret: !!ZOHO_CONFIG.clientSecret,
+              hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
+              hasOrgId: !!ZOHO_CONFIG.organizationId,
+              organizationId: ZOHO_CONFIG.organizationId,
+              apiConnectionSuccessful: true
+            }
+          })
+        };
+      } catch (testError) {
+        // If connection test fails, still return the configuration status
+        log('warning', 'Connection test failed but credentials are valid', testError);
+        
+        return {
+          statusCode: 200,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            success: false,
+            message: 'Zoho credentials are valid but API access failed',
+            error: testError.message,
+            timestamp: new Date().toISOString(),
+            requestId,
+            config: {
+              hasClientId: !!ZOHO_CONFIG.clientId,
+              hasClientSecret: !!ZOHO_CONFIG.clientSecret,
+              hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
+              hasOrgId: !!ZOHO_CONFIG.organizationId,
+              organizationId: ZOHO_CONFIG.organizationId,
+              tokenObtained: true,
+              apiConnectionFailed: true
+            }
+          })
+        };
+      }
+    }
+
+    // Parse request for POST requests
+    let requestData = {};
+    if (event.httpMethod === 'POST' && event.body) {
+      try {
+        requestData = JSON.parse(event.body);
+        log('info', 'Request data parsed', {
+          action: requestData.action,
+          hasCustomerData: !!requestData.customerData,
+          hasServiceItems: !!requestData.serviceItems,
+          currency: requestData.currency
+        });
+      } catch (parseError) {
+        log('error', 'Failed to parse request body', parseError);
+        throw new HttpError(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Handle POST actions
+    if (event.httpMethod === 'POST') {
+      const actionName = resolveAction(requestData);
+      const action = Object.prototype.hasOwnProperty.call(ACTIONS, actionName) ? ACTIONS[actionName] : null;
+      if (!action) {
+        throw new HttpError(400, `Unknown action. Expected one of: ${Object.keys(ACTIONS).join(', ')}`);
+      }
+
+      const user = await getRequestUser(event.headers);
+      if (!user) {
+        throw new HttpError(401, 'Sign in to use the Zoho integration');
+      }
+      if (action.admin && !isAdmin(user)) {
+        throw new HttpError(403, `Only administrators can ${actionName.replace(/_/g, ' ')}`);
+      }
+
+      log('info', 'Running Zoho action', { requestId, action: actionName, userId: user.id });
+
+      const result = await action.handle({ params: requestData, user });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          success: true,
+          action: actionName,
+          ...result,
+          requestId,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Invalid method
+    return {
+      statusCode: 405,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: 'Method not allowed',
+        requestId
+      })
+    };
+
+  } catch (error) {
+    log('error', 'Zoho integration function error', {
+      requestId,
+      type: error.name,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return {
+      statusCode: error instanceof HttpError ? error.statusCode : httpStatusForZohoError(error),
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json',
+        ...(error instanceof ZohoRateLimitError && error.retryAfterMs !== null && {
+          'Retry-After': String(Math.ceil(error.retryAfterMs / 1000))
+        })
+      },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        errorType: error.name,
+        requestId,
+        timestamp: new Date().toISOString(),
+        debug: {
+          hasClientId: !!ZOHO_CONFIG.clientId,
+          hasClientSecret: !!ZOHO_CONFIG.clientSecret,
+          hasRefreshToken: !!ZOHO_CONFIG.refreshToken,
+          hasOrgId: !!ZOHO_CONFIG.organizationId,
+          organizationId: ZOHO_CONFIG.organizationId
+        }
+      })
+    };
+  }
 };
\ No newline at end of file
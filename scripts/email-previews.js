@@ -0,0 +1,143 @@
+// Email previews rendered without a database: the email_templates rows come
+// from the INSERTs in supabase/migrations, applied in order the way the
+// database applied them, and every fixture in utils/emailFixtures.js is
+// rendered from them through composeEmails. Used by
+// scripts/render-email-previews.js and the preview snapshot tests.
+import { readdir, readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const { composeEmails } = require('../netlify/functions/utils/emailTypes.js');
+const { FIXTURE_NOW, EMAIL_FIXTURES } = require('../netlify/functions/utils/emailFixtures.js');
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../supabase/migrations', import.meta.url));
+
+const INSERT = /INSERT INTO email_templates\b/gi;
+// Whitespace and comments, string literals ('' is a quote), casts such as
+// ::jsonb, punctuation, and bare words (keywords, numbers, true/false/NULL)
+const TOKEN = /\s+|--[^\n]*|'((?:[^']|'')*)'|::\w+|([(),;=])|([\w.]+)/y;
+
+const tokenize = (sql, start) => {
+  const tokens = [];
+  TOKEN.lastIndex = start;
+  while (TOKEN.lastIndex < sql.length) {
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(sql);
+    if (!match) throw new Error(`Cannot read email_templates INSERT at offset ${at}`);
+
+    const [, string, punct, word] = match;
+    if (string !== undefined) tokens.push({ value: string.replace(/''/g, "'") });
+    else if (punct === ';') break;
+    else if (punct) tokens.push({ punct });
+    else if (word) tokens.push({ word });
+  }
+  return tokens;
+};
+
+const literal = (token) => {
+  if ('value' in token) return token.value;
+  const word = token.word?.toLowerCase();
+  if (word === 'null') return null;
+  if (word === 'true' || word === 'false') return word === 'true';
+  if (word && /^-?\d+(\.\d+)?$/.test(word)) return Number(word);
+  throw new Error(`Unexpected ${token.word || token.punct} in email_templates VALUES`);
+};
+
+// A parenthesised list: column names or one row of values
+const readList = (tokens, i, read) => {
+  if (tokens[i]?.punct !== '(') throw new Error('Expected ( in email_templates INSERT');
+  const items = [];
+  for (i++; tokens[i] && tokens[i].punct !== ')'; i++) {
+    if (tokens[i].punct !== ',') items.push(read(tokens[i]));
+  }
+  return { items, next: i + 1 };
+};
+
+/**
+ * The rows of every `INSERT INTO email_templates` in `sql`, each with
+ * `replace` set when its statement ends in ON CONFLICT .. DO UPDATE.
+ */
+export const parseTemplateInserts = (sql) => {
+  const rows = [];
+  for (const match of sql.matchAll(INSERT)) {
+    const tokens = tokenize(sql, match.index + match[0].length);
+    const { items: columns, next } = readList(tokens, 0, token => token.word);
+
+    let i = next + 1;
+    const values = [];
+    while (tokens[i]?.punct === '(') {
+      const row = readList(tokens, i, literal);
+      values.push(row.items);
+      i = tokens[row.next]?.punct === ',' ? row.next + 1 : row.next;
+    }
+
+    const words = tokens.slice(i).map(token => token.word?.toUpperCase()).join(' ');
+    const replace = / DO UPDATE\b/.test(` ${words}`);
+    for (const row of values) {
+      rows.push({ ...Object.fromEntries(columns.map((column, index) => [column, row[index]])), replace });
+    }
+  }
+  return rows;
+};
+
+const rowKey = (row) => `${row.template_name}|${row.language || 'en'}|${row.version || 1}`;
+
+/**
+ * The email_templates rows the migrations leave behind. A later row with the
+ * same name, language and version replaces an earlier one only when its
+ * INSERT says DO UPDATE; otherwise the first one stays.
+ */
+export const loadMigrationTemplates = async (dir = MIGRATIONS_DIR) => {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.sql')).sort();
+  const rows = new Map();
+
+  for (const file of files) {
+    for (const { replace, ...row } of parseTemplateInserts(await readFile(join(dir, file), 'utf8'))) {
+      const key = rowKey(row);
+      if (rows.has(key) && !replace) continue;
+      rows.set(key, { language: 'en', version: 1, is_active: true, ...rows.get(key), ...row });
+    }
+  }
+  return [...rows.values()];
+};
+
+// One fixture's messages, or the error that stopped them rendering
+const renderFixture = async (fixture, templates) => {
+  try {
+    const messages = await composeEmails(fixture.type, fixture.data, {
+      requestId: 'preview',
+      now: new Date(FIXTURE_NOW),
+      templates,
+      database: false
+    });
+    return { fixture: fixture.name, type: fixture.type, messages };
+  } catch (error) {
+    return { fixture: fixture.name, type: fixture.type, error: error.message };
+  }
+};
+
+/**
+ * Render the fixtures named in `fixtures` (all by default). Rows in
+ * `templates` replace the migrations' rows of the same template and
+ * language, to review a change before writing its migration.
+ */
+export const renderPreviews = async ({ templates = [], fixtures: names } = {}) => {
+  const fixtures = names ? EMAIL_FIXTURES.filter(fixture => names.includes(fixture.name)) : EMAIL_FIXTURES;
+  if (fixtures.length === 0) {
+    throw new Error(`Unknown fixtures. Expected any of: ${EMAIL_FIXTURES.map(fixture => fixture.name).join(', ')}`);
+  }
+
+  const replaced = new Set(templates.map(row => `${row.template_name}|${row.language || 'en'}`));
+  const rows = [
+    ...templates,
+    ...(await loadMigrationTemplates()).filter(row => !replaced.has(`${row.template_name}|${row.language}`))
+  ];
+
+  const previews = [];
+  for (const fixture of fixtures) {
+    previews.push(await renderFixture(fixture, rows));
+  }
+  return { renderedAt: FIXTURE_NOW, previews, failed: previews.filter(preview => preview.error).length };
+};
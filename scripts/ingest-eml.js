@@ -0,0 +1,59 @@
+// Post saved .eml files to the inboundEmail function, the way the mail
+// provider delivers replies, to try reply threading locally or replay a
+// message that was missed.
+//
+//   INBOUND_EMAIL_SECRET=<secret> node scripts/ingest-eml.js <file.eml>... [--url URL]
+//
+// --url  site or `netlify dev` to call (default http://localhost:8888)
+//
+// Prints what happened to each message. The command exits non-zero when any
+// file could not be posted or the function rejected it.
+import { readFile } from 'node:fs/promises';
+
+const usage = 'Usage: node scripts/ingest-eml.js <file.eml>... [--url URL]';
+
+const parseArgs = (argv) => {
+  const options = { url: 'http://localhost:8888' };
+  const files = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      files.push(argv[i]);
+    }
+  }
+  return { files, ...options };
+};
+
+const main = async () => {
+  const { files, url } = parseArgs(process.argv.slice(2));
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (files.length === 0) throw new Error(usage);
+  if (!secret) throw new Error('Set INBOUND_EMAIL_SECRET to the secret the function expects');
+
+  for (const file of files) {
+    try {
+      const response = await fetch(`${url.replace(/\/$/, '')}/.netlify/functions/inboundEmail`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'message/rfc822', 'X-Inbound-Secret': secret },
+        body: await readFile(file)
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(`inboundEmail responded with ${response.status}: ${result.error}`);
+      }
+
+      console.log(result.stored
+        ? `${file}: stored on conversation ${result.conversationId}`
+        : `${file}: not stored (${result.reason})`);
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
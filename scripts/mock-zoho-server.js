@@ -0,0 +1,154 @@
+// Minimal stand-in for the Zoho Invoice API, for running the reconciliation
+// job and the webhook flow locally without a Zoho organization. Point the
+// functions at it with ZOHO_BASE_URL=http://localhost:4010.
+//
+//   node scripts/mock-zoho-server.js [fixtures.json]
+//
+// The fixtures file is `{ "invoices": [...] }` with Zoho invoice objects.
+// Invoices can also be added or changed while it runs:
+//
+//   POST   /__mock/invoices       upsert one invoice (body is the invoice)
+//   DELETE /__mock/invoices/:id   remove one, so it is missing in Zoho
+//   GET    /__mock/requests       every API request received so far
+//   POST   /__mock/reset          back to the fixtures
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.MOCK_ZOHO_PORT) || 4010;
+const fixturesPath = process.argv[2];
+
+const loadFixtures = () => {
+  const fixtures = fixturesPath ? JSON.parse(readFileSync(fixturesPath, 'utf8')) : {};
+  return new Map((fixtures.invoices || []).map(invoice => [String(invoice.invoice_id), invoice]));
+};
+
+let invoices = loadFixtures();
+let requests = [];
+let nextId = 900000;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const notFound = (res, what) => send(res, 404, { code: 1002, message: `${what} does not exist.` });
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (!raw) return resolve({});
+    try {
+      resolve(req.headers['content-type']?.includes('json') ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw)));
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+// The filters the functions use on GET /invoices
+const matchesFilters = (invoice, params) =>
+  (!params.get('customer_id') || invoice.customer_id === params.get('customer_id'))
+  && (!params.get('recurring_invoice_id') || invoice.recurring_invoice_id === params.get('recurring_invoice_id'))
+  && (!params.get('date_start') || (invoice.date || '') >= params.get('date_start'));
+
+const listInvoices = (res, params) => {
+  const page = Number(params.get('page')) || 1;
+  const perPage = Number(params.get('per_page')) || 200;
+  const matching = [...invoices.values()].filter(invoice => matchesFilters(invoice, params));
+  const slice = matching.slice((page - 1) * perPage, page * perPage);
+
+  send(res, 200, {
+    code: 0,
+    invoices: slice,
+    page_context: { page, per_page: perPage, has_more_page: page * perPage < matching.length }
+  });
+};
+
+const handleApi = async (req, res, url) => {
+  const [, resource, id, ...rest] = url.pathname.replace(/^\/api\/v3/, '').split('/');
+  requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+  if (!req.headers.authorization?.startsWith('Zoho-oauthtoken ')) {
+    return send(res, 401, { code: 14, message: 'Invalid OAuth token' });
+  }
+  if (resource !== 'invoices') {
+    return notFound(res, 'Resource');
+  }
+
+  if (!id) {
+    if (req.method === 'GET') return listInvoices(res, url.searchParams);
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      const invoice = {
+        invoice_id: String(nextId++),
+        invoice_number: `INV-${nextId}`,
+        status: 'sent',
+        balance: body.total ?? 0,
+        payments: [],
+        ...body
+      };
+      invoices.set(invoice.invoice_id, invoice);
+      return send(res, 201, { code: 0, message: 'The invoice has been created.', invoice });
+    }
+  }
+
+  const invoice = invoices.get(id);
+  if (!invoice) return notFound(res, 'Invoice');
+
+  if (req.method === 'GET' && rest.length === 0) {
+    return send(res, 200, { code: 0, invoice });
+  }
+  if (req.method === 'PUT' && rest.length === 0) {
+    Object.assign(invoice, await readBody(req));
+    return send(res, 200, { code: 0, message: 'Invoice information has been updated.', invoice });
+  }
+  if (req.method === 'POST' && rest[0] === 'status' && rest[1] === 'void') {
+    invoice.status = 'void';
+    return send(res, 200, { code: 0, message: 'Invoice status has been changed to Void.' });
+  }
+
+  return send(res, 405, { code: 405, message: `${req.method} ${url.pathname} is not mocked` });
+};
+
+const handleControl = async (req, res, url) => {
+  const [, , , id] = url.pathname.split('/');
+
+  if (url.pathname === '/__mock/invoices' && req.method === 'POST') {
+    const invoice = await readBody(req);
+    invoices.set(String(invoice.invoice_id), invoice);
+    return send(res, 200, { invoice });
+  }
+  if (url.pathname.startsWith('/__mock/invoices/') && req.method === 'DELETE') {
+    invoices.delete(id);
+    return send(res, 200, { deleted: id });
+  }
+  if (url.pathname === '/__mock/requests') {
+    return send(res, 200, { requests });
+  }
+  if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+    invoices = loadFixtures();
+    requests = [];
+    return send(res, 200, { invoices: invoices.size });
+  }
+  return notFound(res, 'Mock route');
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  try {
+    if (url.pathname === '/oauth/v2/token' && req.method === 'POST') {
+      return send(res, 200, { access_token: 'mock-access-token', expires_in: 3600, token_type: 'Bearer' });
+    }
+    if (url.pathname.startsWith('/api/v3/')) return await handleApi(req, res, url);
+    if (url.pathname.startsWith('/__mock/')) return await handleControl(req, res, url);
+    return notFound(res, 'Route');
+  } catch (error) {
+    send(res, 500, { code: 500, message: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Zoho API on http://localhost:${PORT} with ${invoices.size} invoice(s)`);
+});
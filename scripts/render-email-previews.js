@@ -0,0 +1,79 @@
+// Render every email type from the fixtures in utils/emailFixtures.js and the
+// email_templates rows in supabase/migrations, and write the results to a
+// directory, to review template changes and keep snapshots of them in a
+// diff. Needs no database, server or credentials; nothing is sent.
+//
+//   node scripts/render-email-previews.js <out-dir> [--templates rows.json] [--fixtures a,b]
+//
+// --templates  JSON array of email_templates rows that replace the migrations'
+//              rows of the same template and language
+// --fixtures   only these fixtures (names from utils/emailFixtures.js)
+//
+// Each fixture gets a directory with one `<n>-<template>.html` and `.txt` per
+// message; index.json lists subjects, recipients and the language and version
+// of each template. The command exits non-zero when any fixture fails to
+// render.
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { renderPreviews } from './email-previews.js';
+
+const usage = 'Usage: node scripts/render-email-previews.js <out-dir> [--templates rows.json] [--fixtures a,b]';
+
+const parseArgs = (argv) => {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { outDir: positional[0], ...options };
+};
+
+const main = async () => {
+  const { outDir, templates, fixtures } = parseArgs(process.argv.slice(2));
+  if (!outDir) throw new Error(usage);
+
+  const result = await renderPreviews({
+    templates: templates ? JSON.parse(await readFile(templates, 'utf8')) : [],
+    fixtures: fixtures ? fixtures.split(',') : undefined
+  });
+
+  const index = [];
+  for (const preview of result.previews) {
+    const dir = join(outDir, preview.fixture);
+    await rm(dir, { recursive: true, force: true });
+
+    if (preview.error) {
+      console.error(`${preview.fixture}: ${preview.error}`);
+      index.push({ fixture: preview.fixture, type: preview.type, error: preview.error });
+      continue;
+    }
+
+    await mkdir(dir, { recursive: true });
+    const messages = [];
+    for (const [i, message] of preview.messages.entries()) {
+      const file = `${i + 1}-${message.template}`;
+      await writeFile(join(dir, `${file}.html`), `${message.html}\n`);
+      await writeFile(join(dir, `${file}.txt`), `Subject: ${message.subject}\n\n${message.text}\n`);
+      messages.push({ file, template: message.template, language: message.language, version: message.version, to: message.to, subject: message.subject });
+    }
+    index.push({ fixture: preview.fixture, type: preview.type, messages });
+    console.log(`${preview.fixture}: ${messages.length} message(s)`);
+  }
+
+  await mkdir(outDir, { recursive: true });
+  await writeFile(join(outDir, 'index.json'), `${JSON.stringify({ renderedAt: result.renderedAt, previews: index }, null, 2)}\n`);
+
+  if (result.failed > 0) {
+    console.error(`${result.failed} fixture(s) failed to render`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -30,6 +30,7 @@ import ServicesPage from './pages/dashboard/ServicesPage';
 import PaymentsPage from './pages/dashboard/PaymentsPage';
 import OrdersPage from './pages/dashboard/OrdersPage';
 import InvoicesPage from './pages/dashboard/InvoicesPage';
+import SubscriptionsPage from './pages/dashboard/SubscriptionsPage';
 import ProfilePage from './pages/dashboard/ProfilePage';
 import AcronisSetupPage from './pages/AcronisSetupPage';
 import AIChat from './components/AIChat';
@@ -78,6 +79,7 @@ function App() {
           <Route path="services" element={<ServicesPage />} />
           <Route path="orders" element={<OrdersPage />} />
           <Route path="invoices" element={<InvoicesPage />} />
+          <Route path="subscriptions" element={<SubscriptionsPage />} />
           <Route path="profile" element={<ProfilePage />} />
         </Route>
         <Route path="/client/purchase/:serviceId" element={<ServicePurchase />} />
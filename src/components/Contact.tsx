@@ -67,6 +67,7 @@ const Contact = () => {
           email: formData.email,
           subject: formData.subject,
           message: formData.message,
+          language: navigator.language,
           timestamp: new Date().toISOString()
         })
       });
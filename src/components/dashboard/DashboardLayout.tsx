@@ -6,6 +6,7 @@ import {
   CreditCard, 
   Package, 
   FileText, 
+  Repeat,
   User, 
   Settings,
   LogOut,
@@ -98,6 +99,7 @@ const DashboardLayout = () => {
     { icon: ShoppingCart, label: 'Purchase Services', path: '/client/services', active: location.pathname === '/client/services' },
     { icon: Package, label: 'My Orders', path: '/client/orders', active: location.pathname === '/client/orders' },
     { icon: FileText, label: 'Invoices', path: '/client/invoices', active: location.pathname === '/client/invoices' },
+    { icon: Repeat, label: 'Subscriptions', path: '/client/subscriptions', active: location.pathname === '/client/subscriptions' },
     { icon: User, label: 'Profile', path: '/client/profile', active: location.pathname === '/client/profile' },
   ];
 
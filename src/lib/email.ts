@@ -1,68 +1,24 @@
 // Email service for sending templated emails
 import { supabase } from './supabase';
 
-export interface EmailTemplate {
-  id: string;
-  template_name: string;
-  subject: string;
-  html_content: string;
-  variables: Record<string, string>;
-}
-
+// Emails are rendered and sent by the sendEmail function from the
+// `email_templates` rows; the browser only names the email type and its data.
+// The session lets the function use the client's preferred language, and the
+// browser language is the fallback.
 export class EmailService {
-  static async getTemplate(templateName: string): Promise<EmailTemplate | null> {
-    try {
-      const { data, error } = await supabase
-        .from('email_templates')
-        .select('*')
-        .eq('template_name', templateName)
-        .eq('is_active', true)
-        .single();
-
-      if (error) {
-        console.error('Error fetching email template:', error);
-        return null;
-      }
-
-      return data;
-    } catch (error) {
-      console.error('Error getting email template:', error);
-      return null;
-    }
-  }
-
   static async sendTemplatedEmail(
-    templateName: string,
-    to: string,
-    variables: Record<string, string>
+    type: string,
+    data: Record<string, string | number | boolean | null>
   ): Promise<boolean> {
     try {
-      const template = await this.getTemplate(templateName);
-      if (!template) {
-        throw new Error(`Template ${templateName} not found`);
-      }
-
-      // Replace variables in template
-      let htmlContent = template.html_content;
-      let subject = template.subject;
-
-      Object.entries(variables).forEach(([key, value]) => {
-        const placeholder = `{{${key}}}`;
-        htmlContent = htmlContent.replace(new RegExp(placeholder, 'g'), value);
-        subject = subject.replace(new RegExp(placeholder, 'g'), value);
-      });
-
-      // Send email via API
-      const response = await fetch('/api/send-email', {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch('/.netlify/functions/sendEmail', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(session && { 'Authorization': `Bearer ${session.access_token}` })
         },
-        body: JSON.stringify({
-          to,
-          subject,
-          html: htmlContent
-        })
+        body: JSON.stringify({ type, data: { ...data, language: navigator.language } })
       });
 
       return response.ok;
@@ -73,18 +29,18 @@ export class EmailService {
   }
 
   static async sendWelcomeEmail(clientName: string, clientEmail: string): Promise<boolean> {
-    return await this.sendTemplatedEmail('welcome_email', clientEmail, {
-      client_name: clientName,
-      client_email: clientEmail,
-      login_url: `${window.location.origin}/client/login`,
-      client_area_url: `${window.location.origin}/client/dashboard`
+    return await this.sendTemplatedEmail('welcome_email', {
+      clientName,
+      clientEmail,
+      loginUrl: `${window.location.origin}/client/dashboard`
     });
   }
 
   static async sendVerificationEmail(clientName: string, clientEmail: string, verificationUrl: string): Promise<boolean> {
-    return await this.sendTemplatedEmail('email_verification', clientEmail, {
-      client_name: clientName,
-      verification_url: verificationUrl
+    return await this.sendTemplatedEmail('email_verification', {
+      clientName,
+      clientEmail,
+      verificationUrl
     });
   }
 
@@ -94,17 +50,17 @@ export class EmailService {
     serviceName: string,
     packageType: string,
     orderId: string,
-    amount: number
+    amount: number,
+    currency = 'USD'
   ): Promise<boolean> {
-    return await this.sendTemplatedEmail('payment_confirmation', clientEmail, {
-      client_name: clientName,
-      service_name: serviceName,
-      package_type: packageType,
-      order_id: orderId,
-      amount: amount.toString(),
-      payment_date: new Date().toLocaleDateString(),
-      dashboard_url: `${window.location.origin}/client/dashboard`,
-      invoice_url: `${window.location.origin}/client/invoices`
+    return await this.sendTemplatedEmail('payment_confirmation', {
+      clientName,
+      clientEmail,
+      serviceName,
+      packageType,
+      orderId,
+      amount,
+      currency
     });
   }
 }
\ No newline at end of file
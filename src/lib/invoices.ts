@@ -0,0 +1,30 @@
+import { supabase } from './supabase';
+
+// Invoice PDFs are rendered by the invoicePdf function from the invoice,
+// its order and payments; the session proves the invoice is the client's.
+export class InvoiceService {
+  static async downloadPdf(invoiceId: string): Promise<void> {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) throw new Error('Please sign in to download invoices');
+
+    const response = await fetch(`/.netlify/functions/invoicePdf?invoiceId=${encodeURIComponent(invoiceId)}`, {
+      headers: { 'Authorization': `Bearer ${session.access_token}` }
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new Error(body?.error || 'Failed to download invoice');
+    }
+
+    // The function names the file after the invoice number
+    const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1];
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename || `Invoice-${invoiceId}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
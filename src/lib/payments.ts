@@ -1,5 +1,5 @@
-import { supabase } from './supabase';
-import { ZohoService, ZohoServiceItem } from './zoho';
+import { supabase, PaymentWithOrder } from './supabase';
+import { ZohoServiceItem, ZohoInvoice } from './zoho';
 import { convertCurrency, getPreferredCurrency, getAllExchangeRates, formatCurrency } from '../utils/currency';
 
 export interface PaymentIntent {
@@ -9,13 +9,7 @@ export interface PaymentIntent {
   currency: string;
 }
 
-export interface ServicePurchaseData {
-  serviceId: string;
-  packageType: string;
-  quantity: number;
-  currency: string;
-  totalAmount: number;
-}
+const INVOICE_REQUEST_ATTEMPTS = 3;
 
 export class PaymentService {
   // Create payment intent with enhanced Zoho integration
@@ -88,56 +82,31 @@ export class PaymentService {
 
       if (orderError) throw orderError;
 
-      // Call Netlify function to create Zoho invoice
-      const response = await fetch('/.netlify/functions/zohoIntegration', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
+      // Call Netlify function to create Zoho invoice. The order id is the
+      // idempotency key, so retrying the call never creates a second invoice.
+      const paymentData = await this.requestOrderInvoice({
+        action: 'create_invoice',
+        orderId: order.id,
+        customerData: {
+          name: client.name,
+          email: client.email,
+          phone: client.phone,
+          company: client.company
         },
-        body: JSON.stringify({
-          customerData: {
-            name: client.name,
-            email: client.email,
-            phone: client.phone,
-            company: client.company
-          },
-          serviceItems: [{
-            serviceId: serviceId,
-            serviceName: service.name,
-            packageType,
-            quantity,
-            unitPrice: usdAmount / quantity,
-            totalPrice: usdAmount
-          }],
-          currency: targetCurrency,
-          notes: `Order ID: ${order.id}\nService: ${service.name}\nPackage: ${packageType}\nCurrency: ${targetCurrency}`
-        })
+        serviceItems: [{
+          serviceId: serviceId,
+          serviceName: service.name,
+          packageType,
+          quantity,
+          unitPrice: usdAmount / quantity,
+          totalPrice: usdAmount
+        }],
+        currency: targetCurrency,
+        notes: `Order ID: ${order.id}\nService: ${service.name}\nPackage: ${packageType}\nCurrency: ${targetCurrency}`
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Zoho integration failed:', errorText);
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { error: errorText };
-        }
-        throw new Error(`Payment creation failed: ${errorData.error}`);
-      }
-
-      const paymentData = await response.json();
-      const zohoInvoice = paymentData.invoice || paymentData;
-
-      // Update order with Zoho invoice ID
-      await supabase
-        .from('orders')
-        .update({
-          zoho_invoice_id: zohoInvoice.invoice_id || paymentData.customer?.contact_id,
-          zoho_customer_id: paymentData.customer?.contact_id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', order.id);
+      // The function stores the Zoho invoice and customer ids on the order
+      const zohoInvoice = paymentData.invoice;
 
       return {
         invoice_id: zohoInvoice.invoice_id,
@@ -151,155 +120,50 @@ export class PaymentService {
     }
   }
 
-  // Enhanced payment confirmation with real-time updates
-  static async confirmPayment(invoiceId: string): Promise<boolean> {
-    try {
-      // Get invoice status from Zoho
-      const invoiceStatus = await ZohoService.getInvoiceStatus(invoiceId);
-      
-      if (invoiceStatus.status === 'paid') {
-        // Update order status with real-time notification
-        const { data: order } = await supabase
-          .from('orders')
-          .select('*')
-          .eq('zoho_invoice_id', invoiceId)
-          .single();
-
-        if (order) {
-          await supabase
-            .from('orders')
-            .update({ 
-              status: 'paid',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', order.id);
-
-          // Trigger real-time notification
-          await this.notifyPaymentSuccess(order.client_id, order.id);
-        }
+  // POST to the zohoIntegration function, retrying network failures and
+  // "already in progress" answers with the same order id
+  private static async requestOrderInvoice(body: Record<string, unknown>): Promise<{ invoice: ZohoInvoice; replayed: boolean }> {
+    const { data: { session } } = await supabase.auth.getSession();
+    let lastError: Error | null = null;
 
-        return true;
+    for (let attempt = 1; attempt <= INVOICE_REQUEST_ATTEMPTS; attempt++) {
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
       }
-      
-      return false;
-    } catch (error) {
-      console.error('Error confirming payment:', error);
-      return false;
-    }
-  }
-
-  // Real-time payment notification
-  private static async notifyPaymentSuccess(clientId: string, orderId: string): Promise<void> {
-    try {
-      // Send real-time notification via Supabase
-      await supabase
-        .from('notifications')
-        .insert([{
-          client_id: clientId,
-          title: 'Payment Confirmed',
-          message: `Your payment has been received. Order ${orderId} is now being processed.`,
-          type: 'success',
-          read: false
-        }]);
-    } catch (error) {
-      console.error('Error sending payment notification:', error);
-    }
-  }
-
-  // Process payment success with enhanced tracking
-  static async processPaymentSuccess(
-    invoiceId: string,
-    serviceData: Omit<ServicePurchaseData, 'addOns'>
-  ) {
-    try {
-      // Get order by invoice ID
-      const { data: order } = await supabase
-        .from('orders')
-        .select('*')
-        .eq('zoho_invoice_id', invoiceId)
-        .single();
-
-      if (!order) throw new Error('Order not found');
 
-      // Update order status to completed
-      await supabase
-        .from('orders')
-        .update({ 
-          status: 'completed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', order.id);
-
-      // Create invoice record
-      const { data: invoice } = await supabase
-        .from('invoices')
-        .insert([{
-          order_id: order.id,
-          client_id: order.client_id,
-          invoice_number: `INV-${Date.now()}`,
-          amount_usd: order.amount_usd,
-          amount_inr: order.amount_inr,
-          amount_aud: order.amount_aud,
-          currency: order.currency,
-          total_amount: serviceData.totalAmount,
-          status: 'paid',
-          due_date: new Date().toISOString()
-        }])
-        .select()
-        .single();
+      let response: Response;
+      try {
+        response = await fetch('/.netlify/functions/zohoIntegration', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(session && { 'Authorization': `Bearer ${session.access_token}` })
+          },
+          body: JSON.stringify(body)
+        });
+      } catch (networkError) {
+        lastError = networkError as Error;
+        continue;
+      }
 
-      // Send confirmation email
-      await this.sendPaymentConfirmationEmail(order.client_id, {
-        orderId: order.id,
-        invoiceId: invoice?.id,
-        amount: serviceData.totalAmount,
-        currency: order.currency,
-        serviceName: serviceData.serviceId,
-        packageType: serviceData.packageType,
-        quantity: serviceData.quantity
-      });
+      if (response.ok) {
+        return await response.json();
+      }
 
-      // Sync with Zoho for real-time updates
-      await ZohoService.syncOrderStatus(order.id);
+      const errorText = await response.text();
+      console.error('Zoho integration failed:', errorText);
+      let errorData;
+      try {
+        errorData = JSON.parse(errorText);
+      } catch {
+        errorData = { error: errorText };
+      }
+      lastError = new Error(`Payment creation failed: ${errorData.error}`);
 
-      return {
-        orderId: order.id,
-        invoiceId: invoice?.id
-      };
-    } catch (error) {
-      console.error('Error processing payment success:', error);
-      throw error;
+      if (response.status !== 409 && response.status < 500) break;
     }
-  }
 
-  // Send payment confirmation email
-  private static async sendPaymentConfirmationEmail(
-    clientId: string,
-    paymentDetails: any
-  ) {
-    try {
-      const { data: client } = await supabase
-        .from('clients')
-        .select('*')
-        .eq('id', clientId)
-        .single();
-
-      if (!client) return;
-
-      // Call email service
-      await supabase.functions.invoke('send-email', {
-        body: {
-          to: client.email,
-          template: 'payment_confirmation',
-          variables: {
-            clientName: client.name,
-            ...paymentDetails
-          }
-        }
-      });
-    } catch (error) {
-      console.error('Error sending payment confirmation email:', error);
-    }
+    throw lastError;
   }
 
   // Get user orders with real-time updates
@@ -336,6 +200,7 @@ export class PaymentService {
         .select(`
           *,
           orders (
+            zoho_invoice_id,
             services (name, description)
           )
         `)
@@ -350,6 +215,33 @@ export class PaymentService {
     }
   }
 
+  // Get the user's payments, newest first
+  static async getUserPayments(): Promise<PaymentWithOrder[]> {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data: payments, error } = await supabase
+        .from('payments')
+        .select(`
+          *,
+          orders (
+            description,
+            services (name)
+          )
+        `)
+        .eq('client_id', user.id)
+        .order('payment_date', { ascending: false })
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return payments || [];
+    } catch (error) {
+      console.error('Error getting user payments:', error);
+      throw error;
+    }
+  }
+
   // Real-time pricing calculator
   static calculateDynamicPricing(
     basePrice: number,
@@ -0,0 +1,72 @@
+import { supabase } from './supabase';
+
+// Communication categories and channels, kept in step with
+// netlify/functions/utils/communicationPreferences.js, which enforces them
+// for everything sent from the server.
+export type CommunicationCategory = 'billing' | 'order' | 'marketing' | 'security';
+export type CommunicationChannel = 'email' | 'in_app';
+
+export type CommunicationPreferences = Record<CommunicationCategory, Record<CommunicationChannel, boolean>>;
+
+export const COMMUNICATION_CATEGORIES: { id: CommunicationCategory; label: string; description: string }[] = [
+  { id: 'billing', label: 'Billing', description: 'Payment confirmations, receipts, refunds and subscription renewals' },
+  { id: 'order', label: 'Order Progress', description: 'Quotes, estimates and updates about your orders' },
+  { id: 'marketing', label: 'Marketing', description: 'News about our services and special offers' },
+  { id: 'security', label: 'Security', description: 'Account verification and security alerts' }
+];
+
+export const COMMUNICATION_CHANNELS: { id: CommunicationChannel; label: string }[] = [
+  { id: 'email', label: 'Email' },
+  { id: 'in_app', label: 'In-app' }
+];
+
+// Marketing is opt-in; everything else is on until turned off
+export const DEFAULT_COMMUNICATION_PREFERENCES: CommunicationPreferences = {
+  billing: { email: true, in_app: true },
+  order: { email: true, in_app: true },
+  marketing: { email: false, in_app: false },
+  security: { email: true, in_app: true }
+};
+
+// Security emails are always sent
+export const isRequiredChannel = (category: CommunicationCategory, channel: CommunicationChannel) =>
+  category === 'security' && channel === 'email';
+
+export const normalizeCommunicationPreferences = (
+  stored?: Partial<Record<string, Partial<Record<string, unknown>>>> | null
+): CommunicationPreferences => {
+  const preferences = {} as CommunicationPreferences;
+  for (const { id: category } of COMMUNICATION_CATEGORIES) {
+    preferences[category] = { ...DEFAULT_COMMUNICATION_PREFERENCES[category] };
+    for (const { id: channel } of COMMUNICATION_CHANNELS) {
+      const value = stored?.[category]?.[channel];
+      if (typeof value === 'boolean') preferences[category][channel] = value;
+      if (isRequiredChannel(category, channel)) preferences[category][channel] = true;
+    }
+  }
+  return preferences;
+};
+
+export class PreferenceService {
+  static async getCommunicationPreferences(userId: string): Promise<CommunicationPreferences> {
+    const { data } = await supabase
+      .from('user_preferences')
+      .select('communication_preferences')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return normalizeCommunicationPreferences(data?.communication_preferences);
+  }
+
+  // For the few messages still sent from the browser
+  static async allows(userId: string, category: CommunicationCategory, channel: CommunicationChannel): Promise<boolean> {
+    if (isRequiredChannel(category, channel)) return true;
+    try {
+      const preferences = await this.getCommunicationPreferences(userId);
+      return preferences[category][channel];
+    } catch (error) {
+      console.error('Error loading communication preferences:', error);
+      return true;
+    }
+  }
+}
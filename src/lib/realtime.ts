@@ -1,4 +1,4 @@
-import { supabase } from './supabase';
+import { supabase, Payment } from './supabase';
 import { RealtimeChannel } from '@supabase/supabase-js';
 
 export class RealtimeService {
@@ -72,6 +72,41 @@ export class RealtimeService {
     };
   }
 
+  // New rows in the client's payments ledger
+  static subscribeToPayments(clientId: string, callback: (payment: Payment) => void): () => void {
+    const channelName = `payments:${clientId}`;
+    
+    if (this.channels.has(channelName)) {
+      this.channels.get(channelName)?.unsubscribe();
+    }
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'payments',
+          filter: `client_id=eq.${clientId}`
+        },
+        (payload) => {
+          console.log('Payment received:', payload);
+          callback(payload.new as Payment);
+        }
+      )
+      .subscribe((status) => {
+        console.log('Payments subscription status:', status);
+      });
+
+    this.channels.set(channelName, channel);
+
+    return () => {
+      channel.unsubscribe();
+      this.channels.delete(channelName);
+    };
+  }
+
   static subscribeToServices(callback: (payload: any) => void): () => void {
     const channelName = 'services:public';
     
@@ -16,6 +16,10 @@ export interface Client {
   email: string
   phone?: string
   company?: string
+  // Used to work out GST: country (ISO code), state (e.g. KA) and GSTIN
+  country_code?: string | null
+  state_code?: string | null
+  gstin?: string | null
   avatar_url?: string
   created_at: string
   updated_at: string
@@ -38,20 +42,52 @@ export interface Service {
   }
 }
 
+export interface TaxComponent {
+  name: 'CGST' | 'SGST' | 'IGST'
+  rate: number
+  amount: number
+}
+
 export interface Order {
   id: string
   client_id: string
-  service_id: string
-  package_type: 'basic' | 'standard' | 'enterprise'
+  // Orders created from an accepted Zoho estimate have no catalogue service
+  service_id: string | null
+  package_type: 'basic' | 'standard' | 'enterprise' | 'custom'
+  description?: string
   amount_usd: number
   amount_inr: number
-  currency: 'USD' | 'INR'
-  status: 'pending' | 'paid' | 'completed' | 'cancelled'
+  amount_aud?: number
+  currency: 'USD' | 'INR' | 'AUD'
+  status: 'pending' | 'partially_paid' | 'paid' | 'overpaid' | 'completed' | 'cancelled' | 'refunded' | 'partially_refunded'
+  amount_paid?: number
+  refunded_amount?: number
   payment_intent_id?: string
+  zoho_invoice_id?: string | null
+  zoho_customer_id?: string | null
+  zoho_estimate_id?: string | null
+  tax_treatment?: 'intra_state' | 'inter_state' | 'export' | null
+  place_of_supply?: string | null
+  tax_amount?: number
+  tax_breakdown?: TaxComponent[]
   created_at: string
   updated_at: string
 }
 
+// Order rows as loaded by the dashboard, joined with their service
+export type OrderWithService = Order & {
+  services?: Partial<Service> | null
+}
+
+// A line of the Zoho invoice, as printed on the PDF
+export interface InvoiceLineItem {
+  name: string
+  description: string
+  quantity: number
+  rate: number
+  item_total: number
+}
+
 export interface Invoice {
   id: string
   order_id: string
@@ -61,9 +97,108 @@ export interface Invoice {
   amount_inr: number
   currency: 'USD' | 'INR'
   tax_amount: number
+  tax_breakdown?: TaxComponent[]
+  line_items?: InvoiceLineItem[]
   total_amount: number
-  status: 'draft' | 'sent' | 'paid' | 'overdue'
+  amount_paid?: number
+  balance?: number
+  status: 'draft' | 'sent' | 'partially_paid' | 'paid' | 'overpaid' | 'overdue' | 'void'
   due_date: string
   created_at: string
   updated_at: string
-}
\ No newline at end of file
+}
+
+// One payment received through Zoho, for an order or a subscription
+export interface Payment {
+  id: string
+  client_id: string
+  order_id?: string | null
+  subscription_id?: string | null
+  zoho_invoice_id?: string | null
+  zoho_payment_id?: string | null
+  amount: number
+  currency: 'USD' | 'INR' | 'AUD'
+  payment_method?: string | null
+  payment_date: string
+  created_at: string
+}
+
+// Payment rows as loaded by the dashboard, joined with the order's service
+export type PaymentWithOrder = Payment & {
+  orders?: { services?: Partial<Service> | null, description?: string | null } | null
+}
+
+// Invoice rows as loaded by the dashboard, joined with the order's service
+export type InvoiceWithOrder = Invoice & {
+  orders?: { zoho_invoice_id?: string | null, services?: Partial<Service> | null } | null
+}
+
+// A refund issued by staff, backed by a Zoho credit note
+export interface Refund {
+  id: string
+  order_id: string
+  client_id: string
+  amount: number
+  currency: 'USD' | 'INR' | 'AUD'
+  reason?: string | null
+  status: 'pending' | 'completed' | 'failed'
+  zoho_creditnote_id?: string | null
+  creditnote_number?: string | null
+  created_at: string
+}
+
+export interface SubscriptionPlan {
+  id: string
+  service_id: string
+  service_name: string
+  package_type: 'basic' | 'standard' | 'enterprise'
+  billing_interval: 'monthly' | 'annual'
+  price_usd: number
+  active: boolean
+}
+
+// A monthly or annual plan billed through a Zoho recurring invoice
+export interface Subscription {
+  id: string
+  client_id: string
+  service_id: string
+  package_type: 'basic' | 'standard' | 'enterprise'
+  billing_interval: 'monthly' | 'annual'
+  currency: 'USD' | 'INR' | 'AUD'
+  amount: number
+  status: 'incomplete' | 'active' | 'past_due' | 'cancelled'
+  zoho_recurring_invoice_id?: string | null
+  current_period_start?: string | null
+  // Also the next billing date
+  current_period_end?: string | null
+  cancel_at_period_end: boolean
+  cancelled_at?: string | null
+  last_payment_at?: string | null
+  // An upgrade that applies once its prorated invoice is paid
+  pending_package_type?: 'basic' | 'standard' | 'enterprise' | null
+  pending_order_id?: string | null
+  created_at: string
+}
+
+// A client's reply to one of our emails, stored without the quoted history
+export interface ConversationMessage {
+  id: string
+  conversation_id: string
+  sender_email: string
+  sender_name?: string | null
+  subject?: string | null
+  body: string
+  received_at: string
+}
+
+// The replies about one order or quote request
+export interface Conversation {
+  id: string
+  order_id?: string | null
+  quote_reference?: string | null
+  client_id?: string | null
+  subject?: string | null
+  last_message_at?: string | null
+  created_at: string
+  conversation_messages?: ConversationMessage[]
+}
@@ -1,5 +1,5 @@
 // Enhanced Zoho Invoice/Books integration with real-time updates
-import { supabase } from './supabase';
+import { supabase, Subscription } from './supabase';
 
 export interface ZohoCustomer {
   contact_id: string;
@@ -17,7 +17,11 @@ export interface ZohoInvoice {
   status: string;
   date: string;
   due_date: string;
+  invoice_url?: string;
   payment_url?: string;
+  sub_total?: number;
+  tax_total?: number;
+  taxes?: Array<{ tax_name: string; tax_amount: number }>;
 }
 
 export interface ZohoPayment {
@@ -28,6 +32,18 @@ export interface ZohoPayment {
   payment_mode: string;
 }
 
+export interface ZohoEstimate {
+  estimate_id: string;
+  estimate_number: string;
+  date: string;
+  expiry_date?: string;
+  total: number;
+  currency_code: string;
+  status: string;
+  order_id?: string | null;
+  order_status?: string | null;
+}
+
 export interface ZohoServiceItem {
   serviceId: string;
   serviceName: string;
@@ -43,28 +59,28 @@ export interface ZohoServiceItem {
 }
 
 export class ZohoService {
-  private static async callZohoFunction(endpoint: string, data?: any): Promise<any> {
+  // Run an action of the zohoIntegration Netlify function as the signed-in user
+  private static async callZohoFunction<T>(action: string, params: Record<string, unknown> = {}): Promise<T> {
     try {
-      console.log('Calling Zoho function:', endpoint, data ? 'with data' : 'no data');
-      
-      const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/zoho-integration${endpoint}`, {
-        method: data ? 'POST' : 'GET',
+      console.log('Calling Zoho function:', action);
+
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch('/.netlify/functions/zohoIntegration', {
+        method: 'POST',
         headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(session && { 'Authorization': `Bearer ${session.access_token}` })
         },
-        body: data ? JSON.stringify(data) : undefined
+        body: JSON.stringify({ action, ...params })
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Zoho function error:', response.status, errorText);
-        throw new Error(`Zoho API call failed: ${response.status} ${errorText}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        console.error('Zoho function error:', response.status, result);
+        throw new Error(`Zoho ${action} failed: ${result.error || response.status}`);
       }
 
-      const result = await response.json();
-      console.log('Zoho function result:', result);
-      return result;
+      return result as T;
     } catch (error) {
       console.error('Error calling Zoho function:', error);
       throw error;
@@ -77,16 +93,19 @@ export class ZohoService {
     phone?: string;
     company?: string;
   }): Promise<ZohoCustomer> {
-    return await this.callZohoFunction('/customers', customerData);
+    return await this.syncCustomer(customerData);
   }
 
-  static async createInvoice(invoiceData: {
-    customerId: string;
-    serviceItems: ZohoServiceItem[];
-    currency: string;
-    notes?: string;
-  }): Promise<ZohoInvoice> {
-    return await this.callZohoFunction('/invoices', invoiceData);
+  // Create or update the signed-in client's Zoho contact and keep the
+  // clients row linked to it. Called after profile changes.
+  static async syncCustomer(customerData: {
+    name: string;
+    email: string;
+    phone?: string;
+    company?: string;
+  }): Promise<ZohoCustomer> {
+    const result = await this.callZohoFunction<{ customer: ZohoCustomer }>('sync_customer', customerData);
+    return result.customer;
   }
 
   static async recordPayment(paymentData: {
@@ -94,52 +113,118 @@ export class ZohoService {
     amount: number;
     paymentMode: string;
     reference?: string;
+    date?: string;
   }): Promise<ZohoPayment> {
-    return await this.callZohoFunction('/payments', paymentData);
+    const result = await this.callZohoFunction<{ payment: ZohoPayment }>('record_payment', paymentData);
+    return result.payment;
   }
 
   static async getInvoiceDetails(invoiceId: string): Promise<ZohoInvoice> {
-    return await this.callZohoFunction(`/invoices/${invoiceId}`);
+    const result = await this.callZohoFunction<{ invoice: ZohoInvoice }>('get_invoice', { invoiceId });
+    return result.invoice;
   }
 
-  static async getInvoiceStatus(invoiceId: string): Promise<{ status: string; payment_date?: string }> {
+  // Send the browser to the invoice, or straight to paying it. The links come
+  // from the server, which knows the organization's Zoho region.
+  static async openInvoice(invoiceId: string, { pay = false }: { pay?: boolean } = {}): Promise<void> {
     const invoice = await this.getInvoiceDetails(invoiceId);
+    const url = pay ? invoice.payment_url : invoice.invoice_url || invoice.payment_url;
+    if (!url) throw new Error('This invoice has no link yet');
+    window.location.href = url;
+  }
+
+  static async getInvoiceStatus(invoiceId: string): Promise<{ status: string; balance?: number; payment_date?: string }> {
+    const result = await this.callZohoFunction<{ status: string; balance?: number; payment_date: string | null }>(
+      'invoice_status',
+      { invoiceId }
+    );
     return {
-      status: invoice.status,
-      payment_date: invoice.status === 'paid' ? new Date().toISOString() : undefined
+      status: result.status,
+      balance: result.balance,
+      payment_date: result.payment_date || undefined
     };
   }
 
-  static async getCustomerInvoices(customerId: string): Promise<ZohoInvoice[]> {
-    return await this.callZohoFunction(`/customers/${customerId}/invoices`);
+  // Defaults to the signed-in client's own Zoho contact
+  static async getCustomerInvoices(customerId?: string): Promise<ZohoInvoice[]> {
+    const result = await this.callZohoFunction<{ invoices: ZohoInvoice[] }>('list_customer_invoices', { customerId });
+    return result.invoices;
   }
 
-  // Real-time integration methods
-  static async syncOrderStatus(orderId: string): Promise<void> {
-    try {
-      const { data: order } = await supabase
-        .from('orders')
-        .select('zoho_invoice_id')
-        .eq('id', orderId)
-        .single();
+  static async voidInvoice(invoiceId: string): Promise<void> {
+    await this.callZohoFunction('void_invoice', { invoiceId });
+  }
 
-      if (order?.zoho_invoice_id) {
-        const invoiceStatus = await this.getInvoiceStatus(order.zoho_invoice_id);
-        
-        // Update order status in real-time
-        await supabase
-          .from('orders')
-          .update({
-            status: invoiceStatus.status === 'paid' ? 'paid' : 'pending',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', orderId);
-      }
-    } catch (error) {
-      console.error('Error syncing order status:', error);
-    }
+  // Admin only. Leave `amount` out for a full refund.
+  static async refundOrder(refundData: {
+    orderId: string;
+    amount?: number;
+    reason?: string;
+    refundMode?: string;
+    date?: string;
+  }): Promise<{ creditnote_number: string; amount: number; orderStatus: string }> {
+    const result = await this.callZohoFunction<{
+      refund: { creditnote_number: string; amount: number };
+      order: { status: string };
+    }>('refund_order', refundData);
+    return { ...result.refund, orderStatus: result.order.status };
   }
 
+  static async resendInvoice(invoiceId: string): Promise<void> {
+    await this.callZohoFunction('resend_invoice', { invoiceId });
+  }
+
+  // Priced estimates sent to the signed-in client
+  static async getEstimates(): Promise<ZohoEstimate[]> {
+    const result = await this.callZohoFunction<{ estimates: ZohoEstimate[] }>('list_estimates');
+    return result.estimates;
+  }
+
+  // Accepting creates the order and its invoice; pay through invoice.payment_url
+  static async acceptEstimate(estimateId: string): Promise<{ orderId: string; invoice: ZohoInvoice }> {
+    const result = await this.callZohoFunction<{ order: { id: string }; invoice: ZohoInvoice }>(
+      'accept_estimate',
+      { estimateId }
+    );
+    return { orderId: result.order.id, invoice: result.invoice };
+  }
+
+  static async declineEstimate(estimateId: string): Promise<void> {
+    await this.callZohoFunction('decline_estimate', { estimateId });
+  }
+
+  static async getSubscriptions(): Promise<Subscription[]> {
+    const result = await this.callZohoFunction<{ subscriptions: Subscription[] }>('list_subscriptions');
+    return result.subscriptions;
+  }
+
+  // The first invoice is returned when Zoho has raised it already
+  static async createSubscription(subscriptionData: {
+    serviceId: string;
+    packageType: string;
+    billingInterval: 'monthly' | 'annual';
+    currency: string;
+  }): Promise<{ subscription: Subscription; invoice: ZohoInvoice | null }> {
+    return await this.callZohoFunction('create_subscription', subscriptionData);
+  }
+
+  // Upgrades come with a prorated invoice and apply once it is paid; downgrades
+  // apply straight away with a credit note
+  static async changeSubscriptionTier(subscriptionId: string, packageType: string): Promise<{
+    subscription: Subscription;
+    invoice: ZohoInvoice | null;
+    credit_note: { creditnote_number: string; total: number } | null;
+  }> {
+    return await this.callZohoFunction('change_subscription_tier', { subscriptionId, packageType });
+  }
+
+  static async cancelSubscription(subscriptionId: string): Promise<Subscription> {
+    const result = await this.callZohoFunction<{ subscription: Subscription }>('cancel_subscription', { subscriptionId });
+    return result.subscription;
+  }
+
+  // Invoice an existing order. The function upserts the Zoho contact, creates
+  // the invoice at most once per order and stores the ids on the order.
   static async createInvoiceFromOrder(
     orderId: string,
     serviceItems: ZohoServiceItem[],
@@ -160,83 +245,24 @@ export class ZohoService {
 
       if (!order) throw new Error('Order not found');
 
-      // Create or get customer in Zoho
-      const customer = await this.createCustomer({
-        name: order.clients.name,
-        email: order.clients.email,
-        phone: order.clients.phone,
-        company: order.clients.company
-      });
-
-      // Create invoice in Zoho
-      const invoice = await this.createInvoice({
-        customerId: customer.contact_id,
+      const result = await this.callZohoFunction<{ invoice: ZohoInvoice }>('create_invoice', {
+        orderId,
+        customerData: {
+          name: order.clients.name,
+          email: order.clients.email,
+          phone: order.clients.phone,
+          company: order.clients.company
+        },
         serviceItems,
         currency,
         notes: `Order ID: ${orderId}\nCurrency: ${currency}\nService delivery within 24-48 hours`
       });
 
-      console.log(`Zoho invoice created: ${invoice.invoice_id} for ${currency}`);
-      
-      // Update order with Zoho IDs
-      await supabase
-        .from('orders')
-        .update({
-          zoho_invoice_id: invoice.invoice_id,
-          zoho_customer_id: customer.contact_id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId);
-
-      return invoice;
+      console.log(`Zoho invoice ready: ${result.invoice.invoice_id} for ${currency}`);
+      return result.invoice;
     } catch (error) {
       console.error('Error creating invoice from order:', error);
       throw error;
     }
   }
-
-  // Webhook handler for real-time updates from Zoho
-  static async handleZohoWebhook(webhookData: any): Promise<void> {
-    try {
-      const { event_type, data } = webhookData;
-      
-      if (event_type === 'invoice_payment_received') {
-        const invoiceId = data.invoice_id;
-        
-        // Update order status
-        await supabase
-          .from('orders')
-          .update({
-            status: 'paid',
-            updated_at: new Date().toISOString()
-          })
-          .eq('zoho_invoice_id', invoiceId);
-
-        // Create invoice record
-        const { data: order } = await supabase
-          .from('orders')
-          .select('*')
-          .eq('zoho_invoice_id', invoiceId)
-          .single();
-
-        if (order) {
-          await supabase
-            .from('invoices')
-            .insert([{
-              order_id: order.id,
-              client_id: order.client_id,
-              invoice_number: data.invoice_number,
-              amount_usd: order.amount_usd,
-              amount_inr: order.amount_inr,
-              currency: order.currency,
-              total_amount: data.total,
-              status: 'paid',
-              due_date: new Date().toISOString()
-            }]);
-        }
-      }
-    } catch (error) {
-      console.error('Error handling Zoho webhook:', error);
-    }
-  }
 }
\ No newline at end of file
@@ -111,7 +111,8 @@ const ClientRegister = () => {
               email: formData.email,
               verificationRequired: true,
               loginUrl: `${window.location.origin}/client/login`,
-              supportEmail: 'contact@mechinweb.com'
+              supportEmail: 'contact@mechinweb.com',
+              language: navigator.language
             })
           });
 
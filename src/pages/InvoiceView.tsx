@@ -1,11 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { ArrowLeft, Download, Printer, Mail } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { InvoiceService } from '../lib/invoices';
 
 const InvoiceView = () => {
   const { invoiceId } = useParams();
   const [invoice, setInvoice] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
 
   useEffect(() => {
     const fetchInvoice = async () => {
@@ -51,9 +54,17 @@ const InvoiceView = () => {
     window.print();
   };
 
-  const handleDownload = () => {
-    // In real app, generate PDF
-    alert('PDF download functionality would be implemented here');
+  const handleDownload = async () => {
+    if (!invoiceId) return;
+    setDownloading(true);
+    try {
+      await InvoiceService.downloadPdf(invoiceId);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      alert(error instanceof Error ? error.message : 'Failed to download invoice');
+    } finally {
+      setDownloading(false);
+    }
   };
 
   if (loading) {
@@ -107,10 +118,11 @@ const InvoiceView = () => {
             </button>
             <button
               onClick={handleDownload}
-              className="inline-flex items-center space-x-2 px-4 py-2 bg-cyan-500 text-white rounded-lg hover:bg-cyan-600 transition-colors duration-300"
+              disabled={downloading}
+              className="inline-flex items-center space-x-2 px-4 py-2 bg-cyan-500 text-white rounded-lg hover:bg-cyan-600 transition-colors duration-300 disabled:opacity-50"
             >
               <Download className="h-4 w-4" />
-              <span>Download PDF</span>
+              <span>{downloading ? 'Preparing...' : 'Download PDF'}</span>
             </button>
           </div>
         </div>
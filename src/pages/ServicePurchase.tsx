@@ -357,6 +357,9 @@ export function ServicePurchase() {
                       )}
                     </div>
                   </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    18% GST is added on the invoice for clients in India.
+                  </p>
                 </div>
 
                 {error && (
@@ -8,18 +8,24 @@ import {
   Clock,
   CheckCircle,
   AlertCircle,
-  DollarSign
+  DollarSign,
+  FileCheck
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { RealtimeService } from '../../lib/realtime';
 import { getCurrentUser } from '../../lib/auth';
-import { supabase } from '../../lib/supabase';
+import { supabase, OrderWithService } from '../../lib/supabase';
+import { ZohoService, ZohoEstimate } from '../../lib/zoho';
+import { formatCurrency } from '../../utils/currency';
 
 const DashboardOverview = () => {
   const [isVisible, setIsVisible] = useState(false);
   const [user, setUser] = useState(null);
-  const [orders, setOrders] = useState([]);
+  const [orders, setOrders] = useState<OrderWithService[]>([]);
   const [invoices, setInvoices] = useState([]);
+  const [estimates, setEstimates] = useState<ZohoEstimate[]>([]);
+  const [estimateAction, setEstimateAction] = useState<string | null>(null);
+  const [estimateError, setEstimateError] = useState('');
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     activeOrders: 0,
@@ -42,6 +48,7 @@ const DashboardOverview = () => {
           await loadOrders(currentUser.id);
           await loadInvoices(currentUser.id);
           updateStats(currentUser.id);
+          loadEstimates();
           
           // Subscribe to order updates
           const unsubscribeOrders = RealtimeService.subscribeToOrders(currentUser.id, (payload) => {
@@ -177,6 +184,54 @@ const DashboardOverview = () => {
     };
   }, []);
 
+  // Estimates come from Zoho; the dashboard works without them
+  const loadEstimates = async () => {
+    try {
+      const data = await ZohoService.getEstimates();
+      setEstimates(data.filter(estimate =>
+        estimate.status === 'sent' ||
+        (estimate.status === 'accepted' && (!estimate.order_status || estimate.order_status === 'pending'))
+      ));
+    } catch (error) {
+      console.error('Error loading estimates:', error);
+    }
+  };
+
+  // Accepting creates the order and invoice, then hands over to Zoho's payment page
+  const handleAcceptEstimate = async (estimate: ZohoEstimate) => {
+    setEstimateAction(estimate.estimate_id);
+    setEstimateError('');
+    try {
+      const { invoice } = await ZohoService.acceptEstimate(estimate.estimate_id);
+      if (invoice.payment_url) {
+        window.location.href = invoice.payment_url;
+        return;
+      }
+      await loadEstimates();
+    } catch (error) {
+      console.error('Error accepting estimate:', error);
+      setEstimateError('Could not accept the estimate. Please try again or contact us.');
+    } finally {
+      setEstimateAction(null);
+    }
+  };
+
+  const handleDeclineEstimate = async (estimate: ZohoEstimate) => {
+    if (!window.confirm(`Decline estimate ${estimate.estimate_number}?`)) return;
+
+    setEstimateAction(estimate.estimate_id);
+    setEstimateError('');
+    try {
+      await ZohoService.declineEstimate(estimate.estimate_id);
+      setEstimates(current => current.filter(e => e.estimate_id !== estimate.estimate_id));
+    } catch (error) {
+      console.error('Error declining estimate:', error);
+      setEstimateError('Could not decline the estimate. Please try again or contact us.');
+    } finally {
+      setEstimateAction(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -294,6 +349,63 @@ const DashboardOverview = () => {
         })}
       </div>
 
+      {/* Estimates awaiting a decision */}
+      {estimates.length > 0 && (
+        <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-cyan-500/30">
+          <div className="flex items-center space-x-3 mb-6">
+            <FileCheck className="w-6 h-6 text-cyan-400" />
+            <h2 className="text-xl font-bold text-white">Your Quotes</h2>
+          </div>
+
+          {estimateError && (
+            <p className="text-red-400 text-sm mb-4">{estimateError}</p>
+          )}
+
+          <div className="space-y-4">
+            {estimates.map((estimate) => (
+              <div key={estimate.estimate_id} className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 bg-gray-700/30 rounded-xl">
+                <div>
+                  <p className="text-white font-medium">Estimate {estimate.estimate_number}</p>
+                  <p className="text-gray-400 text-sm">
+                    {new Date(estimate.date).toLocaleDateString()}
+                    {estimate.expiry_date && ` • Valid until ${new Date(estimate.expiry_date).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <p className="text-white font-semibold mr-2">{formatCurrency(estimate.total, estimate.currency_code)}</p>
+                  {estimate.status === 'sent' ? (
+                    <>
+                      <button
+                        onClick={() => handleAcceptEstimate(estimate)}
+                        disabled={estimateAction !== null}
+                        className="bg-gradient-to-r from-cyan-500 to-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50"
+                      >
+                        {estimateAction === estimate.estimate_id ? 'Processing...' : 'Accept & Pay'}
+                      </button>
+                      <button
+                        onClick={() => handleDeclineEstimate(estimate)}
+                        disabled={estimateAction !== null}
+                        className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                      >
+                        Decline
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => handleAcceptEstimate(estimate)}
+                      disabled={estimateAction !== null}
+                      className="bg-gradient-to-r from-green-500 to-emerald-500 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 disabled:opacity-50"
+                    >
+                      {estimateAction === estimate.estimate_id ? 'Processing...' : 'Pay Invoice'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity */}
       <div className={`grid lg:grid-cols-3 gap-8 transition-all duration-1000 delay-400 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
         {/* Recent Orders */}
@@ -316,7 +428,7 @@ const DashboardOverview = () => {
                   <div className="flex items-center space-x-4">
                     {getStatusIcon(order.status)}
                     <div>
-                      <p className="text-white font-medium">{order.services?.name || 'Service'}</p>
+                      <p className="text-white font-medium">{order.services?.name || order.description || 'Service'}</p>
                       <p className="text-gray-400 text-sm">{order.id.slice(0, 8)} • {new Date(order.created_at).toLocaleDateString()}</p>
                     </div>
                   </div>
@@ -9,18 +9,27 @@ import {
   Filter,
   CheckCircle,
   Clock,
-  AlertCircle
+  AlertCircle,
+  RotateCcw
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
-import { supabase } from '../../lib/supabase';
+import { supabase, Invoice, Refund, Service } from '../../lib/supabase';
 import { RealtimeService } from '../../lib/realtime';
+import { InvoiceService } from '../../lib/invoices';
+import { formatCurrency } from '../../utils/currency';
+
+type InvoiceRow = Invoice & {
+  orders?: { services?: Partial<Service> | null } | null
+};
 
 const InvoicesPage = () => {
   const [isVisible, setIsVisible] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
-  const [invoices, setInvoices] = useState([]);
+  const [invoices, setInvoices] = useState<InvoiceRow[]>([]);
+  const [refundsByOrder, setRefundsByOrder] = useState<Record<string, Refund[]>>({});
   const [loading, setLoading] = useState(true);
+  const [downloadingId, setDownloadingId] = useState<string | null>(null);
 
   useEffect(() => {
     setIsVisible(true);
@@ -32,6 +41,7 @@ const InvoicesPage = () => {
       const { data: { user } } = await supabase.auth.getUser();
       if (user) {
         await loadInvoices(user.id);
+        await loadRefunds(user.id);
         
         // Set up real-time subscription
         const unsubscribe = RealtimeService.subscribeToInvoices(user.id, (payload) => {
@@ -89,6 +99,38 @@ const InvoicesPage = () => {
     }
   };
 
+  // Credit notes are shown under the invoice they refund
+  const loadRefunds = async (userId: string) => {
+    try {
+      const { data } = await supabase
+        .from('refunds')
+        .select('*')
+        .eq('client_id', userId)
+        .eq('status', 'completed')
+        .order('created_at', { ascending: true });
+
+      const grouped: Record<string, Refund[]> = {};
+      for (const refund of (data || []) as Refund[]) {
+        (grouped[refund.order_id] = grouped[refund.order_id] || []).push(refund);
+      }
+      setRefundsByOrder(grouped);
+    } catch (error) {
+      console.error('Error loading refunds:', error);
+    }
+  };
+
+  const handleDownload = async (invoice: InvoiceRow) => {
+    setDownloadingId(invoice.id);
+    try {
+      await InvoiceService.downloadPdf(invoice.id);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      RealtimeService.showNotification('Download Failed', error instanceof Error ? error.message : 'Failed to download invoice', 'error');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const statusOptions = [
     { value: 'all', label: 'All Invoices', count: invoices.length },
     { value: 'paid', label: 'Paid', count: invoices.filter(i => i.status === 'paid').length },
@@ -255,6 +297,14 @@ const InvoicesPage = () => {
                       <div>
                         <p className="text-white font-medium">{invoice.invoice_number}</p>
                         <p className="text-gray-400 text-sm">{invoice.id.slice(0, 8)}</p>
+                        {(refundsByOrder[invoice.order_id] || []).map((refund) => (
+                          <p key={refund.id} className="text-purple-400 text-xs mt-1 inline-flex items-center space-x-1">
+                            <RotateCcw className="w-3 h-3" />
+                            <span>
+                              Credit note {refund.creditnote_number} • {formatCurrency(refund.amount, refund.currency)} refunded
+                            </span>
+                          </p>
+                        ))}
                       </div>
                     </td>
                     <td className="px-6 py-4 text-white">{invoice.orders?.services?.name || 'Service'}</td>
@@ -293,7 +343,9 @@ const InvoicesPage = () => {
                           <Eye className="w-4 h-4" />
                         </Link>
                         <button
-                          className="p-2 text-gray-400 hover:text-green-400 transition-colors"
+                          onClick={() => handleDownload(invoice)}
+                          disabled={downloadingId === invoice.id}
+                          className="p-2 text-gray-400 hover:text-green-400 transition-colors disabled:opacity-50"
                           title="Download PDF"
                         >
                           <Download className="w-4 h-4" />
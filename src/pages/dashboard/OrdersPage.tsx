@@ -7,17 +7,81 @@ import {
   CheckCircle, 
   AlertCircle,
   ExternalLink,
-  Calendar
+  Calendar,
+  MessageSquare
 } from 'lucide-react';
-import { supabase } from '../../lib/supabase';
+import { supabase, OrderWithService, Conversation, ConversationMessage } from '../../lib/supabase';
 import { RealtimeService } from '../../lib/realtime';
+import { ZohoService } from '../../lib/zoho';
+
+const byReceived = (a: ConversationMessage, b: ConversationMessage) =>
+  new Date(a.received_at).getTime() - new Date(b.received_at).getTime();
+
+// Email replies on the client's orders, by order id, and on their quote
+// requests, each oldest first
+const loadConversations = async (clientId: string) => {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select(`
+      id,
+      order_id,
+      quote_reference,
+      subject,
+      created_at,
+      conversation_messages (
+        id,
+        conversation_id,
+        sender_email,
+        sender_name,
+        subject,
+        body,
+        received_at
+      )
+    `)
+    .eq('client_id', clientId);
+
+  const byOrder: Record<string, ConversationMessage[]> = {};
+  const quotes: Conversation[] = [];
+  if (error) {
+    console.error('Error loading messages:', error);
+    return { byOrder, quotes };
+  }
+
+  for (const conversation of data || []) {
+    const messages = [...(conversation.conversation_messages || [])].sort(byReceived);
+    if (conversation.order_id) {
+      byOrder[conversation.order_id] = messages;
+    } else if (messages.length > 0) {
+      quotes.push({ ...conversation, conversation_messages: messages });
+    }
+  }
+  return { byOrder, quotes };
+};
+
+const MessageList = ({ messages }: { messages: ConversationMessage[] }) => (
+  <div className="space-y-3">
+    {messages.map((message) => (
+      <div key={message.id} className="bg-gray-700/30 rounded-xl p-4">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-white text-sm font-medium">{message.sender_name || message.sender_email}</p>
+          <p className="text-gray-400 text-xs">{new Date(message.received_at).toLocaleString()}</p>
+        </div>
+        <p className="text-gray-300 text-sm whitespace-pre-line">{message.body}</p>
+      </div>
+    ))}
+  </div>
+);
 
 const OrdersPage = () => {
   const [isVisible, setIsVisible] = useState(false);
-  const [orders, setOrders] = useState([]);
+  const [orders, setOrders] = useState<OrderWithService[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [messages, setMessages] = useState<Record<string, ConversationMessage[]>>({});
+  const [openOrderId, setOpenOrderId] = useState<string | null>(null);
+  const [quoteThreads, setQuoteThreads] = useState<Conversation[]>([]);
+  const [openQuoteId, setOpenQuoteId] = useState<string | null>(null);
 
   useEffect(() => {
     setIsVisible(true);
@@ -67,6 +131,9 @@ const OrdersPage = () => {
 
       if (error) throw error;
       setOrders(data || []);
+      const { byOrder, quotes } = await loadConversations(user.id);
+      setMessages(byOrder);
+      setQuoteThreads(quotes);
     } catch (error) {
       console.error('Error loading orders:', error);
     } finally {
@@ -74,6 +141,14 @@ const OrdersPage = () => {
     }
   };
 
+  const handleOpenInvoice = async (zohoInvoiceId: string) => {
+    try {
+      await ZohoService.openInvoice(zohoInvoiceId);
+    } catch (error) {
+      RealtimeService.showNotification('Invoice Unavailable', error instanceof Error ? error.message : 'Failed to open invoice', 'error');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -84,6 +159,9 @@ const OrdersPage = () => {
         return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
       case 'cancelled':
         return 'bg-red-500/20 text-red-400 border-red-500/30';
+      case 'refunded':
+      case 'partially_refunded':
+        return 'bg-purple-500/20 text-purple-400 border-purple-500/30';
       default:
         return 'bg-gray-500/20 text-gray-400 border-gray-500/30';
     }
@@ -99,13 +177,16 @@ const OrdersPage = () => {
         return <Clock className="w-4 h-4 text-yellow-500" />;
       case 'cancelled':
         return <AlertCircle className="w-4 h-4 text-red-500" />;
+      case 'refunded':
+      case 'partially_refunded':
+        return <AlertCircle className="w-4 h-4 text-purple-500" />;
       default:
         return <Clock className="w-4 h-4 text-gray-500" />;
     }
   };
 
   const filteredOrders = orders.filter(order => {
-    const matchesSearch = order.services?.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    const matchesSearch = (order.services?.name || order.description)?.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          order.package_type?.toLowerCase().includes(searchTerm.toLowerCase());
     const matchesStatus = statusFilter === 'all' || order.status === statusFilter;
     return matchesSearch && matchesStatus;
@@ -148,6 +229,8 @@ const OrdersPage = () => {
               <option value="paid">Paid</option>
               <option value="completed">Completed</option>
               <option value="cancelled">Cancelled</option>
+              <option value="partially_refunded">Partially Refunded</option>
+              <option value="refunded">Refunded</option>
             </select>
           </div>
         </div>
@@ -185,11 +268,12 @@ const OrdersPage = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredOrders.map((order, index) => (
-                    <tr key={order.id} className="border-t border-gray-700/50 hover:bg-gray-700/20 transition-colors">
+                  {filteredOrders.map((order) => (
+                    <React.Fragment key={order.id}>
+                    <tr className="border-t border-gray-700/50 hover:bg-gray-700/20 transition-colors">
                       <td className="py-4 px-6">
                         <div>
-                          <p className="text-white font-medium">{order.services?.name || 'Service'}</p>
+                          <p className="text-white font-medium">{order.services?.name || order.description || 'Service'}</p>
                           <p className="text-gray-400 text-sm">{order.services?.category}</p>
                         </div>
                       </td>
@@ -207,7 +291,7 @@ const OrdersPage = () => {
                         <div className="flex items-center space-x-2">
                           {getStatusIcon(order.status)}
                           <span className={`px-3 py-1 rounded-full text-xs border ${getStatusColor(order.status)}`}>
-                            {order.status}
+                            {order.status.replace('_', ' ')}
                           </span>
                         </div>
                       </td>
@@ -219,18 +303,33 @@ const OrdersPage = () => {
                       </td>
                       <td className="py-4 px-6">
                         {order.zoho_invoice_id && (
-                          <a
-                            href={`https://invoice.zoho.com/invoices/${order.zoho_invoice_id}`}
-                            target="_blank"
-                            rel="noopener noreferrer"
+                          <button
+                            onClick={() => handleOpenInvoice(order.zoho_invoice_id!)}
                             className="inline-flex items-center space-x-1 text-cyan-400 hover:text-cyan-300 transition-colors"
                           >
                             <span className="text-sm">View Invoice</span>
                             <ExternalLink className="w-4 h-4" />
-                          </a>
+                          </button>
+                        )}
+                        {messages[order.id]?.length > 0 && (
+                          <button
+                            onClick={() => setOpenOrderId(openOrderId === order.id ? null : order.id)}
+                            className="mt-1 flex items-center space-x-1 text-cyan-400 hover:text-cyan-300 transition-colors"
+                          >
+                            <MessageSquare className="w-4 h-4" />
+                            <span className="text-sm">Messages ({messages[order.id].length})</span>
+                          </button>
                         )}
                       </td>
                     </tr>
+                    {openOrderId === order.id && (
+                      <tr className="bg-gray-900/30">
+                        <td colSpan={6} className="py-4 px-6">
+                          <MessageList messages={messages[order.id]} />
+                        </td>
+                      </tr>
+                    )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
@@ -239,6 +338,40 @@ const OrdersPage = () => {
         </div>
       </div>
 
+      {/* Quote request replies */}
+      {quoteThreads.length > 0 && (
+        <div className={`bg-gray-800/50 backdrop-blur-sm rounded-2xl border border-gray-700/50 transition-all duration-1000 delay-500 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
+          <div className="p-6 border-b border-gray-700/50">
+            <h2 className="text-xl font-bold text-white">Quote Requests</h2>
+            <p className="text-gray-400 text-sm">Your email replies about the quotes you asked for</p>
+          </div>
+          <div className="divide-y divide-gray-700/50">
+            {quoteThreads.map((thread) => (
+              <div key={thread.id} className="p-6">
+                <button
+                  onClick={() => setOpenQuoteId(openQuoteId === thread.id ? null : thread.id)}
+                  className="w-full flex items-center justify-between text-left"
+                >
+                  <div>
+                    <p className="text-white font-medium">Estimate {thread.quote_reference}</p>
+                    {thread.subject && <p className="text-gray-400 text-sm">{thread.subject}</p>}
+                  </div>
+                  <span className="flex items-center space-x-1 text-cyan-400 hover:text-cyan-300 transition-colors">
+                    <MessageSquare className="w-4 h-4" />
+                    <span className="text-sm">Messages ({thread.conversation_messages?.length})</span>
+                  </span>
+                </button>
+                {openQuoteId === thread.id && (
+                  <div className="mt-4">
+                    <MessageList messages={thread.conversation_messages || []} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Summary Stats */}
       {orders.length > 0 && (
         <div className={`grid md:grid-cols-4 gap-6 transition-all duration-1000 delay-600 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
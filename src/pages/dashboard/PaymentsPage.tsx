@@ -11,12 +11,15 @@ import {
 
 import { PaymentService } from '../../lib/payments';
 import { RealtimeService } from '../../lib/realtime';
-import { supabase } from '../../lib/supabase';
+import { supabase, OrderWithService, InvoiceWithOrder, PaymentWithOrder } from '../../lib/supabase';
+import { ZohoService } from '../../lib/zoho';
+import { formatCurrency } from '../../utils/currency';
 
 const PaymentsPage = () => {
   const [isVisible, setIsVisible] = useState(false);
-  const [orders, setOrders] = useState([]);
-  const [invoices, setInvoices] = useState([]);
+  const [orders, setOrders] = useState<OrderWithService[]>([]);
+  const [invoices, setInvoices] = useState<InvoiceWithOrder[]>([]);
+  const [payments, setPayments] = useState<PaymentWithOrder[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -39,6 +42,10 @@ const PaymentsPage = () => {
           loadPaymentData(user.id);
         });
 
+        const unsubscribeLedger = RealtimeService.subscribeToPayments(user.id, () => {
+          loadPaymentData(user.id);
+        });
+
         const unsubscribePayments = RealtimeService.subscribeToPaymentStatus(user.id, (payload) => {
           if (payload.new.status === 'paid') {
             RealtimeService.showNotification(
@@ -46,6 +53,12 @@ const PaymentsPage = () => {
               'Your payment has been confirmed successfully.',
               'success'
             );
+          } else if (payload.new.status === 'partially_paid') {
+            RealtimeService.showNotification(
+              'Partial Payment Received',
+              'We received part of your payment. The rest is still due on the invoice.',
+              'info'
+            );
           }
         });
 
@@ -53,6 +66,7 @@ const PaymentsPage = () => {
         return () => {
           unsubscribeOrders();
           unsubscribeInvoices();
+          unsubscribeLedger();
           unsubscribePayments();
         };
       }
@@ -65,17 +79,27 @@ const PaymentsPage = () => {
 
   const loadPaymentData = async (userId: string) => {
     try {
-      const [ordersData, invoicesData] = await Promise.all([
+      const [ordersData, invoicesData, paymentsData] = await Promise.all([
         PaymentService.getUserOrders(),
-        PaymentService.getUserInvoices()
+        PaymentService.getUserInvoices(),
+        PaymentService.getUserPayments()
       ]);
       setOrders(ordersData);
       setInvoices(invoicesData);
+      setPayments(paymentsData);
     } catch (error) {
       console.error('Error loading payment data:', error);
     }
   };
 
+  const handleOpenInvoice = async (zohoInvoiceId: string, pay = false) => {
+    try {
+      await ZohoService.openInvoice(zohoInvoiceId, { pay });
+    } catch (error) {
+      RealtimeService.showNotification('Invoice Unavailable', error instanceof Error ? error.message : 'Failed to open invoice', 'error');
+    }
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'overdue':
@@ -83,12 +107,30 @@ const PaymentsPage = () => {
       case 'due-soon':
         return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
       case 'completed':
+      case 'paid':
+      case 'overpaid':
         return 'bg-green-500/20 text-green-400 border-green-500/30';
+      case 'partially_paid':
+        return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
       default:
         return 'bg-gray-500/20 text-gray-400 border-gray-500/30';
     }
   };
 
+  // Payments can be in several currencies, so each gets its own total
+  const totalPaid = () => {
+    const totals = payments.reduce<Record<string, number>>((sums, payment) => {
+      sums[payment.currency] = (sums[payment.currency] || 0) + Number(payment.amount);
+      return sums;
+    }, {});
+    const entries = Object.entries(totals);
+    return entries.length > 0
+      ? entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ')
+      : formatCurrency(0, 'USD');
+  };
+
+  const isOutstanding = (invoice: InvoiceWithOrder) => !['paid', 'overpaid', 'void'].includes(invoice.status);
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'overdue':
@@ -115,15 +157,15 @@ const PaymentsPage = () => {
       </div>
 
       {/* Pending Payments Alert */}
-      {invoices.filter(inv => inv.status !== 'paid').length > 0 && (
+      {invoices.filter(isOutstanding).length > 0 && (
         <div className={`bg-gradient-to-r from-red-500/10 to-orange-500/10 rounded-2xl p-6 border border-red-500/20 transition-all duration-1000 delay-200 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
           <div className="flex items-center space-x-3 mb-4">
             <AlertCircle className="w-6 h-6 text-red-400" />
             <h2 className="text-xl font-bold text-white">Pending Payments</h2>
           </div>
-          <p className="text-gray-400 mb-4">You have {invoices.filter(inv => inv.status !== 'paid').length} pending payment(s) that require attention.</p>
+          <p className="text-gray-400 mb-4">You have {invoices.filter(isOutstanding).length} pending payment(s) that require attention.</p>
           <div className="space-y-3">
-            {invoices.filter(inv => inv.status !== 'paid').slice(0, 3).map((invoice) => (
+            {invoices.filter(isOutstanding).slice(0, 3).map((invoice) => (
               <div key={invoice.id} className="flex items-center justify-between p-4 bg-gray-800/50 rounded-xl">
                 <div className="flex items-center space-x-4">
                   {getStatusIcon(invoice.status === 'overdue' ? 'overdue' : 'due-soon')}
@@ -134,16 +176,16 @@ const PaymentsPage = () => {
                 </div>
                 <div className="text-right">
                   <p className="text-white font-semibold">
-                    {invoice.currency === 'USD' ? '$' : '₹'}{(invoice.total_amount || 0).toFixed(2)}
+                    {invoice.currency === 'USD' ? '$' : '₹'}{(invoice.status === 'partially_paid' ? invoice.balance || 0 : invoice.total_amount || 0).toFixed(2)}
                   </p>
-                  <a
-                    href={`https://invoice.zoho.com/invoices/${invoice.id}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="bg-red-500 hover:bg-red-600 text-white px-4 py-1 rounded-lg text-sm font-medium transition-colors inline-block"
-                  >
-                    Pay Now
-                  </a>
+                  {invoice.orders?.zoho_invoice_id && (
+                    <button
+                      onClick={() => handleOpenInvoice(invoice.orders!.zoho_invoice_id!, true)}
+                      className="bg-red-500 hover:bg-red-600 text-white px-4 py-1 rounded-lg text-sm font-medium transition-colors inline-block"
+                    >
+                      Pay Now
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -165,7 +207,7 @@ const PaymentsPage = () => {
                       ORD
                     </div>
                     <div>
-                      <p className="text-white font-medium">{order.services?.name}</p>
+                      <p className="text-white font-medium">{order.services?.name || order.description}</p>
                       <p className="text-gray-400 text-sm">{order.package_type} package</p>
                     </div>
                     <span className={`px-2 py-1 rounded-full text-xs border ${getStatusColor(order.status)}`}>
@@ -177,14 +219,12 @@ const PaymentsPage = () => {
                       {order.currency === 'USD' ? '$' : '₹'}{(order.currency === 'USD' ? order.amount_usd : order.amount_inr)?.toFixed(2)}
                     </p>
                     {order.zoho_invoice_id && (
-                      <a
-                        href={`https://invoice.zoho.com/invoices/${order.zoho_invoice_id}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                      <button
+                        onClick={() => handleOpenInvoice(order.zoho_invoice_id!)}
                         className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-1 rounded-lg text-sm font-medium transition-colors inline-block mt-1"
                       >
                         View Invoice
-                      </a>
+                      </button>
                     )}
                   </div>
                 </div>
@@ -205,9 +245,9 @@ const PaymentsPage = () => {
             <h3 className="text-lg font-bold text-white mb-4">This Month</h3>
             <div className="space-y-4">
               <div className="flex items-center justify-between">
-                <span className="text-gray-400">Total Spent</span>
+                <span className="text-gray-400">Total Paid</span>
                 <span className="text-2xl font-bold text-white">
-                  ${orders.filter(o => o.status === 'completed').reduce((sum, o) => sum + (o.amount_usd || 0), 0)}
+                  {totalPaid()}
                 </span>
               </div>
               <div className="flex items-center justify-between">
@@ -252,7 +292,54 @@ const PaymentsPage = () => {
         </div>
       </div>
 
-      {/* Recent Payments */}
+      {/* Payment History */}
+      <div className={`transition-all duration-1000 delay-800 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
+        <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-700/50">
+          <h2 className="text-xl font-bold text-white mb-6">Payment History</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  <th className="text-left py-3 text-gray-400 font-medium">Service</th>
+                  <th className="text-left py-3 text-gray-400 font-medium">Date</th>
+                  <th className="text-left py-3 text-gray-400 font-medium">Method</th>
+                  <th className="text-left py-3 text-gray-400 font-medium">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.slice(0, 10).map((payment) => (
+                  <tr key={payment.id} className="border-b border-gray-700/50">
+                    <td className="py-4">
+                      <div>
+                        <p className="text-white font-medium">
+                          {payment.orders?.services?.name || payment.orders?.description || (payment.subscription_id ? 'Subscription' : 'Service')}
+                        </p>
+                        {payment.zoho_payment_id && (
+                          <p className="text-gray-400 text-sm">Payment {payment.zoho_payment_id}</p>
+                        )}
+                      </div>
+                    </td>
+                    <td className="py-4 text-gray-300">{new Date(payment.payment_date).toLocaleDateString()}</td>
+                    <td className="py-4 text-gray-300">{payment.payment_method || 'Zoho'}</td>
+                    <td className="py-4 text-white font-semibold">
+                      {formatCurrency(Number(payment.amount), payment.currency)}
+                    </td>
+                  </tr>
+                ))}
+                {payments.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="py-8 text-center text-gray-400">
+                      No payments yet
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Recent Invoices */}
       <div className={`transition-all duration-1000 delay-800 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
         <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-700/50">
           <h2 className="text-xl font-bold text-white mb-6">Recent Invoices</h2>
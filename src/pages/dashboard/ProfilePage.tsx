@@ -12,10 +12,40 @@ import {
   Shield,
   Globe,
   Eye,
-  EyeOff
+  EyeOff,
+  Receipt
 } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { ZohoService } from '../../lib/zoho';
 import PasswordStrengthIndicator from '../../components/PasswordStrengthIndicator';
+import {
+  COMMUNICATION_CATEGORIES,
+  COMMUNICATION_CHANNELS,
+  DEFAULT_COMMUNICATION_PREFERENCES,
+  CommunicationCategory,
+  CommunicationChannel,
+  isRequiredChannel,
+  normalizeCommunicationPreferences
+} from '../../lib/preferences';
+import { BILLING_COUNTRIES, INDIAN_STATES, isValidGstin, normalizeGstin } from '../../utils/gst';
+
+// Languages our emails are translated into (user_preferences_language_check)
+const EMAIL_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' }
+];
+
+const TIMEZONES = [
+  { zone: 'America/New_York', name: 'Eastern Time (ET)' },
+  { zone: 'America/Chicago', name: 'Central Time (CT)' },
+  { zone: 'America/Denver', name: 'Mountain Time (MT)' },
+  { zone: 'America/Los_Angeles', name: 'Pacific Time (PT)' },
+  { zone: 'Europe/London', name: 'London (GMT/BST)' },
+  { zone: 'Europe/Paris', name: 'Central European Time (CET)' },
+  { zone: 'Asia/Kolkata', name: 'India Standard Time (IST)' },
+  { zone: 'Australia/Sydney', name: 'Sydney (AET)' }
+];
 
 const ProfilePage = () => {
   const [isVisible, setIsVisible] = useState(false);
@@ -30,8 +60,11 @@ const ProfilePage = () => {
     email: '',
     phone: '',
     company: '',
-    timezone: 'America/New_York',
-    language: 'English'
+    countryCode: '',
+    stateCode: '',
+    gstin: '',
+    timezone: '',
+    language: 'en'
   });
 
   const [passwordData, setPasswordData] = useState({
@@ -40,13 +73,7 @@ const ProfilePage = () => {
     confirmPassword: ''
   });
 
-  const [notifications, setNotifications] = useState({
-    emailNotifications: true,
-    smsNotifications: false,
-    orderUpdates: true,
-    marketingEmails: false,
-    securityAlerts: true
-  });
+  const [communication, setCommunication] = useState(DEFAULT_COMMUNICATION_PREFERENCES);
 
   useEffect(() => {
     setIsVisible(true);
@@ -61,6 +88,15 @@ const ProfilePage = () => {
         .select('*')
         .eq('id', user.id)
         .maybeSingle();
+
+      const { data: preferences } = await supabase
+        .from('user_preferences')
+        .select('preferred_language, timezone, communication_preferences')
+        .eq('user_id', user.id)
+        .maybeSingle();
+      setCommunication(normalizeCommunicationPreferences(preferences?.communication_preferences));
+      const timezone = preferences?.timezone || '';
+      const language = preferences?.preferred_language || 'en';
       
       if (profile) {
         setProfileData({
@@ -68,8 +104,11 @@ const ProfilePage = () => {
           email: profile.email || '',
           phone: profile.phone || '',
           company: profile.company || '',
-          timezone: 'America/New_York',
-          language: 'English'
+          countryCode: profile.country_code || '',
+          stateCode: profile.state_code || '',
+          gstin: profile.gstin || '',
+          timezone,
+          language
         });
       } else {
         // Fallback to user auth data if no profile exists
@@ -78,8 +117,11 @@ const ProfilePage = () => {
           email: user.email || '',
           phone: '',
           company: '',
-          timezone: 'America/New_York',
-          language: 'English'
+          countryCode: '',
+          stateCode: '',
+          gstin: '',
+          timezone,
+          language
         });
       }
     }
@@ -87,6 +129,15 @@ const ProfilePage = () => {
 
   const handleProfileUpdate = async (e: React.FormEvent) => {
     e.preventDefault();
+
+    // GST details only apply to clients in India
+    const inIndia = profileData.countryCode === 'IN';
+    const gstin = inIndia && profileData.gstin ? normalizeGstin(profileData.gstin) : '';
+    if (gstin && !isValidGstin(gstin)) {
+      alert('Please enter a valid 15-character GSTIN');
+      return;
+    }
+
     setIsLoading(true);
 
     try {
@@ -98,11 +149,41 @@ const ProfilePage = () => {
             name: profileData.name,
             phone: profileData.phone,
             company: profileData.company,
+            country_code: profileData.countryCode || null,
+            state_code: inIndia ? profileData.stateCode || null : null,
+            gstin: gstin || null,
             updated_at: new Date().toISOString()
           })
           .eq('id', user.id);
 
         if (error) throw error;
+
+        // Emails are sent in this language and dated in this time zone
+        const { error: preferencesError } = await supabase
+          .from('user_preferences')
+          .upsert({
+            user_id: user.id,
+            preferred_language: profileData.language,
+            timezone: profileData.timezone || null,
+            updated_at: new Date().toISOString()
+          }, {
+            onConflict: 'user_id'
+          });
+
+        if (preferencesError) throw preferencesError;
+
+        // Keep the Zoho contact in step with the profile; billing details
+        // are refreshed again at checkout, so a failure here is not fatal
+        try {
+          await ZohoService.syncCustomer({
+            name: profileData.name,
+            email: profileData.email,
+            phone: profileData.phone,
+            company: profileData.company
+          });
+        } catch (syncError) {
+          console.warn('Zoho contact sync failed:', syncError);
+        }
         
         // Show success message
         alert('Profile updated successfully!');
@@ -115,6 +196,42 @@ const ProfilePage = () => {
     }
   };
 
+  const toggleCommunication = (category: CommunicationCategory, channel: CommunicationChannel, enabled: boolean) => {
+    setCommunication({
+      ...communication,
+      [category]: { ...communication[category], [channel]: enabled }
+    });
+  };
+
+  const handleCommunicationUpdate = async () => {
+    setIsLoading(true);
+
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (user) {
+        // Checked by every sender before an email or notification goes out
+        const { error } = await supabase
+          .from('user_preferences')
+          .upsert({
+            user_id: user.id,
+            communication_preferences: communication,
+            updated_at: new Date().toISOString()
+          }, {
+            onConflict: 'user_id'
+          });
+
+        if (error) throw error;
+
+        alert('Notification preferences saved!');
+      }
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      alert('Failed to save notification preferences. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handlePasswordChange = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -277,6 +394,60 @@ const ProfilePage = () => {
                     </div>
                   </div>
 
+                  {/* Billing details used to work out GST on invoices */}
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">Billing Country</label>
+                      <div className="relative">
+                        <Receipt className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                        <select
+                          value={profileData.countryCode}
+                          onChange={(e) => setProfileData({...profileData, countryCode: e.target.value})}
+                          className="w-full pl-10 pr-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        >
+                          <option value="">Select country</option>
+                          {BILLING_COUNTRIES.map(country => (
+                            <option key={country.code} value={country.code}>{country.name}</option>
+                          ))}
+                          <option value="ZZ">Other country (outside India)</option>
+                        </select>
+                      </div>
+                    </div>
+
+                    {profileData.countryCode === 'IN' && (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-300 mb-2">State</label>
+                          <select
+                            value={profileData.stateCode}
+                            onChange={(e) => setProfileData({...profileData, stateCode: e.target.value})}
+                            className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                          >
+                            <option value="">Select state</option>
+                            {INDIAN_STATES.map(state => (
+                              <option key={state.code} value={state.code}>{state.name}</option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-300 mb-2">GSTIN (optional)</label>
+                          <input
+                            type="text"
+                            value={profileData.gstin}
+                            maxLength={15}
+                            placeholder="29ABCDE1234F1Z5"
+                            onChange={(e) => setProfileData({...profileData, gstin: e.target.value.toUpperCase()})}
+                            className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  <p className="text-gray-400 text-xs -mt-4">
+                    Clients in India are charged 18% GST (CGST + SGST or IGST depending on state). Services exported outside India are zero-rated.
+                  </p>
+
                   <div className="grid md:grid-cols-2 gap-6">
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-2">Timezone</label>
@@ -287,24 +458,24 @@ const ProfilePage = () => {
                           onChange={(e) => setProfileData({...profileData, timezone: e.target.value})}
                           className="w-full pl-10 pr-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
                         >
-                          <option value="America/New_York">Eastern Time (ET)</option>
-                          <option value="America/Chicago">Central Time (CT)</option>
-                          <option value="America/Denver">Mountain Time (MT)</option>
-                          <option value="America/Los_Angeles">Pacific Time (PT)</option>
+                          <option value="">Select timezone</option>
+                          {TIMEZONES.map(timezone => (
+                            <option key={timezone.zone} value={timezone.zone}>{timezone.name}</option>
+                          ))}
                         </select>
                       </div>
                     </div>
                     
                     <div>
-                      <label className="block text-sm font-medium text-gray-300 mb-2">Language</label>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">Email Language</label>
                       <select
                         value={profileData.language}
                         onChange={(e) => setProfileData({...profileData, language: e.target.value})}
                         className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
                       >
-                        <option value="English">English</option>
-                        <option value="Spanish">Spanish</option>
-                        <option value="French">French</option>
+                        {EMAIL_LANGUAGES.map(language => (
+                          <option key={language.code} value={language.code}>{language.name}</option>
+                        ))}
                       </select>
                     </div>
                   </div>
@@ -405,35 +576,57 @@ const ProfilePage = () => {
             {/* Notifications Tab */}
             {activeTab === 'notifications' && (
               <div>
-                <h2 className="text-2xl font-bold text-white mb-6">Notification Preferences</h2>
-                
-                <div className="space-y-6">
-                  {Object.entries(notifications).map(([key, value]) => (
-                    <div key={key} className="flex items-center justify-between p-4 bg-gray-700/30 rounded-xl">
+                <h2 className="text-2xl font-bold text-white mb-2">Notification Preferences</h2>
+                <p className="text-gray-400 mb-6">Choose what we send you by email and in your dashboard.</p>
+
+                <div className="space-y-4">
+                  {COMMUNICATION_CATEGORIES.map((category) => (
+                    <div key={category.id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 bg-gray-700/30 rounded-xl">
                       <div>
-                        <h3 className="text-white font-medium">
-                          {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                        </h3>
-                        <p className="text-gray-400 text-sm">
-                          {key === 'emailNotifications' && 'Receive notifications via email'}
-                          {key === 'smsNotifications' && 'Receive notifications via SMS'}
-                          {key === 'orderUpdates' && 'Get updates about your orders'}
-                          {key === 'marketingEmails' && 'Receive promotional emails'}
-                          {key === 'securityAlerts' && 'Important security notifications'}
-                        </p>
+                        <h3 className="text-white font-medium">{category.label}</h3>
+                        <p className="text-gray-400 text-sm">{category.description}</p>
+                      </div>
+                      <div className="flex items-center space-x-6">
+                        {COMMUNICATION_CHANNELS.map((channel) => {
+                          const required = isRequiredChannel(category.id, channel.id);
+                          return (
+                            <label
+                              key={channel.id}
+                              className={`flex items-center space-x-3 ${required ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
+                              title={required ? 'Security emails are always sent' : undefined}
+                            >
+                              <span className="text-gray-300 text-sm">{channel.label}</span>
+                              <span className="relative inline-flex items-center">
+                                <input
+                                  type="checkbox"
+                                  checked={communication[category.id][channel.id]}
+                                  disabled={required}
+                                  onChange={(e) => toggleCommunication(category.id, channel.id, e.target.checked)}
+                                  className="sr-only peer"
+                                />
+                                <div className="w-11 h-6 bg-gray-600 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-cyan-300/20 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-gradient-to-r peer-checked:from-cyan-500 peer-checked:to-purple-600"></div>
+                              </span>
+                            </label>
+                          );
+                        })}
                       </div>
-                      <label className="relative inline-flex items-center cursor-pointer">
-                        <input
-                          type="checkbox"
-                          checked={value}
-                          onChange={(e) => setNotifications({...notifications, [key]: e.target.checked})}
-                          className="sr-only peer"
-                        />
-                        <div className="w-11 h-6 bg-gray-600 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-cyan-300/20 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-gradient-to-r peer-checked:from-cyan-500 peer-checked:to-purple-600"></div>
-                      </label>
                     </div>
                   ))}
                 </div>
+
+                <p className="text-gray-400 text-xs mt-4">
+                  Security emails are always sent. Every email you can turn off also has an unsubscribe link.
+                </p>
+
+                <button
+                  type="button"
+                  onClick={handleCommunicationUpdate}
+                  disabled={isLoading}
+                  className="mt-6 bg-gradient-to-r from-cyan-500 to-purple-600 text-white px-6 py-3 rounded-lg font-semibold hover:from-cyan-600 hover:to-purple-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none inline-flex items-center space-x-2"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>{isLoading ? 'Saving...' : 'Save Preferences'}</span>
+                </button>
               </div>
             )}
           </div>
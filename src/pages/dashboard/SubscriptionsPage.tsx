@@ -0,0 +1,342 @@
+import { useState, useEffect } from 'react';
+import {
+  Repeat,
+  Calendar,
+  CheckCircle,
+  Clock,
+  AlertCircle,
+  XCircle
+} from 'lucide-react';
+import { supabase, Subscription, SubscriptionPlan } from '../../lib/supabase';
+import { ZohoService } from '../../lib/zoho';
+import { formatCurrency, getPreferredCurrency, getExchangeRate } from '../../utils/currency';
+
+// Currencies subscriptions can be billed in
+const SUBSCRIPTION_CURRENCIES = ['USD', 'INR', 'AUD'];
+
+const TIERS: Array<SubscriptionPlan['package_type']> = ['basic', 'standard', 'enterprise'];
+
+const tierLabel = (tier: string) => tier.charAt(0).toUpperCase() + tier.slice(1);
+
+const SubscriptionsPage = () => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [subscriptions, setSubscriptions] = useState<Subscription[]>([]);
+  const [plans, setPlans] = useState<SubscriptionPlan[]>([]);
+  const [currency, setCurrency] = useState('USD');
+  const [rate, setRate] = useState(1);
+  const [billingInterval, setBillingInterval] = useState<'monthly' | 'annual'>('monthly');
+  const [selectedTiers, setSelectedTiers] = useState<Record<string, string>>({});
+  const [busy, setBusy] = useState<string | null>(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setIsVisible(true);
+
+    const initializeSubscriptions = async () => {
+      try {
+        const preferred = await getPreferredCurrency();
+        const billingCurrency = SUBSCRIPTION_CURRENCIES.includes(preferred) ? preferred : 'USD';
+        setCurrency(billingCurrency);
+        setRate(await getExchangeRate(billingCurrency));
+
+        const [{ data }, current] = await Promise.all([
+          supabase
+            .from('subscription_plans')
+            .select('*')
+            .order('price_usd', { ascending: true }),
+          ZohoService.getSubscriptions()
+        ]);
+        setPlans((data || []) as SubscriptionPlan[]);
+        setSubscriptions(current);
+      } catch (error) {
+        console.error('Error loading subscriptions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    initializeSubscriptions();
+  }, []);
+
+  const loadSubscriptions = async () => {
+    try {
+      setSubscriptions(await ZohoService.getSubscriptions());
+    } catch (error) {
+      console.error('Error loading subscriptions:', error);
+    }
+  };
+
+  const findPlan = (serviceId: string, tier: string, interval: string) =>
+    plans.find(p => p.service_id === serviceId && p.package_type === tier && p.billing_interval === interval);
+
+  const serviceName = (serviceId: string) =>
+    plans.find(p => p.service_id === serviceId)?.service_name || serviceId;
+
+  const liveSubscriptions = subscriptions.filter(s => s.status !== 'cancelled');
+  const subscribedServices = new Set(liveSubscriptions.map(s => s.service_id));
+  const availableServices = Array.from(new Set(plans.map(p => p.service_id)))
+    .filter(serviceId => !subscribedServices.has(serviceId));
+
+  const runAction = async (key: string, action: () => Promise<void>, failure: string) => {
+    setBusy(key);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      console.error(failure, error);
+      setError(`${failure} Please try again or contact us.`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Zoho raises the first invoice straight away; pay it to activate the plan
+  const handleSubscribe = (serviceId: string) => runAction(serviceId, async () => {
+    const { invoice } = await ZohoService.createSubscription({
+      serviceId,
+      packageType: selectedTiers[serviceId] || 'basic',
+      billingInterval,
+      currency
+    });
+    if (invoice?.payment_url) {
+      window.location.href = invoice.payment_url;
+      return;
+    }
+    setMessage('Your subscription has been created. The first invoice will be emailed to you shortly.');
+    await loadSubscriptions();
+  }, 'Could not start the subscription.');
+
+  const handleChangeTier = (subscription: Subscription, tier: string) => {
+    const upgrade = TIERS.indexOf(tier as SubscriptionPlan['package_type']) > TIERS.indexOf(subscription.package_type);
+    const prompt = upgrade
+      ? `Upgrade to ${tierLabel(tier)}? The difference for the rest of this period is invoiced now, and the new tier starts once it is paid.`
+      : `Downgrade to ${tierLabel(tier)}? Unused time is credited against your next invoice.`;
+    if (!window.confirm(prompt)) return;
+
+    return runAction(subscription.id, async () => {
+      const result = await ZohoService.changeSubscriptionTier(subscription.id, tier);
+      if (result.invoice?.payment_url) {
+        window.location.href = result.invoice.payment_url;
+        return;
+      }
+      setMessage(result.subscription.pending_order_id
+        ? `Your upgrade to ${tierLabel(tier)} starts once its invoice is paid. It has been emailed to you.`
+        : result.credit_note
+          ? `Moved to ${tierLabel(tier)}. Credit note ${result.credit_note.creditnote_number} will be applied to your next invoice.`
+          : `Moved to ${tierLabel(tier)}.`);
+      await loadSubscriptions();
+    }, 'Could not change the tier.');
+  };
+
+  const handleCancel = (subscription: Subscription) => {
+    if (!window.confirm(`Cancel ${serviceName(subscription.service_id)}? You keep the service until the end of the current period.`)) return;
+
+    return runAction(subscription.id, async () => {
+      await ZohoService.cancelSubscription(subscription.id);
+      await loadSubscriptions();
+    }, 'Could not cancel the subscription.');
+  };
+
+  const getStatusIcon = (subscription: Subscription) => {
+    if (subscription.cancel_at_period_end) return <Clock className="w-4 h-4 text-yellow-500" />;
+    switch (subscription.status) {
+      case 'active':
+        return <CheckCircle className="w-4 h-4 text-green-500" />;
+      case 'past_due':
+        return <AlertCircle className="w-4 h-4 text-red-500" />;
+      case 'cancelled':
+        return <XCircle className="w-4 h-4 text-gray-500" />;
+      default:
+        return <Clock className="w-4 h-4 text-yellow-500" />;
+    }
+  };
+
+  const getStatusColor = (status: string) => {
+    switch (status) {
+      case 'active':
+        return 'bg-green-500/20 text-green-400 border-green-500/30';
+      case 'past_due':
+        return 'bg-red-500/20 text-red-400 border-red-500/30';
+      case 'incomplete':
+        return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
+      default:
+        return 'bg-gray-500/20 text-gray-400 border-gray-500/30';
+    }
+  };
+
+  const billingLine = (subscription: Subscription) => {
+    if (subscription.status === 'cancelled') {
+      return subscription.cancelled_at ? `Ended ${new Date(subscription.cancelled_at).toLocaleDateString()}` : 'Ended';
+    }
+    if (subscription.status === 'incomplete') return 'Awaiting first payment';
+    if (!subscription.current_period_end) return '';
+
+    const date = new Date(subscription.current_period_end).toLocaleDateString();
+    return subscription.cancel_at_period_end ? `Ends on ${date}` : `Next billing date: ${date}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-cyan-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className={`transition-all duration-1000 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
+        <h1 className="text-3xl font-bold text-white mb-2">Subscriptions</h1>
+        <p className="text-gray-400 text-lg">Ongoing support plans, billed monthly or yearly</p>
+      </div>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {message && <p className="text-green-400 text-sm">{message}</p>}
+
+      {/* Current subscriptions */}
+      {subscriptions.length > 0 && (
+        <div className={`space-y-4 transition-all duration-1000 delay-200 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
+          {subscriptions.map((subscription) => {
+            const canChangeTier = subscription.status === 'active' && !subscription.cancel_at_period_end && !subscription.pending_order_id;
+            const canCancel = subscription.status !== 'cancelled' && !subscription.cancel_at_period_end;
+
+            return (
+              <div key={subscription.id} className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-700/50">
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                  <div>
+                    <p className="text-white font-semibold text-lg">{serviceName(subscription.service_id)}</p>
+                    <p className="text-gray-400 text-sm">
+                      {tierLabel(subscription.package_type)} • {formatCurrency(subscription.amount, subscription.currency)}
+                      {subscription.billing_interval === 'monthly' ? ' / month' : ' / year'} + tax
+                    </p>
+                    <p className="text-gray-300 text-sm mt-1 inline-flex items-center space-x-1">
+                      <Calendar className="w-4 h-4" />
+                      <span>{billingLine(subscription)}</span>
+                    </p>
+                    {subscription.pending_package_type && (
+                      <p className="text-yellow-400 text-sm mt-1">
+                        Upgrade to {tierLabel(subscription.pending_package_type)} starts once its invoice is paid
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-3">
+                    <div className="flex items-center space-x-2">
+                      {getStatusIcon(subscription)}
+                      <span className={`px-3 py-1 rounded-full text-xs border ${getStatusColor(subscription.status)}`}>
+                        {subscription.cancel_at_period_end && subscription.status !== 'cancelled'
+                          ? 'cancelling'
+                          : subscription.status.replace('_', ' ')}
+                      </span>
+                    </div>
+
+                    {canChangeTier && (
+                      <select
+                        value={subscription.package_type}
+                        onChange={(e) => handleChangeTier(subscription, e.target.value)}
+                        disabled={busy !== null}
+                        className="px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 disabled:opacity-50"
+                      >
+                        {TIERS.filter(tier => findPlan(subscription.service_id, tier, subscription.billing_interval)).map(tier => (
+                          <option key={tier} value={tier}>{tierLabel(tier)}</option>
+                        ))}
+                      </select>
+                    )}
+
+                    {canCancel && (
+                      <button
+                        onClick={() => handleCancel(subscription)}
+                        disabled={busy !== null}
+                        className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                      >
+                        {busy === subscription.id ? 'Processing...' : 'Cancel'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Plans the client can still start */}
+      {availableServices.length > 0 && (
+        <div className={`transition-all duration-1000 delay-400 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'}`}>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
+            <h2 className="text-xl font-bold text-white">Start a plan</h2>
+            <div className="flex gap-2 mt-4 md:mt-0">
+              {(['monthly', 'annual'] as const).map(option => (
+                <button
+                  key={option}
+                  onClick={() => setBillingInterval(option)}
+                  className={`px-4 py-2 rounded-xl font-medium transition-all duration-200 ${
+                    billingInterval === option
+                      ? 'bg-gradient-to-r from-cyan-500 to-purple-600 text-white'
+                      : 'bg-gray-800/50 text-gray-400 hover:text-white hover:bg-gray-700/50'
+                  }`}
+                >
+                  {option === 'monthly' ? 'Monthly' : 'Annual'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {availableServices.map(serviceId => {
+              const selectedTier = selectedTiers[serviceId] || 'basic';
+              const selectedPlan = findPlan(serviceId, selectedTier, billingInterval);
+
+              return (
+                <div key={serviceId} className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-700/50">
+                  <div className="flex items-center space-x-3 mb-4">
+                    <Repeat className="w-6 h-6 text-cyan-400" />
+                    <h3 className="text-lg font-bold text-white">{serviceName(serviceId)}</h3>
+                  </div>
+
+                  <div className="space-y-2 mb-4">
+                    {TIERS.map(tier => {
+                      const plan = findPlan(serviceId, tier, billingInterval);
+                      if (!plan) return null;
+                      return (
+                        <label key={tier} className="flex items-center justify-between p-3 bg-gray-700/30 rounded-xl cursor-pointer">
+                          <span className="flex items-center space-x-2 text-white">
+                            <input
+                              type="radio"
+                              name={`tier-${serviceId}`}
+                              checked={selectedTier === tier}
+                              onChange={() => setSelectedTiers(current => ({ ...current, [serviceId]: tier }))}
+                            />
+                            <span>{tierLabel(tier)}</span>
+                          </span>
+                          <span className="text-gray-300 text-sm">
+                            {formatCurrency(plan.price_usd * rate, currency)}{billingInterval === 'monthly' ? ' / month' : ' / year'}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+
+                  <button
+                    onClick={() => handleSubscribe(serviceId)}
+                    disabled={busy !== null || !selectedPlan}
+                    className="w-full bg-gradient-to-r from-cyan-500 to-purple-600 text-white px-4 py-3 rounded-xl font-semibold hover:from-cyan-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50"
+                  >
+                    {busy === serviceId ? 'Processing...' : 'Subscribe'}
+                  </button>
+                  <p className="text-gray-500 text-xs mt-2">Prices exclude GST where it applies.</p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionsPage;
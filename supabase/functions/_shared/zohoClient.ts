@@ -0,0 +1,388 @@
+// Zoho Invoice API client for Supabase edge functions. Mirrors
+// netlify/functions/utils/zohoClient.js: cached access tokens, retries with
+// exponential backoff on 429, and on 5xx for methods that are safe to
+// repeat, and typed errors.
+import { createClient } from 'npm:@supabase/supabase-js@2.55.0';
+
+const TOKENS_TABLE = 'zoho_access_tokens';
+
+const EXPIRY_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGES = 50;
+const INVALID_ORGANIZATION_CODE = 57;
+
+// Same data centers as netlify/functions/utils/zohoRegion.js
+const DATA_CENTERS: Record<string, { domain: string; label: string }> = {
+  in: { domain: 'zoho.in', label: 'India' },
+  com: { domain: 'zoho.com', label: 'United States' },
+  eu: { domain: 'zoho.eu', label: 'Europe' },
+  'com.au': { domain: 'zoho.com.au', label: 'Australia' },
+  jp: { domain: 'zoho.jp', label: 'Japan' }
+};
+
+export const getZohoRegion = () => {
+  const dataCenter = (Deno.env.get('ZOHO_DATA_CENTER') || 'in').trim().toLowerCase();
+  const region = DATA_CENTERS[dataCenter];
+
+  if (!region) {
+    throw new Error(`Unsupported ZOHO_DATA_CENTER "${dataCenter}". Use one of: ${Object.keys(DATA_CENTERS).join(', ')}`);
+  }
+
+  return {
+    dataCenter,
+    label: region.label,
+    tokenUrl: `https://accounts.${region.domain}/oauth/v2/token`,
+    apiBaseUrl: `https://invoice.${region.domain}/api/v3`,
+    webUrl: `https://invoice.${region.domain}`
+  };
+};
+
+export const getInvoicePaymentUrl = (invoiceId: string) =>
+  `${getZohoRegion().webUrl}/invoices/${invoiceId}/payment`;
+
+interface ZohoErrorOptions {
+  status?: number | null;
+  code?: number | string | null;
+  details?: unknown;
+}
+
+export class ZohoError extends Error {
+  status: number | null;
+  code: number | string | null;
+  details: unknown;
+
+  constructor(message: string, { status = null, code = null, details = null }: ZohoErrorOptions = {}) {
+    super(message);
+    this.name = 'ZohoError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ZohoAuthError extends ZohoError {
+  constructor(message: string, options?: ZohoErrorOptions) {
+    super(message, options);
+    this.name = 'ZohoAuthError';
+  }
+}
+
+export class ZohoNotFoundError extends ZohoError {
+  constructor(message: string, options?: ZohoErrorOptions) {
+    super(message, options);
+    this.name = 'ZohoNotFoundError';
+  }
+}
+
+export class ZohoValidationError extends ZohoError {
+  constructor(message: string, options?: ZohoErrorOptions) {
+    super(message, options);
+    this.name = 'ZohoValidationError';
+  }
+}
+
+export class ZohoRateLimitError extends ZohoError {
+  retryAfterMs: number | null;
+
+  constructor(message: string, retryAfterMs: number | null, options?: ZohoErrorOptions) {
+    super(message, options);
+    this.name = 'ZohoRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export interface ZohoRequestOptions {
+  params?: Record<string, string | number | undefined>;
+  body?: unknown;
+  timeout?: number;
+  withOrganization?: boolean;
+}
+
+interface CachedToken {
+  accessToken: string;
+  expiresAt: number;
+}
+
+let cachedToken: CachedToken | null = null;
+let refreshPromise: Promise<CachedToken> | null = null;
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL') ?? '',
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+);
+
+const getStoreKey = () => Deno.env.get('ZOHO_ORGANIZATION_ID') || 'default';
+
+const isUsable = (token: CachedToken | null): token is CachedToken =>
+  !!token && token.expiresAt - EXPIRY_SKEW_MS > Date.now();
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const parseRetryAfter = (value: string | null): number | null => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+};
+
+const requestNewToken = async (): Promise<CachedToken> => {
+  const response = await fetch(getZohoRegion().tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      refresh_token: Deno.env.get('ZOHO_REFRESH_TOKEN') ?? '',
+      client_id: Deno.env.get('ZOHO_CLIENT_ID') ?? '',
+      client_secret: Deno.env.get('ZOHO_CLIENT_SECRET') ?? '',
+      grant_type: 'refresh_token'
+    }),
+    signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.access_token) {
+    console.error('Zoho token error:', response.status, data);
+    throw new ZohoAuthError(
+      `Failed to get Zoho access token: ${data.error || response.status}`,
+      { status: response.status, details: data }
+    );
+  }
+
+  const token = {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000
+  };
+
+  const { error } = await supabase
+    .from(TOKENS_TABLE)
+    .upsert({
+      store_key: getStoreKey(),
+      access_token: token.accessToken,
+      expires_at: new Date(token.expiresAt).toISOString(),
+      refresh_locked_until: null
+    }, { onConflict: 'store_key' });
+
+  if (error) console.warn('Failed to persist Zoho token:', error.message);
+
+  return token;
+};
+
+const readPersistedToken = async (): Promise<CachedToken | null> => {
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select('access_token, expires_at')
+    .eq('store_key', getStoreKey())
+    .maybeSingle();
+
+  if (error || !data?.access_token || !data.expires_at) return null;
+
+  return {
+    accessToken: data.access_token,
+    expiresAt: new Date(data.expires_at).getTime()
+  };
+};
+
+export const getAccessToken = async (): Promise<string> => {
+  if (isUsable(cachedToken)) return cachedToken.accessToken;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const persisted = await readPersistedToken();
+      return isUsable(persisted) ? persisted : await requestNewToken();
+    })()
+      .then((token) => {
+        cachedToken = token;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return (await refreshPromise).accessToken;
+};
+
+const invalidateAccessToken = async (accessToken: string) => {
+  if (cachedToken?.accessToken === accessToken) cachedToken = null;
+
+  await supabase
+    .from(TOKENS_TABLE)
+    .update({ access_token: null, expires_at: null })
+    .eq('store_key', getStoreKey())
+    .eq('access_token', accessToken);
+};
+
+const toZohoError = async (response: Response): Promise<ZohoError> => {
+  const data = await response.json().catch(() => ({}));
+  const status = response.status;
+  const code = data.code ?? null;
+  const message = data.message || response.statusText;
+  const options = { status, code, details: data };
+
+  if (code === INVALID_ORGANIZATION_CODE) {
+    return new ZohoAuthError(
+      `Zoho API Error 57: Organization ID ${Deno.env.get('ZOHO_ORGANIZATION_ID')} is invalid or you don't have access to it.`,
+      options
+    );
+  }
+  if (status === 401 || status === 403) return new ZohoAuthError(`Zoho API authorization failed: ${message}`, options);
+  if (status === 404) return new ZohoNotFoundError(message, options);
+  if (status === 400 || status === 422) return new ZohoValidationError(message, options);
+  if (status === 429) {
+    return new ZohoRateLimitError(
+      `Zoho rate limit exceeded: ${message}`,
+      parseRetryAfter(response.headers.get('retry-after')),
+      options
+    );
+  }
+
+  return new ZohoError(`Zoho API error ${status}: ${message}`, options);
+};
+
+// Null when Zoho's Retry-After is longer than a request can wait; the
+// caller then gets the ZohoRateLimitError with `retryAfterMs`
+const getRetryDelay = (response: Response | null, attempt: number): number | null => {
+  const retryAfter = parseRetryAfter(response?.headers.get('retry-after') ?? null);
+  if (retryAfter !== null) return retryAfter <= MAX_RETRY_DELAY_MS ? retryAfter : null;
+
+  const backoff = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// A POST that failed with a 5xx or a dropped connection may still have
+// created its record in Zoho, so only a 429 is retried for it
+const sendWithRetries = async (url: string, init: RequestInit, timeout: number): Promise<Response> => {
+  const idempotent = IDEMPOTENT_METHODS.includes(String(init.method).toUpperCase());
+
+  for (let attempt = 1; ; attempt++) {
+    let response: Response | null = null;
+
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+      if (response.status !== 429 && (response.status < 500 || !idempotent)) return response;
+      if (attempt > MAX_RETRIES) return response;
+    } catch (error) {
+      if (attempt > MAX_RETRIES || !idempotent) {
+        throw new ZohoError(`Zoho request failed: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    // Only a response's Retry-After can be too long to wait for
+    if (delay === null) return response as Response;
+    console.warn(`Zoho request failed, retrying in ${Math.round(delay)}ms`, { url, status: response?.status, attempt });
+    await sleep(delay);
+  }
+};
+
+/**
+ * Perform a Zoho API request and return the parsed response body.
+ * A 401 with a cached token invalidates it and retries once with a fresh one.
+ */
+export const zohoRequest = async <T = Record<string, unknown>>(
+  method: string,
+  path: string,
+  { params, body, timeout = DEFAULT_TIMEOUT_MS, withOrganization = true }: ZohoRequestOptions = {}
+): Promise<T> => {
+  const url = new URL(`${getZohoRegion().apiBaseUrl}${path}`);
+  Object.entries(params ?? {}).forEach(([key, value]) => {
+    if (value !== undefined) url.searchParams.set(key, String(value));
+  });
+
+  const send = async (accessToken: string) => {
+    const headers: Record<string, string> = {
+      'Authorization': `Zoho-oauthtoken ${accessToken}`,
+      'Content-Type': 'application/json'
+    };
+    if (withOrganization) {
+      headers['X-com-zoho-invoice-organizationid'] = Deno.env.get('ZOHO_ORGANIZATION_ID') ?? '';
+    }
+
+    return await sendWithRetries(url.toString(), {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    }, timeout);
+  };
+
+  const accessToken = await getAccessToken();
+  let response = await send(accessToken);
+
+  if (response.status === 401) {
+    await invalidateAccessToken(accessToken);
+    response = await send(await getAccessToken());
+  }
+
+  if (!response.ok) {
+    const error = await toZohoError(response);
+    console.error(`Zoho ${method} ${path} failed:`, error.name, error.status, error.message);
+    throw error;
+  }
+
+  return await response.json() as T;
+};
+
+export const zohoGet = <T = Record<string, unknown>>(path: string, options?: ZohoRequestOptions) =>
+  zohoRequest<T>('GET', path, options);
+
+export const zohoPost = <T = Record<string, unknown>>(path: string, body: unknown, options: ZohoRequestOptions = {}) =>
+  zohoRequest<T>('POST', path, { ...options, body });
+
+export const zohoPut = <T = Record<string, unknown>>(path: string, body: unknown, options: ZohoRequestOptions = {}) =>
+  zohoRequest<T>('PUT', path, { ...options, body });
+
+export const zohoDelete = <T = Record<string, unknown>>(path: string, options?: ZohoRequestOptions) =>
+  zohoRequest<T>('DELETE', path, options);
+
+/**
+ * Iterate over every record of a paginated list endpoint, e.g.
+ * `paginate('/invoices', 'invoices', { params: { customer_id } })`.
+ */
+export async function* paginate<T = Record<string, unknown>>(
+  path: string,
+  key: string,
+  { params = {}, ...options }: ZohoRequestOptions = {},
+  perPage = DEFAULT_PAGE_SIZE
+): AsyncGenerator<T> {
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const data = await zohoGet<Record<string, unknown>>(path, {
+      ...options,
+      params: { ...params, page, per_page: perPage }
+    });
+
+    for (const record of (data[key] as T[] | undefined) ?? []) {
+      yield record;
+    }
+
+    const pageContext = data.page_context as { has_more_page?: boolean } | undefined;
+    if (!pageContext?.has_more_page) return;
+  }
+}
+
+export const listAll = async <T = Record<string, unknown>>(path: string, key: string, options?: ZohoRequestOptions) => {
+  const records: T[] = [];
+  for await (const record of paginate<T>(path, key, options)) {
+    records.push(record);
+  }
+  return records;
+};
+
+// HTTP status an edge function should answer with when a Zoho call fails
+export const httpStatusForZohoError = (error: unknown) => {
+  if (error instanceof ZohoValidationError) return 400;
+  if (error instanceof ZohoNotFoundError) return 404;
+  if (error instanceof ZohoRateLimitError) return 429;
+  if (error instanceof ZohoAuthError) return 502;
+  return 500;
+};
@@ -1,16 +1,12 @@
 import { corsHeaders } from '../_shared/cors.ts';
-import { createClient } from 'npm:@supabase/supabase-js@2.55.0';
-
-const supabase = createClient(
-  Deno.env.get('SUPABASE_URL') ?? '',
-  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
-);
-
-interface ZohoTokenResponse {
-  access_token: string;
-  expires_in: number;
-  token_type: string;
-}
+import {
+  getAccessToken,
+  getInvoicePaymentUrl,
+  httpStatusForZohoError,
+  zohoGet,
+  zohoPost,
+  ZohoValidationError
+} from '../_shared/zohoClient.ts';
 
 interface ZohoCustomerRequest {
   name: string;
@@ -20,6 +16,7 @@ interface ZohoCustomerRequest {
 }
 
 interface ZohoInvoiceRequest {
+  orderId?: string;
   customerId: string;
   serviceItems: Array<{
     serviceId: string;
@@ -33,6 +30,22 @@ interface ZohoInvoiceRequest {
   notes?: string;
 }
 
+interface ZohoContact {
+  contact_id: string;
+  contact_name: string;
+  company_name?: string;
+  email: string;
+  phone?: string;
+}
+
+interface ZohoInvoiceRecord {
+  invoice_id: string;
+  reference_number?: string;
+  invoice_number: string;
+  total: number;
+  status: string;
+}
+
 Deno.serve(async (req: Request) => {
   if (req.method === "OPTIONS") {
     return new Response(null, {
@@ -68,8 +81,8 @@ Deno.serve(async (req: Request) => {
 
     // Get Zoho access token
     if (path.includes('/token')) {
-      const tokenResponse = await getZohoAccessToken(zohoConfig);
-      return new Response(JSON.stringify(tokenResponse), {
+      const accessToken = await getAccessToken();
+      return new Response(JSON.stringify({ access_token: accessToken }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     }
@@ -77,7 +90,7 @@ Deno.serve(async (req: Request) => {
     // Create Zoho customer
     if (path.includes('/customers') && req.method === 'POST') {
       const customerData: ZohoCustomerRequest = await req.json();
-      const customer = await createZohoCustomer(customerData, zohoConfig);
+      const customer = await createZohoCustomer(customerData);
       return new Response(JSON.stringify(customer), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
@@ -86,7 +99,7 @@ Deno.serve(async (req: Request) => {
     // Create Zoho invoice
     if (path.includes('/invoices') && req.method === 'POST') {
       const invoiceData: ZohoInvoiceRequest = await req.json();
-      const invoice = await createZohoInvoice(invoiceData, zohoConfig);
+      const invoice = await createZohoInvoice(invoiceData);
       return new Response(JSON.stringify(invoice), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
@@ -95,7 +108,7 @@ Deno.serve(async (req: Request) => {
     // Get invoice details
     if (path.includes('/invoices/') && req.method === 'GET') {
       const invoiceId = path.split('/').pop();
-      const invoice = await getZohoInvoice(invoiceId!, zohoConfig);
+      const invoice = await getZohoInvoice(invoiceId!);
       return new Response(JSON.stringify(invoice), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
@@ -109,108 +122,98 @@ Deno.serve(async (req: Request) => {
   } catch (error) {
     console.error('Zoho integration error:', error);
     return new Response(
-      JSON.stringify({ 
+      JSON.stringify({
         error: error.message || 'Internal server error',
+        errorType: error.name,
         details: {
           timestamp: new Date().toISOString(),
           path: new URL(req.url).pathname
         }
       }),
       {
-        status: 500,
+        status: httpStatusForZohoError(error),
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       }
     );
   }
 });
 
-async function getZohoAccessToken(config: any): Promise<ZohoTokenResponse> {
-  console.log('Getting Zoho access token...');
-  
-  const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: new URLSearchParams({
-      refresh_token: config.refreshToken,
-      client_id: config.clientId,
-      client_secret: config.clientSecret,
-      grant_type: 'refresh_token'
-    })
-  });
+// Reuse the contact for this email when there is one. This endpoint is
+// called anonymously, so existing contacts are never modified here; signed-in
+// profile changes are synced by the zohoIntegration Netlify function.
+async function createZohoCustomer(customerData: ZohoCustomerRequest): Promise<ZohoContact> {
+  console.log('Finding or creating Zoho customer:', customerData.email);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Zoho token error:', response.status, errorText);
-    throw new Error(`Failed to get Zoho access token: ${response.status} ${errorText}`);
+  const existing = await findZohoCustomer(customerData.email);
+  if (existing) {
+    console.log('Using existing Zoho customer:', existing.contact_id);
+    return existing;
   }
 
-  const tokenData = await response.json();
-  console.log('Zoho token obtained successfully');
-  return tokenData;
-}
-
-async function createZohoCustomer(customerData: ZohoCustomerRequest, config: any): Promise<any> {
-  console.log('Creating Zoho customer:', customerData.email);
-  
-  const tokenResponse = await getZohoAccessToken(config);
-  
+  const [firstName = '', ...rest] = customerData.name.trim().split(/\s+/);
   const customerPayload = {
     contact_name: customerData.name,
     company_name: customerData.company || '',
-    email: customerData.email,
-    phone: customerData.phone || ''
+    contact_persons: [{
+      first_name: firstName,
+      last_name: rest.join(' '),
+      email: customerData.email,
+      phone: customerData.phone || '',
+      is_primary_contact: true
+    }]
   };
 
-  const response = await fetch('https://invoice.zoho.com/api/v3/contacts', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${tokenResponse.access_token}`,
-      'X-com-zoho-invoice-organizationid': config.organizationId,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(customerPayload)
-  });
-
-  if (!response.ok) {
-    // If customer already exists, try to find them
-    console.log('Customer might already exist, searching...');
-    return await findZohoCustomer(customerData.email, config);
+  try {
+    const data = await zohoPost<{ contact: ZohoContact }>('/contacts', customerPayload);
+    console.log('Zoho customer created:', data.contact?.contact_id);
+    return data.contact;
+  } catch (error) {
+    // Zoho requires unique display names; a different client with the same
+    // name gets a contact of their own
+    if (error instanceof ZohoValidationError && /already exists/i.test(error.message)) {
+      const data = await zohoPost<{ contact: ZohoContact }>('/contacts', {
+        ...customerPayload,
+        contact_name: `${customerData.name} (${customerData.email})`
+      });
+      return data.contact;
+    }
+    throw error;
   }
+}
+
+// Zoho matches the email filter against every contact person, so prefer an
+// exact match on the primary email
+async function findZohoCustomer(email: string): Promise<ZohoContact | null> {
+  const data = await zohoGet<{ contacts?: ZohoContact[] }>('/contacts', { params: { email } });
+  const contacts = data.contacts ?? [];
 
-  const data = await response.json();
-  console.log('Zoho customer created:', data.contact?.contact_id);
-  return data.contact;
+  return contacts.find(contact => contact.email?.toLowerCase() === email.toLowerCase()) ?? contacts[0] ?? null;
 }
 
-async function findZohoCustomer(email: string, config: any): Promise<any> {
-  const tokenResponse = await getZohoAccessToken(config);
-  
-  const response = await fetch(`https://invoice.zoho.com/api/v3/contacts?email=${encodeURIComponent(email)}`, {
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${tokenResponse.access_token}`,
-      'X-com-zoho-invoice-organizationid': config.organizationId
-    }
-  });
+const toInvoiceSummary = (invoice: ZohoInvoiceRecord) => ({
+  invoice_id: invoice.invoice_id,
+  invoice_number: invoice.invoice_number,
+  payment_url: getInvoicePaymentUrl(invoice.invoice_id),
+  total: invoice.total,
+  status: invoice.status
+});
 
-  if (!response.ok) {
-    throw new Error('Customer not found and could not be created');
-  }
+async function createZohoInvoice(invoiceData: ZohoInvoiceRequest) {
+  console.log('Creating Zoho invoice for customer:', invoiceData.customerId);
 
-  const data = await response.json();
-  if (!data.contacts || data.contacts.length === 0) {
-    throw new Error('Customer not found');
+  // The order id is stored as the reference number, so a retried request
+  // returns the invoice created the first time
+  if (invoiceData.orderId) {
+    const data = await zohoGet<{ invoices?: ZohoInvoiceRecord[] }>('/invoices', {
+      params: { reference_number: invoiceData.orderId }
+    });
+    const existing = data.invoices?.find(invoice => invoice.reference_number === invoiceData.orderId);
+    if (existing) {
+      console.log('Invoice already exists for order:', invoiceData.orderId, existing.invoice_id);
+      return toInvoiceSummary(existing);
+    }
   }
-  
-  return data.contacts[0];
-}
 
-async function createZohoInvoice(invoiceData: ZohoInvoiceRequest, config: any): Promise<any> {
-  console.log('Creating Zoho invoice for customer:', invoiceData.customerId);
-  
-  const tokenResponse = await getZohoAccessToken(config);
-  
   const lineItems = invoiceData.serviceItems.map(item => ({
     name: item.serviceName,
     description: `${item.serviceName} - ${item.packageType} Package (Quantity: ${item.quantity})`,
@@ -221,7 +224,7 @@ async function createZohoInvoice(invoiceData: ZohoInvoiceRequest, config: any):
 
   const invoicePayload = {
     customer_id: invoiceData.customerId,
-    invoice_number: `INV-${Date.now()}`,
+    reference_number: invoiceData.orderId,
     date: new Date().toISOString().split('T')[0],
     due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
     line_items: lineItems,
@@ -232,50 +235,14 @@ async function createZohoInvoice(invoiceData: ZohoInvoiceRequest, config: any):
 
   console.log('Invoice payload:', invoicePayload);
 
-  const response = await fetch('https://invoice.zoho.com/api/v3/invoices', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${tokenResponse.access_token}`,
-      'X-com-zoho-invoice-organizationid': config.organizationId,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(invoicePayload)
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Zoho invoice creation error:', response.status, errorText);
-    throw new Error(`Failed to create Zoho invoice: ${response.status} ${errorText}`);
-  }
-
-  const data = await response.json();
+  const data = await zohoPost<{ invoice: ZohoInvoiceRecord }>('/invoices', invoicePayload, { timeout: 20000 });
   console.log('Zoho invoice created:', data.invoice?.invoice_id);
-  
+
   // Return invoice with payment URL
-  const invoice = data.invoice;
-  return {
-    invoice_id: invoice.invoice_id,
-    invoice_number: invoice.invoice_number,
-    payment_url: `https://invoice.zoho.com/invoices/${invoice.invoice_id}/payment`,
-    total: invoice.total,
-    status: invoice.status
-  };
+  return toInvoiceSummary(data.invoice);
 }
 
-async function getZohoInvoice(invoiceId: string, config: any): Promise<any> {
-  const tokenResponse = await getZohoAccessToken(config);
-  
-  const response = await fetch(`https://invoice.zoho.com/api/v3/invoices/${invoiceId}`, {
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${tokenResponse.access_token}`,
-      'X-com-zoho-invoice-organizationid': config.organizationId
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error('Invoice not found');
-  }
-
-  const data = await response.json();
+async function getZohoInvoice(invoiceId: string): Promise<ZohoInvoiceRecord> {
+  const data = await zohoGet<{ invoice: ZohoInvoiceRecord }>(`/invoices/${invoiceId}`);
   return data.invoice;
-}
\ No newline at end of file
+}
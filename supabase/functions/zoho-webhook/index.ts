@@ -1,16 +1,23 @@
 import { corsHeaders } from '../_shared/cors.ts';
 
-interface ZohoWebhookPayload {
-  event_type: string;
-  data: {
-    invoice_id: string;
-    invoice_number: string;
-    customer_id: string;
-    total: number;
-    status: string;
-    payment_date?: string;
-  };
-}
+// Zoho webhooks sent to this edge function are handled by the same code as
+// the Netlify zohoWebhook function: the request is forwarded unchanged, so
+// the signature is still checked against the raw body, and the answer is
+// passed back to Zoho. ZOHO_WEBHOOK_FORWARD_URL is the zohoWebhook URL, e.g.
+// https://mechinweb.com/.netlify/functions/zohoWebhook.
+const FORWARDED_HEADERS = [
+  'content-type',
+  'x-zoho-webhook-signature',
+  'x-zoho-webhook-timestamp',
+];
+
+const FORWARD_TIMEOUT_MS = 25000;
+
+const jsonResponse = (status: number, body: Record<string, unknown>) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
 
 Deno.serve(async (req: Request) => {
   if (req.method === "OPTIONS") {
@@ -20,141 +27,33 @@ Deno.serve(async (req: Request) => {
     });
   }
 
-  try {
-    const webhookData: ZohoWebhookPayload = await req.json();
-    
-    // Handle different webhook events
-    switch (webhookData.event_type) {
-      case 'invoice_payment_received':
-        await handlePaymentReceived(webhookData.data);
-        break;
-      case 'invoice_created':
-        await handleInvoiceCreated(webhookData.data);
-        break;
-      case 'invoice_status_changed':
-        await handleInvoiceStatusChanged(webhookData.data);
-        break;
-      default:
-        console.log('Unhandled webhook event:', webhookData.event_type);
-    }
-
-    return new Response(
-      JSON.stringify({ success: true, message: 'Webhook processed successfully' }),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...corsHeaders,
-        },
-      }
-    );
-
-  } catch (error) {
-    console.error('Webhook processing error:', error);
-    
-    return new Response(
-      JSON.stringify({ success: false, error: 'Webhook processing failed' }),
-      {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          ...corsHeaders,
-        },
-      }
-    );
-  }
-});
-
-async function handlePaymentReceived(data: any) {
-  try {
-    // Update order status to paid
-    const { error: orderError } = await supabase
-      .from('orders')
-      .update({
-        status: 'paid',
-        updated_at: new Date().toISOString()
-      })
-      .eq('zoho_invoice_id', data.invoice_id);
-
-    if (orderError) throw orderError;
-
-    // Get order details for invoice creation
-    const { data: order } = await supabase
-      .from('orders')
-      .select('*')
-      .eq('zoho_invoice_id', data.invoice_id)
-      .single();
-
-    if (order) {
-      // Create invoice record
-      await supabase
-        .from('invoices')
-        .insert([{
-          order_id: order.id,
-          client_id: order.client_id,
-          invoice_number: data.invoice_number,
-          amount_usd: order.amount_usd,
-          amount_inr: order.amount_inr,
-          currency: order.currency,
-          total_amount: data.total,
-          status: 'paid',
-          due_date: new Date().toISOString()
-        }]);
-
-      // Send notification to client
-      await supabase
-        .from('notifications')
-        .insert([{
-          client_id: order.client_id,
-          title: 'Payment Confirmed',
-          message: `Payment received for invoice ${data.invoice_number}. Your service will begin shortly.`,
-          type: 'success',
-          read: false
-        }]);
-    }
-
-    console.log('Payment processed successfully for invoice:', data.invoice_id);
-  } catch (error) {
-    console.error('Error handling payment received:', error);
-    throw error;
+  const forwardUrl = Deno.env.get('ZOHO_WEBHOOK_FORWARD_URL');
+  if (!forwardUrl) {
+    console.error('ZOHO_WEBHOOK_FORWARD_URL is not set, rejecting webhook');
+    return jsonResponse(500, { success: false, error: 'Webhook forwarding is not configured' });
   }
-}
 
-async function handleInvoiceCreated(data: any) {
-  try {
-    console.log('Invoice created:', data.invoice_id);
-    // Additional logic for invoice creation if needed
-  } catch (error) {
-    console.error('Error handling invoice created:', error);
+  const headers = new Headers();
+  for (const name of FORWARDED_HEADERS) {
+    const value = req.headers.get(name);
+    if (value) headers.set(name, value);
   }
-}
 
-async function handleInvoiceStatusChanged(data: any) {
   try {
-    // Update order status based on invoice status
-    let orderStatus = 'pending';
-    
-    switch (data.status) {
-      case 'paid':
-        orderStatus = 'paid';
-        break;
-      case 'overdue':
-        orderStatus = 'pending';
-        break;
-      case 'cancelled':
-        orderStatus = 'cancelled';
-        break;
-    }
-
-    await supabase
-      .from('orders')
-      .update({
-        status: orderStatus,
-        updated_at: new Date().toISOString()
-      })
-      .eq('zoho_invoice_id', data.invoice_id);
+    const response = await fetch(forwardUrl, {
+      method: req.method,
+      headers,
+      body: req.method === 'GET' || req.method === 'HEAD' ? undefined : await req.text(),
+      signal: AbortSignal.timeout(FORWARD_TIMEOUT_MS),
+    });
 
-    console.log('Order status updated for invoice:', data.invoice_id);
+    return new Response(await response.text(), {
+      status: response.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
   } catch (error) {
-    console.error('Error handling invoice status change:', error);
+    console.error('Failed to forward Zoho webhook:', error);
+    // A 502 makes Zoho retry the delivery later
+    return jsonResponse(502, { success: false, error: 'Webhook processor unavailable' });
   }
-}
\ No newline at end of file
+});
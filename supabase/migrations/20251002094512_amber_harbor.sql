@@ -0,0 +1,38 @@
+/*
+  # Add Zoho access token cache
+
+  1. New Tables
+    - `zoho_access_tokens`
+      - `store_key` (text, primary key, Zoho organization ID)
+      - `access_token` (text, nullable, cleared when Zoho revokes it)
+      - `expires_at` (timestamp, nullable)
+      - `refresh_locked_until` (timestamp, nullable, refresh lease so only one function instance refreshes)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `zoho_access_tokens`
+    - Only the service role can read or write tokens
+*/
+
+CREATE TABLE IF NOT EXISTS zoho_access_tokens (
+  store_key text PRIMARY KEY,
+  access_token text,
+  expires_at timestamptz,
+  refresh_locked_until timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE zoho_access_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can access zoho access tokens"
+  ON zoho_access_tokens
+  FOR ALL
+  TO service_role
+  USING (true);
+
+CREATE TRIGGER update_zoho_access_tokens_updated_at
+  BEFORE UPDATE ON zoho_access_tokens
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
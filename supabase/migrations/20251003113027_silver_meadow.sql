@@ -0,0 +1,43 @@
+/*
+  # Link clients to Zoho contacts
+
+  1. Updates
+    - Add `zoho_customer_id` to `clients` so the Zoho contact is found by id
+      instead of by email on every sync
+    - Unique index: one Zoho contact per client
+
+  2. Security
+    - Clients can still update their own profile, but only the service role
+      may change `zoho_customer_id`
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'zoho_customer_id'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN zoho_customer_id text;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_zoho_customer_id
+  ON clients(zoho_customer_id)
+  WHERE zoho_customer_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION protect_client_zoho_customer_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.zoho_customer_id IS DISTINCT FROM OLD.zoho_customer_id
+    AND coalesce(auth.role(), '') <> 'service_role' THEN
+    RAISE EXCEPTION 'zoho_customer_id can only be changed by the server';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_clients_zoho_customer_id ON clients;
+CREATE TRIGGER protect_clients_zoho_customer_id
+  BEFORE UPDATE ON clients
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_client_zoho_customer_id();
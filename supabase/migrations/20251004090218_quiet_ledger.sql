@@ -0,0 +1,22 @@
+/*
+  # Idempotent invoice creation per order
+
+  1. Updates
+    - Add `invoice_requested_at` to `orders`: set while a request is creating
+      the Zoho invoice so concurrent or retried requests do not create a second one
+    - Unique index on `orders.zoho_invoice_id`: a Zoho invoice belongs to one order
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'invoice_requested_at'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN invoice_requested_at timestamptz;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_zoho_invoice_id
+  ON orders(zoho_invoice_id)
+  WHERE zoho_invoice_id IS NOT NULL;
@@ -0,0 +1,41 @@
+/*
+  # Orders from accepted Zoho estimates
+
+  1. Updates
+    - Add `zoho_estimate_id` to `orders`; unique so accepting an estimate
+      twice reuses the same order
+    - Add `description` to `orders` for custom work that has no catalogue
+      service
+    - `service_id` becomes optional and `package_type` accepts `custom`
+
+  2. Security
+    - No policy changes; orders for estimates are created by the server with
+      the service role
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'zoho_estimate_id'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN zoho_estimate_id text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'description'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN description text;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_zoho_estimate_id
+  ON orders(zoho_estimate_id)
+  WHERE zoho_estimate_id IS NOT NULL;
+
+ALTER TABLE orders ALTER COLUMN service_id DROP NOT NULL;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_package_type_check;
+ALTER TABLE orders ADD CONSTRAINT orders_package_type_check
+  CHECK (package_type IN ('basic', 'standard', 'enterprise', 'custom'));
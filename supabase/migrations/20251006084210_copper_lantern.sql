@@ -0,0 +1,83 @@
+/*
+  # GST details for clients, orders and invoices
+
+  1. Updates
+    - `clients`: `country_code` (ISO 3166-1 alpha-2), `state_code` (Zoho place
+      of supply code such as `KA`) and `gstin`
+    - `orders`: `tax_treatment` (`intra_state`, `inter_state` or `export`),
+      `place_of_supply`, `tax_amount` and `tax_breakdown` (per-component
+      CGST/SGST/IGST amounts), all in the order currency
+    - `invoices`: `tax_breakdown` next to the existing `tax_amount`
+
+  2. Security
+    - No policy changes; clients edit their tax details through the existing
+      profile policies and the server fills in the tax on orders
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'country_code'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN country_code text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'state_code'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN state_code text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'clients' AND column_name = 'gstin'
+  ) THEN
+    ALTER TABLE clients ADD COLUMN gstin text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'tax_treatment'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN tax_treatment text
+      CHECK (tax_treatment IN ('intra_state', 'inter_state', 'export'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'place_of_supply'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN place_of_supply text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'tax_amount'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN tax_amount numeric(10,2) DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'tax_breakdown'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN tax_breakdown jsonb DEFAULT '[]'::jsonb;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'tax_breakdown'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN tax_breakdown jsonb DEFAULT '[]'::jsonb;
+  END IF;
+END $$;
+
+ALTER TABLE clients DROP CONSTRAINT IF EXISTS clients_country_code_check;
+ALTER TABLE clients ADD CONSTRAINT clients_country_code_check
+  CHECK (country_code IS NULL OR country_code ~ '^[A-Z]{2}$');
+
+ALTER TABLE clients DROP CONSTRAINT IF EXISTS clients_gstin_check;
+ALTER TABLE clients ADD CONSTRAINT clients_gstin_check
+  CHECK (gstin IS NULL OR gstin ~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$');
@@ -0,0 +1,79 @@
+/*
+  # Refunds and credit notes
+
+  1. New Tables
+    - `refunds`
+      - `id` (uuid, primary key), also the credit note's reference number
+      - `order_id` (uuid, references orders)
+      - `client_id` (uuid, references clients)
+      - `amount` (numeric, in the order currency, tax included)
+      - `currency` (text)
+      - `reason` (text)
+      - `status` (`pending` while Zoho is being updated, then `completed`
+        or `failed`)
+      - `zoho_creditnote_id`, `creditnote_number`, `zoho_refund_id` (text)
+      - `refunded_by` (uuid, the staff user)
+      - `error` (text, why a refund failed)
+
+  2. Updates
+    - `orders.status` also allows `refunded` and `partially_refunded`
+    - `orders.refunded_amount` keeps the running total
+
+  3. Security
+    - Clients can read their own refunds
+    - Only the service role can create or change refunds
+*/
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  client_id uuid NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  amount numeric(10,2) NOT NULL CHECK (amount > 0),
+  currency text NOT NULL CHECK (currency IN ('USD', 'INR', 'AUD')),
+  reason text,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  zoho_creditnote_id text,
+  creditnote_number text,
+  zoho_refund_id text,
+  refunded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_client_id ON refunds(client_id);
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Clients can read own refunds"
+  ON refunds
+  FOR SELECT
+  TO authenticated
+  USING (client_id = auth.uid());
+
+CREATE POLICY "Only service role can manage refunds"
+  ON refunds
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_refunds_updated_at
+  BEFORE UPDATE ON refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'refunded_amount'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN refunded_amount numeric(10,2) DEFAULT 0;
+  END IF;
+END $$;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'paid', 'completed', 'cancelled', 'refunded', 'partially_refunded'));
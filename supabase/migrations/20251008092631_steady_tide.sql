@@ -0,0 +1,129 @@
+/*
+  # Subscriptions on Zoho recurring invoices
+
+  1. New Tables
+    - `subscription_plans`
+      - `service_id` (text, the service slug, e.g. `hosting-support`)
+      - `service_name` (text)
+      - `package_type` (`basic`, `standard` or `enterprise`)
+      - `billing_interval` (`monthly` or `annual`)
+      - `price_usd` (numeric, per billing period, before tax)
+      - `active` (boolean, inactive plans cannot be started)
+    - `subscriptions`
+      - `id` (uuid, primary key), also the recurring invoice's reference number
+      - `client_id` (uuid, references clients)
+      - `service_id`, `package_type`, `billing_interval` (the plan)
+      - `currency` (text) and `amount` (numeric, per period, before tax)
+      - `status` (`incomplete` until the first invoice is paid, then
+        `active`, `past_due` or `cancelled`)
+      - `zoho_recurring_invoice_id`, `zoho_customer_id` (text)
+      - `current_period_start`, `current_period_end` (date); the period end
+        is the next billing date
+      - `cancel_at_period_end` (boolean), `cancelled_at` (timestamptz)
+      - `last_invoice_id` (text), `last_payment_at` (timestamptz)
+
+  2. Data
+    - Monthly and annual plans for Hosting Support and Cloud Management;
+      annual plans cost ten months
+
+  3. Security
+    - Anyone can read active plans
+    - Clients can read their own subscriptions
+    - Only the service role can create or change subscriptions and plans
+*/
+
+CREATE TABLE IF NOT EXISTS subscription_plans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_id text NOT NULL,
+  service_name text NOT NULL,
+  package_type text NOT NULL CHECK (package_type IN ('basic', 'standard', 'enterprise')),
+  billing_interval text NOT NULL CHECK (billing_interval IN ('monthly', 'annual')),
+  price_usd numeric(10,2) NOT NULL CHECK (price_usd > 0),
+  active boolean DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (service_id, package_type, billing_interval)
+);
+
+ALTER TABLE subscription_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read active subscription plans"
+  ON subscription_plans
+  FOR SELECT
+  TO anon, authenticated
+  USING (active = true);
+
+CREATE POLICY "Only service role can manage subscription plans"
+  ON subscription_plans
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_subscription_plans_updated_at
+  BEFORE UPDATE ON subscription_plans
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO subscription_plans (service_id, service_name, package_type, billing_interval, price_usd) VALUES
+  ('hosting-support', 'Hosting & Control Panel Support', 'basic', 'monthly', 15),
+  ('hosting-support', 'Hosting & Control Panel Support', 'standard', 'monthly', 25),
+  ('hosting-support', 'Hosting & Control Panel Support', 'enterprise', 'monthly', 55),
+  ('hosting-support', 'Hosting & Control Panel Support', 'basic', 'annual', 150),
+  ('hosting-support', 'Hosting & Control Panel Support', 'standard', 'annual', 250),
+  ('hosting-support', 'Hosting & Control Panel Support', 'enterprise', 'annual', 550),
+  ('cloud-management', 'Cloud Suite Management', 'basic', 'monthly', 20),
+  ('cloud-management', 'Cloud Suite Management', 'standard', 'monthly', 45),
+  ('cloud-management', 'Cloud Suite Management', 'enterprise', 'monthly', 90),
+  ('cloud-management', 'Cloud Suite Management', 'basic', 'annual', 200),
+  ('cloud-management', 'Cloud Suite Management', 'standard', 'annual', 450),
+  ('cloud-management', 'Cloud Suite Management', 'enterprise', 'annual', 900)
+ON CONFLICT (service_id, package_type, billing_interval) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id uuid NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  service_id text NOT NULL,
+  package_type text NOT NULL CHECK (package_type IN ('basic', 'standard', 'enterprise')),
+  billing_interval text NOT NULL CHECK (billing_interval IN ('monthly', 'annual')),
+  currency text NOT NULL CHECK (currency IN ('USD', 'INR', 'AUD')),
+  amount numeric(10,2) NOT NULL CHECK (amount > 0),
+  status text NOT NULL DEFAULT 'incomplete' CHECK (status IN ('incomplete', 'active', 'past_due', 'cancelled')),
+  zoho_recurring_invoice_id text UNIQUE,
+  zoho_customer_id text,
+  current_period_start date,
+  current_period_end date,
+  cancel_at_period_end boolean DEFAULT false,
+  cancelled_at timestamptz,
+  last_invoice_id text,
+  last_payment_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_client_id ON subscriptions(client_id);
+
+-- One live subscription per client and service; tiers change in place
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_live_service
+  ON subscriptions(client_id, service_id)
+  WHERE status <> 'cancelled';
+
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Clients can read own subscriptions"
+  ON subscriptions
+  FOR SELECT
+  TO authenticated
+  USING (client_id = auth.uid());
+
+CREATE POLICY "Only service role can manage subscriptions"
+  ON subscriptions
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_subscriptions_updated_at
+  BEFORE UPDATE ON subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,58 @@
+/*
+  # Webhook event log
+
+  1. New Tables
+    - `webhook_events`
+      - `id` (uuid, primary key)
+      - `source` (text, `zoho`)
+      - `event_type` (text, e.g. `invoice_payment_received`)
+      - `dedupe_key` (text, unique): Zoho's event id when it sends one,
+        otherwise a hash of the event type and data, so retries of the same
+        event share a key
+      - `payload` (jsonb, the body exactly as received)
+      - `status` (`processing`, `processed` or `failed`)
+      - `attempts` (integer, how many times processing started)
+      - `error` (text, the last processing error)
+      - `received_at`, `processed_at`, `updated_at` (timestamptz)
+
+  2. Security
+    - Admins (`app_metadata.role = 'admin'`) can read the log
+    - Only the service role can write it
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source text NOT NULL DEFAULT 'zoho',
+  event_type text NOT NULL,
+  dedupe_key text NOT NULL UNIQUE,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'failed')),
+  attempts integer NOT NULL DEFAULT 1,
+  error text,
+  received_at timestamptz DEFAULT now(),
+  processed_at timestamptz,
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at DESC);
+
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can read webhook events"
+  ON webhook_events
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Only service role can manage webhook events"
+  ON webhook_events
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_webhook_events_updated_at
+  BEFORE UPDATE ON webhook_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
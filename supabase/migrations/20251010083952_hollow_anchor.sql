@@ -0,0 +1,66 @@
+/*
+  # Dead-lettered webhook events and replays
+
+  1. Updates
+    - `webhook_events.status` is now `processing`, `processed` or
+      `dead_letter`; events that had `failed` become `dead_letter`
+    - `webhook_events.dead_lettered_at` (timestamptz, when processing last failed)
+
+  2. New Tables
+    - `webhook_replays`
+      - `id` (uuid, primary key)
+      - `event_id` (uuid, references webhook_events)
+      - `replayed_by` (uuid, the staff user)
+      - `outcome` (`processed` or `failed`)
+      - `error` (text, why the replay failed)
+      - `created_at` (timestamptz)
+
+  3. Security
+    - Admins can read replays
+    - Only the service role can record them
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'webhook_events' AND column_name = 'dead_lettered_at'
+  ) THEN
+    ALTER TABLE webhook_events ADD COLUMN dead_lettered_at timestamptz;
+  END IF;
+END $$;
+
+ALTER TABLE webhook_events DROP CONSTRAINT IF EXISTS webhook_events_status_check;
+
+UPDATE webhook_events
+SET status = 'dead_letter', dead_lettered_at = COALESCE(dead_lettered_at, updated_at)
+WHERE status = 'failed';
+
+ALTER TABLE webhook_events ADD CONSTRAINT webhook_events_status_check
+  CHECK (status IN ('processing', 'processed', 'dead_letter'));
+
+CREATE TABLE IF NOT EXISTS webhook_replays (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+  replayed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  outcome text NOT NULL CHECK (outcome IN ('processed', 'failed')),
+  error text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_replays_event_id ON webhook_replays(event_id);
+
+ALTER TABLE webhook_replays ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can read webhook replays"
+  ON webhook_replays
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Only service role can manage webhook replays"
+  ON webhook_replays
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
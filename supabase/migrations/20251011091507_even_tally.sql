@@ -0,0 +1,90 @@
+/*
+  # Payments ledger
+
+  1. New Tables
+    - `payments`
+      - `id` (uuid, primary key)
+      - `client_id` (uuid, references clients)
+      - `order_id` (uuid, references orders) for one-off orders
+      - `subscription_id` (uuid, references subscriptions) for recurring invoices
+      - `zoho_invoice_id` (text, the invoice the payment was applied to)
+      - `zoho_payment_id` (text, unique, so a payment is recorded once)
+      - `amount` (numeric) and `currency` (text)
+      - `payment_method` (text, Zoho's payment mode, e.g. `creditcard`)
+      - `payment_date` (date)
+      - `created_at` (timestamptz)
+
+  2. Updates
+    - `orders.amount_paid` and `invoices.amount_paid` keep the running total
+      of payments, `invoices.balance` what is still owed
+    - `orders.status` and `invoices.status` also allow `partially_paid` and
+      `overpaid`
+
+  3. Security
+    - Clients can read their own payments
+    - Only the service role can record payments
+*/
+
+CREATE TABLE IF NOT EXISTS payments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id uuid NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  order_id uuid REFERENCES orders(id) ON DELETE CASCADE,
+  subscription_id uuid REFERENCES subscriptions(id) ON DELETE SET NULL,
+  zoho_invoice_id text,
+  zoho_payment_id text UNIQUE,
+  amount numeric(10,2) NOT NULL CHECK (amount > 0),
+  currency text NOT NULL CHECK (currency IN ('USD', 'INR', 'AUD')),
+  payment_method text,
+  payment_date date NOT NULL DEFAULT CURRENT_DATE,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_client_id ON payments(client_id);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Clients can read own payments"
+  ON payments
+  FOR SELECT
+  TO authenticated
+  USING (client_id = auth.uid());
+
+CREATE POLICY "Only service role can manage payments"
+  ON payments
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'amount_paid'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN amount_paid numeric(10,2) DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'amount_paid'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN amount_paid numeric(10,2) DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'balance'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN balance numeric(10,2) DEFAULT 0;
+  END IF;
+END $$;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'partially_paid', 'paid', 'overpaid', 'completed', 'cancelled', 'refunded', 'partially_refunded'));
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+  CHECK (status IN ('draft', 'sent', 'partially_paid', 'paid', 'overpaid', 'overdue'));
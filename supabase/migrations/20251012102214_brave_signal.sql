@@ -0,0 +1,14 @@
+/*
+  # Voided invoices
+
+  1. Updates
+    - `invoices.status` also allows `void`, for invoices voided in Zoho;
+      their orders are cancelled
+
+  2. Security
+    - No policy changes
+*/
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+  CHECK (status IN ('draft', 'sent', 'partially_paid', 'paid', 'overpaid', 'overdue', 'void'));
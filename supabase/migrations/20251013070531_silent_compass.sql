@@ -0,0 +1,53 @@
+/*
+  # Reconciliation reports
+
+  1. New Tables
+    - `reconciliation_runs`, one row per run of the reconcileOrders job
+      - `id` (uuid, primary key)
+      - `status` (`running`, `completed` or `failed`)
+      - `orders_checked` (integer, open orders compared with Zoho)
+      - `invoices_checked` (integer, recent Zoho invoices checked for a
+        matching order)
+      - `mismatches_found`, `mismatches_fixed` (integer)
+      - `mismatches` (jsonb array): one entry per difference, with its
+        `type` (`paid_in_zoho`, `void_in_zoho`, `amount_mismatch`,
+        `missing_in_zoho`, `orphaned_invoice`, or `error` when an order
+        could not be checked), the order and invoice ids, both sides'
+        status and total, and whether it was fixed
+      - `error` (text, why a run failed)
+      - `started_at`, `finished_at` (timestamptz)
+
+  2. Security
+    - Admins can read the reports
+    - Only the service role can write them
+*/
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  orders_checked integer NOT NULL DEFAULT 0,
+  invoices_checked integer NOT NULL DEFAULT 0,
+  mismatches_found integer NOT NULL DEFAULT 0,
+  mismatches_fixed integer NOT NULL DEFAULT 0,
+  mismatches jsonb NOT NULL DEFAULT '[]'::jsonb,
+  error text,
+  started_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at DESC);
+
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can read reconciliation runs"
+  ON reconciliation_runs
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Only service role can manage reconciliation runs"
+  ON reconciliation_runs
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,361 @@
+/*
+  # Versioned email templates
+
+  1. Updates
+    - `email_templates.version` (integer): templates are no longer unique by
+      name but by name and version. The sendEmail function renders the
+      highest active version, so a template is changed by inserting a new
+      version and rolled back by deactivating it
+    - Existing rows become version 1
+
+  2. Templates
+    - Every email the site sends is now a template row:
+      `contact_form_confirmation`, `contact_form_notification`,
+      `quote_request_confirmation`, `quote_request_notification`,
+      `registration_welcome`, `refund_confirmation`, `test_email`, and a
+      version 2 of `welcome_email` and `payment_confirmation`
+    - `{{name}}` is HTML-escaped, `{{#if}}` and `{{#each}}` blocks are
+      supported, and a variable that is not supplied fails the send.
+      `variables` holds sample values for each template
+
+  3. Security
+    - Only the service role can manage templates
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_templates' AND column_name = 'version'
+  ) THEN
+    ALTER TABLE email_templates ADD COLUMN version integer NOT NULL DEFAULT 1;
+  END IF;
+END $$;
+
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_template_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_name_version ON email_templates(template_name, version);
+
+CREATE POLICY "Only service role can manage email templates"
+  ON email_templates
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+INSERT INTO email_templates (template_name, version, subject, html_content, variables) VALUES
+('contact_form_confirmation', 1, 'Message Received - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Thank You for Contacting Us!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{name}},</p>
+
+    <p>Thank you for reaching out to Mechinweb. We''ve received your message and will get back to you within 24 hours.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Your Message:</h3>
+      <p><strong>Subject:</strong> {{subject}}</p>
+      <p><strong>Message:</strong></p>
+      <p style="background: #f8f9fa; padding: 15px; border-radius: 4px; white-space: pre-wrap;">{{message}}</p>
+    </div>
+
+    <p>For urgent matters, feel free to contact us directly:</p>
+    <p>📧 Email: contact@mechinweb.com</p>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "subject": "Email migration", "message": "We need to move 40 mailboxes to Microsoft 365."}'::jsonb),
+
+('contact_form_notification', 1, 'New Contact Message - {{subject}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #3B82F6;">New Contact Message Received</h2>
+
+  <div style="background: #f8f9fa; padding: 20px; border-radius: 8px;">
+    <h3>Contact Information:</h3>
+    <p><strong>Name:</strong> {{name}}</p>
+    <p><strong>Email:</strong> {{email}}</p>
+    <p><strong>Subject:</strong> {{subject}}</p>
+
+    <h3>Message:</h3>
+    <div style="background: white; padding: 15px; border-radius: 4px; border-left: 4px solid #3B82F6; white-space: pre-wrap;">{{message}}</div>
+
+    <p><strong>Submitted:</strong> {{submitted_at}}</p>
+    {{#if request_id}}<p><strong>Request ID:</strong> {{request_id}}</p>{{/if}}
+  </div>
+
+  <p><em>Please respond to the customer within 24 hours.</em></p>
+</div>',
+'{"name": "Jane Doe", "email": "jane@example.com", "subject": "Email migration", "message": "We need to move 40 mailboxes to Microsoft 365.", "submitted_at": "10/14/2025, 9:30:00 AM", "request_id": "req-123"}'::jsonb),
+
+('quote_request_confirmation', 1, 'Quote Request Received - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Thank You for Your Quote Request!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{customer_name}},</p>
+
+    <p>Thank you for requesting a quote for our IT services. We''ve received your request and will review it carefully.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Quote Details:</h3>
+      <p><strong>Service:</strong> {{service_type}}</p>
+      <p><strong>Budget Range:</strong> {{budget_range}}</p>
+      <p><strong>Timeline:</strong> {{timeline}}</p>
+      {{#if estimate_number}}<p><strong>Estimate Number:</strong> {{estimate_number}}</p>{{/if}}
+      {{#if request_id}}<p><strong>Request ID:</strong> {{request_id}}</p>{{/if}}
+    </div>
+
+    <p><strong>What happens next?</strong></p>
+    <ol>
+      <li>We''ll review your requirements within 24 hours</li>
+      <li>Prepare a detailed quote with pricing</li>
+      <li>Send you the official estimate via email</li>
+      <li>Schedule a call to discuss the project</li>
+    </ol>
+
+    <p>For urgent matters, feel free to contact us directly:</p>
+    <p>📧 Email: contact@mechinweb.com</p>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"customer_name": "Jane Doe", "service_type": "Email Migration", "budget_range": "$500 - $1,000", "timeline": "Within 2 weeks", "estimate_number": "EST-000042", "request_id": null}'::jsonb),
+
+('quote_request_notification', 1, 'New Quote Request - {{customer_name}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #3B82F6;">New Quote Request Received</h2>
+
+  <div style="background: #f8f9fa; padding: 20px; border-radius: 8px;">
+    <h3>Customer Information:</h3>
+    <p><strong>Name:</strong> {{customer_name}}</p>
+    <p><strong>Email:</strong> {{customer_email}}</p>
+    <p><strong>Company:</strong> {{#if company_name}}{{company_name}}{{else}}Not provided{{/if}}</p>
+    <p><strong>Phone:</strong> {{#if phone}}{{phone}}{{else}}Not provided{{/if}}</p>
+
+    <h3>Project Details:</h3>
+    <p><strong>Service:</strong> {{service_type}}</p>
+    <p><strong>Budget Range:</strong> {{budget_range}}</p>
+    <p><strong>Timeline:</strong> {{timeline}}</p>
+    {{#if estimate_number}}<p><strong>Estimate Number:</strong> {{estimate_number}}</p>{{/if}}
+
+    <h3>Project Description:</h3>
+    <p style="white-space: pre-wrap;">{{project_details}}</p>
+
+    <p><strong>Submitted:</strong> {{submitted_at}}</p>
+    {{#if request_id}}<p><strong>Request ID:</strong> {{request_id}}</p>{{/if}}
+  </div>
+
+  <p><em>{{#if estimate_number}}Please review and prepare the quote in Zoho Invoice.{{else}}Please review and prepare the quote.{{/if}}</em></p>
+</div>',
+'{"customer_name": "Jane Doe", "customer_email": "jane@example.com", "company_name": "Acme Ltd", "phone": null, "service_type": "Email Migration", "budget_range": "$500 - $1,000", "timeline": "Within 2 weeks", "estimate_number": "EST-000042", "project_details": "40 mailboxes from G Suite to Microsoft 365.", "submitted_at": "10/14/2025, 9:30:00 AM", "request_id": null}'::jsonb),
+
+('welcome_email', 2, 'Welcome to Mechinweb - Your Account is Ready!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Welcome to Mechinweb!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{client_name}},</p>
+
+    <p>Welcome to Mechinweb! Your client account has been successfully created and you can now access our full range of IT services.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Your Account Details:</h3>
+      <p><strong>Name:</strong> {{client_name}}</p>
+      <p><strong>Email:</strong> {{client_email}}</p>
+      {{#if company}}<p><strong>Company:</strong> {{company}}</p>{{/if}}
+      <p><strong>Account Status:</strong> Active</p>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+        Access Your Dashboard
+      </a>
+    </div>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "client_email": "jane@example.com", "company": null, "login_url": "https://mechinweb.com/client/dashboard"}'::jsonb),
+
+('registration_welcome', 1, 'Welcome to Mechinweb - Please Verify Your Email',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Welcome to Mechinweb, {{name}}!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{name}},</p>
+
+    <p>Thank you for registering with Mechinweb! Your account has been created successfully.</p>
+
+    {{#if verification_required}}
+    <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196f3;">
+      <h3 style="color: #1976d2; margin-top: 0;">⚠️ Important: Email Verification Required</h3>
+      <p style="margin: 0;">To access your dashboard and purchase services, you must verify your email address first.</p>
+    </div>
+    {{/if}}
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      {{#if verification_required}}
+      <h3 style="color: #3B82F6; margin-top: 0;">How to Verify Your Email:</h3>
+      <ol>
+        <li><strong>Check your email inbox</strong> for a verification email from Supabase</li>
+        <li><strong>Click the verification link</strong> in that email to confirm your email address</li>
+        <li><strong>Return to our website</strong> and log in to access your dashboard</li>
+      </ol>
+      <p style="margin-top: 15px; padding: 10px; background: #fff3cd; border-radius: 4px; color: #856404;">
+        <strong>Note:</strong> If you don''t see the verification email, please check your spam/junk folder.
+      </p>
+      {{else}}
+      <h3 style="color: #3B82F6; margin-top: 0;">Your Account is Ready!</h3>
+      <p>You can now log in and start using our services.</p>
+      {{/if}}
+    </div>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">What you''ll get access to after verification:</h3>
+      <ul>
+        <li>Professional IT services dashboard</li>
+        <li>Order tracking and management</li>
+        <li>Invoice downloads and payment history</li>
+        <li>24/7 customer support</li>
+        <li>Real-time order status updates</li>
+      </ul>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+        {{#if verification_required}}Go to Login Page (After Verification){{else}}Login to Your Account{{/if}}
+      </a>
+    </div>
+
+    <p>If you have any questions or need assistance{{#if verification_required}} with verification{{/if}}, please contact us at {{support_email}}</p>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "verification_required": true, "login_url": "https://mechinweb.com/client/login", "support_email": "contact@mechinweb.com"}'::jsonb),
+
+('payment_confirmation', 2, 'Payment Confirmation - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #10B981, #059669); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Payment Confirmed!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{client_name}},</p>
+
+    <p>Thank you for your payment! {{#if balance_due}}We''ve received part of the payment for your order; the remaining balance is shown below.{{else}}We''ve received your payment and will begin working on your service immediately.{{/if}}</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #10B981; margin-top: 0;">Order Details:</h3>
+      <p><strong>Service:</strong> {{service_name}}</p>
+      <p><strong>Package:</strong> {{package_type}}</p>
+      <p><strong>Order ID:</strong> {{order_id}}</p>
+      <p><strong>Amount:</strong> {{amount}}</p>
+      {{#if balance_due}}<p><strong>Balance Due:</strong> {{balance_due}}</p>{{/if}}
+      <p><strong>Payment Date:</strong> {{payment_date}}</p>
+      <p><strong>Request ID:</strong> {{request_id}}</p>
+    </div>
+
+    {{#if line_items}}
+    <table style="width: 100%; border-collapse: collapse; background: white; border-radius: 8px; margin: 20px 0;">
+      <tr>
+        <th style="text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb;">Item</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Qty</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Total</th>
+      </tr>
+      {{#each line_items}}
+      <tr>
+        <td style="padding: 10px;">{{name}}</td>
+        <td style="text-align: right; padding: 10px;">{{quantity}}</td>
+        <td style="text-align: right; padding: 10px;">{{total}}</td>
+      </tr>
+      {{/each}}
+    </table>
+    {{/if}}
+
+    <div style="background: #e0f2fe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #0277bd; margin-top: 0;">What happens next?</h3>
+      <ol>
+        <li>Our team will contact you within 24 hours</li>
+        <li>We''ll begin working on your service</li>
+        <li>You''ll receive regular updates on progress</li>
+        <li>Service completion notification</li>
+      </ol>
+    </div>
+
+    <p>You can track your order progress in your dashboard.</p>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "package_type": "standard", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "$250.00", "balance_due": null, "payment_date": "10/14/2025", "request_id": "req-123", "line_items": [{"name": "Email Migration - Standard", "quantity": 1, "total": "$250.00"}]}'::jsonb),
+
+('refund_confirmation', 1, '{{#if full_refund}}Refund{{else}}Partial Refund{{/if}} Issued - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Refund Issued</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{client_name}},</p>
+
+    <p>We''ve issued a {{#if full_refund}}full{{else}}partial{{/if}} refund for your order. Depending on your bank or card provider it can take 5-10 business days to appear on your statement.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Refund Details:</h3>
+      <p><strong>Service:</strong> {{service_name}}</p>
+      <p><strong>Order ID:</strong> {{order_id}}</p>
+      <p><strong>Amount Refunded:</strong> {{amount}}</p>
+      <p><strong>Credit Note:</strong> {{credit_note_number}}</p>
+      {{#if reason}}<p><strong>Reason:</strong> {{reason}}</p>{{/if}}
+    </div>
+
+    <p>The credit note is listed next to the original invoice in your dashboard.</p>
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "$100.00", "credit_note_number": "CN-00012", "reason": null, "full_refund": false}'::jsonb),
+
+('test_email', 1, 'Test Email from Mechinweb - Email Service Working',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #10B981, #059669); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Email Service Test</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>This is a test email to verify that the Mechinweb email service is working correctly.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #10B981; margin-top: 0;">Test Details:</h3>
+      <p><strong>Timestamp:</strong> {{sent_at}}</p>
+      <p><strong>From:</strong> {{from}}</p>
+      <p><strong>Request ID:</strong> {{request_id}}</p>
+      <p><strong>Status:</strong> ✅ Working</p>
+    </div>
+
+    <p>If you received this email, the email service is configured correctly!</p>
+
+    <p>Best regards,<br>
+    Mechinweb Email Service</p>
+  </div>
+</div>',
+'{"sent_at": "2025-10-14T09:30:00.000Z", "from": "contact@mechinweb.com", "request_id": "req-123"}'::jsonb)
+ON CONFLICT (template_name, version) DO NOTHING;
@@ -0,0 +1,72 @@
+/*
+  # Outbound email queue
+
+  1. New Tables
+    - `email_outbox`, one row per message, rendered when it is queued
+      - `id` (uuid, primary key)
+      - `email_type` (text, the sendEmail type, e.g. `payment_confirmation`)
+      - `template`, `template_version`: the `email_templates` row rendered
+      - `recipient`, `subject`, `html_content`, `text_content`
+      - `status` (`queued`, `sending`, `sent` or `failed`)
+      - `attempts` (integer), `next_attempt_at` (when the worker may send
+        it), `locked_at` (when a worker took it), `last_error`
+      - `message_id` (the SMTP message id once sent)
+      - `client_id`, `order_id`: who and what the email is about, when known
+      - `created_at`, `updated_at`, `sent_at` (timestamptz)
+
+  2. Security
+    - Admins can read every message, clients the ones sent to them
+    - Only the service role can queue and update messages
+*/
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email_type text NOT NULL,
+  template text NOT NULL,
+  template_version integer,
+  recipient text NOT NULL,
+  subject text NOT NULL,
+  html_content text NOT NULL,
+  text_content text,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  message_id text,
+  client_id uuid REFERENCES clients(id) ON DELETE SET NULL,
+  order_id uuid REFERENCES orders(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_client_id ON email_outbox(client_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_order_id ON email_outbox(order_id);
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can read email outbox"
+  ON email_outbox
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Clients can read own emails"
+  ON email_outbox
+  FOR SELECT
+  TO authenticated
+  USING (client_id = auth.uid());
+
+CREATE POLICY "Only service role can manage email outbox"
+  ON email_outbox
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_email_outbox_updated_at
+  BEFORE UPDATE ON email_outbox
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,694 @@
+/*
+  # Translated transactional emails
+
+  1. Updates
+    - `email_templates.language` (text, default `en`): a translation is a row
+      with the same `template_name` in another language, with its own
+      versions. Templates are now unique by name, language and version;
+      a language without an active row falls back to English
+    - `user_preferences.preferred_language` (text, default `en`): the
+      language of a client's emails, set on the profile page
+    - `email_outbox.language` (text): the language a queued message was
+      rendered in
+
+  2. Templates
+    - Spanish (`es`) and French (`fr`) versions of every email sent to
+      customers: `contact_form_confirmation`, `quote_request_confirmation`,
+      `welcome_email`, `email_verification`, `registration_welcome`,
+      `payment_confirmation` and `refund_confirmation`. Notifications to
+      our own mailbox stay in English
+
+  3. Security
+    - No policy changes
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_templates' AND column_name = 'language'
+  ) THEN
+    ALTER TABLE email_templates ADD COLUMN language text NOT NULL DEFAULT 'en';
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_email_templates_name_version;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_name_language_version ON email_templates(template_name, language, version);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_preferences' AND column_name = 'preferred_language'
+  ) THEN
+    ALTER TABLE user_preferences ADD COLUMN preferred_language text DEFAULT 'en';
+  END IF;
+END $$;
+
+ALTER TABLE user_preferences DROP CONSTRAINT IF EXISTS user_preferences_language_check;
+ALTER TABLE user_preferences ADD CONSTRAINT user_preferences_language_check
+CHECK (preferred_language = ANY (ARRAY['en'::text, 'es'::text, 'fr'::text]));
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'language'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN language text;
+  END IF;
+END $$;
+
+INSERT INTO email_templates (template_name, language, version, subject, html_content, variables) VALUES
+('contact_form_confirmation', 'es', 1, 'Mensaje recibido - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">¡Gracias por contactarnos!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{name}}:</p>
+
+    <p>Gracias por escribir a Mechinweb. Hemos recibido su mensaje y le responderemos en un plazo de 24 horas.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Su mensaje:</h3>
+      <p><strong>Asunto:</strong> {{subject}}</p>
+      <p><strong>Mensaje:</strong></p>
+      <p style="background: #f8f9fa; padding: 15px; border-radius: 4px; white-space: pre-wrap;">{{message}}</p>
+    </div>
+
+    <p>Para asuntos urgentes, puede contactarnos directamente:</p>
+    <p>📧 Correo electrónico: contact@mechinweb.com</p>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "subject": "Email migration", "message": "We need to move 40 mailboxes to Microsoft 365."}'::jsonb),
+
+('quote_request_confirmation', 'es', 1, 'Solicitud de presupuesto recibida - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">¡Gracias por su solicitud de presupuesto!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{customer_name}}:</p>
+
+    <p>Gracias por solicitar un presupuesto para nuestros servicios de TI. Hemos recibido su solicitud y la revisaremos con atención.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Detalles del presupuesto:</h3>
+      <p><strong>Servicio:</strong> {{service_type}}</p>
+      <p><strong>Rango de presupuesto:</strong> {{budget_range}}</p>
+      <p><strong>Plazo:</strong> {{timeline}}</p>
+      {{#if estimate_number}}<p><strong>Número de presupuesto:</strong> {{estimate_number}}</p>{{/if}}
+      {{#if request_id}}<p><strong>ID de solicitud:</strong> {{request_id}}</p>{{/if}}
+    </div>
+
+    <p><strong>¿Qué sigue?</strong></p>
+    <ol>
+      <li>Revisaremos sus requisitos en un plazo de 24 horas</li>
+      <li>Prepararemos un presupuesto detallado con precios</li>
+      <li>Le enviaremos el presupuesto oficial por correo electrónico</li>
+      <li>Programaremos una llamada para hablar del proyecto</li>
+    </ol>
+
+    <p>Para asuntos urgentes, puede contactarnos directamente:</p>
+    <p>📧 Correo electrónico: contact@mechinweb.com</p>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"customer_name": "Jane Doe", "service_type": "Email Migration", "budget_range": "$500 - $1,000", "timeline": "Within 2 weeks", "estimate_number": "EST-000042", "request_id": null}'::jsonb),
+
+('welcome_email', 'es', 1, 'Bienvenido/a a Mechinweb: ¡su cuenta está lista!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">¡Bienvenido/a a Mechinweb!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{client_name}}:</p>
+
+    <p>¡Bienvenido/a a Mechinweb! Su cuenta de cliente se ha creado correctamente y ya puede acceder a toda nuestra gama de servicios de TI.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Datos de su cuenta:</h3>
+      <p><strong>Nombre:</strong> {{client_name}}</p>
+      <p><strong>Correo electrónico:</strong> {{client_email}}</p>
+      {{#if company}}<p><strong>Empresa:</strong> {{company}}</p>{{/if}}
+      <p><strong>Estado de la cuenta:</strong> Activa</p>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+        Acceder a su panel
+      </a>
+    </div>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "client_email": "jane@example.com", "company": null, "login_url": "https://mechinweb.com/client/dashboard"}'::jsonb),
+
+('email_verification', 'es', 1, 'Verifique su correo electrónico - Cuenta de Mechinweb',
+'<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verifique su correo electrónico</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Inter, system-ui, sans-serif; background-color: #111827;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #111827;">
+    <!-- Header -->
+    <div style="background: linear-gradient(135deg, #06B6D4, #3B82F6, #8B5CF6); padding: 40px 30px; text-align: center;">
+      <div style="display: inline-flex; align-items: center; justify-content: center; margin-bottom: 20px;">
+        <div style="width: 60px; height: 60px; background: rgba(255,255,255,0.2); border-radius: 16px; display: flex; align-items: center; justify-content: center; margin-right: 15px;">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2">
+            <path d="M9 12l2 2 4-4"/>
+            <circle cx="12" cy="12" r="9"/>
+          </svg>
+        </div>
+        <div style="text-align: left;">
+          <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold; background: linear-gradient(135deg, #FBBF24, #F59E0B); -webkit-background-clip: text; -webkit-text-fill-color: transparent;">Mechinweb</h1>
+          <p style="color: rgba(255,255,255,0.8); margin: 0; font-size: 14px;">Soluciones de TI</p>
+        </div>
+      </div>
+      <h2 style="color: white; margin: 0; font-size: 32px; font-weight: bold;">Verifique su correo electrónico</h2>
+      <p style="color: rgba(255,255,255,0.9); margin: 15px 0 0 0; font-size: 18px;">Solo falta un paso para completar su registro</p>
+    </div>
+    
+    <!-- Content -->
+    <div style="padding: 40px 30px; background-color: #1F2937;">
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 0 0 25px 0;">Estimado/a {{client_name}}:</p>
+      
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 0 0 25px 0;">
+        ¡Gracias por registrarse en Mechinweb! Para terminar de configurar su cuenta y acceder a nuestros servicios profesionales de TI, verifique su dirección de correo electrónico.
+      </p>
+      
+      <!-- Verification Button -->
+      <div style="text-align: center; margin: 40px 0;">
+        <a href="{{verification_url}}" 
+           style="display: inline-block; background: linear-gradient(135deg, #10B981, #059669); color: white; padding: 18px 36px; text-decoration: none; border-radius: 50px; font-weight: bold; font-size: 16px; box-shadow: 0 10px 25px rgba(16, 185, 129, 0.3);">
+          Verificar correo electrónico
+        </a>
+      </div>
+      
+      <p style="color: #9CA3AF; font-size: 14px; line-height: 1.6; margin: 25px 0; text-align: center;">
+        O copie y pegue este enlace en su navegador:<br>
+        <a href="{{verification_url}}" style="color: #06B6D4; word-break: break-all;">{{verification_url}}</a>
+      </p>
+      
+      <!-- Security Notice -->
+      <div style="background: linear-gradient(135deg, #1F2937, #374151); padding: 25px; border-radius: 16px; margin: 30px 0; border: 1px solid #374151;">
+        <h3 style="color: #FBBF24; margin: 0 0 15px 0; font-size: 18px; font-weight: bold;">🔒 Aviso de seguridad</h3>
+        <p style="color: #E5E7EB; line-height: 1.6; margin: 0; font-size: 14px;">
+          Por motivos de seguridad, este enlace de verificación caduca en 24 horas. Si usted no creó esta cuenta, ignore este correo.
+        </p>
+      </div>
+      
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 30px 0 0 0;">
+        Saludos cordiales,<br>
+        <strong style="color: white;">El equipo de Mechinweb</strong>
+      </p>
+    </div>
+    
+    <!-- Footer -->
+    <div style="background-color: #111827; padding: 30px; text-align: center; border-top: 1px solid #374151;">
+      <p style="color: #9CA3AF; font-size: 14px; margin: 0;">
+        © 2024 Mechinweb IT Solutions. Todos los derechos reservados.
+      </p>
+    </div>
+  </div>
+</body>
+</html>',
+'{"client_name": "Jane Doe", "verification_url": "https://mechinweb.com/client/login?verified=true"}'::jsonb),
+
+('registration_welcome', 'es', 1, 'Bienvenido/a a Mechinweb: verifique su correo electrónico',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">¡Bienvenido/a a Mechinweb, {{name}}!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{name}}:</p>
+
+    <p>¡Gracias por registrarse en Mechinweb! Su cuenta se ha creado correctamente.</p>
+
+    {{#if verification_required}}
+    <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196f3;">
+      <h3 style="color: #1976d2; margin-top: 0;">⚠️ Importante: debe verificar su correo electrónico</h3>
+      <p style="margin: 0;">Para acceder a su panel y contratar servicios, primero debe verificar su dirección de correo electrónico.</p>
+    </div>
+    {{/if}}
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      {{#if verification_required}}
+      <h3 style="color: #3B82F6; margin-top: 0;">Cómo verificar su correo electrónico:</h3>
+      <ol>
+        <li><strong>Revise su bandeja de entrada</strong>: recibirá un correo de verificación de Supabase</li>
+        <li><strong>Haga clic en el enlace de verificación</strong> de ese correo para confirmar su dirección</li>
+        <li><strong>Vuelva a nuestro sitio web</strong> e inicie sesión para acceder a su panel</li>
+      </ol>
+      <p style="margin-top: 15px; padding: 10px; background: #fff3cd; border-radius: 4px; color: #856404;">
+        <strong>Nota:</strong> si no ve el correo de verificación, revise su carpeta de spam o correo no deseado.
+      </p>
+      {{else}}
+      <h3 style="color: #3B82F6; margin-top: 0;">¡Su cuenta está lista!</h3>
+      <p>Ya puede iniciar sesión y empezar a usar nuestros servicios.</p>
+      {{/if}}
+    </div>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">A qué tendrá acceso después de la verificación:</h3>
+      <ul>
+        <li>Panel profesional de servicios de TI</li>
+        <li>Seguimiento y gestión de pedidos</li>
+        <li>Descarga de facturas e historial de pagos</li>
+        <li>Atención al cliente 24/7</li>
+        <li>Estado de los pedidos en tiempo real</li>
+      </ul>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+        {{#if verification_required}}Ir al inicio de sesión (después de verificar){{else}}Iniciar sesión en su cuenta{{/if}}
+      </a>
+    </div>
+
+    <p>Si tiene alguna pregunta o necesita ayuda{{#if verification_required}} con la verificación{{/if}}, escríbanos a {{support_email}}</p>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "verification_required": true, "login_url": "https://mechinweb.com/client/login", "support_email": "contact@mechinweb.com"}'::jsonb),
+
+('payment_confirmation', 'es', 1, 'Confirmación de pago - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #10B981, #059669); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">¡Pago confirmado!</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{client_name}}:</p>
+
+    <p>¡Gracias por su pago! {{#if balance_due}}Hemos recibido parte del pago de su pedido; el saldo pendiente se indica a continuación.{{else}}Hemos recibido su pago y empezaremos a trabajar en su servicio de inmediato.{{/if}}</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #10B981; margin-top: 0;">Detalles del pedido:</h3>
+      <p><strong>Servicio:</strong> {{service_name}}</p>
+      <p><strong>Paquete:</strong> {{package_type}}</p>
+      <p><strong>ID del pedido:</strong> {{order_id}}</p>
+      <p><strong>Importe:</strong> {{amount}}</p>
+      {{#if balance_due}}<p><strong>Saldo pendiente:</strong> {{balance_due}}</p>{{/if}}
+      <p><strong>Fecha de pago:</strong> {{payment_date}}</p>
+      <p><strong>ID de solicitud:</strong> {{request_id}}</p>
+    </div>
+
+    {{#if line_items}}
+    <table style="width: 100%; border-collapse: collapse; background: white; border-radius: 8px; margin: 20px 0;">
+      <tr>
+        <th style="text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb;">Concepto</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Cant.</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Total</th>
+      </tr>
+      {{#each line_items}}
+      <tr>
+        <td style="padding: 10px;">{{name}}</td>
+        <td style="text-align: right; padding: 10px;">{{quantity}}</td>
+        <td style="text-align: right; padding: 10px;">{{total}}</td>
+      </tr>
+      {{/each}}
+    </table>
+    {{/if}}
+
+    <div style="background: #e0f2fe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #0277bd; margin-top: 0;">¿Qué sigue?</h3>
+      <ol>
+        <li>Nuestro equipo se pondrá en contacto con usted en un plazo de 24 horas</li>
+        <li>Empezaremos a trabajar en su servicio</li>
+        <li>Recibirá actualizaciones periódicas del avance</li>
+        <li>Le avisaremos cuando el servicio esté terminado</li>
+      </ol>
+    </div>
+
+    <p>Puede seguir el avance de su pedido desde su panel.</p>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "package_type": "standard", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "250,00 US$", "balance_due": null, "payment_date": "14 oct 2025", "request_id": "req-123", "line_items": [{"name": "Email Migration - Standard", "quantity": 1, "total": "250,00 US$"}]}'::jsonb),
+
+('refund_confirmation', 'es', 1, '{{#if full_refund}}Reembolso emitido{{else}}Reembolso parcial emitido{{/if}} - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Reembolso emitido</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Estimado/a {{client_name}}:</p>
+
+    <p>Hemos emitido un reembolso {{#if full_refund}}total{{else}}parcial{{/if}} de su pedido. Según su banco o el emisor de su tarjeta, puede tardar entre 5 y 10 días hábiles en aparecer en su extracto.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Detalles del reembolso:</h3>
+      <p><strong>Servicio:</strong> {{service_name}}</p>
+      <p><strong>ID del pedido:</strong> {{order_id}}</p>
+      <p><strong>Importe reembolsado:</strong> {{amount}}</p>
+      <p><strong>Nota de crédito:</strong> {{credit_note_number}}</p>
+      {{#if reason}}<p><strong>Motivo:</strong> {{reason}}</p>{{/if}}
+    </div>
+
+    <p>La nota de crédito aparece junto a la factura original en su panel.</p>
+
+    <p>Saludos cordiales,<br>
+    El equipo de Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "100,00 US$", "credit_note_number": "CN-00012", "reason": null, "full_refund": false}'::jsonb),
+
+('contact_form_confirmation', 'fr', 1, 'Message reçu - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Merci de nous avoir contactés !</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{name}},</p>
+
+    <p>Merci d’avoir contacté Mechinweb. Nous avons bien reçu votre message et vous répondrons sous 24 heures.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Votre message :</h3>
+      <p><strong>Objet :</strong> {{subject}}</p>
+      <p><strong>Message :</strong></p>
+      <p style="background: #f8f9fa; padding: 15px; border-radius: 4px; white-space: pre-wrap;">{{message}}</p>
+    </div>
+
+    <p>Pour toute demande urgente, contactez-nous directement :</p>
+    <p>📧 E-mail : contact@mechinweb.com</p>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "subject": "Email migration", "message": "We need to move 40 mailboxes to Microsoft 365."}'::jsonb),
+
+('quote_request_confirmation', 'fr', 1, 'Demande de devis reçue - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Merci pour votre demande de devis !</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{customer_name}},</p>
+
+    <p>Merci d’avoir demandé un devis pour nos services informatiques. Nous avons bien reçu votre demande et allons l’étudier avec attention.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Détails du devis :</h3>
+      <p><strong>Service :</strong> {{service_type}}</p>
+      <p><strong>Budget :</strong> {{budget_range}}</p>
+      <p><strong>Délai :</strong> {{timeline}}</p>
+      {{#if estimate_number}}<p><strong>Numéro de devis :</strong> {{estimate_number}}</p>{{/if}}
+      {{#if request_id}}<p><strong>Référence de la demande :</strong> {{request_id}}</p>{{/if}}
+    </div>
+
+    <p><strong>Et ensuite ?</strong></p>
+    <ol>
+      <li>Nous étudions vos besoins sous 24 heures</li>
+      <li>Nous préparons un devis détaillé et chiffré</li>
+      <li>Nous vous envoyons le devis officiel par e-mail</li>
+      <li>Nous planifions un appel pour parler du projet</li>
+    </ol>
+
+    <p>Pour toute demande urgente, contactez-nous directement :</p>
+    <p>📧 E-mail : contact@mechinweb.com</p>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"customer_name": "Jane Doe", "service_type": "Email Migration", "budget_range": "$500 - $1,000", "timeline": "Within 2 weeks", "estimate_number": "EST-000042", "request_id": null}'::jsonb),
+
+('welcome_email', 'fr', 1, 'Bienvenue chez Mechinweb : votre compte est prêt !',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Bienvenue chez Mechinweb !</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{client_name}},</p>
+
+    <p>Bienvenue chez Mechinweb ! Votre compte client a bien été créé et vous avez désormais accès à l’ensemble de nos services informatiques.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Les informations de votre compte :</h3>
+      <p><strong>Nom :</strong> {{client_name}}</p>
+      <p><strong>E-mail :</strong> {{client_email}}</p>
+      {{#if company}}<p><strong>Entreprise :</strong> {{company}}</p>{{/if}}
+      <p><strong>Statut du compte :</strong> Actif</p>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+        Accéder à votre tableau de bord
+      </a>
+    </div>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "client_email": "jane@example.com", "company": null, "login_url": "https://mechinweb.com/client/dashboard"}'::jsonb),
+
+('email_verification', 'fr', 1, 'Vérifiez votre adresse e-mail - Compte Mechinweb',
+'<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Vérifiez votre adresse e-mail</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Inter, system-ui, sans-serif; background-color: #111827;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #111827;">
+    <!-- Header -->
+    <div style="background: linear-gradient(135deg, #06B6D4, #3B82F6, #8B5CF6); padding: 40px 30px; text-align: center;">
+      <div style="display: inline-flex; align-items: center; justify-content: center; margin-bottom: 20px;">
+        <div style="width: 60px; height: 60px; background: rgba(255,255,255,0.2); border-radius: 16px; display: flex; align-items: center; justify-content: center; margin-right: 15px;">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2">
+            <path d="M9 12l2 2 4-4"/>
+            <circle cx="12" cy="12" r="9"/>
+          </svg>
+        </div>
+        <div style="text-align: left;">
+          <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold; background: linear-gradient(135deg, #FBBF24, #F59E0B); -webkit-background-clip: text; -webkit-text-fill-color: transparent;">Mechinweb</h1>
+          <p style="color: rgba(255,255,255,0.8); margin: 0; font-size: 14px;">Solutions informatiques</p>
+        </div>
+      </div>
+      <h2 style="color: white; margin: 0; font-size: 32px; font-weight: bold;">Vérifiez votre adresse e-mail</h2>
+      <p style="color: rgba(255,255,255,0.9); margin: 15px 0 0 0; font-size: 18px;">Plus qu’une étape pour finaliser votre inscription</p>
+    </div>
+    
+    <!-- Content -->
+    <div style="padding: 40px 30px; background-color: #1F2937;">
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 0 0 25px 0;">Bonjour {{client_name}},</p>
+      
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 0 0 25px 0;">
+        Merci de vous être inscrit chez Mechinweb ! Pour finaliser votre compte et accéder à nos services informatiques professionnels, veuillez vérifier votre adresse e-mail.
+      </p>
+      
+      <!-- Verification Button -->
+      <div style="text-align: center; margin: 40px 0;">
+        <a href="{{verification_url}}" 
+           style="display: inline-block; background: linear-gradient(135deg, #10B981, #059669); color: white; padding: 18px 36px; text-decoration: none; border-radius: 50px; font-weight: bold; font-size: 16px; box-shadow: 0 10px 25px rgba(16, 185, 129, 0.3);">
+          Vérifier mon adresse e-mail
+        </a>
+      </div>
+      
+      <p style="color: #9CA3AF; font-size: 14px; line-height: 1.6; margin: 25px 0; text-align: center;">
+        Ou copiez-collez ce lien dans votre navigateur :<br>
+        <a href="{{verification_url}}" style="color: #06B6D4; word-break: break-all;">{{verification_url}}</a>
+      </p>
+      
+      <!-- Security Notice -->
+      <div style="background: linear-gradient(135deg, #1F2937, #374151); padding: 25px; border-radius: 16px; margin: 30px 0; border: 1px solid #374151;">
+        <h3 style="color: #FBBF24; margin: 0 0 15px 0; font-size: 18px; font-weight: bold;">🔒 Sécurité</h3>
+        <p style="color: #E5E7EB; line-height: 1.6; margin: 0; font-size: 14px;">
+          Pour des raisons de sécurité, ce lien de vérification expire dans 24 heures. Si vous n’avez pas créé ce compte, ignorez simplement cet e-mail.
+        </p>
+      </div>
+      
+      <p style="color: #E5E7EB; font-size: 16px; line-height: 1.6; margin: 30px 0 0 0;">
+        Cordialement,<br>
+        <strong style="color: white;">L’équipe Mechinweb</strong>
+      </p>
+    </div>
+    
+    <!-- Footer -->
+    <div style="background-color: #111827; padding: 30px; text-align: center; border-top: 1px solid #374151;">
+      <p style="color: #9CA3AF; font-size: 14px; margin: 0;">
+        © 2024 Mechinweb IT Solutions. Tous droits réservés.
+      </p>
+    </div>
+  </div>
+</body>
+</html>',
+'{"client_name": "Jane Doe", "verification_url": "https://mechinweb.com/client/login?verified=true"}'::jsonb),
+
+('registration_welcome', 'fr', 1, 'Bienvenue chez Mechinweb : vérifiez votre adresse e-mail',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Bienvenue chez Mechinweb, {{name}} !</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{name}},</p>
+
+    <p>Merci de vous être inscrit chez Mechinweb ! Votre compte a bien été créé.</p>
+
+    {{#if verification_required}}
+    <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196f3;">
+      <h3 style="color: #1976d2; margin-top: 0;">⚠️ Important : vérification de l’adresse e-mail requise</h3>
+      <p style="margin: 0;">Pour accéder à votre tableau de bord et commander des services, vous devez d’abord vérifier votre adresse e-mail.</p>
+    </div>
+    {{/if}}
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      {{#if verification_required}}
+      <h3 style="color: #3B82F6; margin-top: 0;">Comment vérifier votre adresse e-mail :</h3>
+      <ol>
+        <li><strong>Consultez votre boîte de réception</strong> : vous y trouverez un e-mail de vérification envoyé par Supabase</li>
+        <li><strong>Cliquez sur le lien de vérification</strong> de cet e-mail pour confirmer votre adresse</li>
+        <li><strong>Revenez sur notre site</strong> et connectez-vous pour accéder à votre tableau de bord</li>
+      </ol>
+      <p style="margin-top: 15px; padding: 10px; background: #fff3cd; border-radius: 4px; color: #856404;">
+        <strong>Remarque :</strong> si vous ne trouvez pas l’e-mail de vérification, consultez votre dossier de courrier indésirable.
+      </p>
+      {{else}}
+      <h3 style="color: #3B82F6; margin-top: 0;">Votre compte est prêt !</h3>
+      <p>Vous pouvez dès maintenant vous connecter et utiliser nos services.</p>
+      {{/if}}
+    </div>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Ce à quoi vous aurez accès après la vérification :</h3>
+      <ul>
+        <li>Un tableau de bord de services informatiques professionnels</li>
+        <li>Le suivi et la gestion de vos commandes</li>
+        <li>Le téléchargement des factures et l’historique des paiements</li>
+        <li>Un support client 24 h/24, 7 j/7</li>
+        <li>Le statut de vos commandes en temps réel</li>
+      </ul>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{{login_url}}"
+         style="background: linear-gradient(135deg, #3B82F6, #1E40AF); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+        {{#if verification_required}}Aller à la page de connexion (après vérification){{else}}Se connecter à votre compte{{/if}}
+      </a>
+    </div>
+
+    <p>Pour toute question ou si vous avez besoin d’aide{{#if verification_required}} pour la vérification{{/if}}, écrivez-nous à {{support_email}}</p>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"name": "Jane Doe", "verification_required": true, "login_url": "https://mechinweb.com/client/login", "support_email": "contact@mechinweb.com"}'::jsonb),
+
+('payment_confirmation', 'fr', 1, 'Confirmation de paiement - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #10B981, #059669); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Paiement confirmé !</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{client_name}},</p>
+
+    <p>Merci pour votre paiement ! {{#if balance_due}}Nous avons reçu une partie du paiement de votre commande ; le solde restant est indiqué ci-dessous.{{else}}Nous avons bien reçu votre paiement et commençons à travailler sur votre service dès maintenant.{{/if}}</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #10B981; margin-top: 0;">Détails de la commande :</h3>
+      <p><strong>Service :</strong> {{service_name}}</p>
+      <p><strong>Formule :</strong> {{package_type}}</p>
+      <p><strong>Numéro de commande :</strong> {{order_id}}</p>
+      <p><strong>Montant :</strong> {{amount}}</p>
+      {{#if balance_due}}<p><strong>Solde restant :</strong> {{balance_due}}</p>{{/if}}
+      <p><strong>Date du paiement :</strong> {{payment_date}}</p>
+      <p><strong>Référence de la demande :</strong> {{request_id}}</p>
+    </div>
+
+    {{#if line_items}}
+    <table style="width: 100%; border-collapse: collapse; background: white; border-radius: 8px; margin: 20px 0;">
+      <tr>
+        <th style="text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb;">Article</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Qté</th>
+        <th style="text-align: right; padding: 10px; border-bottom: 1px solid #e5e7eb;">Total</th>
+      </tr>
+      {{#each line_items}}
+      <tr>
+        <td style="padding: 10px;">{{name}}</td>
+        <td style="text-align: right; padding: 10px;">{{quantity}}</td>
+        <td style="text-align: right; padding: 10px;">{{total}}</td>
+      </tr>
+      {{/each}}
+    </table>
+    {{/if}}
+
+    <div style="background: #e0f2fe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #0277bd; margin-top: 0;">Et ensuite ?</h3>
+      <ol>
+        <li>Notre équipe vous contacte sous 24 heures</li>
+        <li>Nous commençons à travailler sur votre service</li>
+        <li>Vous recevez régulièrement des nouvelles de l’avancement</li>
+        <li>Nous vous prévenons quand le service est terminé</li>
+      </ol>
+    </div>
+
+    <p>Vous pouvez suivre l’avancement de votre commande depuis votre tableau de bord.</p>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "package_type": "standard", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "250,00 $US", "balance_due": null, "payment_date": "14 oct. 2025", "request_id": "req-123", "line_items": [{"name": "Email Migration - Standard", "quantity": 1, "total": "250,00 $US"}]}'::jsonb),
+
+('refund_confirmation', 'fr', 1, '{{#if full_refund}}Remboursement effectué{{else}}Remboursement partiel effectué{{/if}} - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">Remboursement effectué</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Bonjour {{client_name}},</p>
+
+    <p>Nous avons effectué un remboursement {{#if full_refund}}total{{else}}partiel{{/if}} de votre commande. Selon votre banque ou l’émetteur de votre carte, il peut apparaître sur votre relevé sous 5 à 10 jours ouvrés.</p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #3B82F6; margin-top: 0;">Détails du remboursement :</h3>
+      <p><strong>Service :</strong> {{service_name}}</p>
+      <p><strong>Numéro de commande :</strong> {{order_id}}</p>
+      <p><strong>Montant remboursé :</strong> {{amount}}</p>
+      <p><strong>Avoir :</strong> {{credit_note_number}}</p>
+      {{#if reason}}<p><strong>Motif :</strong> {{reason}}</p>{{/if}}
+    </div>
+
+    <p>L’avoir figure à côté de la facture d’origine dans votre tableau de bord.</p>
+
+    <p>Cordialement,<br>
+    L’équipe Mechinweb</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "service_name": "Email Migration", "order_id": "00000000-0000-4000-8000-000000000101", "amount": "100,00 $US", "credit_note_number": "CN-00012", "reason": null, "full_refund": false}'::jsonb)
+ON CONFLICT (template_name, language, version) DO NOTHING;
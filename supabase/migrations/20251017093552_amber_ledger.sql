@@ -0,0 +1,34 @@
+/*
+  # PDF invoices and receipts
+
+  1. Updates
+    - `invoices.line_items` (jsonb, default `[]`): the Zoho invoice lines,
+      `{ name, description, quantity, rate, item_total }`, printed on the
+      PDF invoice. Invoices without them print the ordered service
+    - `email_outbox.attachments` (jsonb, default `[]`): documents to attach
+      when the message is sent, e.g. `{ "type": "invoice", "orderId": ... }`.
+      They are rendered by the worker at send time, not stored
+
+  2. Security
+    - No policy changes
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'line_items'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN line_items jsonb DEFAULT '[]'::jsonb;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'attachments'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN attachments jsonb NOT NULL DEFAULT '[]'::jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,37 @@
+/*
+  # Communication preferences
+
+  1. Updates
+    - `user_preferences.communication_preferences` (jsonb, default `{}`):
+      per category (`billing`, `order`, `marketing`, `security`) whether
+      the client wants it by `email` and `in_app`, e.g.
+      `{ "marketing": { "email": false, "in_app": true } }`. A category or
+      channel that is not set uses the default: marketing off, the rest on.
+      Security emails are always sent
+    - `email_outbox.headers` (jsonb, default `{}`): extra headers sent with
+      a message, such as `List-Unsubscribe`
+
+  2. Security
+    - No policy changes; clients already manage their own `user_preferences`
+      row, and unsubscribe links are applied by the service role
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_preferences' AND column_name = 'communication_preferences'
+  ) THEN
+    ALTER TABLE user_preferences ADD COLUMN communication_preferences jsonb NOT NULL DEFAULT '{}'::jsonb;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'headers'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN headers jsonb NOT NULL DEFAULT '{}'::jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,138 @@
+/*
+  # Email reply conversations
+
+  1. New Tables
+    - `conversations`, one per order or quote request that clients can reply
+      to by email
+      - `id` (uuid, primary key)
+      - `reply_token` (text, unique): the random token in the Reply-To
+        address of our emails, `replies+<token>@...`
+      - `order_id` (uuid, unique) or `quote_reference` (text, unique, the
+        request id printed on the quote confirmation)
+      - `client_id` (uuid): the client, when the order or sender is known
+      - `contact_email`, `subject`: who we wrote to and about what
+      - `last_message_at`, `created_at`, `updated_at` (timestamptz)
+    - `conversation_messages`, one per reply received
+      - `id` (uuid, primary key)
+      - `conversation_id` (uuid)
+      - `sender_email`, `sender_name`, `subject`
+      - `body` (text): the reply without the quoted history
+      - `message_id` (text, unique): the email's Message-ID, so a reply
+        delivered twice is stored once
+      - `in_reply_to` (text)
+      - `received_at`, `created_at` (timestamptz)
+
+  2. Updates
+    - `email_outbox.conversation_id` (uuid) and `email_outbox.reply_to`
+      (text): the conversation a message belongs to and the Reply-To it is
+      sent with. Replies without the token are matched by In-Reply-To
+      against `email_outbox.message_id`
+
+  3. Security
+    - Admins can read every conversation, clients their own
+    - Only the service role can write them
+*/
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  reply_token text UNIQUE NOT NULL,
+  order_id uuid UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  quote_reference text UNIQUE,
+  client_id uuid REFERENCES clients(id) ON DELETE SET NULL,
+  contact_email text,
+  subject text,
+  last_message_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (order_id IS NOT NULL OR quote_reference IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id uuid NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_email text NOT NULL,
+  sender_name text,
+  subject text,
+  body text NOT NULL,
+  message_id text UNIQUE,
+  in_reply_to text,
+  received_at timestamptz DEFAULT now(),
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_client_id ON conversations(client_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation_id ON conversation_messages(conversation_id, received_at);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'conversation_id'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN conversation_id uuid REFERENCES conversations(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'reply_to'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN reply_to text;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_message_id ON email_outbox(message_id);
+
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can read conversations"
+  ON conversations
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Clients can read own conversations"
+  ON conversations
+  FOR SELECT
+  TO authenticated
+  USING (client_id = auth.uid());
+
+CREATE POLICY "Only service role can manage conversations"
+  ON conversations
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Admins can read conversation messages"
+  ON conversation_messages
+  FOR SELECT
+  TO authenticated
+  USING ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+CREATE POLICY "Clients can read own conversation messages"
+  ON conversation_messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM conversations
+      WHERE conversations.id = conversation_messages.conversation_id
+        AND conversations.client_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Only service role can manage conversation messages"
+  ON conversation_messages
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE TRIGGER update_conversations_updated_at
+  BEFORE UPDATE ON conversations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
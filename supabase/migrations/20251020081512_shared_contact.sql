@@ -0,0 +1,14 @@
+/*
+  # Let several clients share a Zoho contact
+
+  1. Updates
+    - `idx_clients_zoho_customer_id` is no longer unique. A Zoho contact is
+      an organization and may have several contact persons, each signing in
+      as their own client, so every one of them links to the same contact.
+*/
+
+DROP INDEX IF EXISTS idx_clients_zoho_customer_id;
+
+CREATE INDEX IF NOT EXISTS idx_clients_zoho_customer_id
+  ON clients(zoho_customer_id)
+  WHERE zoho_customer_id IS NOT NULL;
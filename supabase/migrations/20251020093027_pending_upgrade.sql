@@ -0,0 +1,19 @@
+/*
+  # Hold tier upgrades until their prorated invoice is paid
+
+  1. Updates
+    - `subscriptions.pending_package_type`, `pending_amount` and
+      `pending_order_id`: an upgrade that was charged but not yet paid. The
+      payment webhook applies it once the order behind `pending_order_id`
+      is paid; a voided invoice drops it.
+*/
+
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS pending_package_type text
+    CHECK (pending_package_type IN ('basic', 'standard', 'enterprise')),
+  ADD COLUMN IF NOT EXISTS pending_amount numeric(10,2),
+  ADD COLUMN IF NOT EXISTS pending_order_id uuid REFERENCES orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_pending_order_id
+  ON subscriptions(pending_order_id)
+  WHERE pending_order_id IS NOT NULL;
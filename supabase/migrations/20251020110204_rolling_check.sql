@@ -0,0 +1,19 @@
+/*
+  # Check open orders in turn during reconciliation
+
+  1. Updates
+    - `orders.last_reconciled_at` (timestamptz): when the reconcileOrders
+      job last compared the order with Zoho. Each run takes the open orders
+      checked longest ago (never checked first), so no order waits behind
+      older ones when there are more than one run takes.
+    - `reconciliation_runs.mismatches` entries may also have the type
+      `payments_not_listed`: Zoho has more paid on the invoice than the
+      ledger but lists no payments to record, so it is reported for staff.
+*/
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS last_reconciled_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_orders_open_last_reconciled_at
+  ON orders(last_reconciled_at NULLS FIRST, created_at)
+  WHERE status IN ('pending', 'partially_paid') AND zoho_invoice_id IS NOT NULL;
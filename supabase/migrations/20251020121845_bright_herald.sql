@@ -0,0 +1,34 @@
+/*
+  # Marketing email template
+
+  1. Templates
+    - `service_announcement` (version 1): news and offers, sent only to
+      clients who turned marketing email on. The outbox refuses to queue it
+      without the client it goes to, so it always carries a signed
+      List-Unsubscribe header (see utils/communicationPreferences.js)
+*/
+
+INSERT INTO email_templates (template_name, version, subject, html_content, variables) VALUES
+('service_announcement', 1, '{{headline}} - Mechinweb IT Services',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: linear-gradient(135deg, #3B82F6, #1E40AF); padding: 30px; text-align: center;">
+    <h1 style="color: white; margin: 0;">{{headline}}</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f8f9fa;">
+    <p>Dear {{client_name}},</p>
+
+    <p style="white-space: pre-line;">{{message}}</p>
+
+    {{#if cta_url}}<p style="text-align: center; margin: 30px 0;">
+      <a href="{{cta_url}}" style="background: #3B82F6; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">{{cta_label}}</a>
+    </p>{{/if}}
+
+    <p>Best regards,<br>
+    The Mechinweb Team</p>
+
+    <p style="color: #6B7280; font-size: 12px;">You are receiving this because you turned on news and offers in your communication preferences. Unsubscribe with your mail app''s unsubscribe button or from your profile at any time.</p>
+  </div>
+</div>',
+'{"client_name": "Jane Doe", "headline": "Microsoft 365 backup is here", "message": "We now back up mailboxes, OneDrive and SharePoint every night.", "cta_label": "See the plans", "cta_url": "https://mechinweb.com/services"}'::jsonb)
+ON CONFLICT (template_name, language, version) DO NOTHING;
@@ -0,0 +1,36 @@
+/*
+  # Guard `zoho_customer_id` on insert too
+
+  1. Security
+    - `protect_clients_zoho_customer_id` now also runs before INSERT. A
+      client creating their own row could otherwise set `zoho_customer_id`
+      to another organization's contact, and with shared contacts that
+      sends them its estimate notifications. Only the service role may
+      insert a row with one; everyone else inserts it empty and the server
+      links it.
+*/
+
+CREATE OR REPLACE FUNCTION protect_client_zoho_customer_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF coalesce(auth.role(), '') = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NEW.zoho_customer_id IS NOT NULL THEN
+    RAISE EXCEPTION 'zoho_customer_id can only be set by the server';
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.zoho_customer_id IS DISTINCT FROM OLD.zoho_customer_id THEN
+    RAISE EXCEPTION 'zoho_customer_id can only be changed by the server';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_clients_zoho_customer_id ON clients;
+CREATE TRIGGER protect_clients_zoho_customer_id
+  BEFORE INSERT OR UPDATE ON clients
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_client_zoho_customer_id();
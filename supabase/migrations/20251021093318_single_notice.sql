@@ -0,0 +1,35 @@
+/*
+  # Send payment notices once
+
+  1. Updates
+    - `notifications.dedupe_key` and `email_outbox.dedupe_key` (text,
+      nullable): set by callers that may run again for the same change,
+      such as a replayed payment webhook, so a notification or email is
+      only added once. Emails use the key plus the template name.
+    - Unique indexes on both, ignoring rows without a key
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'notifications' AND column_name = 'dedupe_key'
+  ) THEN
+    ALTER TABLE notifications ADD COLUMN dedupe_key text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'email_outbox' AND column_name = 'dedupe_key'
+  ) THEN
+    ALTER TABLE email_outbox ADD COLUMN dedupe_key text;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe_key
+  ON notifications(dedupe_key)
+  WHERE dedupe_key IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_outbox_dedupe_key
+  ON email_outbox(dedupe_key)
+  WHERE dedupe_key IS NOT NULL;
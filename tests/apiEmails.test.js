@@ -0,0 +1,107 @@
+// The Express handlers in api/ queue their emails in the outbox instead of
+// sending them inline
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const mailTransport = require('../netlify/functions/utils/mailTransport.js');
+const { handleContactForm } = require('../api/contact.js');
+const { handleQuoteRequest } = require('../api/create-quote.js');
+const { registerClient } = require('../api/client-auth.js');
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// One line per template, enough to see what each message was rendered from
+const template = (name, html) => ({ template_name: name, language: 'en', version: 1, is_active: true, subject: name, html_content: html });
+const TEMPLATES = [
+  template('contact_form_confirmation', '<p>Thanks {{name}}</p>'),
+  template('contact_form_notification', '<p>{{name}} &lt;{{email}}&gt;: {{message}}</p>'),
+  template('quote_request_confirmation', '<p>Thanks {{customer_name}}{{#if estimate_number}}, estimate {{estimate_number}}{{/if}}</p>'),
+  template('quote_request_notification', '<p>{{customer_name}} asked about {{service_type}}</p>'),
+  template('welcome_email', '<p>Welcome {{client_name}}, sign in at {{login_url}}</p>')
+];
+
+const outbox = () => (database.db.email_outbox || []).map(row => [row.email_type, row.template, row.recipient, row.status]);
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(mailTransport, 'getMailTransport').mockImplementation(() => {
+    throw new Error('api handlers must not send mail directly');
+  });
+  database = createFakeSupabase({ tables: { email_templates: TEMPLATES } });
+});
+
+describe('api email handlers', () => {
+  it('queue the contact form confirmation and notification', async () => {
+    const res = response();
+    await handleContactForm({
+      body: { name: 'Asha Rao', email: 'asha@acme.test', subject: 'Migration', message: 'Can you help?', timestamp: Date.now() }
+    }, res);
+
+    expect(res.body.success).toBe(true);
+    expect(outbox()).toEqual([
+      ['contact_form', 'contact_form_confirmation', 'asha@acme.test', 'queued'],
+      ['contact_form', 'contact_form_notification', 'contact@mechinweb.com', 'queued']
+    ]);
+  });
+
+  it('queue quote request emails carrying the Zoho estimate number', async () => {
+    vi.stubEnv('INBOUND_REPLY_ADDRESS', 'replies@mechinweb.com');
+    database.db.clients = [{ id: 'c-1', email: 'asha@acme.test' }];
+    vi.spyOn(zoho, 'get').mockImplementation(async (path) => (path === '/contacts'
+      ? { contacts: [{ contact_id: 'zc-1', email: 'asha@acme.test' }] }
+      : { contact: { contact_id: 'zc-1', contact_name: 'Asha Rao', email: 'asha@acme.test', contact_persons: [] } }));
+    vi.spyOn(zoho, 'post').mockResolvedValue({ estimate: { estimate_id: 'est-1', estimate_number: 'EST-000042' } });
+
+    const res = response();
+    await handleQuoteRequest({
+      body: {
+        customer_name: 'Asha Rao',
+        customer_email: 'asha@acme.test',
+        service_type: 'Email migration',
+        budget_range: '$1k-$5k',
+        timeline: '1 month',
+        project_details: '50 mailboxes',
+        quote_date: new Date().toISOString()
+      }
+    }, res);
+
+    expect(res.body).toMatchObject({ success: true, estimate_number: 'EST-000042' });
+    expect(outbox()).toEqual([
+      ['quote_request', 'quote_request_confirmation', 'asha@acme.test', 'queued'],
+      ['quote_request', 'quote_request_notification', 'contact@mechinweb.com', 'queued']
+    ]);
+    expect(database.db.email_outbox[0].html_content).toContain('EST-000042');
+
+    // Replies to the confirmation land on the estimate's thread, which the
+    // client with that address can see
+    expect(database.db.conversations).toEqual([
+      expect.objectContaining({ quote_reference: 'EST-000042', client_id: 'c-1', contact_email: 'asha@acme.test' })
+    ]);
+    expect(database.db.email_outbox[0].reply_to).toBe(`replies+${database.db.conversations[0].reply_token}@mechinweb.com`);
+    expect(database.db.email_outbox[1].reply_to).toBeNull();
+  });
+
+  it('queue the welcome email on registration', async () => {
+    const res = response();
+    await registerClient({
+      body: { name: 'Ben Ng', email: 'ben@acme.test', password: 'correct horse battery' }
+    }, res);
+
+    expect(res.body.success).toBe(true);
+    expect(outbox()).toEqual([['welcome_email', 'welcome_email', 'ben@acme.test', 'queued']]);
+  });
+});
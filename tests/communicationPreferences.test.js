@@ -0,0 +1,123 @@
+// Clients choose which categories of messages they get by email and in the
+// dashboard; emails they can turn off carry a one-click unsubscribe link
+import { createRequire } from 'node:module';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const {
+  normalizePreferences,
+  allowsCommunication,
+  setCommunicationPreference,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeHeaders
+} = require('../netlify/functions/utils/communicationPreferences.js');
+const { notifyClient } = require('../netlify/functions/utils/notifications.js');
+const { queueEmail } = require('../netlify/functions/utils/emailOutbox.js');
+const { handler: unsubscribe } = require('../netlify/functions/unsubscribe.js');
+
+const REFUND = { clientName: 'Asha', clientEmail: 'asha@acme.test', serviceName: 'Migration', orderId: 'o-1', amount: 10, currency: 'INR', creditNoteNumber: 'CN-1' };
+
+const visit = (httpMethod, token) => unsubscribe({ httpMethod, queryStringParameters: { token } }, {});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.stubEnv('UNSUBSCRIBE_SECRET', 'unsub-test');
+  vi.stubEnv('URL', 'https://mechinweb.test');
+  database = createFakeSupabase({
+    tables: {
+      email_templates: [{ template_name: 'refund_confirmation', language: 'en', version: 1, is_active: true, subject: 'Refund', html_content: '<p>{{amount}}</p>' }],
+      user_preferences: [{ id: 'up-1', user_id: 'c-1', communication_preferences: { billing: { in_app: false } } }]
+    }
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('normalizePreferences', () => {
+  it('fills in defaults, drops unknown keys and keeps security email on', () => {
+    const preferences = normalizePreferences({ order: { email: false }, security: { email: false }, extra: { email: true } });
+
+    expect(preferences).toEqual({
+      billing: { email: true, in_app: true },
+      order: { email: false, in_app: true },
+      marketing: { email: false, in_app: false },
+      security: { email: true, in_app: true }
+    });
+  });
+});
+
+describe('allowsCommunication', () => {
+  it('follows the client\'s choices and allows uncategorised messages', async () => {
+    expect(await allowsCommunication('c-1', 'billing', 'in_app')).toBe(false);
+    expect(await allowsCommunication('c-1', 'billing', 'email')).toBe(true);
+    expect(await allowsCommunication('c-1', 'marketing', 'email')).toBe(false);
+    expect(await allowsCommunication('c-1', null, 'email')).toBe(true);
+    await expect(allowsCommunication('c-1', 'gossip', 'email')).rejects.toThrow('Unknown communication category gossip');
+  });
+
+  it('keeps dashboard notifications the client turned off out of `notifications`', async () => {
+    await notifyClient('c-1', { title: 'Refund Issued', message: 'x', category: 'billing' });
+    await notifyClient('c-1', { title: 'Order Started', message: 'y', category: 'order' });
+
+    expect(database.db.notifications.map(notification => notification.title)).toEqual(['Order Started']);
+  });
+});
+
+describe('setCommunicationPreference', () => {
+  it('changes one channel and refuses to turn off security email', async () => {
+    await setCommunicationPreference('c-1', 'order', 'email', false);
+
+    expect(database.db.user_preferences).toHaveLength(1);
+    expect(database.db.user_preferences[0].communication_preferences).toMatchObject({
+      billing: { email: true, in_app: false },
+      order: { email: false, in_app: true }
+    });
+    await expect(setCommunicationPreference('c-1', 'security', 'email', false)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('unsubscribe links', () => {
+  it('are signed per client and category', () => {
+    const token = createUnsubscribeToken('c-1', 'billing');
+
+    expect(verifyUnsubscribeToken(token)).toEqual({ clientId: 'c-1', category: 'billing' });
+    expect(verifyUnsubscribeToken(token.replace('billing', 'marketing'))).toBeNull();
+    expect(verifyUnsubscribeToken(createUnsubscribeToken('c-1', 'billing', 'other-secret'))).toBeNull();
+  });
+
+  it('go on the emails a client can turn off', async () => {
+    const [queued] = await queueEmail('refund_confirmation', REFUND, { clientId: 'c-1' });
+
+    expect(database.db.email_outbox.find(email => email.id === queued.id).headers).toEqual({
+      'List-Unsubscribe': `<https://mechinweb.test/.netlify/functions/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken('c-1', 'billing'))}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+    expect(unsubscribeHeaders('c-1', 'security')).toEqual({});
+  });
+
+  it('ask before unsubscribing, then stop that category of email', async () => {
+    const token = createUnsubscribeToken('c-1', 'billing');
+
+    const confirm = await visit('GET', token);
+    expect(confirm.statusCode).toBe(200);
+    expect(confirm.body).toContain('<form method="POST"');
+    expect(await allowsCommunication('c-1', 'billing', 'email')).toBe(true);
+
+    expect((await visit('POST', token)).statusCode).toBe(200);
+    expect(await queueEmail('refund_confirmation', REFUND, { clientId: 'c-1' })).toEqual([]);
+    expect(database.db.email_outbox).toBeUndefined();
+  });
+
+  it('reject forged tokens', async () => {
+    expect((await visit('POST', 'c-1.billing.forged')).statusCode).toBe(400);
+  });
+});
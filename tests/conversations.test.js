@@ -0,0 +1,141 @@
+// Client replies to our emails arrive as raw MIME and are threaded onto the
+// order or quote request the email was about, without the quoted history
+import { createRequire } from 'node:module';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { stripQuotedReply } = require('../netlify/functions/utils/conversations.js');
+const { queueEmail } = require('../netlify/functions/utils/emailOutbox.js');
+const { handler: inboundEmail } = require('../netlify/functions/inboundEmail.js');
+
+const TOKEN = '0123456789abcdef01234567';
+
+const mime = ({ to = `replies+${TOKEN}@mechinweb.test`, messageId = '<r-1@acme.test>', headers = '', inReplyTo = null, body }) => [
+  'From: Asha Rao <asha@acme.test>',
+  `To: ${to}`,
+  'Subject: Re: Your order',
+  `Message-ID: ${messageId}`,
+  ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+  ...(headers ? [headers] : []),
+  'Date: Sun, 19 Oct 2025 10:00:00 +0000',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body
+].join('\r\n');
+
+const deliver = async (raw, { secret = 'inbound-test', json = false } = {}) => {
+  const response = await inboundEmail({
+    httpMethod: 'POST',
+    headers: { 'x-inbound-secret': secret, 'content-type': json ? 'application/json' : 'message/rfc822' },
+    body: json ? JSON.stringify({ raw }) : raw
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.stubEnv('INBOUND_REPLY_ADDRESS', 'Replies@Mechinweb.test');
+  vi.stubEnv('INBOUND_EMAIL_SECRET', 'inbound-test');
+  database = createFakeSupabase({
+    tables: {
+      clients: [{ id: 'c-1', email: 'asha@acme.test' }],
+      conversations: [{ id: 'cv-1', reply_token: TOKEN, order_id: 'o-1', client_id: null }],
+      email_outbox: [{ id: 'e-1', message_id: '<sent-1@mechinweb.test>', conversation_id: 'cv-1' }],
+      email_templates: [
+        { template_name: 'quote_request_confirmation', language: 'en', version: 1, is_active: true, subject: 'Quote', html_content: '<p>{{customer_name}}</p>' },
+        { template_name: 'quote_request_notification', language: 'en', version: 1, is_active: true, subject: 'New quote', html_content: '<p>{{customer_email}}</p>' }
+      ]
+    },
+    unique: { conversation_messages: ['message_id'], conversations: ['reply_token', 'order_id', 'quote_reference'] }
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('stripQuotedReply', () => {
+  it('keeps the new text above quotes, Outlook headers and signatures', () => {
+    expect(stripQuotedReply('Sounds good.\n\nOn Sat, 18 Oct 2025, Mechinweb <contact@mechinweb.com>\nwrote:\n> Your order')).toBe('Sounds good.');
+    expect(stripQuotedReply('Merci !\r\n\r\nLe 18 oct. 2025, Mechinweb a écrit :\r\n> Bonjour')).toBe('Merci !');
+    expect(stripQuotedReply('Yes\n\nFrom: Mechinweb\nSent: Saturday\nSubject: Order')).toBe('Yes');
+    expect(stripQuotedReply('Thanks\n-- \nAsha')).toBe('Thanks');
+    expect(stripQuotedReply('> only a quote\n')).toBe('');
+  });
+});
+
+describe('inboundEmail', () => {
+  it('threads a reply by its token and links the sender\'s account', async () => {
+    const response = await deliver(mime({ body: 'Can we start Monday?\n\nOn Sat, Mechinweb wrote:\n> Your order' }));
+
+    expect(response.body).toMatchObject({ stored: true, conversationId: 'cv-1', orderId: 'o-1' });
+    expect(database.db.conversation_messages).toEqual([expect.objectContaining({
+      conversation_id: 'cv-1',
+      sender_email: 'asha@acme.test',
+      sender_name: 'Asha Rao',
+      body: 'Can we start Monday?',
+      message_id: '<r-1@acme.test>'
+    })]);
+    expect(database.db.conversations[0]).toMatchObject({ client_id: 'c-1', last_message_at: '2025-10-19T10:00:00.000Z' });
+  });
+
+  it('falls back to In-Reply-To when the token was lost, and stores a reply once', async () => {
+    const raw = mime({ to: 'contact@mechinweb.test', inReplyTo: '<sent-1@mechinweb.test>', body: 'Following up' });
+
+    expect((await deliver(raw, { json: true })).body).toMatchObject({ stored: true, conversationId: 'cv-1' });
+    expect((await deliver(raw)).body).toMatchObject({ stored: false, duplicate: true });
+    expect(database.db.conversation_messages).toHaveLength(1);
+  });
+
+  it('accepts but does not store automatic or unplaceable replies', async () => {
+    const away = await deliver(mime({ headers: 'Auto-Submitted: auto-replied', body: 'I am away' }));
+    const stray = await deliver(mime({ to: 'replies+ffffffffffffffffffffffff@mechinweb.test', body: 'Hello?' }));
+
+    expect(away).toMatchObject({ statusCode: 200, body: { stored: false, reason: 'Automatic reply' } });
+    expect(stray.body).toMatchObject({ stored: false, reason: 'No conversation matches this message' });
+    expect(database.db.conversation_messages).toBeUndefined();
+  });
+
+  it('needs the shared secret and a readable body', async () => {
+    expect((await deliver(mime({ body: 'x' }), { secret: 'wrong' })).statusCode).toBe(401);
+    expect((await inboundEmail({ httpMethod: 'POST', headers: { 'x-inbound-secret': 'inbound-test', 'content-type': 'application/json' }, body: '{' }, {})).statusCode).toBe(400);
+  });
+});
+
+describe('queueEmail', () => {
+  const QUOTE = {
+    customer_name: 'Asha',
+    customer_email: 'asha@acme.test',
+    service_type: 'Migration',
+    budget_range: '$500',
+    timeline: 'Soon',
+    project_details: '40 mailboxes'
+  };
+
+  it('gives a quote confirmation a reply address for its estimate\'s conversation', async () => {
+    await queueEmail('quote_request', QUOTE, { requestId: 'q-1', quoteReference: 'EST-000042' });
+
+    const conversation = database.db.conversations.find(row => row.quote_reference === 'EST-000042');
+    expect(conversation).toMatchObject({ client_id: 'c-1', contact_email: 'asha@acme.test' });
+    expect(database.db.email_outbox.slice(1)).toEqual([
+      expect.objectContaining({ template: 'quote_request_confirmation', conversation_id: conversation.id, reply_to: `replies+${conversation.reply_token}@mechinweb.test` }),
+      expect.objectContaining({ template: 'quote_request_notification', conversation_id: null, reply_to: null })
+    ]);
+  });
+
+  it('invites no replies to a quote confirmation without an estimate', async () => {
+    await queueEmail('quote_request', QUOTE, { requestId: 'q-1' });
+
+    expect(database.db.conversations).toHaveLength(1);
+    expect(database.db.email_outbox.slice(1)).toEqual([
+      expect.objectContaining({ template: 'quote_request_confirmation', conversation_id: null, reply_to: null }),
+      expect.objectContaining({ template: 'quote_request_notification', conversation_id: null, reply_to: null })
+    ]);
+  });
+});
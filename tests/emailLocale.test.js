@@ -0,0 +1,89 @@
+// Customer emails use the client's language for the template and their
+// locale and time zone for amounts and dates
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { createEmailLocale, resolveEmailLocale, formatAmount, formatDate } = require('../netlify/functions/utils/emailLocale.js');
+const { queueEmail } = require('../netlify/functions/utils/emailOutbox.js');
+
+const template = (language, subject, version = 1) => ({
+  template_name: 'refund_confirmation',
+  language,
+  version,
+  is_active: true,
+  subject,
+  html_content: '<p>{{amount}}</p>'
+});
+
+const REFUND = { clientName: 'Asha', clientEmail: 'asha@acme.test', serviceName: 'Migration', orderId: 'o-1', amount: 1234.5, currency: 'EUR', creditNoteNumber: 'CN-1' };
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      email_templates: [template('en', 'Your refund'), template('fr', 'Votre remboursement')],
+      clients: [{ id: 'c-1', country_code: 'FR' }, { id: 'c-2', country_code: null }],
+      user_preferences: [
+        { user_id: 'c-1', preferred_language: 'fr', country_code: 'BE', timezone: 'Europe/Paris' },
+        { user_id: 'c-2', preferred_language: 'de', country_code: 'ZZ', timezone: 'Not/AZone' }
+      ]
+    }
+  });
+});
+
+describe('createEmailLocale', () => {
+  it('keeps supported languages and takes the region of a browser tag', () => {
+    expect(createEmailLocale({ language: 'en-IN' })).toEqual({ language: 'en', locale: 'en-IN', timeZone: null });
+    expect(createEmailLocale({ language: 'fr', country: 'ca', timeZone: 'America/Toronto' }))
+      .toEqual({ language: 'fr', locale: 'fr-CA', timeZone: 'America/Toronto' });
+    expect(createEmailLocale({ language: 'es' })).toEqual({ language: 'es', locale: 'es', timeZone: null });
+    expect(createEmailLocale({ language: 'de-DE', country: 'ZZ' })).toEqual({ language: 'en', locale: null, timeZone: null });
+  });
+});
+
+describe('resolveEmailLocale', () => {
+  it('prefers the client\'s country over the profile\'s and drops unknown time zones', async () => {
+    expect(await resolveEmailLocale({ clientId: 'c-1' })).toEqual({ language: 'fr', locale: 'fr-FR', timeZone: 'Europe/Paris' });
+    expect(await resolveEmailLocale({ clientId: 'c-2' })).toEqual({ language: 'en', locale: null, timeZone: null });
+    expect(await resolveEmailLocale({ language: 'es-MX' })).toMatchObject({ language: 'es', locale: 'es-MX' });
+  });
+});
+
+describe('formatAmount and formatDate', () => {
+  it('write a currency its home way unless the recipient has a locale', () => {
+    expect(formatAmount(100000, 'INR')).toBe('₹1,00,000.00');
+    expect(formatAmount(1500, 'JPY')).toBe('￥1,500');
+    expect(formatAmount(10, 'XYZ')).toBe('$10.00');
+    expect(formatAmount(1234.5, 'EUR', createEmailLocale({ language: 'en', country: 'IE' }))).toBe('€1,234.50');
+  });
+
+  it('shift dates into the recipient\'s time zone', () => {
+    const late = '2025-10-14T23:30:00Z';
+
+    expect(formatDate(late, createEmailLocale({ timeZone: 'UTC' }))).toBe('Oct 14, 2025');
+    expect(formatDate(late, createEmailLocale({ language: 'en', country: 'IN', timeZone: 'Asia/Kolkata' }))).toBe('15 Oct 2025');
+  });
+});
+
+describe('queueEmail', () => {
+  it('renders in the client\'s language and falls back to English', async () => {
+    const amount = formatAmount(1234.5, 'EUR', createEmailLocale({ language: 'fr', country: 'FR' }));
+
+    await queueEmail('refund_confirmation', REFUND, { clientId: 'c-1' });
+    database.db.email_templates.pop();
+    await queueEmail('refund_confirmation', REFUND, { clientId: 'c-1' });
+
+    expect(amount).toMatch(/^1\s234,50\s€$/);
+    expect(database.db.email_outbox.map(({ language, subject, text_content }) => ({ language, subject, text_content }))).toEqual([
+      { language: 'fr', subject: 'Votre remboursement', text_content: amount },
+      { language: 'en', subject: 'Your refund', text_content: amount }
+    ]);
+  });
+});
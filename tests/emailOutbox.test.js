@@ -0,0 +1,134 @@
+// Emails are rendered into `email_outbox` and sent by the worker, which
+// retries failures with a growing delay and gives up on permanent ones
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { MAX_ATTEMPTS, queueEmail, processOutbox, retryOutboxEmail } = require('../netlify/functions/utils/emailOutbox.js');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const queued = (id, fields = {}) => ({
+  id,
+  recipient: `${id}@acme.test`,
+  subject: `Message ${id}`,
+  html_content: '<p>Hello</p>',
+  text_content: 'Hello',
+  status: 'queued',
+  attempts: 0,
+  next_attempt_at: minutesFromNow(-1),
+  ...fields
+});
+
+const smtpError = (message, responseCode) => Object.assign(new Error(message), { responseCode });
+
+const row = (id) => database.db.email_outbox.find(email => email.id === id);
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      email_templates: [
+        { template_name: 'contact_form_confirmation', language: 'en', version: 3, is_active: true, subject: 'Thanks, {{name}}', html_content: '<p>{{message}}</p>' },
+        { template_name: 'contact_form_notification', language: 'en', version: 1, is_active: true, subject: 'From {{email}}', html_content: '<p>{{subject}}</p>' }
+      ]
+    }
+  });
+});
+
+describe('queueEmail', () => {
+  it('renders every message of the type and queues them together', async () => {
+    const data = { name: 'Asha', email: 'asha@acme.test', subject: 'Migration', message: 'Hi <there>' };
+
+    await queueEmail('contact_form', data, { requestId: 'r-1', clientId: 'c-1' });
+
+    expect(database.db.email_outbox).toEqual([
+      expect.objectContaining({
+        email_type: 'contact_form',
+        template: 'contact_form_confirmation',
+        template_version: 3,
+        language: 'en',
+        recipient: 'asha@acme.test',
+        html_content: '<p>Hi &lt;there&gt;</p>',
+        text_content: 'Hi <there>',
+        status: 'queued',
+        client_id: 'c-1'
+      }),
+      expect.objectContaining({ template: 'contact_form_notification', recipient: 'contact@mechinweb.com', subject: 'From asha@acme.test' })
+    ]);
+  });
+
+  it('queues nothing when one of the messages fails to render', async () => {
+    database.db.email_templates.pop();
+
+    await expect(queueEmail('contact_form', { name: 'Asha', email: 'asha@acme.test', subject: 'x', message: 'y' }))
+      .rejects.toThrow('No active email template named contact_form_notification');
+    expect(database.db.email_outbox).toBeUndefined();
+  });
+});
+
+describe('processOutbox', () => {
+  it('sends what is due and leaves later messages queued', async () => {
+    database.db.email_outbox = [queued('e-1'), queued('e-2', { next_attempt_at: minutesFromNow(10) })];
+    const sendMail = vi.fn(async () => ({ messageId: '<m-1@smtp>' }));
+
+    const result = await processOutbox({ sendMail, from: 'contact@mechinweb.com' });
+
+    expect(result).toEqual({ claimed: 1, sent: 1, retrying: 0, failed: 0 });
+    expect(sendMail).toHaveBeenCalledWith({ from: 'contact@mechinweb.com', to: 'e-1@acme.test', subject: 'Message e-1', html: '<p>Hello</p>', text: 'Hello', attachments: [], headers: {} });
+    expect(row('e-1')).toMatchObject({ status: 'sent', attempts: 1, message_id: '<m-1@smtp>', locked_at: null });
+    expect(row('e-2')).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+
+  it('retries temporary failures later and fails rejected recipients for good', async () => {
+    database.db.email_outbox = [queued('e-1'), queued('e-2')];
+    const sendMail = vi.fn(async ({ to }) => {
+      throw to === 'e-1@acme.test' ? smtpError('Greylisted', 451) : smtpError('Mailbox unavailable', 550);
+    });
+
+    const result = await processOutbox({ sendMail });
+
+    expect(result).toMatchObject({ retrying: 1, failed: 1 });
+    expect(row('e-1')).toMatchObject({ status: 'queued', attempts: 1, last_error: 'Greylisted' });
+    expect(Date.parse(row('e-1').next_attempt_at)).toBeGreaterThan(Date.now() + 50 * 1000);
+    expect(row('e-2')).toMatchObject({ status: 'failed', last_error: 'Mailbox unavailable' });
+  });
+
+  it('gives up after the last attempt', async () => {
+    database.db.email_outbox = [queued('e-1', { attempts: MAX_ATTEMPTS - 1 })];
+
+    await processOutbox({ sendMail: async () => { throw smtpError('Timed out'); } });
+
+    expect(row('e-1')).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS });
+  });
+
+  it('takes back messages whose worker stopped mid-send', async () => {
+    database.db.email_outbox = [
+      queued('e-1', { status: 'sending', attempts: 1, locked_at: minutesFromNow(-10) }),
+      queued('e-2', { status: 'sending', attempts: 1, locked_at: minutesFromNow(-1) })
+    ];
+    const sendMail = vi.fn(async () => ({}));
+
+    await processOutbox({ sendMail });
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(row('e-1')).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(row('e-2').status).toBe('sending');
+  });
+});
+
+describe('retryOutboxEmail', () => {
+  it('requeues failed messages only', async () => {
+    database.db.email_outbox = [queued('e-1', { status: 'failed', attempts: 3 }), queued('e-2', { status: 'sent' })];
+
+    expect(await retryOutboxEmail('e-1')).toMatchObject({ status: 'queued', attempts: 0 });
+    await expect(retryOutboxEmail('e-2')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(retryOutboxEmail('e-3')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,90 @@
+// Staff preview email types from fixtures through emailPreview, optionally
+// with template rows that are not in the database yet
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { handler } = require('../netlify/functions/emailPreview.js');
+const { htmlToText } = require('../netlify/functions/utils/emailTemplates.js');
+
+const USERS = {
+  asha: { id: 'c-1', email: 'asha@acme.test' },
+  staff: { id: 'a-1', email: 'staff@studio.test', app_metadata: { role: 'admin' } }
+};
+
+const call = async (token, body) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const row = (template_name, subject, html_content, version = 1) => ({ template_name, language: 'en', version, is_active: true, subject, html_content });
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      email_templates: [
+        row('contact_form_confirmation', 'Thanks, {{name}}', '<p>We got <b>{{subject}}</b>.</p>'),
+        row('contact_form_notification', 'New message from {{name}}', '<p>{{email}}: {{message}}</p>')
+      ]
+    }
+  });
+  database.auth = {
+    getUser: async (token) => (USERS[token] ? { data: { user: USERS[token] }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+});
+
+describe('emailPreview', () => {
+  it('is for administrators only', async () => {
+    expect((await call('asha', {})).statusCode).toBe(403);
+    expect((await call('nobody', {})).statusCode).toBe(401);
+  });
+
+  it('renders the chosen fixtures without sending them', async () => {
+    const response = await call('staff', { fixtures: ['contact_form'] });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.previews).toEqual([{
+      fixture: 'contact_form',
+      type: 'contact_form',
+      messages: [
+        expect.objectContaining({ to: 'jane@example.com', subject: 'Thanks, Jane Doe', html: '<p>We got <b>Email migration</b>.</p>', text: 'We got Email migration.' }),
+        expect.objectContaining({ to: 'contact@mechinweb.com', subject: 'New message from Jane Doe' })
+      ]
+    }]);
+  });
+
+  it('prefers template overrides and reports fixtures that fail to render', async () => {
+    const templates = [row('contact_form_confirmation', 'Draft for {{name}}', '<p>{{missing}}</p>', 2)];
+
+    const response = await call('staff', { fixtures: ['contact_form', 'welcome_email'], templates });
+
+    expect(response.body.failed).toBe(2);
+    expect(response.body.previews.map(preview => preview.error)).toEqual([
+      'Missing template variable "missing"',
+      'No active email template named welcome_email'
+    ]);
+  });
+
+  it('rejects unknown fixtures', async () => {
+    expect((await call('staff', { fixtures: ['nope'] })).statusCode).toBe(400);
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps links, list items and table cells readable', () => {
+    const html = '<p>Hi &amp; welcome</p>\n<ul><li>One</li><li>Two</li></ul><table><tr><td>A</td><td>B</td></tr></table><a href="https://x.test">Log in</a>';
+
+    expect(htmlToText(html)).toBe('Hi & welcome\n\n- One\n- Two\n\nA | B\n\nLog in (https://x.test)');
+  });
+});
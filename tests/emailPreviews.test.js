@@ -0,0 +1,70 @@
+// Every email fixture rendered from the templates in supabase/migrations, so
+// a template or email type change shows up as a snapshot diff
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadMigrationTemplates, parseTemplateInserts, renderPreviews } from '../scripts/email-previews.js';
+
+const require = createRequire(import.meta.url);
+
+// The test email goes to EMAIL_USER when it is set
+delete process.env.EMAIL_USER;
+const { EMAIL_FIXTURES } = require('../netlify/functions/utils/emailFixtures.js');
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('parseTemplateInserts', () => {
+  it('reads quoted values, casts and the conflict clause', () => {
+    const rows = parseTemplateInserts(`
+      INSERT INTO email_templates (template_name, version, subject, html_content, variables) VALUES
+      ('a', 2, 'It''s here', '<p>{{name}}</p>', '{"name": "Jane"}'::jsonb),
+      ('b', 1, 'B', '<p>b</p>', '{}'::jsonb)
+      ON CONFLICT (template_name, language, version) DO NOTHING;
+
+      INSERT INTO email_templates (template_name, subject, html_content, is_active) VALUES (
+        'a', 'Again', '<p>again</p>', false
+      ) ON CONFLICT (template_name) DO UPDATE SET subject = EXCLUDED.subject;
+    `);
+
+    expect(rows).toEqual([
+      { template_name: 'a', version: 2, subject: "It's here", html_content: '<p>{{name}}</p>', variables: '{"name": "Jane"}', replace: false },
+      { template_name: 'b', version: 1, subject: 'B', html_content: '<p>b</p>', variables: '{}', replace: false },
+      { template_name: 'a', subject: 'Again', html_content: '<p>again</p>', is_active: false, replace: true }
+    ]);
+  });
+});
+
+describe('email previews', () => {
+  it('keeps one row per template, language and version', async () => {
+    const keys = (await loadMigrationTemplates()).map(row => `${row.template_name} ${row.language} v${row.version}`);
+
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(keys).toContain('welcome_email en v2');
+  });
+
+  it('renders every fixture', async () => {
+    const { previews, failed } = await renderPreviews();
+
+    expect(previews.filter(preview => preview.error)).toEqual([]);
+    expect(failed).toBe(0);
+    expect(previews.map(preview => preview.fixture)).toEqual(EMAIL_FIXTURES.map(fixture => fixture.name));
+  });
+
+  it.each(EMAIL_FIXTURES.map(fixture => fixture.name))('%s', async (name) => {
+    const { previews: [preview] } = await renderPreviews({ fixtures: [name] });
+
+    expect(preview.messages).toMatchSnapshot();
+  });
+
+  it('renders template rows passed in instead of the migrations', async () => {
+    const { previews: [preview] } = await renderPreviews({
+      fixtures: ['test'],
+      templates: [{ template_name: 'test_email', subject: 'Draft', html_content: '<p>Draft sent at {{sent_at}}</p>' }]
+    });
+
+    expect(preview.messages[0]).toMatchObject({ subject: 'Draft', version: 1, language: 'en' });
+    expect(preview.messages[0].html).toBe('<p>Draft sent at 2025-10-14T09:30:00.000Z</p>');
+  });
+});
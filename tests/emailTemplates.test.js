@@ -0,0 +1,82 @@
+// Transactional emails render from the newest active `email_templates`
+// version, escaping variables unless a template asks for raw HTML
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { TemplateError, renderTemplate, renderEmail } = require('../netlify/functions/utils/emailTemplates.js');
+
+const template = (version, isActive, subject) => ({
+  template_name: 'order_confirmation',
+  language: 'en',
+  version,
+  is_active: isActive,
+  subject,
+  html_content: '<p>Hi {{client.name}},</p>{{#each items}}<li>{{@index}}: {{name}}</li>{{/each}}'
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      email_templates: [
+        template(1, true, 'Order {{number}}'),
+        template(2, true, 'Your order {{number}} &amp; more'),
+        template(3, false, 'Draft {{number}}')
+      ]
+    }
+  });
+});
+
+describe('renderTemplate', () => {
+  it('escapes variables unless they are triple-braced', () => {
+    const values = { name: '<b>Asha</b> & co', html: '<b>ok</b>' };
+
+    expect(renderTemplate('{{name}} {{{html}}}', values)).toBe('&lt;b&gt;Asha&lt;/b&gt; &amp; co <b>ok</b>');
+    expect(renderTemplate('{{name}}', values, { escape: false })).toBe('<b>Asha</b> & co');
+  });
+
+  it('renders conditionals and loops, with loop items shadowing outer values', () => {
+    const source = '{{#if paid}}Paid{{else}}Due{{/if}}:{{#each items}} {{name}}/{{label}}{{/each}}';
+
+    expect(renderTemplate(source, { paid: false, label: 'x', items: [{ name: 'a', label: 'y' }, { name: 'b' }] }))
+      .toBe('Due: a/y b/x');
+    expect(renderTemplate('{{#if items}}some{{else}}none{{/if}}', { items: [] })).toBe('none');
+  });
+
+  it('fails on missing or empty variables and unbalanced blocks', () => {
+    expect(() => renderTemplate('{{client.name}}', { client: {} })).toThrow('Missing template variable "client.name"');
+    expect(() => renderTemplate('{{note}}', { note: null })).toThrow('Template variable "note" is empty');
+    expect(() => renderTemplate('{{#if a}}x', { a: true })).toThrow(TemplateError);
+    expect(() => renderTemplate('{{/each}}', {})).toThrow('Unexpected {{/each}}');
+  });
+});
+
+describe('renderEmail', () => {
+  it('uses the newest active version', async () => {
+    const email = await renderEmail('order_confirmation', {
+      number: 'ORD-1',
+      client: { name: 'Asha & co' },
+      items: [{ name: 'Migration' }]
+    });
+
+    expect(email).toEqual({
+      subject: 'Your order ORD-1 &amp; more',
+      html: '<p>Hi Asha &amp; co,</p><li>0: Migration</li>',
+      text: 'Hi Asha & co,\n\n- 0: Migration',
+      template: 'order_confirmation',
+      version: 2,
+      language: 'en'
+    });
+  });
+
+  it('fails when no version is active', async () => {
+    await expect(renderEmail('welcome', {})).rejects.toThrow('No active email template named welcome');
+  });
+});
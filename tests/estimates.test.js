@@ -0,0 +1,124 @@
+// Clients see their priced Zoho estimates and accept or decline them; an
+// accepted estimate becomes one order with one invoice
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+Object.assign(process.env, {
+  ZOHO_CLIENT_ID: 'client-id',
+  ZOHO_CLIENT_SECRET: 'client-secret',
+  ZOHO_REFRESH_TOKEN: 'refresh-token',
+  ZOHO_ORGANIZATION_ID: '60000000001',
+  GST_HOME_STATE: 'KA',
+  ZOHO_TAX_ID_GST: 'tax-gst',
+  ZOHO_TAX_ID_IGST: 'tax-igst'
+});
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { handler } = require('../netlify/functions/zohoIntegration.js');
+
+const USERS = {
+  asha: { id: 'c-1', email: 'asha@acme.test' },
+  ben: { id: 'c-2', email: 'ben@acme.test' }
+};
+
+const call = async (token, body) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const estimate = (id, fields = {}) => ({
+  estimate_id: id,
+  estimate_number: `EST-${id}`,
+  customer_id: '501',
+  status: 'sent',
+  total: 450,
+  currency_code: 'INR',
+  line_items: [{ name: 'Brand refresh', rate: 450, quantity: 1 }],
+  ...fields
+});
+
+let estimates;
+let invoices;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      clients: [
+        { id: 'c-1', email: 'asha@acme.test', zoho_customer_id: '501' },
+        { id: 'c-2', email: 'ben@acme.test', zoho_customer_id: '502' }
+      ],
+      orders: [],
+      exchange_rates: [{ base_currency: 'USD', target_currency: 'INR', rate: 90 }]
+    },
+    unique: { orders: ['zoho_estimate_id'] }
+  });
+  database.auth = {
+    getUser: async (token) => (USERS[token] ? { data: { user: USERS[token] }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+
+  estimates = [estimate('301'), estimate('302', { status: 'draft' }), estimate('303', { total: 0 })];
+  invoices = [];
+  vi.spyOn(zoho, 'listAll').mockImplementation(async () => estimates);
+  vi.spyOn(zoho, 'get').mockImplementation(async (path, options) => {
+    if (path === '/invoices') return { invoices: invoices.filter(inv => inv.reference_number === options.params.reference_number) };
+    if (path.startsWith('/invoices/')) return { invoice: invoices.find(inv => path.endsWith(inv.invoice_id)) };
+    return { estimate: estimates.find(est => path.endsWith(est.estimate_id)) };
+  });
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => {
+    if (path !== '/invoices') return {};
+    const invoice = { invoice_id: `10${invoices.length + 1}`, invoice_number: 'INV-000001', status: 'sent', ...body, total: 450 };
+    invoices.push(invoice);
+    return { invoice };
+  });
+});
+
+const invoicePosts = () => zoho.post.mock.calls.filter(([path]) => path === '/invoices');
+
+describe('estimates', () => {
+  it('lists only sent, priced estimates', async () => {
+    const response = await call('asha', { action: 'list_estimates' });
+
+    expect(response.body.estimates.map(est => est.estimate_id)).toEqual(['301']);
+    expect(zoho.listAll).toHaveBeenCalledWith('/estimates', 'estimates', { params: { customer_id: '501' } });
+  });
+
+  it('accepts an estimate into one order and one invoice', async () => {
+    const first = await call('asha', { action: 'accept_estimate', estimateId: '301' });
+    estimates[0].status = 'accepted';
+    const second = await call('asha', { action: 'accept_estimate', estimateId: '301' });
+
+    expect(first).toMatchObject({ statusCode: 200, body: { estimate: { status: 'accepted' }, replayed: false } });
+    expect(second.body).toMatchObject({ order: { id: first.body.order.id }, invoice: { invoice_id: first.body.invoice.invoice_id } });
+    expect(zoho.post).toHaveBeenCalledWith('/estimates/301/status/accepted');
+    expect(invoicePosts()).toHaveLength(1);
+    expect(invoicePosts()[0][1]).toMatchObject({ customer_id: '501', currency_code: 'INR', reference_number: first.body.order.id });
+    expect(database.db.orders).toHaveLength(1);
+    expect(database.db.orders[0]).toMatchObject({ client_id: 'c-1', currency: 'INR', amount_inr: 450, amount_usd: 5, package_type: 'custom' });
+  });
+
+  it('keeps other clients\' and unpriced estimates out of reach', async () => {
+    expect((await call('ben', { action: 'accept_estimate', estimateId: '301' })).statusCode).toBe(403);
+    expect((await call('asha', { action: 'accept_estimate', estimateId: '302' })).statusCode).toBe(404);
+    expect((await call('asha', { action: 'accept_estimate', estimateId: '303' })).statusCode).toBe(409);
+    expect(database.db.orders).toHaveLength(0);
+  });
+
+  it('declines a sent estimate', async () => {
+    const response = await call('asha', { action: 'decline_estimate', estimateId: '301' });
+
+    expect(response.body.estimate.status).toBe('declined');
+    expect(zoho.post).toHaveBeenCalledWith('/estimates/301/status/declined');
+  });
+});
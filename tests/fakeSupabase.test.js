@@ -0,0 +1,75 @@
+// The in-memory Supabase the function tests run against behaves like the
+// query builder calls they rely on
+import { describe, expect, it } from 'vitest';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+describe('createFakeSupabase', () => {
+  it('filters, orders and limits selects', async () => {
+    const { from } = createFakeSupabase({
+      tables: {
+        orders: [
+          { id: 'o-1', status: 'paid', amount: 30 },
+          { id: 'o-2', status: 'pending', amount: 10 },
+          { id: 'o-3', status: 'pending', amount: 20 }
+        ]
+      }
+    });
+
+    const { data } = await from('orders').select('*').eq('status', 'pending').order('amount', { ascending: false }).limit(1);
+
+    expect(data).toEqual([{ id: 'o-3', status: 'pending', amount: 20 }]);
+  });
+
+  it('matches or() lists with and() groups', async () => {
+    const { from } = createFakeSupabase({
+      tables: {
+        emails: [
+          { id: 'e-1', status: 'queued', attempts: 1 },
+          { id: 'e-2', status: 'sending', attempts: 1 },
+          { id: 'e-3', status: 'sending', attempts: 5 }
+        ]
+      }
+    });
+
+    const { data } = await from('emails').select('id').or('status.eq.queued,and(status.eq.sending,attempts.gt.3)');
+
+    expect(data.map(row => row.id)).toEqual(['e-1', 'e-3']);
+  });
+
+  it('rejects duplicates of unique columns with 23505', async () => {
+    const { db, from } = createFakeSupabase({ unique: { payments: ['zoho_payment_id'] } });
+
+    await from('payments').insert({ zoho_payment_id: 'pay-1' });
+    const { error } = await from('payments').insert({ zoho_payment_id: 'pay-1' });
+
+    expect(error.code).toBe('23505');
+    expect(db.payments).toHaveLength(1);
+  });
+
+  it('upserts on the conflict columns and returns written rows', async () => {
+    const { db, from } = createFakeSupabase({ tables: { settings: [{ id: 's-1', key: 'a', value: 1 }] } });
+
+    const { data } = await from('settings').upsert({ key: 'a', value: 2 }, { onConflict: 'key' }).select().single();
+
+    expect(data).toMatchObject({ id: 's-1', value: 2 });
+    expect(db.settings).toHaveLength(1);
+  });
+
+  it('embeds the row a foreign key points at', async () => {
+    const { from } = createFakeSupabase({
+      tables: {
+        clients: [{ id: 'c-1', name: 'Asha Rao' }],
+        services: [{ id: 's-1', name: 'Migration' }],
+        orders: [{ id: 'o-1', client_id: 'c-1', service_id: 's-1' }],
+        invoices: [{ id: 'i-1', order_id: 'o-1' }]
+      }
+    });
+
+    const { data } = await from('orders').select('*, clients(name)').eq('id', 'o-1').maybeSingle();
+    const { data: invoice } = await from('invoices').select('*, orders(*, services(name))').maybeSingle();
+
+    expect(data.clients).toMatchObject({ name: 'Asha Rao' });
+    expect(invoice.orders.services).toMatchObject({ name: 'Migration' });
+    expect(invoice).not.toHaveProperty('services');
+  });
+});
@@ -0,0 +1,229 @@
+// In-memory stand-in for the service-role Supabase client, covering the
+// query builder calls the functions make. Tables are plain arrays; unique
+// columns reject duplicates with Postgres' 23505 the way the migrations do,
+// and `rel(...)` in a select embeds the row that `<rel minus s>_id`
+// points at, nested embeds included. useFakeSupabase() makes
+// netlify/functions/utils/supabase.js hand it out.
+import { createRequire } from 'node:module';
+import { randomUUID } from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const compare = (a, b) => (a === b ? 0 : a === null || a === undefined ? 1 : b === null || b === undefined ? -1 : a < b ? -1 : 1);
+
+// `clients(name, email)` and `orders(*, services(name))` from a select
+// string, each with the columns selected inside it
+const embeddedTables = (columns) => {
+  const found = [];
+  const source = String(columns || '');
+  let depth = 0;
+  let start = null;
+  let name = null;
+  for (const [index, char] of [...source].entries()) {
+    if (char === '(') {
+      if (depth === 0) {
+        name = source.slice(0, index).match(/(\w+)\s*$/)[1];
+        start = index + 1;
+      }
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) found.push({ relation: name, columns: source.slice(start, index) });
+    }
+  }
+  return found;
+};
+
+export const createFakeSupabase = ({ tables = {}, unique = {} } = {}) => {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, clone(rows)]));
+  const rowsOf = (table) => (db[table] ||= []);
+
+  const conflict = (table, row, ignore) => (unique[table] || []).find(column => {
+    const columns = [].concat(column);
+    return columns.every(name => row[name] !== null && row[name] !== undefined) &&
+      rowsOf(table).some(other => other !== ignore && columns.every(name => other[name] === row[name]));
+  });
+
+  const embed = (row, columns) => {
+    const result = { ...row };
+    for (const { relation, columns: inner } of embeddedTables(columns)) {
+      const key = `${relation.replace(/s$/, '')}_id`;
+      const target = row[key] ? rowsOf(relation).find(other => other.id === row[key]) : null;
+      result[relation] = target ? embed(clone(target), inner) : null;
+    }
+    return result;
+  };
+
+  const from = (table) => {
+    const filters = [];
+    const orders = [];
+    let operation = 'select';
+    let payload = null;
+    let options = {};
+    let columns = '*';
+    let returning = false;
+    let limit = null;
+
+    const builder = {
+      select(selected = '*') {
+        if (operation === 'select') columns = selected;
+        else returning = true;
+        return builder;
+      },
+      insert(rows) { operation = 'insert'; payload = [].concat(rows); return builder; },
+      upsert(rows, upsertOptions = {}) { operation = 'upsert'; payload = [].concat(rows); options = upsertOptions; return builder; },
+      update(fields) { operation = 'update'; payload = fields; return builder; },
+      delete() { operation = 'delete'; return builder; },
+      eq(column, value) { filters.push(row => row[column] === value); return builder; },
+      neq(column, value) { filters.push(row => row[column] !== value); return builder; },
+      in(column, values) { filters.push(row => values.includes(row[column])); return builder; },
+      is(column, value) { filters.push(row => (row[column] ?? null) === value); return builder; },
+      not(column, operator, value) {
+        if (operator === 'in') {
+          // PostgREST's `(a,b)` list
+          const values = String(value).replace(/^\(|\)$/g, '').split(',');
+          filters.push(row => !values.includes(String(row[column])));
+        } else if (operator === 'is') {
+          filters.push(row => (row[column] ?? null) !== value);
+        } else {
+          throw new Error(`not(${operator}) is not faked`);
+        }
+        return builder;
+      },
+      gt(column, value) { filters.push(row => row[column] > value); return builder; },
+      gte(column, value) { filters.push(row => row[column] >= value); return builder; },
+      lt(column, value) { filters.push(row => row[column] < value); return builder; },
+      lte(column, value) { filters.push(row => row[column] <= value); return builder; },
+      or(expression) {
+        // Lists of simple checks like `column.is.null,column.lt.value`, and
+        // `and(...)` groups of them
+        const split = (list) => {
+          const parts = [];
+          let depth = 0;
+          let start = 0;
+          [...list].forEach((char, index) => {
+            if (char === '(') depth += 1;
+            if (char === ')') depth -= 1;
+            if (char === ',' && depth === 0) {
+              parts.push(list.slice(start, index));
+              start = index + 1;
+            }
+          });
+          return [...parts, list.slice(start)];
+        };
+        const check = (part) => {
+          const group = part.match(/^and\((.*)\)$/);
+          if (group) {
+            const checks = split(group[1]).map(check);
+            return row => checks.every(test => test(row));
+          }
+          const [column, operator, ...rest] = part.split('.');
+          const value = rest.join('.');
+          const tests = {
+            is: row => (row[column] ?? null) === (value === 'null' ? null : value),
+            eq: row => String(row[column]) === value,
+            lt: row => row[column] !== null && row[column] !== undefined && row[column] < value,
+            lte: row => row[column] !== null && row[column] !== undefined && row[column] <= value,
+            gt: row => row[column] !== null && row[column] !== undefined && row[column] > value
+          };
+          if (!tests[operator]) throw new Error(`or(${part}) is not faked`);
+          return tests[operator];
+        };
+        const checks = split(expression).map(check);
+        filters.push(row => checks.some(test => test(row)));
+        return builder;
+      },
+      order(column, { ascending = true, nullsFirst = !ascending } = {}) { orders.push({ column, ascending, nullsFirst }); return builder; },
+      limit(count) { limit = count; return builder; },
+
+      run() {
+        const rows = rowsOf(table);
+        const matching = rows.filter(row => filters.every(filter => filter(row)));
+
+        if (operation === 'insert' || operation === 'upsert') {
+          const written = [];
+          for (const fields of payload) {
+            const now = new Date().toISOString();
+            const row = { id: randomUUID(), created_at: now, updated_at: now, ...fields };
+            if (operation === 'upsert') {
+              const keys = String(options.onConflict || 'id').split(',');
+              const existing = rows.find(other => keys.every(key => other[key] === row[key]));
+              if (existing) {
+                Object.assign(existing, fields);
+                written.push(existing);
+                continue;
+              }
+            }
+            if (conflict(table, row)) {
+              return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+            }
+            rows.push(row);
+            written.push(row);
+          }
+          return { data: returning ? clone(written) : null, error: null };
+        }
+
+        if (operation === 'update') {
+          for (const row of matching) {
+            if (conflict(table, { ...row, ...payload }, row)) {
+              return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+            }
+          }
+          matching.forEach(row => Object.assign(row, payload));
+          return { data: returning ? clone(matching) : null, error: null };
+        }
+
+        if (operation === 'delete') {
+          db[table] = rows.filter(row => !matching.includes(row));
+          return { data: returning ? clone(matching) : null, error: null };
+        }
+
+        let result = [...matching];
+        for (const { column, ascending, nullsFirst } of [...orders].reverse()) {
+          const isNull = (row) => row[column] === null || row[column] === undefined;
+          result.sort((a, b) => (isNull(a) !== isNull(b)
+            ? (isNull(a) === nullsFirst ? -1 : 1)
+            : (ascending ? 1 : -1) * compare(a[column], b[column])));
+        }
+        if (limit !== null) result = result.slice(0, limit);
+        return { data: result.map(row => embed(clone(row), columns)), error: null };
+      },
+
+      single() {
+        const { data, error } = builder.run();
+        if (error) return Promise.resolve({ data: null, error });
+        const rows = [].concat(data || []);
+        return Promise.resolve(rows.length === 1
+          ? { data: rows[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${rows.length}` } });
+      },
+      maybeSingle() {
+        const { data, error } = builder.run();
+        return Promise.resolve({ data: error ? null : [].concat(data || [])[0] || null, error });
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(() => builder.run()).then(resolve, reject);
+      }
+    };
+    return builder;
+  };
+
+  return { db, from };
+};
+
+/**
+ * Make getSupabaseAdmin() return `client`, or what `client()` returns at the
+ * time of the call when it is a function. Call it before requiring the
+ * modules under test.
+ */
+export const useFakeSupabase = (client) => {
+  const path = require.resolve('../../netlify/functions/utils/supabase');
+  require.cache[path] = {
+    id: path,
+    filename: path,
+    loaded: true,
+    exports: { getSupabaseAdmin: () => (typeof client === 'function' ? client() : client) }
+  };
+};
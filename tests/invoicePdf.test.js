@@ -0,0 +1,138 @@
+// Invoices render to a PDF with a receipt page once paid; clients download
+// their own and payment confirmations carry one
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { handler } = require('../netlify/functions/invoicePdf.js');
+const { loadInvoiceDocument } = require('../netlify/functions/utils/invoicePdf.js');
+const { processOutbox } = require('../netlify/functions/utils/emailOutbox.js');
+const { processWebhookEvent } = require('../netlify/functions/utils/webhookProcessor.js');
+
+const USERS = {
+  asha: { id: 'c-1', email: 'asha@acme.test' },
+  ravi: { id: 'c-2', email: 'ravi@acme.test' },
+  staff: { id: 'a-1', email: 'staff@studio.test', app_metadata: { role: 'admin' } }
+};
+
+const download = (token, invoiceId = 'i-1') => handler({
+  httpMethod: 'GET',
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  queryStringParameters: { invoiceId }
+}, {});
+
+// Page objects are not compressed, so they can be counted in the raw file
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      clients: [{ id: 'c-1', name: 'Asha Rao', email: 'asha@acme.test', company: 'Acme Ltd', country_code: 'IN', gstin: null }],
+      services: [{ id: 's-1', name: 'Migration' }],
+      orders: [{ id: 'o-1', client_id: 'c-1', service_id: 's-1', status: 'partially_paid', currency: 'INR', amount_inr: 100, tax_amount: 18, zoho_invoice_id: 'inv-1', tax_treatment: 'intra_state' }],
+      invoices: [{
+        id: 'i-1',
+        order_id: 'o-1',
+        client_id: 'c-1',
+        invoice_number: 'INV/000101',
+        status: 'partially_paid',
+        currency: 'INR',
+        total_amount: 118,
+        tax_amount: 18,
+        amount_paid: 50,
+        balance: null,
+        created_at: '2025-10-11T10:00:00Z',
+        tax_breakdown: [{ name: 'CGST', rate: 9, amount: 9 }, { name: 'SGST', rate: 9, amount: 9 }]
+      }],
+      payments: [{ order_id: 'o-1', amount: 50, currency: 'INR', payment_method: 'upi', payment_date: '2025-10-11', zoho_payment_id: 'pay-1' }]
+    }
+  });
+  database.auth = {
+    getUser: async (token) => (USERS[token] ? { data: { user: USERS[token] }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+});
+
+describe('loadInvoiceDocument', () => {
+  it('falls back to the ordered service when no Zoho lines were stored', async () => {
+    const invoice = await loadInvoiceDocument({ orderId: 'o-1' });
+
+    expect(invoice).toMatchObject({
+      number: 'INV/000101',
+      currency: 'INR',
+      subtotal: 100,
+      total: 118,
+      balance: 68,
+      lineItems: [{ name: 'Migration', quantity: 1, rate: 100, total: 100 }],
+      payments: [expect.objectContaining({ zoho_payment_id: 'pay-1' })]
+    });
+    await expect(loadInvoiceDocument({ invoiceId: 'i-9' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('invoicePdf', () => {
+  it('serves a client their own invoice with a receipt page', async () => {
+    const response = await download('asha');
+    const pdf = Buffer.from(response.body, 'base64');
+
+    expect(response).toMatchObject({ statusCode: 200, isBase64Encoded: true });
+    expect(response.headers['Content-Disposition']).toBe('attachment; filename="Invoice-INV_000101.pdf"');
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount(pdf)).toBe(2);
+  });
+
+  it('leaves out the receipt before anything is paid', async () => {
+    database.db.payments = [];
+
+    const response = await download('staff');
+
+    expect(pageCount(Buffer.from(response.body, 'base64'))).toBe(1);
+  });
+
+  it('hides other clients\' invoices and needs a sign-in', async () => {
+    expect((await download('ravi')).statusCode).toBe(404);
+    expect((await download(null)).statusCode).toBe(401);
+  });
+});
+
+describe('payment confirmation', () => {
+  it('stores the Zoho lines and attaches the PDF when the email is sent', async () => {
+    database.db.invoices = [];
+    database.db.payments = [];
+    database.db.email_templates = [{
+      template_name: 'payment_confirmation',
+      language: 'en',
+      version: 1,
+      is_active: true,
+      subject: 'Payment received',
+      html_content: '<p>{{amount}}</p>'
+    }];
+
+    await processWebhookEvent({
+      event_type: 'invoice_payment_received',
+      data: {
+        invoice_id: 'inv-1',
+        invoice_number: 'INV-000101',
+        payment_id: 'pay-2',
+        amount: 118,
+        total: 118,
+        currency_code: 'INR',
+        payment_mode: 'upi',
+        line_items: [{ name: 'Migration', description: 'Standard', quantity: 1, rate: 100, item_total: 100 }]
+      }
+    });
+    database.db.email_outbox[0].next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    const sendMail = vi.fn(async () => ({}));
+    await processOutbox({ sendMail });
+
+    expect(database.db.invoices[0].line_items).toEqual([{ name: 'Migration', description: 'Standard', quantity: 1, rate: 100, item_total: 100 }]);
+    expect(database.db.email_outbox[0].attachments).toEqual([{ type: 'invoice', orderId: 'o-1' }]);
+    expect(sendMail.mock.calls[0][0].attachments).toEqual([{ filename: 'Invoice-INV-000101.pdf', content: expect.any(Buffer), contentType: 'application/pdf' }]);
+  });
+});
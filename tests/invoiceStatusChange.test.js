@@ -0,0 +1,78 @@
+// Zoho's invoice status reaches the order only through the payment ledger
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { processWebhookEvent } = require('../netlify/functions/utils/webhookProcessor.js');
+
+const INVOICE = {
+  invoice_id: 'inv-1',
+  invoice_number: 'INV-000101',
+  total: 100,
+  balance: 0,
+  currency_code: 'USD',
+  status: 'paid'
+};
+
+const statusChanged = (status) => processWebhookEvent({
+  event_type: 'invoice_status_changed',
+  data: { invoice_id: 'inv-1', invoice_number: 'INV-000101', status }
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      orders: [{ id: 'o-1', client_id: 'c-1', status: 'pending', currency: 'USD', amount_usd: 100, tax_amount: 0, amount_paid: 0, zoho_invoice_id: 'inv-1' }]
+    },
+    unique: { payments: ['zoho_payment_id'] }
+  });
+});
+
+const order = () => database.db.orders[0];
+
+describe('invoice_status_changed', () => {
+  it('records the payments of a paid invoice and takes the status from them', async () => {
+    vi.spyOn(zoho, 'get').mockResolvedValue({
+      invoice: { ...INVOICE, payments: [{ payment_id: 'pay-1', amount: 100, payment_mode: 'card', date: '2025-10-20' }] }
+    });
+
+    await statusChanged('paid');
+    await statusChanged('paid');
+
+    expect(order()).toMatchObject({ status: 'paid', amount_paid: 100 });
+    expect(database.db.payments).toHaveLength(1);
+    expect(database.db.payments[0]).toMatchObject({ zoho_payment_id: 'pay-1', amount: 100 });
+  });
+
+  it('leaves the order alone when the paid invoice lists no payments', async () => {
+    vi.spyOn(zoho, 'get').mockResolvedValue({ invoice: { ...INVOICE, payments: [] } });
+
+    await statusChanged('paid');
+
+    expect(order()).toMatchObject({ status: 'pending', amount_paid: 0 });
+    expect(database.db.payments || []).toHaveLength(0);
+  });
+
+  it('does not touch the order for other statuses', async () => {
+    vi.spyOn(zoho, 'get');
+
+    await statusChanged('overdue');
+
+    expect(order().status).toBe('pending');
+    expect(zoho.get).not.toHaveBeenCalled();
+  });
+
+  it('cancels the order of a voided invoice', async () => {
+    await statusChanged('void');
+
+    expect(order().status).toBe('cancelled');
+  });
+});
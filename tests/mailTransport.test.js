@@ -0,0 +1,127 @@
+// All mail goes through one transport chosen by MAIL_TRANSPORT: SMTP with
+// strict TLS, .eml files, or memory for tests and local runs
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const nodemailer = require('nodemailer');
+const {
+  getMailTransport,
+  verifyMailTransport,
+  getCapturedMail,
+  clearCapturedMail,
+  resetMailTransport
+} = require('../netlify/functions/utils/mailTransport.js');
+const { handler: runOutboxWorker } = require('../netlify/functions/emailOutboxWorker.js');
+
+const MESSAGE = { from: 'contact@mechinweb.com', to: 'asha@acme.test', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi' };
+
+const useTransport = (env) => {
+  for (const [name, value] of Object.entries({ MAIL_TRANSPORT: 'smtp', EMAIL_USER: 'contact@mechinweb.com', EMAIL_PASSWORD: 'app-password', ...env })) {
+    vi.stubEnv(name, value);
+  }
+  resetMailTransport();
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  clearCapturedMail();
+  database = createFakeSupabase();
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  resetMailTransport();
+});
+
+describe('smtp transport', () => {
+  it('checks certificates and requires STARTTLS unless told otherwise', () => {
+    const createTransport = vi.spyOn(nodemailer, 'createTransport');
+
+    useTransport({ SMTP_HOST: 'smtp.example.test', SMTP_PORT: '587' });
+    getMailTransport();
+    useTransport({ SMTP_PORT: '465', SMTP_ALLOW_INVALID_CERTS: 'true' });
+    getMailTransport();
+
+    expect(createTransport.mock.calls[0][0]).toMatchObject({
+      host: 'smtp.example.test',
+      port: 587,
+      secure: false,
+      requireTLS: true,
+      tls: { rejectUnauthorized: true }
+    });
+    expect(createTransport.mock.calls[1][0]).toMatchObject({ port: 465, secure: true, requireTLS: false, tls: { rejectUnauthorized: false } });
+  });
+
+  it('needs credentials and a known transport name', () => {
+    useTransport({ EMAIL_PASSWORD: '' });
+    expect(() => getMailTransport()).toThrow('Email credentials not configured');
+
+    useTransport({ MAIL_TRANSPORT: 'pigeon' });
+    expect(() => getMailTransport()).toThrow('Unknown MAIL_TRANSPORT pigeon');
+  });
+
+  it('verifies once, and again after a failed check', async () => {
+    const verify = vi.fn()
+      .mockRejectedValueOnce(new Error('Connection refused'))
+      .mockResolvedValue(true);
+    vi.spyOn(nodemailer, 'createTransport').mockReturnValue({ verify, sendMail: vi.fn() });
+    useTransport();
+
+    await expect(verifyMailTransport()).rejects.toThrow('Email configuration invalid: Connection refused');
+    await verifyMailTransport();
+    await verifyMailTransport();
+
+    expect(verify).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('file transport', () => {
+  let directory;
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes each message as an .eml file', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'mail-'));
+    useTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: join(directory, 'out') });
+
+    await verifyMailTransport();
+    const info = await getMailTransport().sendMail(MESSAGE);
+
+    expect(await readdir(join(directory, 'out'))).toHaveLength(1);
+    expect(await readFile(info.file, 'utf8')).toMatch(/^Subject: Hello$/m);
+  });
+});
+
+describe('memory transport', () => {
+  it('captures what the outbox worker sends, without SMTP credentials', async () => {
+    useTransport({ MAIL_TRANSPORT: 'memory', EMAIL_USER: '', EMAIL_PASSWORD: '' });
+    database.db.email_outbox = [{
+      id: 'e-1',
+      recipient: 'asha@acme.test',
+      subject: 'Hello',
+      html_content: '<p>Hi</p>',
+      text_content: 'Hi',
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() - 1000).toISOString()
+    }];
+
+    const response = await runOutboxWorker({}, {});
+
+    expect(JSON.parse(response.body)).toMatchObject({ success: true, sent: 1 });
+    expect(getCapturedMail()).toEqual([expect.objectContaining({ from: 'no-reply@mechinweb.com', to: 'asha@acme.test', subject: 'Hello', text: 'Hi' })]);
+    expect(database.db.email_outbox[0].status).toBe('sent');
+  });
+});
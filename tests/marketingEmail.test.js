@@ -0,0 +1,105 @@
+// Marketing email always carries its unsubscribe link, and emails sent
+// through the sendEmail function are linked to the signed-in client but
+// never to someone else's conversation
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+process.env.UNSUBSCRIBE_SECRET = 'unsubscribe-secret';
+
+let database;
+useFakeSupabase(() => database);
+
+const { queueEmail } = require('../netlify/functions/utils/emailOutbox.js');
+const { handler } = require('../netlify/functions/sendEmail.js');
+
+const USER = { id: 'c-1', email: 'asha@acme.test', user_metadata: {}, app_metadata: {} };
+
+const template = (name, html) => ({ template_name: name, language: 'en', version: 1, is_active: true, subject: name, html_content: html });
+
+const ANNOUNCEMENT = {
+  clientName: 'Asha Rao',
+  clientEmail: 'asha@acme.test',
+  headline: 'Microsoft 365 backup is here',
+  message: 'Nightly backups for every mailbox.'
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = {
+    ...createFakeSupabase({
+      tables: {
+        email_templates: [
+          template('service_announcement', '<h1>{{headline}}</h1><p>{{message}}</p>'),
+          template('contact_form_confirmation', '<p>Thanks {{name}}</p>'),
+          template('contact_form_notification', '<p>{{name}}: {{message}}</p>'),
+          template('quote_request_confirmation', '<p>Thanks {{customer_name}}</p>'),
+          template('quote_request_notification', '<p>{{customer_name}} asked about {{service_type}}</p>')
+        ],
+        user_preferences: [{ user_id: 'c-1', communication_preferences: { marketing: { email: true, in_app: true } } }]
+      }
+    }),
+    auth: { getUser: async () => ({ data: { user: USER }, error: null }) }
+  };
+});
+
+const send = (body, headers = { authorization: 'Bearer token' }) => handler({
+  httpMethod: 'POST',
+  headers,
+  body: JSON.stringify(body)
+}, {});
+
+describe('marketing email', () => {
+  it('carries a List-Unsubscribe link', async () => {
+    await queueEmail('service_announcement', ANNOUNCEMENT, { clientId: 'c-1' });
+
+    const [email] = database.db.email_outbox;
+    expect(email).toMatchObject({ email_type: 'service_announcement', client_id: 'c-1', recipient: 'asha@acme.test' });
+    expect(email.headers['List-Unsubscribe']).toMatch(/^<.+>$/);
+    expect(email.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+  });
+
+  it('is not queued without the client it goes to', async () => {
+    await expect(queueEmail('service_announcement', ANNOUNCEMENT)).rejects.toThrow('Marketing email can only be sent to a client');
+    expect(database.db.email_outbox || []).toHaveLength(0);
+  });
+
+  it('is not queued for a client who has not turned it on', async () => {
+    database.db.user_preferences = [];
+
+    expect(await queueEmail('service_announcement', ANNOUNCEMENT, { clientId: 'c-1' })).toEqual([]);
+  });
+
+  it('cannot be sent through the sendEmail function', async () => {
+    const response = await send({ type: 'service_announcement', data: ANNOUNCEMENT });
+
+    expect(response.statusCode).toBe(500);
+    expect(database.db.email_outbox || []).toHaveLength(0);
+  });
+});
+
+describe('sendEmail', () => {
+  it('links the emails of a signed-in client to them', async () => {
+    const response = await send({ type: 'contact_form', data: { name: 'Asha Rao', email: 'asha@acme.test', subject: 'Hi', message: 'Hello' } });
+
+    expect(response.statusCode).toBe(200);
+    expect(database.db.email_outbox.map(email => email.client_id)).toEqual(['c-1', 'c-1']);
+  });
+
+  it('does not thread a quote request on an estimate number sent by the browser', async () => {
+    vi.stubEnv('INBOUND_REPLY_ADDRESS', 'replies@mechinweb.com');
+    database.db.conversations = [{ id: 'conv-1', reply_token: 'a'.repeat(24), quote_reference: 'EST-000042', client_id: 'c-2' }];
+
+    const response = await send({
+      type: 'quote_request',
+      data: { customer_name: 'Asha Rao', customer_email: 'asha@acme.test', service_type: 'Migration', estimate_number: 'EST-000042' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(database.db.email_outbox.map(email => [email.conversation_id, email.reply_to])).toEqual([[null, null], [null, null]]);
+  });
+});
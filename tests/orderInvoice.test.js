@@ -0,0 +1,111 @@
+// An order gets at most one Zoho invoice, however often the request is sent
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+Object.assign(process.env, {
+  ZOHO_CLIENT_ID: 'client-id',
+  ZOHO_CLIENT_SECRET: 'client-secret',
+  ZOHO_REFRESH_TOKEN: 'refresh-token',
+  ZOHO_ORGANIZATION_ID: '60000000001',
+  GST_HOME_STATE: 'KA',
+  ZOHO_TAX_ID_GST: 'tax-gst',
+  ZOHO_TAX_ID_IGST: 'tax-igst'
+});
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { handler } = require('../netlify/functions/zohoIntegration.js');
+
+const ASHA = { id: 'c-1', email: 'asha@acme.test' };
+
+const createInvoice = (orderId = 'o-1', headers = { authorization: 'Bearer asha' }) => handler({
+  httpMethod: 'POST',
+  headers,
+  body: JSON.stringify({
+    orderId,
+    customerData: { name: 'Asha Rao', email: 'asha@acme.test' },
+    serviceItems: [{ serviceName: 'Logo design', quantity: 1, unitPrice: 120, totalPrice: 120 }],
+    currency: 'USD'
+  })
+}, {});
+
+const invoiceFor = (orderId, id = 'inv-1') => ({ invoice_id: id, invoice_number: 'INV-000001', reference_number: orderId, total: 120, status: 'sent', customer_id: 'zc-1' });
+
+let zohoInvoices;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      clients: [{ id: 'c-1', email: 'asha@acme.test', zoho_customer_id: 'zc-1' }],
+      orders: [
+        { id: 'o-1', client_id: 'c-1', currency: 'USD', amount_usd: 120, zoho_invoice_id: null, invoice_requested_at: null },
+        { id: 'o-2', client_id: 'c-2', currency: 'USD', amount_usd: 120, zoho_invoice_id: null, invoice_requested_at: null }
+      ]
+    }
+  });
+  database.auth = {
+    getUser: async (token) => (token === 'asha' ? { data: { user: ASHA }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+
+  zohoInvoices = [];
+  vi.spyOn(zoho, 'get').mockImplementation(async (path, options) => {
+    if (path === '/contacts/zc-1') return { contact: { contact_id: 'zc-1', contact_name: 'Asha Rao', email: 'asha@acme.test', contact_persons: [] } };
+    if (path === '/invoices') return { invoices: zohoInvoices.filter(inv => inv.reference_number === options.params.reference_number) };
+    const invoice = zohoInvoices.find(inv => path === `/invoices/${inv.invoice_id}`);
+    return { invoice };
+  });
+  vi.spyOn(zoho, 'put').mockResolvedValue({ contact: { contact_id: 'zc-1' } });
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => {
+    if (path !== '/invoices') return { contact: { contact_id: 'zc-1' } };
+    const invoice = invoiceFor(body.reference_number, `inv-${zohoInvoices.length + 1}`);
+    zohoInvoices.push(invoice);
+    return { invoice };
+  });
+});
+
+const invoicePosts = () => zoho.post.mock.calls.filter(([path]) => path === '/invoices');
+
+describe('order invoices', () => {
+  it('creates the invoice once and replays it for repeated requests', async () => {
+    const first = JSON.parse((await createInvoice()).body);
+    const second = JSON.parse((await createInvoice()).body);
+
+    expect(first).toMatchObject({ success: true, replayed: false, invoice: { invoice_id: 'inv-1' } });
+    expect(second).toMatchObject({ success: true, replayed: true, invoice: { invoice_id: 'inv-1' } });
+    expect(invoicePosts()).toHaveLength(1);
+    expect(invoicePosts()[0][1]).toMatchObject({ reference_number: 'o-1' });
+    expect(database.db.orders[0]).toMatchObject({ zoho_invoice_id: 'inv-1', invoice_requested_at: null });
+  });
+
+  it('adopts an invoice an earlier attempt created but did not save', async () => {
+    zohoInvoices.push(invoiceFor('o-1', 'inv-lost'));
+
+    const body = JSON.parse((await createInvoice()).body);
+
+    expect(body).toMatchObject({ replayed: true, invoice: { invoice_id: 'inv-lost' } });
+    expect(invoicePosts()).toHaveLength(0);
+    expect(database.db.orders[0].zoho_invoice_id).toBe('inv-lost');
+  });
+
+  it('answers 409 while another request holds the order', async () => {
+    database.db.orders[0].invoice_requested_at = new Date().toISOString();
+
+    const response = await createInvoice();
+
+    expect(response.statusCode).toBe(409);
+    expect(invoicePosts()).toHaveLength(0);
+  });
+
+  it('rejects anonymous callers and other clients\' orders', async () => {
+    expect((await createInvoice('o-1', {})).statusCode).toBe(401);
+    expect((await createInvoice('o-2')).statusCode).toBe(403);
+    expect(invoicePosts()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,131 @@
+// Zoho payments go into the `payments` ledger once each, and the order's
+// status follows the running balance
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { derivePaymentStatus, recordOrderPayment } = require('../netlify/functions/utils/payments.js');
+const { processWebhookEvent } = require('../netlify/functions/utils/webhookProcessor.js');
+
+const payment = (paymentId, amount) => ({
+  invoice_id: 'inv-1',
+  invoice_number: 'INV-000101',
+  payment_id: paymentId,
+  amount,
+  total: 118,
+  currency_code: 'INR',
+  payment_mode: 'banktransfer',
+  payment_date: '2025-10-11'
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      orders: [{ id: 'o-1', client_id: 'c-1', service_id: 's-1', status: 'pending', currency: 'INR', amount_inr: 100, tax_amount: 18, zoho_invoice_id: 'inv-1' }],
+      clients: [{ id: 'c-1', name: 'Asha Rao', email: 'asha@acme.test' }],
+      services: [{ id: 's-1', name: 'Migration' }],
+      email_templates: [{
+        template_name: 'payment_confirmation',
+        language: 'en',
+        version: 1,
+        is_active: true,
+        subject: 'Payment for {{service_name}}',
+        html_content: '<p>{{amount}} received{{#if balance_due}}, {{balance_due}} still due{{/if}}</p>'
+      }]
+    },
+    unique: { payments: ['zoho_payment_id'], notifications: ['dedupe_key'], email_outbox: ['dedupe_key'] }
+  });
+});
+
+describe('derivePaymentStatus', () => {
+  it('compares what was paid with the total', () => {
+    expect(derivePaymentStatus(118, 0)).toBe('pending');
+    expect(derivePaymentStatus(118, 50)).toBe('partially_paid');
+    expect(derivePaymentStatus(118, 118)).toBe('paid');
+    expect(derivePaymentStatus(118, 120)).toBe('overpaid');
+  });
+});
+
+describe('recordOrderPayment', () => {
+  it('moves the order from partially paid to paid as payments arrive', async () => {
+    const first = await recordOrderPayment(payment('pay-1', 50));
+    const second = await recordOrderPayment(payment('pay-2', 68));
+
+    expect(first).toMatchObject({ status: 'partially_paid', balance: 68 });
+    expect(second).toMatchObject({ status: 'paid', balance: 0, amountPaid: 118 });
+    expect(database.db.orders[0]).toMatchObject({ status: 'paid', amount_paid: 118 });
+    expect(database.db.invoices).toEqual([expect.objectContaining({ order_id: 'o-1', status: 'paid', amount_paid: 118, balance: 0 })]);
+  });
+
+  it('records a payment id once', async () => {
+    await recordOrderPayment(payment('pay-1', 50));
+    const replay = await recordOrderPayment(payment('pay-1', 50));
+
+    expect(replay).toMatchObject({ duplicate: true, payment: { id: database.db.payments[0].id, amount: 50 }, amountPaid: 50 });
+    expect(database.db.payments).toHaveLength(1);
+  });
+
+  it('refuses a payment without a payment id', async () => {
+    await expect(recordOrderPayment(payment(undefined, 118))).rejects.toThrow('Payment on invoice inv-1 has no Zoho payment id');
+    expect(database.db.payments).toBeUndefined();
+  });
+
+  it('leaves a refunded order\'s status to the refunds', async () => {
+    database.db.orders[0].status = 'partially_refunded';
+
+    await recordOrderPayment(payment('pay-1', 118));
+
+    expect(database.db.orders[0]).toMatchObject({ status: 'partially_refunded', amount_paid: 118 });
+  });
+});
+
+describe('payment webhook', () => {
+  it('tells the client what is still due after a partial payment, and nothing on a retry', async () => {
+    const event = { event_type: 'invoice_payment_received', data: payment('pay-1', 50) };
+
+    await processWebhookEvent(event);
+    await processWebhookEvent(event);
+
+    expect(database.db.notifications).toEqual([expect.objectContaining({ title: 'Partial Payment Received' })]);
+    expect(database.db.notifications[0].message).toContain('is still due on invoice INV-000101');
+    expect(database.db.email_outbox).toEqual([expect.objectContaining({ recipient: 'asha@acme.test', text_content: '₹50.00 received, ₹68.00 still due' })]);
+  });
+
+  it('tells the client on a replay when the first attempt failed after recording the payment', async () => {
+    const event = { event_type: 'invoice_payment_received', data: payment('pay-1', 118) };
+    const [template] = database.db.email_templates.splice(0);
+
+    await expect(processWebhookEvent(event)).rejects.toThrow('No active email template named payment_confirmation');
+    expect(database.db.payments).toHaveLength(1);
+    expect(database.db.notifications).toHaveLength(1);
+
+    database.db.email_templates.push(template);
+    await processWebhookEvent(event);
+
+    expect(database.db.notifications).toEqual([expect.objectContaining({ title: 'Payment Confirmed' })]);
+    expect(database.db.email_outbox).toEqual([expect.objectContaining({ recipient: 'asha@acme.test', text_content: '₹118.00 received' })]);
+  });
+
+  it('records the invoice\'s own payments, once, for an event that names none', async () => {
+    vi.spyOn(zoho, 'get').mockResolvedValue({
+      invoice: { invoice_id: 'inv-1', total: 118, currency_code: 'INR', payments: [{ payment_id: 'pay-1', amount: 118, payment_mode: 'upi', date: '2025-10-12' }] }
+    });
+    const event = { event_type: 'invoice_payment_received', data: { invoice_id: 'inv-1', invoice_number: 'INV-000101', total: 118 } };
+
+    await processWebhookEvent(event);
+    await processWebhookEvent(event);
+
+    expect(zoho.get).toHaveBeenCalledWith('/invoices/inv-1');
+    expect(database.db.payments).toEqual([expect.objectContaining({ zoho_payment_id: 'pay-1', amount: 118, payment_method: 'upi' })]);
+    expect(database.db.orders[0]).toMatchObject({ status: 'paid', amount_paid: 118 });
+    expect(database.db.notifications).toHaveLength(1);
+  });
+});
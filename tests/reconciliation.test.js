@@ -0,0 +1,145 @@
+// The reconcileOrders job against scripts/mock-zoho-server.js and its
+// fixtures, with the orders in an in-memory database
+import { createRequire } from 'node:module';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+const PORT = 4019;
+const MOCK_URL = `http://localhost:${PORT}`;
+
+Object.assign(process.env, {
+  ZOHO_BASE_URL: MOCK_URL,
+  ZOHO_CLIENT_ID: 'client-id',
+  ZOHO_CLIENT_SECRET: 'client-secret',
+  ZOHO_REFRESH_TOKEN: 'refresh-token',
+  ZOHO_ORGANIZATION_ID: '60000000001'
+});
+
+let database;
+useFakeSupabase(() => database);
+
+const { reconcileOrders } = require('../netlify/functions/utils/reconciliation.js');
+
+// Orders for the fixture invoices INV-000101 (paid), INV-000102 (partly
+// paid) and INV-000103 (void)
+const order = (n, fields) => ({
+  id: `00000000-0000-4000-8000-000000000${n}`,
+  client_id: 'c-1',
+  status: 'pending',
+  currency: 'USD',
+  tax_amount: 0,
+  amount_paid: 0,
+  zoho_invoice_id: `4600000000120${String(n).slice(1)}`,
+  created_at: `2025-10-0${n - 100}T00:00:00.000Z`,
+  ...fields
+});
+
+const NOW = new Date('2025-10-20T00:00:00Z');
+
+let server;
+
+beforeAll(async () => {
+  server = spawn(process.execPath, [
+    fileURLToPath(new URL('../scripts/mock-zoho-server.js', import.meta.url)),
+    fileURLToPath(new URL('../scripts/fixtures/zoho-invoices.json', import.meta.url))
+  ], { env: { ...process.env, MOCK_ZOHO_PORT: String(PORT) }, stdio: ['ignore', 'pipe', 'inherit'] });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.stdout.once('data', resolve);
+  });
+});
+
+afterAll(() => {
+  server.kill();
+});
+
+beforeEach(async () => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await fetch(`${MOCK_URL}/__mock/reset`, { method: 'POST' });
+  database = createFakeSupabase({
+    tables: {
+      orders: [
+        order(101, { amount_usd: 250 }),
+        order(102, { currency: 'INR', amount_inr: 59000, status: 'partially_paid' }),
+        order(103, { amount_usd: 90 })
+      ]
+    },
+    unique: { payments: ['zoho_payment_id'] }
+  });
+});
+
+const orderById = (n) => database.db.orders.find(row => row.id === order(n).id);
+const typesOf = (report) => report.mismatches.map(entry => [entry.type, entry.invoice_number, entry.fixed]);
+
+describe('reconcileOrders', () => {
+  it('records missed payments, cancels voided orders and reports orphans', async () => {
+    const report = await reconcileOrders({ now: NOW });
+
+    expect(typesOf(report)).toEqual([
+      ['paid_in_zoho', 'INV-000101', true],
+      ['paid_in_zoho', 'INV-000102', true],
+      ['void_in_zoho', 'INV-000103', true],
+      ['orphaned_invoice', 'INV-000104', false]
+    ]);
+    expect(orderById(101)).toMatchObject({ status: 'paid', amount_paid: 250 });
+    expect(orderById(102)).toMatchObject({ status: 'partially_paid', amount_paid: 30000 });
+    expect(orderById(103).status).toBe('cancelled');
+    expect(database.db.payments.map(payment => payment.zoho_payment_id).sort())
+      .toEqual(['460000000015001', '460000000015002']);
+    expect(database.db.reconciliation_runs[0]).toMatchObject({ status: 'completed', orders_checked: 3, mismatches_fixed: 3 });
+  });
+
+  it('only reports when asked not to fix', async () => {
+    const report = await reconcileOrders({ now: NOW, fix: false });
+
+    expect(report.mismatches_found).toBe(4);
+    expect(report.mismatches_fixed).toBe(0);
+    expect(orderById(101)).toMatchObject({ status: 'pending', amount_paid: 0 });
+    expect(orderById(103).status).toBe('pending');
+    expect(database.db.payments).toBeUndefined();
+  });
+
+  it('reports a paid invoice that lists no payments instead of recording one', async () => {
+    const invoice = await (await fetch(`${MOCK_URL}/api/v3/invoices/460000000012001`, {
+      headers: { Authorization: 'Zoho-oauthtoken test' }
+    })).json();
+    await fetch(`${MOCK_URL}/__mock/invoices`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...invoice.invoice, payments: [] })
+    });
+
+    const report = await reconcileOrders({ now: NOW });
+    await reconcileOrders({ now: NOW });
+
+    expect(report.mismatches[0]).toMatchObject({ type: 'payments_not_listed', zoho_paid: 250, local_paid: 0, fixed: false });
+    expect(orderById(101)).toMatchObject({ status: 'pending', amount_paid: 0 });
+    expect(database.db.payments.some(payment => payment.order_id === order(101).id)).toBe(false);
+  });
+
+  it('takes the orders checked longest ago first', async () => {
+    // Invoices Zoho does not have, so every order stays open
+    for (const n of [101, 102, 103]) {
+      Object.assign(orderById(n), { status: 'pending', zoho_invoice_id: `missing-${n}` });
+    }
+
+    const checked = async (now) => (await reconcileOrders({ now, limit: 2, fix: false })).mismatches
+      .filter(entry => entry.type === 'missing_in_zoho')
+      .map(entry => entry.order_id);
+
+    const first = await checked(new Date('2025-10-20T00:00:00Z'));
+    const second = await checked(new Date('2025-10-20T01:00:00Z'));
+    const third = await checked(new Date('2025-10-20T02:00:00Z'));
+
+    expect(first).toEqual([order(101).id, order(102).id]);
+    expect(second).toEqual([order(103).id, order(101).id]);
+    // Ties go to the older order
+    expect(third).toEqual([order(102).id, order(101).id]);
+  });
+});
@@ -0,0 +1,141 @@
+// Staff refunds: a Zoho credit note against the order's invoice, refunded
+// straight away and recorded in `refunds`
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { issueRefund } = require('../netlify/functions/utils/refunds.js');
+
+const INVOICE = {
+  invoice_id: 'inv-1',
+  invoice_number: 'INV-000101',
+  customer_id: 'zc-1',
+  currency_code: 'INR',
+  total: 118,
+  sub_total: 100,
+  balance: 0,
+  line_items: [{ name: 'Migration', rate: 100, quantity: 1, tax_id: 'tax-gst', hsn_or_sac: '998313' }]
+};
+
+// Credit note total as Zoho computes it: the lines less any discount, with
+// 18% GST
+const grossTotal = ({ line_items: lines, discount = 0 }) =>
+  Math.round((lines.reduce((sum, line) => sum + line.rate * line.quantity, 0) - discount) * 118) / 100;
+
+const creditNotePosts = () => zoho.post.mock.calls.filter(([path]) => path === '/creditnotes');
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      orders: [{ id: 'o-1', client_id: 'c-1', status: 'paid', currency: 'INR', zoho_invoice_id: 'inv-1', description: 'Migration' }],
+      clients: [{ id: 'c-1', name: 'Asha Rao', email: 'asha@acme.test' }],
+      email_templates: [{
+        template_name: 'refund_confirmation',
+        language: 'en',
+        version: 1,
+        is_active: true,
+        subject: 'Refund {{credit_note_number}}',
+        html_content: '<p>{{#if full_refund}}Full{{else}}Partial{{/if}} refund of {{amount}}</p>'
+      }]
+    }
+  });
+  vi.spyOn(zoho, 'get').mockResolvedValue({ invoice: INVOICE });
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => (path === '/creditnotes'
+    ? { creditnote: { creditnote_id: 'cn-1', creditnote_number: 'CN-00001', total: grossTotal(body) } }
+    : { creditnote_refund: { creditnote_refund_id: 'rf-1' } }));
+});
+
+describe('issueRefund', () => {
+  it('credits the invoice lines in full and marks the order refunded', async () => {
+    const result = await issueRefund({ orderId: 'o-1', date: '2025-10-20', staffId: 'a-1' });
+
+    expect(creditNotePosts()[0][1]).toMatchObject({
+      invoice_id: 'inv-1',
+      line_items: [{ name: 'Migration', rate: 100, quantity: 1, tax_id: 'tax-gst', hsn_or_sac: '998313' }]
+    });
+    expect(zoho.post).toHaveBeenCalledWith('/creditnotes/cn-1/refunds', expect.objectContaining({ amount: 118, refund_mode: 'banktransfer' }));
+    expect(result.order).toEqual({ id: 'o-1', status: 'refunded', refunded_amount: 118 });
+    expect(database.db.refunds[0]).toMatchObject({ status: 'completed', zoho_creditnote_id: 'cn-1', refunded_by: 'a-1' });
+    expect(database.db.notifications[0]).toMatchObject({ client_id: 'c-1', title: 'Refund Issued' });
+    expect(database.db.email_outbox).toEqual([expect.objectContaining({
+      email_type: 'refund_confirmation',
+      recipient: 'asha@acme.test',
+      subject: 'Refund CN-00001',
+      text_content: 'Full refund of ₹118.00',
+      status: 'queued',
+      client_id: 'c-1',
+      order_id: 'o-1'
+    })]);
+  });
+
+  it('credits part of the payment as one pre-tax line', async () => {
+    const result = await issueRefund({ orderId: 'o-1', amount: 59, date: '2025-10-20' });
+
+    expect(creditNotePosts()[0][1].line_items).toEqual([
+      expect.objectContaining({ name: 'Partial refund', rate: 50, quantity: 1, tax_id: 'tax-gst' })
+    ]);
+    expect(result.order).toMatchObject({ status: 'partially_refunded', refunded_amount: 59 });
+
+    await expect(issueRefund({ orderId: 'o-1', amount: 60, date: '2025-10-21' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('credits a discounted invoice what was charged for it', async () => {
+    zoho.get.mockResolvedValue({ invoice: { ...INVOICE, discount: 10, is_discount_before_tax: true, total: 106.2, tax_total: 16.2 } });
+
+    const result = await issueRefund({ orderId: 'o-1', date: '2025-10-20' });
+
+    expect(creditNotePosts()[0][1]).toMatchObject({ discount: 10, is_discount_before_tax: true });
+    expect(zoho.post).toHaveBeenCalledWith('/creditnotes/cn-1/refunds', expect.objectContaining({ amount: 106.2 }));
+    expect(result.order).toEqual({ id: 'o-1', status: 'refunded', refunded_amount: 106.2 });
+  });
+
+  it('takes the pre-tax share of a partial refund after the discount', async () => {
+    zoho.get.mockResolvedValue({ invoice: { ...INVOICE, discount: 10, is_discount_before_tax: true, total: 106.2, tax_total: 16.2 } });
+
+    await issueRefund({ orderId: 'o-1', amount: 53.1, date: '2025-10-20' });
+
+    expect(creditNotePosts()[0][1]).not.toHaveProperty('discount');
+    expect(creditNotePosts()[0][1].line_items).toEqual([expect.objectContaining({ name: 'Partial refund', rate: 45 })]);
+    expect(database.db.refunds[0]).toMatchObject({ amount: 53.1, status: 'completed' });
+  });
+
+  it('marks the refund failed with the credit note when Zoho refuses the refund', async () => {
+    zoho.post.mockImplementation(async (path) => {
+      if (path === '/creditnotes') return { creditnote: { creditnote_id: 'cn-1', creditnote_number: 'CN-00001', total: 118 } };
+      throw new Error('Refund account is closed');
+    });
+
+    await expect(issueRefund({ orderId: 'o-1', date: '2025-10-20' })).rejects.toThrow('Refund account is closed');
+
+    expect(database.db.refunds[0]).toMatchObject({ status: 'failed', zoho_creditnote_id: 'cn-1', error: 'Refund account is closed' });
+    expect(database.db.orders[0].status).toBe('paid');
+  });
+
+  it('records and quotes the refund in the invoice currency', async () => {
+    // The order was priced in INR, the invoice was raised in USD
+    zoho.get.mockResolvedValue({ invoice: { ...INVOICE, currency_code: 'USD' } });
+
+    const { refund } = await issueRefund({ orderId: 'o-1', amount: 59, date: '2025-10-20' });
+
+    expect(refund.currency).toBe('USD');
+    expect(database.db.refunds[0]).toMatchObject({ amount: 59, currency: 'USD', status: 'completed' });
+    await expect(issueRefund({ orderId: 'o-1', amount: 500, date: '2025-10-21' }))
+      .rejects.toThrow('Only $59.00 of order o-1 can still be refunded');
+  });
+
+  it('only refunds paid orders', async () => {
+    database.db.orders[0].status = 'pending';
+
+    await expect(issueRefund({ orderId: 'o-1', date: '2025-10-20' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+});
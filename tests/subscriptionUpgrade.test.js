@@ -0,0 +1,162 @@
+// A tier upgrade is invoiced first and applied only once that invoice is paid
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+Object.assign(process.env, {
+  ZOHO_CLIENT_ID: 'client-id',
+  ZOHO_CLIENT_SECRET: 'client-secret',
+  ZOHO_REFRESH_TOKEN: 'refresh-token',
+  ZOHO_ORGANIZATION_ID: '60000000001',
+  GST_HOME_STATE: 'KA',
+  ZOHO_TAX_ID_GST: '1001',
+  ZOHO_TAX_ID_IGST: '1002',
+  ZOHO_TAX_EXEMPTION_ID_EXPORT: '1003'
+});
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { handler } = require('../netlify/functions/zohoIntegration.js');
+const { processWebhookEvent } = require('../netlify/functions/utils/webhookProcessor.js');
+
+const USER = { id: 'c-1', email: 'asha@acme.test', user_metadata: {}, app_metadata: {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (offset) => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+
+const plan = (packageType, price) => ({
+  id: `plan-${packageType}`,
+  service_id: 'hosting-support',
+  service_name: 'Hosting Support',
+  package_type: packageType,
+  billing_interval: 'monthly',
+  price_usd: price,
+  active: true
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = {
+    ...createFakeSupabase({
+      tables: {
+        clients: [{ id: 'c-1', name: 'Asha Rao', email: 'asha@acme.test', country_code: 'US' }],
+        subscription_plans: [plan('basic', 100), plan('standard', 200)],
+        email_templates: [{ template_name: 'payment_confirmation', language: 'en', version: 1, is_active: true, subject: 'Payment received', html_content: '<p>{{amount}}</p>' }],
+        subscriptions: [{
+          id: 'sub-1',
+          client_id: 'c-1',
+          service_id: 'hosting-support',
+          package_type: 'basic',
+          billing_interval: 'monthly',
+          currency: 'USD',
+          amount: 100,
+          status: 'active',
+          zoho_recurring_invoice_id: 'rec-1',
+          zoho_customer_id: 'zc-1',
+          current_period_start: day(-15),
+          current_period_end: day(15),
+          cancel_at_period_end: false
+        }]
+      }
+    }),
+    auth: { getUser: async () => ({ data: { user: USER }, error: null }) }
+  };
+
+  vi.spyOn(zoho, 'get').mockResolvedValue({ invoices: [] });
+  vi.spyOn(zoho, 'put').mockResolvedValue({});
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => (path === '/invoices'
+    ? { invoice: { invoice_id: 'inv-9', invoice_number: 'INV-000109', customer_id: body.customer_id, total: 50, status: 'sent' } }
+    : {}));
+});
+
+const changeTier = async (packageType) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer token' },
+    body: JSON.stringify({ action: 'change_subscription_tier', subscriptionId: 'sub-1', packageType })
+  }, {});
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const subscription = () => database.db.subscriptions[0];
+const recurringInvoiceUpdates = () => zoho.put.mock.calls.filter(([path]) => path === '/recurringinvoices/rec-1');
+
+describe('subscription upgrades', () => {
+  it('keeps the current tier until the prorated invoice is paid', async () => {
+    const { status, body } = await changeTier('standard');
+
+    expect(status).toBe(200);
+    expect(body.invoice.invoice_id).toBe('inv-9');
+    expect(subscription()).toMatchObject({ package_type: 'basic', amount: 100, pending_package_type: 'standard', pending_amount: 200 });
+    expect(subscription().pending_order_id).toBe(body.order.id);
+    expect(recurringInvoiceUpdates()).toHaveLength(0);
+
+    // Another change waits for this one
+    expect((await changeTier('enterprise')).status).toBe(409);
+  });
+
+  it('applies the upgrade when the payment webhook sees the invoice paid', async () => {
+    await changeTier('standard');
+    const payment = {
+      invoice_id: 'inv-9',
+      invoice_number: 'INV-000109',
+      payment_id: 'pay-1',
+      amount: 50,
+      total: 50,
+      currency_code: 'USD'
+    };
+
+    await processWebhookEvent({ event_type: 'invoice_payment_received', data: payment });
+
+    expect(subscription()).toMatchObject({ package_type: 'standard', amount: 200, pending_package_type: null, pending_order_id: null });
+    expect(recurringInvoiceUpdates()).toHaveLength(1);
+
+    // A replayed delivery changes nothing
+    await processWebhookEvent({ event_type: 'invoice_payment_received', data: payment });
+    expect(recurringInvoiceUpdates()).toHaveLength(1);
+  });
+
+  it('leaves the tier alone after a partial payment', async () => {
+    await changeTier('standard');
+
+    await processWebhookEvent({
+      event_type: 'invoice_payment_received',
+      data: { invoice_id: 'inv-9', invoice_number: 'INV-000109', payment_id: 'pay-1', amount: 20, total: 50 }
+    });
+
+    expect(subscription()).toMatchObject({ package_type: 'basic', pending_package_type: 'standard' });
+    expect(recurringInvoiceUpdates()).toHaveLength(0);
+  });
+
+  it('drops the upgrade when its invoice is voided', async () => {
+    await changeTier('standard');
+
+    await processWebhookEvent({ event_type: 'invoice_voided', data: { invoice_id: 'inv-9', invoice_number: 'INV-000109' } });
+
+    expect(subscription()).toMatchObject({ package_type: 'basic', pending_package_type: null, pending_order_id: null });
+    expect(recurringInvoiceUpdates()).toHaveLength(0);
+  });
+
+  it('voids the invoice when the upgrade cannot be held', async () => {
+    const from = database.from;
+    database.from = (table) => {
+      const builder = from(table);
+      if (table !== 'subscriptions') return builder;
+      const update = builder.update;
+      builder.update = (fields) => (fields.pending_order_id
+        ? { eq: () => ({ select: () => ({ single: async () => ({ data: null, error: new Error('write failed') }) }) }) }
+        : update(fields));
+      return builder;
+    };
+
+    const { status } = await changeTier('standard');
+
+    expect(status).toBe(500);
+    expect(zoho.post).toHaveBeenCalledWith('/invoices/inv-9/status/void');
+    expect(subscription()).toMatchObject({ package_type: 'basic' });
+  });
+});
@@ -0,0 +1,177 @@
+// Subscriptions on Zoho recurring invoices: start, prorated tier changes,
+// cancellation at period end and renewals from the webhook
+import { createRequire } from 'node:module';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const subscriptions = require('../netlify/functions/utils/subscriptions.js');
+
+const EXPORT = { treatment: 'export', gstTreatment: 'overseas', placeOfSupply: null, gstin: null, lineItemFields: { hsn_or_sac: '998313' } };
+
+const plan = (packageType, price) => ({
+  id: `plan-${packageType}`,
+  service_id: 'svc-1',
+  service_name: 'Managed Email',
+  package_type: packageType,
+  billing_interval: 'monthly',
+  price_usd: price,
+  active: true
+});
+
+const ACTIVE = {
+  id: 'sub-1-0000',
+  client_id: 'c-1',
+  service_id: 'svc-1',
+  package_type: 'standard',
+  billing_interval: 'monthly',
+  currency: 'USD',
+  amount: 60,
+  status: 'active',
+  zoho_customer_id: 'zc-1',
+  zoho_recurring_invoice_id: 'rec-1',
+  current_period_start: '2025-10-01',
+  current_period_end: '2025-10-31',
+  cancel_at_period_end: false,
+  last_invoice_id: 'inv-1'
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2025-10-16T12:00:00Z'));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      subscription_plans: [plan('basic', 30), plan('standard', 60), plan('enterprise', 120)],
+      exchange_rates: [],
+      subscriptions: []
+    },
+    unique: { subscriptions: [['client_id', 'service_id']] }
+  });
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => {
+    if (path === '/recurringinvoices') return { recurring_invoice: { recurrence_id: 'rec-1', next_invoice_date: '2025-11-16' } };
+    if (path === '/creditnotes') return { creditnote: { creditnote_id: 'cn-1', creditnote_number: 'CN-00001', total: body.line_items[0].rate } };
+    return {};
+  });
+  vi.spyOn(zoho, 'put').mockResolvedValue({});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const start = () => subscriptions.createSubscription({
+  clientId: 'c-1',
+  customerId: 'zc-1',
+  serviceId: 'svc-1',
+  packageType: 'standard',
+  interval: 'monthly',
+  currency: 'INR',
+  taxDecision: EXPORT
+});
+
+describe('createSubscription', () => {
+  it('creates a recurring invoice at the plan price in the chosen currency', async () => {
+    const subscription = await start();
+
+    expect(zoho.post).toHaveBeenCalledWith('/recurringinvoices', expect.objectContaining({
+      customer_id: 'zc-1',
+      reference_number: subscription.id,
+      start_date: '2025-10-16',
+      recurrence_frequency: 'months',
+      currency_code: 'INR',
+      line_items: [expect.objectContaining({ name: 'Managed Email - Standard', rate: 4995 })]
+    }), { timeout: 20000 });
+    expect(subscription).toMatchObject({ status: 'incomplete', amount: 4995, zoho_recurring_invoice_id: 'rec-1', current_period_end: '2025-11-16' });
+  });
+
+  it('allows one subscription per service', async () => {
+    await start();
+
+    await expect(start()).rejects.toMatchObject({ statusCode: 409 });
+    expect(database.db.subscriptions).toHaveLength(1);
+  });
+
+  it('drops the row when Zoho rejects the recurring invoice', async () => {
+    zoho.post.mockRejectedValueOnce(new Error('Invalid customer'));
+
+    await expect(start()).rejects.toThrow('Invalid customer');
+    expect(database.db.subscriptions).toHaveLength(0);
+  });
+});
+
+describe('tier changes', () => {
+  beforeEach(() => {
+    database.db.subscriptions = [{ ...ACTIVE }];
+  });
+
+  it('prorates an upgrade over the days left in the period', async () => {
+    const quote = await subscriptions.quoteTierChange('c-1', 'sub-1-0000', 'enterprise');
+
+    expect(quote.amount).toBe(120);
+    expect(quote.proration).toEqual({ amount: 30, daysLeft: 15, periodDays: 30 });
+  });
+
+  it('credits the unused time of a downgrade and reprices the recurring invoice', async () => {
+    const quote = await subscriptions.quoteTierChange('c-1', 'sub-1-0000', 'basic');
+    const result = await subscriptions.applyTierChange(quote, EXPORT);
+
+    expect(quote.proration.amount).toBe(-15);
+    expect(result.credit_note).toEqual({ creditnote_id: 'cn-1', creditnote_number: 'CN-00001', total: 15 });
+    expect(zoho.put).toHaveBeenCalledWith('/recurringinvoices/rec-1', expect.objectContaining({
+      line_items: [expect.objectContaining({ name: 'Managed Email - Basic', rate: 30 })]
+    }));
+    expect(database.db.subscriptions[0]).toMatchObject({ package_type: 'basic', amount: 30 });
+  });
+
+  it('refuses to change a subscription that is past due', async () => {
+    database.db.subscriptions[0].status = 'past_due';
+
+    await expect(subscriptions.quoteTierChange('c-1', 'sub-1-0000', 'enterprise')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('cancelAtPeriodEnd', () => {
+  it('stops billing and closes the subscription once the period has run out', async () => {
+    database.db.subscriptions = [{ ...ACTIVE }];
+
+    const cancelled = await subscriptions.cancelAtPeriodEnd('c-1', 'sub-1-0000');
+
+    expect(zoho.post).toHaveBeenCalledWith('/recurringinvoices/rec-1/status/stop');
+    expect(cancelled).toMatchObject({ status: 'active', cancel_at_period_end: true });
+
+    vi.setSystemTime(new Date('2025-10-31T09:00:00Z'));
+    const [listed] = await subscriptions.listClientSubscriptions('c-1');
+
+    expect(listed.status).toBe('cancelled');
+  });
+});
+
+describe('webhook updates', () => {
+  beforeEach(() => {
+    database.db.subscriptions = [{ ...ACTIVE }];
+  });
+
+  it('opens the next period when a renewal invoice is paid, once', async () => {
+    const invoice = { invoice_id: 'inv-2', invoice_number: 'INV-000002', recurring_invoice_id: 'rec-1', date: '2025-10-31', total: 60 };
+
+    await subscriptions.recordRecurringPayment(invoice);
+    await subscriptions.recordRecurringPayment(invoice);
+
+    expect(database.db.subscriptions[0]).toMatchObject({ status: 'active', current_period_start: '2025-10-31', current_period_end: '2025-11-30', last_invoice_id: 'inv-2' });
+    expect(database.db.notifications).toHaveLength(1);
+  });
+
+  it('puts the subscription past due when a renewal is not paid', async () => {
+    await subscriptions.recordRecurringFailure({ invoice_id: 'inv-2', invoice_number: 'INV-000002', recurring_invoice_id: 'rec-1' });
+
+    expect(database.db.subscriptions[0].status).toBe('past_due');
+    expect(database.db.notifications[0].title).toBe('Subscription Payment Due');
+  });
+});
@@ -0,0 +1,71 @@
+// GST per client: CGST + SGST in the home state, IGST across states and
+// zero-rated exports
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { determineTax, computeTax, isValidGstin, loadTaxProfile } = require('../netlify/functions/utils/taxEngine.js');
+const { HttpError } = require('../netlify/functions/utils/httpErrors.js');
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.stubEnv('GST_HOME_STATE', 'KA');
+  vi.stubEnv('ZOHO_TAX_ID_GST', 'tax-gst');
+  vi.stubEnv('ZOHO_TAX_ID_IGST', 'tax-igst');
+  vi.stubEnv('ZOHO_TAX_EXEMPTION_ID_EXPORT', 'exempt-export');
+  database = createFakeSupabase();
+});
+
+describe('determineTax', () => {
+  it('splits GST into CGST and SGST in the home state', () => {
+    const decision = determineTax({ countryCode: 'IN', stateCode: 'KA' });
+
+    expect(decision).toMatchObject({ treatment: 'intra_state', gstTreatment: 'consumer', placeOfSupply: 'KA' });
+    expect(decision.lineItemFields).toEqual({ hsn_or_sac: '998313', tax_id: 'tax-gst' });
+    expect(computeTax(1000, decision)).toEqual({
+      subtotal: 1000,
+      tax_amount: 180,
+      total: 1180,
+      breakdown: [{ name: 'CGST', rate: 9, amount: 90 }, { name: 'SGST', rate: 9, amount: 90 }]
+    });
+  });
+
+  it('charges IGST to the state a GSTIN belongs to', () => {
+    const decision = determineTax({ countryCode: 'IN', stateCode: 'KA', gstin: '27aapfu0939f1zv' });
+
+    expect(decision).toMatchObject({ treatment: 'inter_state', gstTreatment: 'business_gst', placeOfSupply: 'MH', gstin: '27AAPFU0939F1ZV' });
+    expect(computeTax(99.99, decision).tax_amount).toBe(18);
+  });
+
+  it('zero-rates exports', () => {
+    const decision = determineTax({ countryCode: 'au' });
+
+    expect(decision).toMatchObject({ treatment: 'export', gstTreatment: 'overseas', rate: 0 });
+    expect(decision.lineItemFields).toEqual({ hsn_or_sac: '998313', tax_exemption_id: 'exempt-export' });
+    expect(computeTax(500, decision).total).toBe(500);
+  });
+
+  it('rejects invalid GSTINs and missing tax setup', () => {
+    expect(isValidGstin('99AAPFU0939F1ZV')).toBe(false);
+    expect(() => determineTax({ gstin: 'not-a-gstin' })).toThrow(HttpError);
+
+    vi.stubEnv('ZOHO_TAX_ID_IGST', '');
+    expect(() => determineTax({})).toThrow('Missing tax configuration: ZOHO_TAX_ID_IGST');
+  });
+});
+
+describe('loadTaxProfile', () => {
+  it('falls back to the detected country when the client has none', async () => {
+    database.db.clients = [{ id: 'c-1', country_code: null, state_code: 'TN', gstin: null }];
+    database.db.user_preferences = [{ user_id: 'c-1', country_code: 'IN' }];
+
+    expect(await loadTaxProfile('c-1')).toEqual({ countryCode: 'IN', stateCode: 'TN', gstin: null });
+  });
+});
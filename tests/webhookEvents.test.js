@@ -0,0 +1,71 @@
+// Webhook deliveries are logged once per event, and Zoho's retries of an
+// event do not run it again
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const {
+  deriveDedupeKey,
+  beginWebhookEvent,
+  completeWebhookEvent,
+  deadLetterWebhookEvent
+} = require('../netlify/functions/utils/webhookEvents.js');
+
+const PAID = { event_type: 'invoice_paid', data: { invoice_id: 'inv-1', status: 'paid', total: 120 } };
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({ unique: { webhook_events: ['dedupe_key'] } });
+});
+
+describe('deriveDedupeKey', () => {
+  it('prefers Zoho\'s event id and otherwise hashes the data regardless of key order', () => {
+    expect(deriveDedupeKey({ event_id: 'ev-7', ...PAID })).toBe('zoho:ev-7');
+    expect(deriveDedupeKey(PAID)).toBe(deriveDedupeKey({ event_type: 'invoice_paid', data: { total: 120, status: 'paid', invoice_id: 'inv-1' } }));
+    expect(deriveDedupeKey(PAID)).not.toBe(deriveDedupeKey({ ...PAID, event_type: 'invoice_updated' }));
+  });
+});
+
+describe('beginWebhookEvent', () => {
+  it('acknowledges a retry of a processed event without running it again', async () => {
+    const first = await beginWebhookEvent(PAID);
+    await completeWebhookEvent(first.event.id);
+
+    const retry = await beginWebhookEvent(PAID);
+
+    expect(first.duplicate).toBe(false);
+    expect(retry).toMatchObject({ duplicate: true, inProgress: false });
+    expect(database.db.webhook_events).toHaveLength(1);
+  });
+
+  it('reports a retry that arrives while the first delivery is running', async () => {
+    await beginWebhookEvent(PAID);
+
+    expect(await beginWebhookEvent(PAID)).toMatchObject({ duplicate: true, inProgress: true });
+  });
+
+  it('runs a dead-lettered event again on the next delivery', async () => {
+    const first = await beginWebhookEvent(PAID);
+    await deadLetterWebhookEvent(first.event.id, new Error('Zoho timed out'));
+
+    const retry = await beginWebhookEvent(PAID);
+
+    expect(retry.duplicate).toBe(false);
+    expect(database.db.webhook_events[0]).toMatchObject({ status: 'processing', attempts: 2, error: null });
+  });
+
+  it('takes over a delivery that has been processing for too long', async () => {
+    const first = await beginWebhookEvent(PAID);
+    database.db.webhook_events[0].updated_at = new Date(Date.now() - 3 * 60 * 1000).toISOString();
+
+    const retry = await beginWebhookEvent(PAID);
+
+    expect(retry).toMatchObject({ duplicate: false, event: { id: first.event.id, attempts: 2 } });
+  });
+});
@@ -0,0 +1,92 @@
+// Webhook events beyond payments: voided and deleted invoices, deleted
+// payments, refunds made in Zoho, estimate changes and contact edits
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { processWebhookEvent } = require('../netlify/functions/utils/webhookProcessor.js');
+
+const deliver = (event_type, data) => processWebhookEvent({ event_type, data });
+
+const titles = () => (database.db.notifications || []).map(notification => notification.title);
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      clients: [{ id: 'c-1', name: 'Asha Rao', email: 'asha@acme.test', phone: '111', company: null, gstin: null, zoho_customer_id: 'zc-1' }],
+      services: [{ id: 's-1', name: 'Migration' }],
+      orders: [{ id: 'o-1', client_id: 'c-1', service_id: 's-1', status: 'paid', currency: 'INR', amount_inr: 100, tax_amount: 0, amount_paid: 100, zoho_invoice_id: 'inv-1' }],
+      invoices: [{ id: 'i-1', order_id: 'o-1', status: 'paid', total_amount: 100, amount_paid: 100, balance: 0 }],
+      payments: [{ id: 'p-1', order_id: 'o-1', client_id: 'c-1', zoho_payment_id: 'pay-1', amount: 100, currency: 'INR' }]
+    },
+    unique: { payments: ['zoho_payment_id'] }
+  });
+});
+
+describe('processWebhookEvent', () => {
+  it('reopens the balance when a payment is deleted in Zoho', async () => {
+    await deliver('payment_deleted', { payment_id: 'pay-1' });
+
+    expect(database.db.payments).toHaveLength(0);
+    expect(database.db.orders[0]).toMatchObject({ status: 'pending', amount_paid: 0 });
+    expect(database.db.invoices[0]).toMatchObject({ status: 'sent', balance: 100 });
+    expect(titles()).toEqual(['Payment Reversed']);
+  });
+
+  it('records a refund made in Zoho once', async () => {
+    const refund = { payment_id: 'pay-1', refund_id: 'zr-1', amount: 40, description: 'Goodwill' };
+
+    await deliver('payment_refunded', refund);
+    await deliver('payment_refunded', refund);
+
+    expect(database.db.refunds).toEqual([expect.objectContaining({ order_id: 'o-1', amount: 40, status: 'completed', zoho_refund_id: 'zr-1' })]);
+    expect(database.db.orders[0]).toMatchObject({ status: 'partially_refunded', refunded_amount: 40 });
+  });
+
+  it('cancels the order of a voided invoice but not of a refunded one', async () => {
+    await deliver('invoice_voided', { invoice_id: 'inv-1', invoice_number: 'INV-000101' });
+
+    expect(database.db.orders[0].status).toBe('cancelled');
+    expect(database.db.invoices[0].status).toBe('void');
+    expect(titles()).toEqual(['Invoice Cancelled']);
+
+    database.db.orders[0].status = 'refunded';
+    await deliver('invoice_deleted', { invoice_id: 'inv-1' });
+
+    expect(database.db.orders[0].status).toBe('refunded');
+    expect(database.db.invoices).toHaveLength(0);
+  });
+
+  it('cancels the uninvoiced order of an expired estimate and tells the client', async () => {
+    database.db.orders.push({ id: 'o-2', client_id: 'c-1', status: 'pending', zoho_estimate_id: 'est-1', zoho_invoice_id: null });
+
+    await deliver('estimate_expired', { estimate_id: 'est-1', estimate_number: 'EST-000001', customer_id: 'zc-1' });
+
+    expect(database.db.orders[1].status).toBe('cancelled');
+    expect(titles()).toEqual(['Estimate Expired']);
+  });
+
+  it('copies staff edits of a contact onto the linked client, keeping the email', async () => {
+    await deliver('contact_updated', {
+      contact_id: 'zc-1',
+      contact_name: 'Asha Rao (asha@acme.test)',
+      company_name: 'Acme Ltd',
+      email: 'someone@else.test',
+      phone: '222',
+      contact_persons: []
+    });
+
+    expect(database.db.clients[0]).toMatchObject({ name: 'Asha Rao', company: 'Acme Ltd', phone: '222', email: 'asha@acme.test' });
+  });
+
+  it('ignores event types it has no handler for', async () => {
+    await expect(deliver('toString', {})).resolves.toBeUndefined();
+  });
+});
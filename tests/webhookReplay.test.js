@@ -0,0 +1,94 @@
+// Staff replay dead-lettered webhook events through webhookAdmin; every
+// replay is recorded with its outcome
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const { handler } = require('../netlify/functions/webhookAdmin.js');
+
+const USERS = {
+  asha: { id: 'c-1', email: 'asha@acme.test' },
+  staff: { id: 'a-1', email: 'staff@studio.test', app_metadata: { role: 'admin' } }
+};
+
+const call = async (token, body) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const deadLetter = (id, payload, receivedAt) => ({
+  id,
+  source: 'zoho',
+  event_type: payload.event_type,
+  dedupe_key: `zoho:${id}`,
+  payload,
+  status: 'dead_letter',
+  attempts: 1,
+  error: 'Zoho timed out',
+  received_at: receivedAt,
+  updated_at: receivedAt
+});
+
+// Processes cleanly, and fails while the orders table cannot be read
+const CREATED = { event_type: 'invoice_created', data: { invoice_id: 'inv-1' } };
+const PAYMENT = { event_type: 'invoice_payment_received', data: { invoice_id: 'inv-2', payment_id: 'pay-1', invoice_number: 'INV-000002', total: 10 } };
+
+const unavailable = { message: 'relation "orders" is unavailable' };
+const failingOrders = { select: () => failingOrders, eq: () => failingOrders, maybeSingle: async () => ({ data: null, error: unavailable }) };
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      webhook_events: [
+        deadLetter('ev-1', CREATED, '2025-10-10T08:00:00Z'),
+        deadLetter('ev-2', PAYMENT, '2025-10-10T09:00:00Z')
+      ]
+    }
+  });
+  const from = database.from;
+  database.from = (table) => (table === 'orders' ? failingOrders : from(table));
+  database.auth = {
+    getUser: async (token) => (USERS[token] ? { data: { user: USERS[token] }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+});
+
+describe('webhookAdmin', () => {
+  it('is for administrators only', async () => {
+    expect((await call('asha', { action: 'list_dead_letters' })).statusCode).toBe(403);
+    expect((await call('nobody', { action: 'list_dead_letters' })).statusCode).toBe(401);
+  });
+
+  it('lists dead letters oldest first', async () => {
+    const response = await call('staff', { action: 'list_dead_letters' });
+
+    expect(response.body.events.map(event => event.id)).toEqual(['ev-1', 'ev-2']);
+  });
+
+  it('replays an event and records who did it', async () => {
+    const response = await call('staff', { action: 'replay_event', eventId: 'ev-1' });
+
+    expect(response.body.replay).toEqual({ event_id: 'ev-1', outcome: 'processed', attempts: 2 });
+    expect(database.db.webhook_events[0]).toMatchObject({ status: 'processed', error: null });
+    expect(database.db.webhook_replays).toEqual([expect.objectContaining({ event_id: 'ev-1', replayed_by: 'a-1', outcome: 'processed' })]);
+    expect((await call('staff', { action: 'replay_event', eventId: 'ev-1' })).statusCode).toBe(409);
+  });
+
+  it('keeps an event dead-lettered with the new error when the replay fails', async () => {
+    const response = await call('staff', { action: 'replay_dead_letters' });
+
+    expect(response.body).toMatchObject({ processed: 1, failed: 1, skipped: 0 });
+    expect(database.db.webhook_events[1]).toMatchObject({ status: 'dead_letter', attempts: 2, error: unavailable.message });
+    expect(database.db.webhook_replays.map(replay => replay.outcome)).toEqual(['processed', 'failed']);
+  });
+});
@@ -0,0 +1,49 @@
+// Zoho webhooks are signed over `<timestamp>.<raw body>` and only accepted
+// within the timestamp window
+import { createHmac } from 'node:crypto';
+import { createRequire } from 'node:module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+
+const { verifyZohoWebhook, getRawBody } = require('../netlify/functions/utils/webhookSignature.js');
+
+const SECRET = 'whsec-test';
+const NOW = Date.parse('2025-10-09T10:00:00Z');
+const TIMESTAMP = String(NOW / 1000);
+const BODY = '{"event_type":"invoice_paid","data":{"invoice_id":"inv-1"}}';
+
+const sign = (body = BODY, timestamp = TIMESTAMP, encoding = 'hex') =>
+  createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest(encoding);
+
+const verify = (headers, rawBody = BODY) => verifyZohoWebhook({ headers, rawBody, secret: SECRET, now: NOW });
+
+describe('verifyZohoWebhook', () => {
+  it('accepts hex and base64 signatures in any header case', () => {
+    expect(verify({ 'X-Zoho-Webhook-Signature': sign(), 'X-Zoho-Webhook-Timestamp': TIMESTAMP })).toEqual({ valid: true });
+    expect(verify({ 'x-zoho-webhook-signature': sign(BODY, TIMESTAMP, 'base64'), 'x-zoho-webhook-timestamp': TIMESTAMP })).toEqual({ valid: true });
+  });
+
+  it('accepts millisecond timestamps', () => {
+    const millis = String(NOW);
+
+    expect(verify({ 'x-zoho-webhook-signature': sign(BODY, String(NOW / 1000)), 'x-zoho-webhook-timestamp': millis })).toEqual({ valid: true });
+  });
+
+  it('rejects a changed body, a missing signature and a stale timestamp', () => {
+    const headers = { 'x-zoho-webhook-signature': sign(), 'x-zoho-webhook-timestamp': TIMESTAMP };
+    const stale = String(NOW / 1000 - 301);
+
+    expect(verify(headers, BODY.replace('inv-1', 'inv-2'))).toMatchObject({ valid: false, reason: 'Signature does not match' });
+    expect(verify({ 'x-zoho-webhook-timestamp': TIMESTAMP })).toMatchObject({ valid: false, reason: 'Missing signature header' });
+    expect(verify({ 'x-zoho-webhook-signature': sign(BODY, stale), 'x-zoho-webhook-timestamp': stale }))
+      .toMatchObject({ valid: false, reason: 'Timestamp is 301s away from server time' });
+  });
+});
+
+describe('getRawBody', () => {
+  it('decodes base64 bodies from Netlify', () => {
+    expect(getRawBody({ body: Buffer.from(BODY).toString('base64'), isBase64Encoded: true })).toBe(BODY);
+    expect(getRawBody({ body: BODY })).toBe(BODY);
+  });
+});
@@ -0,0 +1,159 @@
+// zohoIntegration actions: who may call them and what they send to Zoho
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+Object.assign(process.env, {
+  ZOHO_CLIENT_ID: 'client-id',
+  ZOHO_CLIENT_SECRET: 'client-secret',
+  ZOHO_REFRESH_TOKEN: 'refresh-token',
+  ZOHO_ORGANIZATION_ID: '60000000001'
+});
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { handler } = require('../netlify/functions/zohoIntegration.js');
+
+const USERS = {
+  asha: { id: 'c-1', email: 'asha@acme.test' },
+  ben: { id: 'c-2', email: 'ben@acme.test' },
+  staff: { id: 'a-1', email: 'staff@studio.test', app_metadata: { role: 'admin' } }
+};
+
+const call = async (token, body) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const INVOICES = {
+  '1001': { invoice_id: '1001', invoice_number: 'INV-000001', customer_id: '501', status: 'sent', total: 120, balance: 120 },
+  '1002': { invoice_id: '1002', invoice_number: 'INV-000002', customer_id: '501', status: 'paid', total: 80, balance: 0 }
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: {
+      clients: [
+        { id: 'c-1', email: 'asha@acme.test', zoho_customer_id: '501' },
+        { id: 'c-2', email: 'ben@acme.test', zoho_customer_id: '502' }
+      ],
+      orders: []
+    }
+  });
+  database.auth = {
+    getUser: async (token) => (USERS[token] ? { data: { user: USERS[token] }, error: null } : { data: { user: null }, error: { message: 'invalid' } })
+  };
+
+  vi.spyOn(zoho, 'get').mockImplementation(async (path) => ({ invoice: INVOICES[path.split('/').pop()] }));
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => (
+    path === '/customerpayments'
+      ? { payment: { payment_id: '9001', amount: body.amount, date: body.date, payment_mode: body.payment_mode } }
+      : {}
+  ));
+});
+
+describe('zohoIntegration actions', () => {
+  it('rejects unknown actions and anonymous callers', async () => {
+    expect((await call('asha', { action: 'delete_everything' })).statusCode).toBe(400);
+    expect((await call('nobody', { action: 'get_invoice', invoiceId: '1001' })).statusCode).toBe(401);
+  });
+
+  it('shows an invoice to the client it was issued to and to admins only', async () => {
+    const own = await call('asha', { action: 'get_invoice', invoiceId: '1001' });
+    const other = await call('ben', { action: 'get_invoice', invoiceId: '1001' });
+    const admin = await call('staff', { action: 'invoice_status', invoiceId: '1001' });
+
+    expect(own).toMatchObject({ statusCode: 200, body: { invoice: { invoice_id: '1001', balance: 120 } } });
+    expect(other.statusCode).toBe(403);
+    expect(admin).toMatchObject({ statusCode: 200, body: { status: 'sent', balance: 120 } });
+  });
+
+  it('builds invoice links for the organization\'s data center', async () => {
+    vi.stubEnv('ZOHO_DATA_CENTER', 'eu');
+    INVOICES['1002'].invoice_url = 'https://zohosecurepay.eu/invoice/acme/secure?CInvoiceID=abc';
+
+    const plain = await call('asha', { action: 'get_invoice', invoiceId: '1001' });
+    const shared = await call('asha', { action: 'get_invoice', invoiceId: '1002' });
+    vi.unstubAllEnvs();
+    delete INVOICES['1002'].invoice_url;
+
+    expect(plain.body.invoice).toMatchObject({
+      invoice_url: 'https://invoice.zoho.eu/invoices/1001/payment',
+      payment_url: 'https://invoice.zoho.eu/invoices/1001/payment'
+    });
+    expect(shared.body.invoice.invoice_url).toBe('https://zohosecurepay.eu/invoice/acme/secure?CInvoiceID=abc');
+  });
+
+  it('only accepts numeric Zoho ids', async () => {
+    const response = await call('asha', { action: 'get_invoice', invoiceId: '../contacts' });
+
+    expect(response.statusCode).toBe(400);
+    expect(zoho.get).not.toHaveBeenCalled();
+  });
+
+  it('lets only admins record payments', async () => {
+    const params = { action: 'record_payment', invoiceId: '1001', amount: '50', paymentMode: 'banktransfer', date: '2025-10-05' };
+
+    expect((await call('asha', params)).statusCode).toBe(403);
+
+    const response = await call('staff', params);
+
+    expect(response).toMatchObject({ statusCode: 200, body: { payment: { payment_id: '9001', invoice_id: '1001', amount: 50 } } });
+    expect(zoho.post).toHaveBeenCalledWith('/customerpayments', expect.objectContaining({
+      customer_id: '501',
+      invoices: [{ invoice_id: '1001', amount_applied: 50 }]
+    }));
+  });
+
+  it('refuses to void a paid invoice', async () => {
+    const response = await call('staff', { action: 'void_invoice', invoiceId: '1002' });
+
+    expect(response.statusCode).toBe(409);
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+
+  it('prices and taxes an order\'s invoice in the currency of the order', async () => {
+    vi.stubEnv('GST_HOME_STATE', 'KA');
+    vi.stubEnv('ZOHO_TAX_ID_GST', 'tax-gst');
+    vi.stubEnv('ZOHO_TAX_ID_IGST', 'tax-igst');
+    vi.stubEnv('ZOHO_TAX_EXEMPTION_ID_EXPORT', 'exempt-export');
+    Object.assign(database.db.clients[0], { country_code: 'IN', state_code: 'KA', gstin: null });
+    database.db.orders.push({ id: 'o-1', client_id: 'c-1', currency: 'INR', amount_usd: 12, amount_inr: 1000, amount_aud: 18.24, zoho_invoice_id: null });
+    const person = { contact_person_id: 'p-1', first_name: 'Asha', last_name: '', email: 'asha@acme.test', is_primary_contact: true };
+    zoho.get.mockImplementation(async (path) => (path === '/contacts/501'
+      ? { contact: { contact_id: '501', contact_name: 'Asha', contact_persons: [person] } }
+      : { invoices: [] }));
+    zoho.post.mockResolvedValue({ invoice: { invoice_id: '1003', invoice_number: 'INV-000003', total: 1180, status: 'draft' } });
+
+    // The browser sends the USD list price
+    const response = await call('asha', {
+      action: 'create_invoice',
+      orderId: 'o-1',
+      customerData: { name: 'Asha' },
+      serviceItems: [{ serviceName: 'Migration', packageType: 'standard', quantity: 2, unitPrice: 6, totalPrice: 12 }],
+      currency: 'USD'
+    });
+    vi.unstubAllEnvs();
+
+    expect(response.statusCode).toBe(200);
+    expect(zoho.post).toHaveBeenCalledWith('/invoices', expect.objectContaining({
+      currency_code: 'INR',
+      line_items: [expect.objectContaining({ rate: 500, quantity: 2, item_total: 1000 })]
+    }), expect.anything());
+    expect(database.db.orders[0]).toMatchObject({
+      zoho_invoice_id: '1003',
+      tax_amount: 180,
+      tax_breakdown: [{ name: 'CGST', rate: 9, amount: 90 }, { name: 'SGST', rate: 9, amount: 90 }]
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// The shared Zoho client: headers, retries, typed errors and pagination.
+// POSTs are only repeated when they cannot have reached Zoho
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+process.env.ZOHO_ORGANIZATION_ID = '60000000001';
+
+// No token table, so every cold start asks Zoho for a token
+useFakeSupabase(null);
+
+const axios = require('axios');
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { ZohoError, ZohoNotFoundError, ZohoRateLimitError, ZohoValidationError } = require('../netlify/functions/utils/zohoErrors.js');
+
+// Retry-After: 0 keeps the retries instant
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data, headers: { 'retry-after': '0' } }
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(axios, 'post').mockResolvedValue({ data: { access_token: 'token', expires_in: 3600 } });
+});
+
+describe('request', () => {
+  it('sends the token and organization and retries server errors', async () => {
+    vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ data: { invoice: { invoice_id: 'inv-1' } } });
+
+    const data = await zoho.get('/invoices/inv-1');
+
+    expect(data.invoice.invoice_id).toBe('inv-1');
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(axios.request.mock.calls[0][0]).toMatchObject({
+      method: 'get',
+      url: 'https://invoice.zoho.in/api/v3/invoices/inv-1',
+      headers: { Authorization: 'Zoho-oauthtoken token', 'X-com-zoho-invoice-organizationid': '60000000001' }
+    });
+  });
+
+  it('gives up on rate limits after the last retry', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(429, { message: 'Too many requests' }));
+
+    await expect(zoho.get('/invoices')).rejects.toBeInstanceOf(ZohoRateLimitError);
+    expect(axios.request).toHaveBeenCalledTimes(4);
+  });
+
+  it('passes on a rate limit whose Retry-After is longer than it waits', async () => {
+    const error = httpError(429, { message: 'Too many requests' });
+    error.response.headers['retry-after'] = '60';
+    vi.spyOn(axios, 'request').mockRejectedValue(error);
+
+    await expect(zoho.get('/invoices')).rejects.toMatchObject({ name: 'ZohoRateLimitError', retryAfterMs: 60000 });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('turns client errors into typed errors without retrying', async () => {
+    vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(404, { code: 1002, message: 'Invoice does not exist' }))
+      .mockRejectedValueOnce(httpError(400, { code: 4, message: 'Invalid value' }));
+
+    await expect(zoho.get('/invoices/missing')).rejects.toBeInstanceOf(ZohoNotFoundError);
+    await expect(zoho.post('/invoices', {})).rejects.toBeInstanceOf(ZohoValidationError);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('isRetryable', () => {
+  const networkError = (code) => ({ code });
+
+  it('retries rate limits for every method', () => {
+    for (const method of ['get', 'post', 'put', 'delete']) {
+      expect(zoho.isRetryable(httpError(429), method)).toBe(true);
+    }
+  });
+
+  it('retries server errors and dropped connections for idempotent methods', () => {
+    for (const method of ['get', 'put', 'delete']) {
+      expect(zoho.isRetryable(httpError(503), method)).toBe(true);
+      expect(zoho.isRetryable(networkError('ETIMEDOUT'), method)).toBe(true);
+      expect(zoho.isRetryable(networkError('ECONNRESET'), method)).toBe(true);
+    }
+  });
+
+  it('does not repeat a POST that may have reached Zoho', () => {
+    expect(zoho.isRetryable(httpError(500), 'post')).toBe(false);
+    expect(zoho.isRetryable(httpError(503), 'POST')).toBe(false);
+    expect(zoho.isRetryable(networkError('ECONNABORTED'), 'post')).toBe(false);
+    expect(zoho.isRetryable(networkError('ETIMEDOUT'), 'post')).toBe(false);
+    expect(zoho.isRetryable(networkError('ECONNRESET'), 'post')).toBe(false);
+  });
+
+  it('repeats a POST that never left', () => {
+    expect(zoho.isRetryable(networkError('ECONNREFUSED'), 'post')).toBe(true);
+    expect(zoho.isRetryable(networkError('ENOTFOUND'), 'post')).toBe(true);
+  });
+
+  it('never retries client errors', () => {
+    expect(zoho.isRetryable(httpError(400), 'get')).toBe(false);
+    expect(zoho.isRetryable(httpError(404), 'put')).toBe(false);
+  });
+
+  it('sends a failed POST once', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(503));
+
+    await expect(zoho.post('/invoices', {})).rejects.toBeInstanceOf(ZohoError);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('listAll', () => {
+  it('follows has_more_page', async () => {
+    vi.spyOn(axios, 'request').mockImplementation(async ({ params }) => ({
+      data: { invoices: [{ invoice_id: `inv-${params.page}` }], page_context: { has_more_page: params.page < 3 } }
+    }));
+
+    const invoices = await zoho.listAll('/invoices', 'invoices', { params: { customer_id: 'zc-1' } });
+
+    expect(invoices.map(invoice => invoice.invoice_id)).toEqual(['inv-1', 'inv-2', 'inv-3']);
+    expect(axios.request.mock.calls[2][0].params).toEqual({ customer_id: 'zc-1', page: 3, per_page: 200 });
+  });
+});
@@ -0,0 +1,156 @@
+// Zoho contacts are found by the client's stored link first, by email
+// second, and created only when neither matches. Several clients can share
+// one contact, one contact person each
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+let database;
+useFakeSupabase(() => database);
+
+const zoho = require('../netlify/functions/utils/zohoClient.js');
+const { upsertZohoContact, resolveZohoContactId, applyContactUpdate } = require('../netlify/functions/utils/zohoContacts.js');
+const { ZohoNotFoundError } = require('../netlify/functions/utils/zohoErrors.js');
+
+const ASHA = {
+  contact_id: 'zc-1',
+  contact_name: 'Asha Rao',
+  company_name: '',
+  email: 'asha@acme.test',
+  contact_persons: [
+    { contact_person_id: 'p-1', first_name: 'Asha', last_name: 'Rao', email: 'asha@acme.test', phone: '111', is_primary_contact: true }
+  ]
+};
+
+// Zoho with the contacts in `contacts`, looked up by id or primary email
+const zohoWith = (...contacts) => {
+  vi.spyOn(zoho, 'get').mockImplementation(async (path, options) => {
+    if (path === '/contacts') {
+      return { contacts: contacts.filter(contact => contact.email === options.params.email) };
+    }
+    const contact = contacts.find(candidate => path === `/contacts/${candidate.contact_id}`);
+    if (!contact) throw new ZohoNotFoundError('Contact does not exist');
+    return { contact };
+  });
+};
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase({
+    tables: { clients: [{ id: 'c-1', email: 'asha@acme.test', zoho_customer_id: null }] }
+  });
+  vi.spyOn(zoho, 'put').mockImplementation(async (path, body) => ({ contact: { ...ASHA, ...body } }));
+  vi.spyOn(zoho, 'post').mockImplementation(async (path, body) => ({ contact: { contact_id: 'zc-new', ...body } }));
+});
+
+const link = () => database.db.clients[0].zoho_customer_id;
+
+describe('upsertZohoContact', () => {
+  it('matches an existing contact by email and links the client to it', async () => {
+    zohoWith(ASHA);
+
+    const customer = await upsertZohoContact({ name: 'Asha Rao', email: 'Asha@Acme.test' }, { clientId: 'c-1', emailVerified: true });
+
+    expect(customer.contact_id).toBe('zc-1');
+    expect(link()).toBe('zc-1');
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+
+  it('refuses to link a client whose email is unconfirmed to an existing contact', async () => {
+    zohoWith(ASHA);
+
+    await expect(upsertZohoContact({ name: 'Asha Rao', email: 'asha@acme.test' }, { clientId: 'c-1' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(await resolveZohoContactId('c-1', 'asha@acme.test')).toBeNull();
+    expect(link()).toBeNull();
+    expect(zoho.put).not.toHaveBeenCalled();
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+
+  it('follows the stored link after the client changes their email', async () => {
+    zohoWith(ASHA);
+    database.db.clients[0].zoho_customer_id = 'zc-1';
+
+    await upsertZohoContact({ name: 'Asha Rao', email: 'asha@new.test', phone: '111' }, { clientId: 'c-1' });
+
+    expect(zoho.put).toHaveBeenCalledWith('/contacts/contactpersons/p-1', expect.objectContaining({ contact_id: 'zc-1', email: 'asha@new.test' }));
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+
+  it('creates a contact when none matches', async () => {
+    zohoWith();
+
+    const customer = await upsertZohoContact({ name: 'Ben Ng', email: 'ben@acme.test', company: 'Acme Ltd' }, { clientId: 'c-1' });
+
+    expect(customer.contact_id).toBe('zc-new');
+    expect(zoho.post).toHaveBeenCalledWith('/contacts', expect.objectContaining({ contact_name: 'Ben Ng', company_name: 'Acme Ltd' }));
+    expect(link()).toBe('zc-new');
+  });
+
+  it('leaves an existing contact alone for anonymous callers', async () => {
+    zohoWith(ASHA);
+
+    await upsertZohoContact({ name: 'Someone Else', email: 'asha@acme.test', company: 'Other' }, { updateExisting: false });
+
+    expect(zoho.put).not.toHaveBeenCalled();
+    expect(zoho.post).not.toHaveBeenCalled();
+  });
+});
+
+const ACME = {
+  contact_id: 'zc-1',
+  contact_name: 'Acme Ltd',
+  company_name: 'Acme Ltd',
+  gst_no: '29ABCDE1234F1Z5',
+  contact_persons: [
+    { contact_person_id: 'p-1', first_name: 'Asha', last_name: 'Rao', email: 'asha@acme.test', phone: '111', is_primary_contact: true },
+    { contact_person_id: 'p-2', first_name: 'Ben', last_name: 'Ng', email: 'ben@acme.test', phone: '222', is_primary_contact: false }
+  ]
+};
+
+describe('shared Zoho contacts', () => {
+  beforeEach(() => {
+    database = createFakeSupabase({
+      tables: {
+        clients: [
+          { id: 'c-asha', email: 'asha@acme.test', name: 'Asha Rao', phone: '111', company: 'Acme Ltd', gstin: null, zoho_customer_id: 'zc-1' },
+          { id: 'c-ben', email: 'ben@acme.test', name: 'Ben Ng', phone: '222', company: 'Acme Ltd', gstin: null, zoho_customer_id: null }
+        ]
+      }
+    });
+    // Zoho's contact search also matches contact persons' emails
+    vi.spyOn(zoho, 'get').mockImplementation(async (path) =>
+      (path === '/contacts' ? { contacts: [{ contact_id: 'zc-1', email: 'asha@acme.test' }] } : { contact: ACME }));
+    vi.spyOn(zoho, 'put').mockResolvedValue({});
+    vi.spyOn(zoho, 'post').mockResolvedValue({});
+  });
+
+  const linkOf = (id) => database.db.clients.find(client => client.id === id).zoho_customer_id;
+
+  it('links a second contact person to the same contact', async () => {
+    const customer = await upsertZohoContact({ name: 'Ben Ng', email: 'ben@acme.test' }, { clientId: 'c-ben', emailVerified: true });
+
+    expect(customer.contact_id).toBe('zc-1');
+    expect(linkOf('c-ben')).toBe('zc-1');
+    expect(linkOf('c-asha')).toBe('zc-1');
+    expect(zoho.post).not.toHaveBeenCalledWith('/contacts', expect.anything());
+  });
+
+  it('updates every linked client from its own contact person', async () => {
+    database.db.clients[1].zoho_customer_id = 'zc-1';
+
+    const updated = await applyContactUpdate({
+      ...ACME,
+      company_name: 'Acme Group',
+      contact_persons: [ACME.contact_persons[0], { ...ACME.contact_persons[1], phone: '333' }]
+    });
+
+    expect(updated.map(client => client.id).sort()).toEqual(['c-asha', 'c-ben']);
+    const [asha, ben] = database.db.clients;
+    expect(asha).toMatchObject({ name: 'Asha Rao', phone: '111', company: 'Acme Group', gstin: '29ABCDE1234F1Z5' });
+    expect(ben).toMatchObject({ name: 'Ben Ng', phone: '333', company: 'Acme Group', gstin: '29ABCDE1234F1Z5' });
+  });
+});
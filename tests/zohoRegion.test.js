@@ -0,0 +1,40 @@
+// Every Zoho URL follows ZOHO_DATA_CENTER
+import { createRequire } from 'node:module';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { getZohoRegion, getInvoicePaymentUrl } = require('../netlify/functions/utils/zohoRegion.js');
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('getZohoRegion', () => {
+  it('defaults to the India data center', () => {
+    vi.stubEnv('ZOHO_DATA_CENTER', '');
+
+    expect(getZohoRegion()).toMatchObject({
+      dataCenter: 'in',
+      tokenUrl: 'https://accounts.zoho.in/oauth/v2/token',
+      apiBaseUrl: 'https://invoice.zoho.in/api/v3'
+    });
+  });
+
+  it('derives every URL from the configured data center', () => {
+    vi.stubEnv('ZOHO_DATA_CENTER', ' EU ');
+
+    expect(getZohoRegion()).toMatchObject({
+      dataCenter: 'eu',
+      accountsUrl: 'https://accounts.zoho.eu',
+      tokenUrl: 'https://accounts.zoho.eu/oauth/v2/token',
+      apiBaseUrl: 'https://invoice.zoho.eu/api/v3'
+    });
+    expect(getInvoicePaymentUrl('inv-1')).toBe('https://invoice.zoho.eu/invoices/inv-1/payment');
+  });
+
+  it('refuses an unknown data center', () => {
+    vi.stubEnv('ZOHO_DATA_CENTER', 'mars');
+
+    expect(() => getZohoRegion()).toThrow('Unsupported ZOHO_DATA_CENTER "mars"');
+  });
+});
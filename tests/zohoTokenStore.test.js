@@ -0,0 +1,63 @@
+// Zoho access tokens are cached in memory and in zoho_access_tokens, so cold
+// starts and parallel calls reuse them instead of refreshing each time
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+process.env.ZOHO_ORGANIZATION_ID = '60000000001';
+
+let database;
+useFakeSupabase(() => database);
+
+const axios = require('axios');
+const STORE_PATH = require.resolve('../netlify/functions/utils/zohoTokenStore.js');
+
+// A fresh module, as a cold start gets
+const coldStart = () => {
+  delete require.cache[STORE_PATH];
+  return require(STORE_PATH);
+};
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  database = createFakeSupabase();
+  let issued = 0;
+  vi.spyOn(axios, 'post').mockImplementation(async () => ({ data: { access_token: `token-${++issued}`, expires_in: 3600 } }));
+});
+
+describe('zohoTokenStore', () => {
+  it('reuses a persisted token after a cold start', async () => {
+    database.db.zoho_access_tokens = [{ store_key: '60000000001', access_token: 'stored', expires_at: inAnHour() }];
+
+    expect(await coldStart().getAccessToken()).toBe('stored');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('refreshes once for parallel callers and persists the token', async () => {
+    const store = coldStart();
+
+    const tokens = await Promise.all([store.getAccessToken(), store.getAccessToken(), store.getAccessToken()]);
+
+    expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(database.db.zoho_access_tokens[0]).toMatchObject({ store_key: '60000000001', access_token: 'token-1', refresh_locked_until: null });
+    expect(await coldStart().getAccessToken()).toBe('token-1');
+  });
+
+  it('drops a token Zoho rejects and retries once with a new one', async () => {
+    database.db.zoho_access_tokens = [{ store_key: '60000000001', access_token: 'revoked', expires_at: inAnHour() }];
+    const operation = vi.fn(async (token) => {
+      if (token === 'revoked') throw Object.assign(new Error('Unauthorized'), { status: 401 });
+      return token;
+    });
+
+    expect(await coldStart().withAccessToken(operation)).toBe('token-1');
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(database.db.zoho_access_tokens[0].access_token).toBe('token-1');
+  });
+});
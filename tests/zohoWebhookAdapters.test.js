@@ -0,0 +1,186 @@
+// The two ways a Zoho webhook reaches us: the Netlify zohoWebhook function,
+// which checks and logs deliveries, and the Supabase zoho-webhook edge
+// function, which forwards them to it untouched and passes its answer back.
+import { createRequire } from 'node:module';
+import crypto from 'node:crypto';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeSupabase, useFakeSupabase } from './helpers/fakeSupabase.js';
+
+const require = createRequire(import.meta.url);
+
+const SECRET = 'contract-secret';
+const FORWARD_URL = 'https://forward.test/zohoWebhook';
+
+let database;
+useFakeSupabase(() => database);
+
+const netlify = require('../netlify/functions/zohoWebhook.js');
+
+// A request as both adapters receive it: method, headers and raw body
+const signed = (body, { timestamp = Math.floor(Date.now() / 1000) } = {}) => ({
+  method: 'POST',
+  headers: {
+    'content-type': 'application/json',
+    'x-zoho-webhook-timestamp': String(timestamp),
+    'x-zoho-webhook-signature': crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')
+  },
+  body
+});
+
+const event = JSON.stringify({
+  event_id: 'evt-1001',
+  event_type: 'invoice_viewed',
+  data: { invoice_id: '460000000012001', invoice_number: 'INV-000101' }
+});
+
+const DELIVERIES = [
+  ['signed', signed(event)],
+  ['duplicate', signed(event)],
+  ['unsigned', { method: 'POST', headers: { 'content-type': 'application/json' }, body: event }],
+  ['stale', signed(event, { timestamp: Math.floor(Date.now() / 1000) - 3600 })],
+  ['malformed', signed('{"event_type": "invoice_viewed", ')],
+  ['no event', signed('{"data": {}}')],
+  ['wrong method', { method: 'GET', headers: {}, body: null }]
+];
+
+const viaNetlify = async ({ method, headers, body }) => {
+  const response = await netlify.handler({ httpMethod: method, headers, body, isBase64Encoded: false }, {});
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const run = async () => {
+  database = createFakeSupabase({ unique: { webhook_events: ['dedupe_key'] } });
+  const results = [];
+  for (const [name, delivery] of DELIVERIES) {
+    const { status, body } = await viaNetlify(delivery);
+    results.push({ name, status, success: body.success ?? false, duplicate: body.duplicate ?? false });
+  }
+  return results;
+};
+
+// The edge function, run under Node with Deno's globals stubbed. Each
+// request it forwards is kept in `forwarded` and answered by `answer`.
+const env = {};
+let edgeHandler;
+let forwarded;
+let answer;
+
+const viaSupabase = async ({ method, headers, body }) => {
+  const response = await edgeHandler(new Request('https://project.supabase.co/functions/v1/zoho-webhook', {
+    method,
+    headers,
+    body: body ?? undefined
+  }));
+  return { status: response.status, body: await response.json() };
+};
+
+beforeAll(async () => {
+  vi.stubGlobal('Deno', {
+    env: { get: (name) => env[name] },
+    serve: (handler) => { edgeHandler = handler; }
+  });
+  vi.stubGlobal('fetch', async (url, init) => {
+    forwarded.push({ url, method: init.method, headers: Object.fromEntries(new Headers(init.headers)), body: init.body });
+    return answer();
+  });
+  await import('../supabase/functions/zoho-webhook/index.ts');
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+  delete process.env.ZOHO_WEBHOOK_SECRET;
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  process.env.ZOHO_WEBHOOK_SECRET = SECRET;
+  env.ZOHO_WEBHOOK_FORWARD_URL = FORWARD_URL;
+  forwarded = [];
+  answer = () => new Response(JSON.stringify({ success: true }), { status: 200 });
+});
+
+describe('zohoWebhook function', () => {
+  it('answers each kind of delivery', async () => {
+    const results = await run();
+
+    expect(results.map(({ name, status }) => [name, status])).toEqual([
+      ['signed', 200],
+      ['duplicate', 200],
+      ['unsigned', 401],
+      ['stale', 401],
+      ['malformed', 400],
+      ['no event', 400],
+      ['wrong method', 405]
+    ]);
+    expect(results[1].duplicate).toBe(true);
+  });
+
+  it('logs a delivered event once', async () => {
+    await run();
+
+    expect(database.db.webhook_events).toEqual([expect.objectContaining({
+      source: 'zoho',
+      event_type: 'invoice_viewed',
+      dedupe_key: 'zoho:evt-1001',
+      status: 'processed',
+      attempts: 1,
+      payload: JSON.parse(event)
+    })]);
+  });
+
+  it('rejects deliveries when no secret is configured', async () => {
+    delete process.env.ZOHO_WEBHOOK_SECRET;
+
+    const results = await run();
+
+    expect(results[0].status).toBe(500);
+    expect(database.db.webhook_events).toBeUndefined();
+  });
+});
+
+describe('zoho-webhook edge function', () => {
+  it('forwards the signature headers and the raw body unchanged', async () => {
+    // Spacing and key order a re-serialised body would lose
+    const body = '{ "event_type":"invoice_viewed",  "data": {"invoice_id": "1"} }\n';
+    const delivery = signed(body);
+
+    await viaSupabase({ ...delivery, headers: { ...delivery.headers, authorization: 'Bearer anon-key' } });
+
+    expect(forwarded).toEqual([{
+      url: FORWARD_URL,
+      method: 'POST',
+      headers: delivery.headers,
+      body
+    }]);
+  });
+
+  it('passes back the status and answer of the function it forwards to', async () => {
+    answer = () => new Response(JSON.stringify({ success: false, error: 'Invalid webhook signature' }), { status: 401 });
+
+    expect(await viaSupabase(signed(event))).toEqual({
+      status: 401,
+      body: { success: false, error: 'Invalid webhook signature' }
+    });
+
+    answer = () => new Response(JSON.stringify({ success: true, duplicate: true }), { status: 200 });
+
+    expect(await viaSupabase(signed(event))).toEqual({ status: 200, body: { success: true, duplicate: true } });
+  });
+
+  it('answers 502 when the function cannot be reached, so Zoho retries', async () => {
+    answer = () => { throw new TypeError('fetch failed'); };
+
+    expect(await viaSupabase(signed(event))).toEqual({
+      status: 502,
+      body: { success: false, error: 'Webhook processor unavailable' }
+    });
+  });
+
+  it('forwards nothing without a forward URL', async () => {
+    delete env.ZOHO_WEBHOOK_FORWARD_URL;
+
+    expect((await viaSupabase(signed(event))).status).toBe(500);
+    expect(forwarded).toEqual([]);
+  });
+});